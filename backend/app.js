@@ -22,15 +22,24 @@ import { createAuthenticateMiddleware } from './middleware/authenticate.js';
 import authRoutes from './routes/auth.js';
 import taskRoutes from './routes/tasks.js';
 import emailVerificationRoutes from './routes/email-verification.js';
+import adminRoutes from './routes/admin.js';
+import settingsRoutes from './routes/settings.js';
+import pushRoutes from './routes/push.js';
+import listRoutes from './routes/lists.js';
 import { connectWithRetry, initializeSchema } from './db/init.js';
 
 // Import existing modules
 import emailIngestionRoutes from './src/email_ingestion/index.js';
 import { llmLogger } from './utils/llmLogger.js';
+import { createProviderRouter } from './src/llm/providerRouter.js';
+import { createIntentTokenSigner } from './src/voice/intentToken.js';
+import { createPendingStore } from './src/storage/pendingStore.js';
+import { getTrashRetentionDays, purgeTrash } from './src/tasks/trash.js';
+import { createReminderScheduler } from './src/reminders/reminderScheduler.js';
+import { createReminderChannels, getVapidConfig } from './src/reminders/channels.js';
 
-// In-memory store for OAuth state tokens
-// NOTE: For production, use Redis or another distributed cache for horizontal scaling
-const oauthStateStore = new Map();
+// OAuth state values are valid for 5 minutes
+const OAUTH_STATE_TTL_SECONDS = 300;
 
 function buildApp() {
   const fastify = Fastify({ logger: true });
@@ -57,6 +66,31 @@ function buildApp() {
   // Register cookie plugin for httpOnly cookie support
   fastify.register(cookie);
 
+  const { Pool, types } = pg;
+  // Return DATE columns (due dates) as YYYY-MM-DD strings rather than as
+  // midnight in the server's time zone, which can shift them by a day
+  types.setTypeParser(types.builtins.DATE, value => value);
+  const pool = new Pool({
+    user: process.env.POSTGRES_USER || 'user',
+    host: process.env.POSTGRES_HOST || 'localhost',
+    database: process.env.POSTGRES_DB || 'cleartaskdb',
+    password: process.env.POSTGRES_PASSWORD || 'password',
+    port: process.env.POSTGRES_PORT || 5432,
+  });
+
+  // Expose pool for initialization
+  fastify.decorate('pool', pool);
+
+  // Short-lived single-use items, shared by every instance (see PENDING_STORE_BACKEND)
+  const pendingStores = {
+    deleteConfirmations: createPendingStore({ pool, namespace: 'delete_confirmation' }),
+    oauthStates: createPendingStore({ pool, namespace: 'oauth_state' }),
+    intentTokens: createPendingStore({ pool, namespace: 'intent_token' })
+  };
+
+  // Expose stores for periodic cleanup
+  fastify.decorate('pendingStores', pendingStores);
+
   fastify.register(fastifyOAuth2, {
     name: 'googleOAuth2',
     scope: ['profile', 'email'],
@@ -89,53 +123,48 @@ function buildApp() {
     },
     // Don't use startRedirectPath - we'll create a custom route instead
     callbackUri: `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/microsoft/callback`,
-    generateStateFunction: (request) => {
+    generateStateFunction: async (request) => {
       // Generate cryptographically secure random state
       const state = crypto.randomBytes(32).toString('hex');
       
-      // Store state with timestamp for expiration checking
-      oauthStateStore.set(state, { timestamp: Date.now() });
+      // Store state with timestamp; the store enforces expiry
+      await pendingStores.oauthStates.set(state, { timestamp: Date.now() }, OAUTH_STATE_TTL_SECONDS);
       
-      fastify.log.info(`[OAuth State] Generated new state: ${state.substring(0, 8)}... (store size: ${oauthStateStore.size})`);
+      fastify.log.info(`[OAuth State] Generated new state: ${state.substring(0, 8)}... (store: ${pendingStores.oauthStates.backend})`);
       fastify.log.debug(`[OAuth State] Full state value: ${state}`);
       return state;
     },
     checkStateFunction: (request, callback) => {
       const state = request.query.state;
       
-      fastify.log.info(`[OAuth State] Checking state: ${state?.substring(0, 8)}... (store size: ${oauthStateStore.size})`);
+      fastify.log.info(`[OAuth State] Checking state: ${state?.substring(0, 8)}...`);
       
       if (!state) {
         fastify.log.warn('[OAuth State] OAuth callback missing state parameter');
         return callback(new Error('Missing state parameter'));
       }
       
-      // Log all states in store for debugging
-      const storeKeys = Array.from(oauthStateStore.keys()).map(k => k.substring(0, 8));
-      fastify.log.debug(`[OAuth State] States in store: ${JSON.stringify(storeKeys)}`);
-      
-      const stored = oauthStateStore.get(state);
-      
-      if (!stored) {
-        fastify.log.warn(`[OAuth State] State not found or already used: ${state.substring(0, 8)}...`);
-        fastify.log.warn(`[OAuth State] This could indicate: 1) Container restart, 2) Load balancer routing to different instance, 3) State already consumed by previous request`);
-        return callback(new Error('Invalid state'));
-      }
-      
-      // Check state hasn't expired (5 minutes = 300000ms)
-      const age = Date.now() - stored.timestamp;
-      fastify.log.info(`[OAuth State] State age: ${age}ms (max: 300000ms)`);
-      
-      if (age > 300000) {
-        oauthStateStore.delete(state);
-        fastify.log.warn(`[OAuth State] State expired (age: ${age}ms): ${state.substring(0, 8)}...`);
-        return callback(new Error('State expired'));
-      }
-      
-      // State is valid - remove it (one-time use)
-      oauthStateStore.delete(state);
-      fastify.log.info(`[OAuth State] State validated and consumed: ${state.substring(0, 8)}... (store size after deletion: ${oauthStateStore.size})`);
-      callback();
+      // Taking the state removes it (one-time use)
+      pendingStores.oauthStates.take(state).then((stored) => {
+        if (!stored) {
+          fastify.log.warn(`[OAuth State] State not found or already used: ${state.substring(0, 8)}...`);
+          return callback(new Error('Invalid state'));
+        }
+        
+        const age = Date.now() - stored.value.timestamp;
+        fastify.log.info(`[OAuth State] State age: ${age}ms (max: ${OAUTH_STATE_TTL_SECONDS * 1000}ms)`);
+        
+        if (stored.expired) {
+          fastify.log.warn(`[OAuth State] State expired (age: ${age}ms): ${state.substring(0, 8)}...`);
+          return callback(new Error('State expired'));
+        }
+        
+        fastify.log.info(`[OAuth State] State validated and consumed: ${state.substring(0, 8)}...`);
+        callback();
+      }, (error) => {
+        fastify.log.error(`[OAuth State] Failed to check state: ${error.message}`);
+        callback(new Error('Invalid state'));
+      });
     },
   });
 
@@ -202,18 +231,6 @@ function buildApp() {
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
   });
 
-  const { Pool } = pg;
-  const pool = new Pool({
-    user: process.env.POSTGRES_USER || 'user',
-    host: process.env.POSTGRES_HOST || 'localhost',
-    database: process.env.POSTGRES_DB || 'cleartaskdb',
-    password: process.env.POSTGRES_PASSWORD || 'password',
-    port: process.env.POSTGRES_PORT || 5432,
-  });
-
-  // Expose pool for initialization
-  fastify.decorate('pool', pool);
-
   // Initialize OpenAI client only if API key is provided
   const openai = process.env.OPENAI_API_KEY ? new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
@@ -225,15 +242,31 @@ function buildApp() {
     baseURL: "https://router.requesty.ai/v1",
   }) : null;
 
+  // Initialize a self-hosted OpenAI-compatible client (llama.cpp, vLLM, Ollama, ...)
+  // only if a base URL is provided. Most local servers ignore the API key.
+  const local = process.env.LOCAL_LLM_BASE_URL ? new OpenAI({
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+  }) : null;
+
+  // Route every LLM call through one provider chain (see LLM_PROVIDER_CHAIN)
+  const llmRouter = createProviderRouter({ clients: { local, requesty, openai } });
+
   // Register authentication middleware
   const authenticate = createAuthenticateMiddleware(fastify);
   fastify.decorate("authenticate", authenticate);
 
   // Register modular routes
   fastify.register(authRoutes, { pool, invitedUsers });
-  fastify.register(taskRoutes, { pool, openai, requesty, llmLogger });
+  // Signs previewed voice commands (POST /api/tasks/create-from-voice with preview: true)
+  const intentTokens = createIntentTokenSigner({ secret: process.env.JWT_SECRET });
+  fastify.register(taskRoutes, { pool, llmRouter, llmLogger, intentTokens, pendingDeletes: pendingStores.deleteConfirmations, pendingIntents: pendingStores.intentTokens });
   fastify.register(emailVerificationRoutes, { pool });
-  fastify.register(emailIngestionRoutes, { pool, openai, requesty, llmLogger });
+  fastify.register(emailIngestionRoutes, { pool, llmRouter, llmLogger });
+  fastify.register(adminRoutes, { llmRouter });
+  fastify.register(settingsRoutes, { pool });
+  fastify.register(pushRoutes, { pool, vapidPublicKey: getVapidConfig()?.publicKey });
+  fastify.register(listRoutes, { pool });
 
   // Root endpoint
   fastify.get('/', async (request, reply) => {
@@ -339,6 +372,48 @@ if (process.env.NODE_ENV !== 'test') {
       app.log.info('Gmail watch renewal scheduler initialized (runs every 6 days)');
     }
     
+    // Purge tasks that have been in the trash longer than TRASH_RETENTION_DAYS, daily at 03:00
+    const trashRetentionDays = getTrashRetentionDays();
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        const purged = await purgeTrash(app.pool, trashRetentionDays);
+        app.log.info(`Purged ${purged} task(s) from the trash (retention: ${trashRetentionDays} days)`);
+      } catch (error) {
+        app.log.error('Failed to purge trash:', error);
+      }
+    });
+    app.log.info(`Trash purge scheduler initialized (retention: ${trashRetentionDays} days)`);
+
+    // Reclaim expired delete confirmations, OAuth states and voice previews every 5 minutes
+    // (expiry itself is enforced on read)
+    cron.schedule('*/5 * * * *', async () => {
+      for (const [name, store] of Object.entries(app.pendingStores)) {
+        try {
+          const removed = await store.cleanup();
+          if (removed > 0) {
+            app.log.info(`Removed ${removed} expired item(s) from ${name} store`);
+          }
+        } catch (error) {
+          app.log.error(`Failed to clean up ${name} store:`, error);
+        }
+      }
+    });
+
+    // Send task reminders (due soon / overdue) every 5 minutes
+    const reminderChannels = createReminderChannels({ pool: app.pool, logger: app.log });
+    const reminderScheduler = createReminderScheduler({ pool: app.pool, channels: reminderChannels, logger: app.log });
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const { usersNotified, remindersSent } = await reminderScheduler.runOnce();
+        if (remindersSent > 0) {
+          app.log.info(`Sent ${remindersSent} task reminder(s) to ${usersNotified} user(s)`);
+        }
+      } catch (error) {
+        app.log.error('Failed to send task reminders:', error);
+      }
+    });
+    app.log.info(`Reminder scheduler initialized (channels: ${Object.keys(reminderChannels).join(', ')})`);
+
     try {
       await app.listen({ port: 3000, host: '0.0.0.0' });
     } catch (err) {
@@ -7,6 +7,8 @@
  * Creates all necessary tables and indexes for the application.
  */
 
+import { taskSearchVectorSql } from '../src/tasks/taskSearch.js';
+
 /**
  * Connect to database with retry logic
  * 
@@ -72,6 +74,13 @@ export async function initializeSchema(client, logger) {
     );
   `);
   logger.info('Users table created successfully');
+
+  // Add timezone column if it doesn't exist (IANA name, e.g. "Australia/Sydney")
+  logger.info('Adding timezone column to users if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS timezone TEXT;
+  `);
   
   logger.info('Creating users email index...');
   await client.query(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);`);
@@ -115,6 +124,64 @@ export async function initializeSchema(client, logger) {
     ALTER TABLE tasks
     ADD COLUMN IF NOT EXISTS original_request TEXT;
   `);
+
+  // Add deleted_at column if it doesn't exist (soft delete: set = in trash)
+  logger.info('Adding deleted_at column if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+  `);
+
+  // Add due_time column if it doesn't exist (wall-clock time in the user's timezone)
+  logger.info('Adding due_time column if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS due_time TIME;
+  `);
+
+  // Add recurrence_rule column if it doesn't exist (RRULE subset, see src/tasks/recurrence.js)
+  logger.info('Adding recurrence_rule column if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+  `);
+
+  // Add priority column if it doesn't exist (NULL = no priority, see src/tasks/priority.js)
+  logger.info('Adding priority column if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS priority TEXT
+    CHECK (priority IN ('low', 'medium', 'high', 'urgent'));
+  `);
+
+  // Add source column if it doesn't exist (where the task came from: voice, email or manual).
+  // Existing tasks take the source journaled when they were created; tasks
+  // whose creation is no longer in the journal count as manual.
+  logger.info('Adding source column if it doesn\'t exist...');
+  await client.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'tasks' AND column_name = 'source'
+      ) THEN
+        ALTER TABLE tasks ADD COLUMN source VARCHAR(10);
+        IF to_regclass('task_change_journal') IS NOT NULL THEN
+          UPDATE tasks t SET source = created.source
+          FROM (
+            SELECT DISTINCT ON (task_id) task_id, source
+            FROM task_change_journal WHERE action = 'create'
+            ORDER BY task_id, id
+          ) created
+          WHERE t.id = created.task_id AND created.source IN ('voice', 'email', 'manual');
+        END IF;
+        UPDATE tasks SET source = 'manual' WHERE source IS NULL;
+        ALTER TABLE tasks ALTER COLUMN source SET DEFAULT 'manual';
+        ALTER TABLE tasks ALTER COLUMN source SET NOT NULL;
+        ALTER TABLE tasks ADD CONSTRAINT tasks_source_check CHECK (source IN ('voice', 'email', 'manual'));
+      END IF;
+    END $$;
+  `);
   logger.info('Tasks table created successfully');
   
   logger.info('Creating tasks indexes...');
@@ -122,8 +189,126 @@ export async function initializeSchema(client, logger) {
   await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);`);
   await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_is_archived ON tasks(is_archived);`);
   await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_message_id ON tasks(message_id);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(user_id, priority);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_source ON tasks(user_id, source);`);
+  // Full-text search over name, description and original request (see src/tasks/taskSearch.js)
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN (${taskSearchVectorSql()});`);
   logger.info('Tasks indexes created successfully');
 
+  // Create lists table (user-defined groups of tasks, e.g. Home, Work, Groceries)
+  logger.info('Creating lists table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS lists (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id VARCHAR(255) NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_lists_user_id_name ON lists (user_id, LOWER(name));`);
+  logger.info('Lists table created successfully');
+
+  // Add list_id column if it doesn't exist (NULL = not in a list; deleting a list keeps its tasks)
+  logger.info('Adding list_id column if it doesn\'t exist...');
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS list_id UUID REFERENCES lists(id) ON DELETE SET NULL;
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_list_id ON tasks(list_id) WHERE list_id IS NOT NULL;`);
+
+  // Create list_routing_rules table (emails from a sender or with a subject go to a list)
+  logger.info('Creating list_routing_rules table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS list_routing_rules (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      list_id UUID NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+      sender_pattern VARCHAR(255),
+      subject_pattern VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      CHECK (sender_pattern IS NOT NULL OR subject_pattern IS NOT NULL)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_list_routing_rules_user_id ON list_routing_rules (user_id);`);
+  logger.info('List routing rules table created successfully');
+
+  // Create tags table (free-text labels such as "errand", stored normalized to lowercase)
+  logger.info('Creating tags table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      name VARCHAR(30) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (user_id, name)
+    );
+  `);
+  logger.info('Tags table created successfully');
+
+  // Create task_tags join table (many-to-many between tasks and tags)
+  logger.info('Creating task_tags table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_tags (
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (task_id, tag_id)
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags (tag_id);`);
+  logger.info('Task tags table created successfully');
+
+  // Create task_checklist_items table (the steps of a task, in order; a task
+  // with steps completes itself when every step is ticked)
+  logger.info('Creating task_checklist_items table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_checklist_items (
+      id SERIAL PRIMARY KEY,
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      text VARCHAR(250) NOT NULL,
+      is_completed BOOLEAN NOT NULL DEFAULT FALSE,
+      position INTEGER NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task_id ON task_checklist_items (task_id, position);`);
+  logger.info('Task checklist items table created successfully');
+
+  // Create attachment_contents table (the content of a non-Gmail email
+  // attachment, stored once and shared by every task linked to the file)
+  logger.info('Creating attachment_contents table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attachment_contents (
+      id SERIAL PRIMARY KEY,
+      content BYTEA NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  logger.info('Attachment contents table created successfully');
+
+  // Create task_attachments table (files of the email a task came from; Gmail
+  // attachments are fetched by ID when downloaded, others point to their content)
+  logger.info('Creating task_attachments table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_attachments (
+      id SERIAL PRIMARY KEY,
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      filename VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(255) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      gmail_message_id VARCHAR(255),
+      gmail_attachment_id TEXT,
+      content_id INTEGER REFERENCES attachment_contents(id),
+      extracted_text TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments (task_id);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_attachments_content_id ON task_attachments (content_id);`);
+  logger.info('Task attachments table created successfully');
+
   // Create user_authorized_senders table
   logger.info('Creating user_authorized_senders table...');
   await client.query(`
@@ -245,5 +430,94 @@ email_address VARCHAR(255) NOT NULL,
   `);
   logger.info('UNIQUE constraint on gmail_sync_state.email_address ensured');
 
+  // Create task_change_journal table (undo/redo history)
+  // No foreign key to tasks: entries must outlive the rows they describe
+  logger.info('Creating task_change_journal table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_change_journal (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      group_id UUID NOT NULL,
+      task_id UUID NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      source VARCHAR(50) NOT NULL,
+      before_snapshot JSONB,
+      after_snapshot JSONB,
+      undone_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  logger.info('Task change journal table created successfully');
+
+  logger.info('Creating task_change_journal indexes...');
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_change_journal_user_id ON task_change_journal (user_id, id);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_task_change_journal_group_id ON task_change_journal (group_id);`);
+  logger.info('Task change journal indexes created successfully');
+
+  // Create pending_items table (delete confirmations, OAuth states)
+  logger.info('Creating pending_items table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pending_items (
+      namespace VARCHAR(50) NOT NULL,
+      item_key VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (namespace, item_key)
+    );
+  `);
+  logger.info('Pending items table created successfully');
+
+  logger.info('Creating pending_items index on expires_at...');
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_pending_items_expires_at ON pending_items (expires_at);`);
+  logger.info('Pending items index created successfully');
+
+  // Create reminder_settings table (one row per user who has set reminder preferences)
+  logger.info('Creating reminder_settings table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reminder_settings (
+      user_id VARCHAR(255) PRIMARY KEY,
+      enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      channels TEXT[] NOT NULL DEFAULT '{email}',
+      lead_minutes INTEGER NOT NULL DEFAULT 30,
+      lead_days INTEGER NOT NULL DEFAULT 0,
+      quiet_hours_start TIME,
+      quiet_hours_end TIME,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  logger.info('Reminder settings table created successfully');
+
+  // Create task_reminders table (reminders already sent, so each is sent once per due date)
+  logger.info('Creating task_reminders table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_reminders (
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL,
+      due_key VARCHAR(40) NOT NULL,
+      sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (task_id, kind, due_key)
+    );
+  `);
+  logger.info('Task reminders table created successfully');
+
+  // Create push_subscriptions table (Web Push endpoints, one per browser)
+  logger.info('Creating push_subscriptions table...');
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      endpoint TEXT NOT NULL UNIQUE,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+  logger.info('Push subscriptions table created successfully');
+
+  logger.info('Creating push_subscriptions index on user_id...');
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions (user_id);`);
+  logger.info('Push subscriptions index created successfully');
+
   logger.info('Database schema initialized successfully');
 }
@@ -63,22 +63,40 @@ ${userInput}
 `;
 }
 
+/**
+ * One line of the existing-task context in the task parsing prompt
+ *
+ * @param {Object} t - Task with its list name, tags and checklist
+ * @returns {string}
+ */
+export function formatExistingTask(t) {
+  return `- ID: ${t.id}, Name: "${t.task_name}", Due: ${t.due_date || 'No date'}${t.due_time ? ` at ${String(t.due_time).slice(0, 5)}` : ''}, Repeats: ${t.recurrence_rule || 'No'}, Priority: ${t.priority || 'None'}, List: ${t.list_name ? `"${t.list_name}"` : 'None'}, Tags: ${t.tags?.length ? t.tags.join(', ') : 'None'}, Completed: ${t.is_completed}${t.checklist?.length ? `, Checklist: ${t.checklist.map((item, i) => `${i + 1}. ${item.is_completed ? '[done] ' : ''}"${item.text}"`).join('; ')}` : ''}`;
+}
+
 /**
  * Template for parsing voice/text input into structured task data
- * Supports both task creation and task editing intents
+ * Returns an `operations` array so one utterance can create, edit, complete
+ * and delete several tasks
  * 
  * @param {Object} params - Template parameters
  * @param {string} params.transcribedText - The user's voice input (untrusted)
- * @param {string} params.currentDate - Current date in YYYY-MM-DD format
+ * @param {string} params.currentDate - Current date in YYYY-MM-DD format (in the user's time zone)
+ * @param {string} [params.currentTime] - Current time in HH:MM format (in the user's time zone)
  * @param {Array<Object>} params.existingTasks - Array of existing tasks for context
+ * @param {number} [params.omittedTaskCount=0] - Tasks left out of existingTasks (see src/voice/taskContext.js)
+ * @param {Array<{ name: string }>} [params.lists] - The user's task lists
  * @returns {string} Formatted prompt for task parsing
  */
-export function buildTaskParsingPrompt({ transcribedText, currentDate, existingTasks }) {
+export function buildTaskParsingPrompt({ transcribedText, currentDate, currentTime, existingTasks, omittedTaskCount = 0, lists = [] }) {
+  const existingTasksHeading = omittedTaskCount > 0
+    ? `Existing tasks (the ${existingTasks.length} most relevant to this request; the user has ${omittedTaskCount} more, not listed):`
+    : 'Existing tasks:';
   const existingTasksContext = existingTasks.length > 0
-    ? `\n\nExisting tasks:\n${existingTasks.map(t =>
-        `- ID: ${t.id}, Name: "${t.task_name}", Due: ${t.due_date || 'No date'}, Completed: ${t.is_completed}`
-      ).join('\n')}`
+    ? `\n\n${existingTasksHeading}\n${existingTasks.map(formatExistingTask).join('\n')}`
     : '\n\nThe user has no existing tasks.';
+  const listsContext = lists.length > 0
+    ? `\n\nThe user's lists: ${lists.map(list => `"${list.name}"`).join(', ')}`
+    : '\n\nThe user has no lists.';
 
   // Simpler, more direct prompt structure that worked before
   // Still maintains security through input sanitization (done before this function is called)
@@ -92,48 +110,227 @@ You must only extract structured task information.
 You must not change schema, intent rules, or add fields.
 
 # CONTEXT
-Today is ${currentDate}${existingTasksContext}
+Today is ${currentDate}${currentTime ? ` and the time is ${currentTime}` : ''}${existingTasksContext}${listsContext}
 
 # TASK
-Parse the following transcribed text into a JSON object. The JSON object should contain the following fields:
-- task_name (string): The name of the task. MUST NOT exceed 250 characters. Extract and REMOVE any temporal expressions (like "tomorrow", "next week", "by Friday") from the task name.
+Parse the following transcribed text into a JSON object with a single field, "operations": an array with one entry per action the user asked for (at most 10). A sentence such as "add milk and eggs, and move the dentist to Friday" contains three operations. Each operation is an object with the following fields:
+- task_name (string): The name of the task. MUST NOT exceed 250 characters. Extract and REMOVE any temporal expressions (like "tomorrow", "next week", "by Friday") from the task name. For edits, completions and deletions, use the existing task's name unless the user is renaming it.
 - due_date (string, YYYY-MM-DD or null): The due date of the task. Convert relative time expressions to absolute dates based on today's date.
+- due_time (string, HH:MM or null): The time of day the task is due, in 24-hour format, only if the user gives one (e.g. "at 3pm" is "15:00"). A time without a day means today, or tomorrow if that time has already passed today.
+- recurrence (string or null): For a repeating task, an iCalendar RRULE using only FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY (weekly only, e.g. MO,TH) and BYMONTHDAY (monthly only, a single day 1-31), e.g. "FREQ=WEEKLY;BYDAY=TU" for "every Tuesday" or "FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1" for "on the 1st every three months". Use "NONE" only when the user asks for an existing task to stop repeating. Otherwise null.
+- priority (string or null): "low", "medium", "high" or "urgent", only when the user gives the task a priority (e.g. "make the rent high priority", "this is urgent"). Otherwise null, which leaves an existing task's priority as it is.
+- list_name (string or null): The name of one of the user's lists above, exactly as written there, when the user files the task in that list (e.g. "add bread to groceries", "move the report to work"). Only use names from the user's lists. Otherwise null, which leaves an existing task's list as it is.
+- tags (array of strings or null): The task's complete set of tags, lowercase with hyphens between words (e.g. ["errand"], ["phone-call"]), when the user tags the task (e.g. "tag it errand", "add bread, tag it errand", "untag the rent"). For an existing task, include the tags it already has unless the user removes them; [] removes them all. At most 10. Otherwise null, which leaves an existing task's tags as they are.
+- checklist (array of strings or null): Steps to add to the end of the task's checklist, when the user lists the steps of one task (e.g. "plan the move: pack boxes, book a van and hand in the keys") or adds a step ("add book a van to the move plan"). Otherwise null.
+- item_number (number or null): For "tick_item" only, the number of the checklist step to tick off, counting from 1 as in the existing task's checklist above. Otherwise null.
 - is_completed (boolean): Whether the task is completed.
 - original_request (string): The original transcribed text.
-- intent (string): Categorize the user's intent as "create_task", "edit_task", or "delete_task".
-  - If the user is referring to an existing task for modification (e.g., "mark X as done", "change X to Y", "complete X"), set this to "edit_task".
+- intent (string): Categorize the intent of this operation as "create_task", "edit_task", "complete_task", "tick_item", or "delete_task".
+  - If the user is marking an existing task as done (e.g., "mark X as done", "complete X", "I finished X"), set this to "complete_task".
+  - If the user is referring to an existing task for any other modification (e.g., "change X to Y", "move X to Friday", "mark X as not done", "make X high priority"), set this to "edit_task".
   - If the user is explicitly asking to remove an existing task (e.g., "delete X", "remove Y"), set this to "delete_task".
-- task_id (string or null): If the intent is "edit_task" or "delete_task", provide the ID of the task being referred to by matching the user's description to the existing tasks list above. Otherwise, this should be null.
+  - If the user is ticking off one step of an existing task's checklist (e.g., "tick off step two of the move plan", "I've done the first step of X"), set this to "tick_item" and give item_number.
+- task_id (string or null): If the intent is "edit_task", "complete_task", "tick_item" or "delete_task", provide the ID of the task being referred to by matching the user's description to the existing tasks list above. Otherwise, this should be null.
+
+If the user is only asking about their tasks and not asking for any change (e.g. "what's on today?", "what's due this week?", "what's overdue?", "do I have anything about the dentist?"), do NOT return "operations". Return a read-only query instead, with these fields:
+- intent (string): "query_tasks".
+- filters (object):
+  - due_from (string, YYYY-MM-DD or null): First due date to include. For "today" both due_from and due_to are today; for "this week" they are today and the coming Sunday.
+  - due_to (string, YYYY-MM-DD or null): Last due date to include.
+  - completed (boolean or null): false for open tasks (the default), true for tasks the user has done, null for both.
+  - overdue (boolean): true only when the user asks what is overdue or late.
+  - text (string or null): Words the task name must contain, only if the user asks about a particular subject. MUST NOT exceed 100 characters.
+- original_request (string): The original transcribed text.
+Never list or count the tasks yourself; the app looks them up from the filters.
+
+If the user wants to find tasks about a subject (e.g. "find the task about the plumber", "search my completed tasks for invoices"), do NOT return "operations". Return a read-only search instead, with these fields:
+- intent (string): "search_tasks".
+- query (string): The words to search for in the tasks' names, descriptions and original requests (e.g. "plumber"). MUST NOT exceed 100 characters.
+- include_completed (boolean): true only if the user asks for completed, done, archived or old tasks.
+- include_archived (boolean): true only if the user asks for archived or old tasks.
+- original_request (string): The original transcribed text.
 
 
 Transcribed text: "${transcribedText}"
 
 Example for create_task:
 {
-  "task_name": "Buy groceries",
-  "due_date": "2025-12-31",
-  "is_completed": false,
-  "original_request": "I need to buy groceries by the end of the year.",
-  "intent": "create_task",
-  "task_id": null
+  "operations": [
+    {
+      "task_name": "Buy groceries",
+      "due_date": "2025-12-31",
+      "due_time": null,
+      "recurrence": null,
+      "is_completed": false,
+      "original_request": "I need to buy groceries by the end of the year.",
+      "intent": "create_task",
+      "task_id": null
+    }
+  ]
 }
 Example for create_task with temporal expression:
 {
-  "task_name": "Feed the cat",
-  "due_date": "2025-12-30",
-  "is_completed": false,
-  "original_request": "feed the cat tomorrow",
-  "intent": "create_task",
-  "task_id": null
+  "operations": [
+    {
+      "task_name": "Feed the cat",
+      "due_date": "2025-12-30",
+      "due_time": "08:00",
+      "recurrence": null,
+      "is_completed": false,
+      "original_request": "feed the cat tomorrow at 8am",
+      "intent": "create_task",
+      "task_id": null
+    }
+  ]
+}
+Example for create_task with recurrence:
+{
+  "operations": [
+    {
+      "task_name": "Take out the bins",
+      "due_date": "2025-12-30",
+      "due_time": null,
+      "recurrence": "FREQ=WEEKLY;BYDAY=TU",
+      "is_completed": false,
+      "original_request": "take out the bins every Tuesday",
+      "intent": "create_task",
+      "task_id": null
+    }
+  ]
 }
 Example for edit_task:
 {
-  "task_name": "Call mom",
-  "due_date": "2025-12-25",
-  "is_completed": false,
-  "original_request": "Change call dad to call mom and make it due for christmas",
-  "intent": "edit_task",
-  "task_id": "a1b2c3d4-e5f6-7890-1234-567890abcdef"
+  "operations": [
+    {
+      "task_name": "Call mom",
+      "due_date": "2025-12-25",
+      "due_time": null,
+      "recurrence": null,
+      "is_completed": false,
+      "original_request": "Change call dad to call mom and make it due for christmas",
+      "intent": "edit_task",
+      "task_id": "a1b2c3d4-e5f6-7890-1234-567890abcdef"
+    }
+  ]
+}
+Example for create_task in a list (the user has a list named "Groceries"):
+{
+  "operations": [
+    {
+      "task_name": "Buy bread",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "list_name": "Groceries",
+      "is_completed": false,
+      "original_request": "add bread to groceries",
+      "intent": "create_task",
+      "task_id": null
+    }
+  ]
+}
+Example for edit_task changing the priority:
+{
+  "operations": [
+    {
+      "task_name": "Pay rent",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "priority": "high",
+      "is_completed": false,
+      "original_request": "make the rent high priority",
+      "intent": "edit_task",
+      "task_id": "b2c3d4e5-f6a7-8901-2345-67890abcdef1"
+    }
+  ]
+}
+Example for tick_item (the task "Move plan" has the checklist 1. "Pack boxes"; 2. "Book a van"):
+{
+  "operations": [
+    {
+      "task_name": "Move plan",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "item_number": 2,
+      "is_completed": false,
+      "original_request": "tick off step two of the move plan",
+      "intent": "tick_item",
+      "task_id": "c3d4e5f6-a7b8-9012-3456-7890abcdef12"
+    }
+  ]
+}
+Example for edit_task adding a tag (the task is already tagged "bills"):
+{
+  "operations": [
+    {
+      "task_name": "Pay rent",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "tags": ["bills", "errand"],
+      "is_completed": false,
+      "original_request": "tag the rent errand",
+      "intent": "edit_task",
+      "task_id": "b2c3d4e5-f6a7-8901-2345-67890abcdef1"
+    }
+  ]
+}
+Example for query_tasks ("what's due this week?" on Tuesday 2025-12-30):
+{
+  "intent": "query_tasks",
+  "filters": {
+    "due_from": "2025-12-30",
+    "due_to": "2026-01-04",
+    "completed": false,
+    "overdue": false,
+    "text": null
+  },
+  "original_request": "what's due this week?"
+}
+Example for search_tasks:
+{
+  "intent": "search_tasks",
+  "query": "plumber",
+  "include_completed": false,
+  "include_archived": false,
+  "original_request": "find the task about the plumber"
+}
+Example with several operations:
+{
+  "operations": [
+    {
+      "task_name": "Buy milk",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "is_completed": false,
+      "original_request": "add milk and eggs, and mark call mom as done",
+      "intent": "create_task",
+      "task_id": null
+    },
+    {
+      "task_name": "Buy eggs",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "is_completed": false,
+      "original_request": "add milk and eggs, and mark call mom as done",
+      "intent": "create_task",
+      "task_id": null
+    },
+    {
+      "task_name": "Call mom",
+      "due_date": null,
+      "due_time": null,
+      "recurrence": null,
+      "is_completed": true,
+      "original_request": "add milk and eggs, and mark call mom as done",
+      "intent": "complete_task",
+      "task_id": "a1b2c3d4-e5f6-7890-1234-567890abcdef"
+    }
+  ]
 }`;
 }
 
@@ -168,9 +365,30 @@ Provide only the task suggestion text, nothing else.
  * @param {string} params.emailContent - The email body content (untrusted)
  * @param {string} params.emailSubject - The email subject line
  * @param {string} params.currentDate - Current date in YYYY-MM-DD format
+ * @param {{ name: string, address: string, date: string } | null} [params.forwardedFrom] - Original sender of a forwarded email (see src/email_ingestion/forwardedEmail.js)
+ * @param {string} [params.forwarderNote] - What the forwarder wrote above the forwarded message (untrusted)
+ * @param {Array<{ filename: string, text?: string }>} [params.attachments] - The email's attachments, with any text extracted from them (untrusted; see src/email_ingestion/attachmentText.js)
  * @returns {string} Formatted prompt for email parsing
  */
-export function buildEmailParsingPrompt({ emailContent, emailSubject, currentDate }) {
+export function buildEmailParsingPrompt({ emailContent, emailSubject, currentDate, forwardedFrom = null, forwarderNote = '', attachments = [] }) {
+  const originalSender = forwardedFrom
+    ? sanitizeUserInput([forwardedFrom.name, forwardedFrom.address && `<${forwardedFrom.address}>`].filter(Boolean).join(' '))
+    : '';
+  const forwardedContext = originalSender
+    ? `\nForwarded email: the original message is from ${originalSender}${forwardedFrom.date ? `, sent ${sanitizeUserInput(forwardedFrom.date)}` : ''}. They are the person asking, so use their name as [Person] in "[Action] for [Person]" unless the email says a task is for someone else.`
+    : '';
+  const attachmentNames = attachments.map(attachment => sanitizeUserInput(attachment.filename)).filter(Boolean);
+  const attachmentsContext = attachmentNames.length > 0
+    ? `\nAttached files: ${attachmentNames.map(name => `"${name}"`).join(', ')}. When a task needs one of them, put its exact name in the task's attachments.`
+    : '';
+  const attachmentTexts = attachments
+    .filter(attachment => attachment.text)
+    .map(attachment => `\n\nText of attached file "${attachment.filename}":\n${attachment.text}`)
+    .join('');
+  const userInput = (forwarderNote
+    ? `Note from the person who forwarded the email: ${forwarderNote}\n\nForwarded message:\n${emailContent}`
+    : emailContent) + attachmentTexts;
+
   const examples = `
 Example output:
 {
@@ -179,13 +397,24 @@ Example output:
       "task_name": "Review Q4 report for John",
       "due_date": "2025-12-31",
       "priority": "high",
+      "tags": null,
       "source": "email",
       "attachments": ["Q4_report.pdf"]
     },
     {
       "task_name": "Schedule meeting for Sarah",
       "due_date": "2025-12-01",
-      "priority": "medium",
+      "priority": null,
+      "tags": ["phone-call"],
+      "source": "email",
+      "attachments": null
+    },
+    {
+      "task_name": "Prepare the office move for Dana",
+      "due_date": null,
+      "priority": null,
+      "tags": null,
+      "checklist": ["Pack the files", "Label the boxes", "Return the keys"],
       "source": "email",
       "attachments": null
     }
@@ -204,22 +433,26 @@ Example output:
     ],
     developerRole: 'You are an intelligent email assistant that identifies actionable tasks from email content.',
     developerContext: `Today is ${currentDate}
-Email Subject: ${emailSubject}`,
+Email Subject: ${emailSubject}${forwardedContext}${attachmentsContext}`,
     developerTask: `Analyze the email content below and extract all actionable tasks.
 For each actionable task, return a JSON object with the following fields:
 - task_name (string): The name of the task, strictly following the format "[Action] for [Person]". If no person is explicitly mentioned, infer from context or omit "for [Person]".
 - due_date (string, YYYY-MM-DD or null): The due date of the task. Convert relative time expressions (e.g., "next week", "tomorrow") to absolute ISO 8601 dates (YYYY-MM-DD) based on today's date. If no due date is specified, use null.
-- priority (string): "low", "medium", or "high", inferred from the email content. Default to "medium" if not specified.
+- due_time (string, HH:MM or null): The time of day the task is due, in 24-hour format, if the email gives one. Otherwise null.
+- recurrence (string or null): If the email asks for something to be done repeatedly, an iCalendar RRULE using only FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY (weekly only) and BYMONTHDAY (monthly only), e.g. "FREQ=MONTHLY;BYMONTHDAY=1" for "on the first of every month". Otherwise null.
+- priority (string or null): "low", "medium", "high" or "urgent", only if the email conveys how important or pressing the task is (e.g. "urgent", "ASAP", "when you get a chance"). Otherwise null.
+- tags (array of strings or null): Up to 10 short lowercase labels for the kind of task, with hyphens between words, e.g. ["errand"] for something to pick up or drop off, ["phone-call"] for a call to make. Otherwise null.
+- checklist (array of strings or null): When one request has several steps, the steps in order (e.g. ["Pack the files", "Label the boxes"]), at most 50. Otherwise null.
 - source (string): Always "email".
-- attachments (array of strings or null): A list of suggested file names or descriptions of attachments relevant to the task. If no attachments are mentioned, use null.
+- attachments (array of strings or null): The names of the attached files the task needs, exactly as listed, or suggested file names or descriptions of attachments the email mentions. If no attachments are relevant, use null.
 
-If multiple distinct tasks are identified, split them into separate task objects within the 'tasks' array.
+If multiple distinct tasks are identified, split them into separate task objects within the 'tasks' array. Steps of a single request are not separate tasks: put them in that task's checklist.
 Ignore greetings, signatures, and non-actionable content. If no actionable tasks are found, the 'tasks' array should be empty and 'has_actionable_items' should be false.
 
 Return a JSON object with:
 - tasks (array): List of extracted tasks.
 - has_actionable_items (boolean): True if any actionable tasks were found, false otherwise.`,
-    userInput: sanitizeUserInput(emailContent),
+    userInput: sanitizeUserInput(userInput),
     examples
   });
 }
@@ -320,25 +553,71 @@ export function sanitizeUserInput(input) {
 
 /**
  * Configuration object for common LLM call parameters
+ *
+ * Each provider names the client it runs on (see app.js), its model, a
+ * per-attempt timeout in milliseconds, and how many times to retry before
+ * falling back to the next provider (backoff doubles on each retry).
+ * Providers whose server cannot enforce JSON output set jsonMode: false;
+ * the router then omits response_format and extracts the JSON object from
+ * the text reply instead.
  */
 export const LLM_CONFIGS = {
+  LOCAL: {
+    client: 'local',
+    model: process.env.LOCAL_LLM_MODEL || 'local-model',
+    timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 10000,
+    retries: 0,
+    backoffMs: 250,
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+    name: 'Local LLM'
+  },
   REQUESTY: {
+    client: 'requesty',
     model: 'openai/gpt-4o-mini',
     timeout: 5000,
+    retries: 0,
+    backoffMs: 250,
     name: 'Requesty'
   },
   OPENAI_GPT4: {
+    client: 'openai',
     model: 'gpt-4o-mini',
     timeout: 3000,
+    retries: 1,
+    backoffMs: 250,
     name: 'OpenAI GPT-4'
   },
   OPENAI_GPT4O_MINI: {
+    client: 'openai',
     model: 'gpt-4o-mini',
     timeout: 3000,
+    retries: 1,
+    backoffMs: 250,
     name: 'OpenAI GPT-4o-mini'
   }
 };
 
+/**
+ * Ordered list of LLM_CONFIGS keys the provider router tries in turn.
+ * Providers without a configured client are skipped, so LOCAL only takes
+ * part when LOCAL_LLM_BASE_URL is set. Override with a comma-separated
+ * LLM_PROVIDER_CHAIN environment variable, e.g. LLM_PROVIDER_CHAIN=LOCAL to
+ * keep every prompt on a self-hosted server.
+ */
+export const LLM_PROVIDER_CHAIN = process.env.LLM_PROVIDER_CHAIN
+  ? process.env.LLM_PROVIDER_CHAIN.split(',').map(key => key.trim()).filter(Boolean)
+  : ['LOCAL', 'REQUESTY', 'OPENAI_GPT4O_MINI'];
+
+/**
+ * Default circuit breaker settings applied to every provider in the chain.
+ * A provider is skipped after failureThreshold consecutive failures or
+ * timeouts, then probed again once resetTimeoutMs has passed.
+ */
+export const LLM_CIRCUIT_BREAKER = {
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+  resetTimeoutMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS, 10) || 30000
+};
+
 export default {
   buildHierarchicalPrompt,
   buildTaskParsingPrompt,
@@ -347,5 +626,7 @@ export default {
   buildTextClassificationPrompt,
   buildSentinelPrompt,
   sanitizeUserInput,
-  LLM_CONFIGS
+  LLM_CONFIGS,
+  LLM_PROVIDER_CHAIN,
+  LLM_CIRCUIT_BREAKER
 };
@@ -0,0 +1,29 @@
+/**
+ * Admin Routes
+ *
+ * Operational endpoints for inspecting the running backend:
+ * - LLM provider health (circuit breaker state per provider)
+ */
+
+import { CIRCUIT_STATES } from '../src/llm/circuitBreaker.js';
+
+export default async function adminRoutes(fastify, options) {
+  const { llmRouter } = options;
+
+  // GET /api/admin/llm-health - Per-provider circuit breaker state
+  fastify.get('/api/admin/llm-health', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const providers = llmRouter.health();
+      const available = providers.filter(provider => provider.configured && provider.state !== CIRCUIT_STATES.OPEN);
+
+      reply.send({
+        status: available.length > 0 ? 'ok' : 'degraded',
+        timestamp: new Date().toISOString(),
+        providers
+      });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
@@ -0,0 +1,206 @@
+/**
+ * Task List Routes
+ *
+ * CRUD for the user's task lists (see src/tasks/lists.js), and the routing
+ * rules that file ingested emails into a list. Deleting a list keeps its
+ * tasks; they move out of any list.
+ */
+
+import { normalizeListName, MAX_LISTS, MAX_RULE_PATTERN_LENGTH, MAX_ROUTING_RULES } from '../src/tasks/lists.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validates a routing rule pattern: a non-empty string within the length
+ * limit, or null/undefined for no pattern
+ */
+function normalizePattern(value) {
+  if (value === undefined || value === null) {
+    return { valid: true, pattern: null };
+  }
+  if (typeof value !== 'string' || value.length > MAX_RULE_PATTERN_LENGTH) {
+    return { valid: false };
+  }
+  const pattern = value.trim();
+  return { valid: true, pattern: pattern || null };
+}
+
+export default async function listRoutes(fastify, options) {
+  const { pool } = options;
+
+  const sendDuplicateName = (reply) => reply.status(409).send({ error: 'You already have a list with that name.' });
+
+  // GET /api/lists - The user's lists with the number of open tasks in each
+  fastify.get('/api/lists', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const result = await pool.query(
+        `SELECT l.id, l.name, l.created_at,
+                COUNT(t.id) FILTER (WHERE t.is_completed = FALSE)::int AS open_task_count
+         FROM lists l
+         LEFT JOIN tasks t ON t.list_id = l.id AND t.is_archived = FALSE AND t.deleted_at IS NULL
+         WHERE l.user_id = $1
+         GROUP BY l.id
+         ORDER BY LOWER(l.name) ASC`,
+        [request.user.id]
+      );
+      reply.send(result.rows);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // POST /api/lists - Create a list
+  fastify.post('/api/lists', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const name = normalizeListName(request.body?.name);
+    if (!name) {
+      return reply.status(400).send({ error: 'name must be between 1 and 50 characters.' });
+    }
+
+    try {
+      const count = await pool.query('SELECT COUNT(*)::int AS count FROM lists WHERE user_id = $1', [request.user.id]);
+      if (count.rows[0].count >= MAX_LISTS) {
+        return reply.status(400).send({ error: `You can have at most ${MAX_LISTS} lists.` });
+      }
+
+      const result = await pool.query(
+        'INSERT INTO lists (user_id, name) VALUES ($1, $2) RETURNING id, name, created_at',
+        [request.user.id, name]
+      );
+      reply.status(201).send({ ...result.rows[0], open_task_count: 0 });
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        return sendDuplicateName(reply);
+      }
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // PUT /api/lists/:id - Rename a list
+  fastify.put('/api/lists/:id', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const name = normalizeListName(request.body?.name);
+    if (!UUID_PATTERN.test(id)) {
+      return reply.status(404).send({ error: 'List not found.' });
+    }
+    if (!name) {
+      return reply.status(400).send({ error: 'name must be between 1 and 50 characters.' });
+    }
+
+    try {
+      const result = await pool.query(
+        'UPDATE lists SET name = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING id, name, created_at',
+        [name, id, request.user.id]
+      );
+      if (result.rowCount === 0) {
+        return reply.status(404).send({ error: 'List not found.' });
+      }
+      reply.send(result.rows[0]);
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        return sendDuplicateName(reply);
+      }
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // DELETE /api/lists/:id - Delete a list; its tasks stay, in no list
+  fastify.delete('/api/lists/:id', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    if (!UUID_PATTERN.test(id)) {
+      return reply.status(404).send({ error: 'List not found.' });
+    }
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM lists WHERE id = $1 AND user_id = $2 RETURNING id',
+        [id, request.user.id]
+      );
+      if (result.rowCount === 0) {
+        return reply.status(404).send({ error: 'List not found.' });
+      }
+      reply.send({ success: true });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/lists/rules - Email routing rules, in the order they are tried
+  fastify.get('/api/lists/rules', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const result = await pool.query(
+        `SELECT r.id, r.list_id, l.name AS list_name, r.sender_pattern, r.subject_pattern
+         FROM list_routing_rules r
+         JOIN lists l ON l.id = r.list_id
+         WHERE r.user_id = $1
+         ORDER BY r.id ASC`,
+        [request.user.id]
+      );
+      reply.send(result.rows);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // POST /api/lists/rules - File emails from a sender and/or with a subject into a list
+  fastify.post('/api/lists/rules', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { list_id: listId, sender_pattern: senderPattern, subject_pattern: subjectPattern } = request.body || {};
+    const sender = normalizePattern(senderPattern);
+    const subject = normalizePattern(subjectPattern);
+    if (typeof listId !== 'string' || !UUID_PATTERN.test(listId)) {
+      return reply.status(400).send({ error: 'list_id must be the ID of one of your lists.' });
+    }
+    if (!sender.valid || !subject.valid || (!sender.pattern && !subject.pattern)) {
+      return reply.status(400).send({ error: `A sender_pattern or subject_pattern of at most ${MAX_RULE_PATTERN_LENGTH} characters is required.` });
+    }
+
+    try {
+      const list = await pool.query('SELECT id, name FROM lists WHERE id = $1 AND user_id = $2', [listId, request.user.id]);
+      if (list.rowCount === 0) {
+        return reply.status(400).send({ error: 'list_id must be the ID of one of your lists.' });
+      }
+      const count = await pool.query('SELECT COUNT(*)::int AS count FROM list_routing_rules WHERE user_id = $1', [request.user.id]);
+      if (count.rows[0].count >= MAX_ROUTING_RULES) {
+        return reply.status(400).send({ error: `You can have at most ${MAX_ROUTING_RULES} routing rules.` });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO list_routing_rules (user_id, list_id, sender_pattern, subject_pattern)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, list_id, sender_pattern, subject_pattern`,
+        [request.user.id, listId, sender.pattern?.toLowerCase() ?? null, subject.pattern]
+      );
+      reply.status(201).send({ ...result.rows[0], list_name: list.rows[0].name });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // DELETE /api/lists/rules/:id - Remove a routing rule
+  fastify.delete('/api/lists/rules/:id', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const id = Number(request.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return reply.status(404).send({ error: 'Rule not found.' });
+    }
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM list_routing_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+        [id, request.user.id]
+      );
+      if (result.rowCount === 0) {
+        return reply.status(404).send({ error: 'Rule not found.' });
+      }
+      reply.send({ success: true });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Web Push Routes
+ *
+ * Browsers subscribe here to receive task reminders as push notifications
+ * (see src/reminders/channels.js). Push is only available when the server
+ * has VAPID keys configured.
+ */
+
+const MAX_FIELD_LENGTH = 2048;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_FIELD_LENGTH;
+}
+
+export default async function pushRoutes(fastify, options) {
+  const { pool, vapidPublicKey } = options;
+
+  // GET /api/push/public-key - The VAPID key browsers subscribe with
+  fastify.get('/api/push/public-key', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    if (!vapidPublicKey) {
+      return reply.status(404).send({ error: 'Push notifications are not configured on this server.' });
+    }
+    reply.send({ publicKey: vapidPublicKey });
+  });
+
+  // POST /api/push/subscriptions - Save a PushSubscription (as serialized by toJSON())
+  fastify.post('/api/push/subscriptions', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { endpoint, keys } = request.body || {};
+      let url;
+      try {
+        url = isNonEmptyString(endpoint) ? new URL(endpoint) : null;
+      } catch {
+        url = null;
+      }
+      if (!url || url.protocol !== 'https:' || !isNonEmptyString(keys?.p256dh) || !isNonEmptyString(keys?.auth)) {
+        return reply.status(400).send({ error: 'A push subscription with an https endpoint and p256dh and auth keys is required.' });
+      }
+
+      // An endpoint belongs to one browser; re-subscribing moves it to the current user
+      await pool.query(
+        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (endpoint) DO UPDATE SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth`,
+        [request.user.id, endpoint, keys.p256dh, keys.auth]
+      );
+      reply.status(201).send({ success: true });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // DELETE /api/push/subscriptions - Remove a subscription, e.g. when the user turns push off in this browser
+  fastify.delete('/api/push/subscriptions', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { endpoint } = request.body || {};
+      if (!isNonEmptyString(endpoint)) {
+        return reply.status(400).send({ error: 'endpoint is required.' });
+      }
+
+      await pool.query(
+        'DELETE FROM push_subscriptions WHERE endpoint = $1 AND user_id = $2',
+        [endpoint, request.user.id]
+      );
+      reply.send({ success: true });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Settings Routes
+ *
+ * Per-user preferences:
+ * - Time zone (IANA name), used to resolve "today" and due times for voice
+ *   commands and emails
+ * - Reminders: whether and how the user is reminded of tasks due soon or
+ *   overdue (see src/reminders/reminderScheduler.js)
+ */
+
+import { isValidTimeZone, DEFAULT_TIME_ZONE } from '../src/time/timeZone.js';
+import { DEFAULT_REMINDER_SETTINGS } from '../src/reminders/reminderScheduler.js';
+import { REMINDER_CHANNEL_NAMES } from '../src/reminders/channels.js';
+
+const MAX_LEAD_MINUTES = 24 * 60;
+const MAX_LEAD_DAYS = 7;
+const QUIET_HOURS_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates a reminder settings body
+ *
+ * @param {unknown} body
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function validateReminderSettings(body) {
+  const {
+    enabled,
+    channels,
+    lead_minutes,
+    lead_days,
+    quiet_hours_start = null,
+    quiet_hours_end = null
+  } = body || {};
+
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be true or false.' };
+  }
+  if (!Array.isArray(channels) || channels.some(channel => !REMINDER_CHANNEL_NAMES.includes(channel))) {
+    return { error: `channels must be a list of: ${REMINDER_CHANNEL_NAMES.join(', ')}.` };
+  }
+  if (!Number.isInteger(lead_minutes) || lead_minutes < 0 || lead_minutes > MAX_LEAD_MINUTES) {
+    return { error: `lead_minutes must be a whole number from 0 to ${MAX_LEAD_MINUTES}.` };
+  }
+  if (!Number.isInteger(lead_days) || lead_days < 0 || lead_days > MAX_LEAD_DAYS) {
+    return { error: `lead_days must be a whole number from 0 to ${MAX_LEAD_DAYS}.` };
+  }
+  for (const value of [quiet_hours_start, quiet_hours_end]) {
+    if (value !== null && !(typeof value === 'string' && QUIET_HOURS_PATTERN.test(value))) {
+      return { error: 'quiet_hours_start and quiet_hours_end must be HH:MM or null.' };
+    }
+  }
+  if ((quiet_hours_start === null) !== (quiet_hours_end === null)) {
+    return { error: 'quiet_hours_start and quiet_hours_end must be set together.' };
+  }
+
+  return {
+    settings: {
+      enabled,
+      channels: [...new Set(channels)],
+      lead_minutes,
+      lead_days,
+      quiet_hours_start,
+      quiet_hours_end
+    }
+  };
+}
+
+function formatReminderSettings(row) {
+  return {
+    enabled: row.enabled,
+    channels: row.channels,
+    lead_minutes: row.lead_minutes,
+    lead_days: row.lead_days,
+    quiet_hours_start: row.quiet_hours_start ? row.quiet_hours_start.slice(0, 5) : null,
+    quiet_hours_end: row.quiet_hours_end ? row.quiet_hours_end.slice(0, 5) : null
+  };
+}
+
+export default async function settingsRoutes(fastify, options) {
+  const { pool } = options;
+
+  // GET /api/settings - The user's settings
+  fastify.get('/api/settings', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const result = await pool.query('SELECT timezone FROM users WHERE id = $1', [request.user.id]);
+      if (result.rowCount === 0) {
+        return reply.status(404).send({ error: 'User not found.' });
+      }
+      reply.send({ timezone: result.rows[0].timezone || DEFAULT_TIME_ZONE });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // PUT /api/settings - Update the user's settings
+  fastify.put('/api/settings', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { timezone } = request.body || {};
+      if (!isValidTimeZone(timezone)) {
+        return reply.status(400).send({ error: 'timezone must be an IANA time zone, e.g. "Australia/Sydney".' });
+      }
+
+      const result = await pool.query(
+        'UPDATE users SET timezone = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING timezone',
+        [timezone, request.user.id]
+      );
+      if (result.rowCount === 0) {
+        return reply.status(404).send({ error: 'User not found.' });
+      }
+      reply.send({ timezone: result.rows[0].timezone });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/settings/reminders - The user's reminder preferences
+  fastify.get('/api/settings/reminders', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const result = await pool.query(
+        `SELECT enabled, channels, lead_minutes, lead_days, quiet_hours_start, quiet_hours_end
+         FROM reminder_settings WHERE user_id = $1`,
+        [request.user.id]
+      );
+      reply.send(result.rowCount === 0 ? DEFAULT_REMINDER_SETTINGS : formatReminderSettings(result.rows[0]));
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // PUT /api/settings/reminders - Replace the user's reminder preferences
+  fastify.put('/api/settings/reminders', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { settings, error } = validateReminderSettings(request.body);
+      if (error) {
+        return reply.status(400).send({ error });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO reminder_settings (user_id, enabled, channels, lead_minutes, lead_days, quiet_hours_start, quiet_hours_end)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_id) DO UPDATE SET
+           enabled = EXCLUDED.enabled,
+           channels = EXCLUDED.channels,
+           lead_minutes = EXCLUDED.lead_minutes,
+           lead_days = EXCLUDED.lead_days,
+           quiet_hours_start = EXCLUDED.quiet_hours_start,
+           quiet_hours_end = EXCLUDED.quiet_hours_end,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING enabled, channels, lead_minutes, lead_days, quiet_hours_start, quiet_hours_end`,
+        [
+          request.user.id,
+          settings.enabled,
+          settings.channels,
+          settings.lead_minutes,
+          settings.lead_days,
+          settings.quiet_hours_start,
+          settings.quiet_hours_end
+        ]
+      );
+      reply.send(formatReminderSettings(result.rows[0]));
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
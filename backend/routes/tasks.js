@@ -5,39 +5,759 @@
  * 
  * Handles all task-related operations including:
  * - Fetching tasks
- * - Creating tasks from voice input
+ * - Creating tasks from voice input (optionally previewed, then committed)
  * - Updating tasks
- * - Deleting tasks (with confirmation)
+ * - Deleting tasks (with confirmation) into a trash, and restoring them
  * - Archiving tasks
+ * - Undoing and redoing changes (every mutation is journaled)
+ * - Recurring tasks (completing one creates its next instance)
+ * - Checklists: the steps of a task, which complete it once all are ticked
+ * - Answering spoken questions about tasks ("what's due this week?")
+ * - Full-text search over tasks, also by voice ("find the task about the plumber")
  * - Task suggestions
  */
 
 import crypto from 'crypto';
 import { processUserInput } from '../inputProcessor.js';
 import { buildTaskParsingPrompt, buildTaskSuggestionPrompt, sanitizeUserInput } from '../promptTemplates.js';
-import { validateLLMTaskOutput, createSafeFallbackTask, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { validateLLMTaskOperation, validateLLMTaskOperations, createSafeFallbackTask, sanitizeForDatabase, isTaskQueryOutput, validateLLMTaskQuery, isTaskSearchOutput, validateLLMTaskSearch } from '../src/schemas/task.schema.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { parseTaskQueryCommand } from '../src/parsing/taskQueryCommand.js';
+import { parseTaskSearchCommand } from '../src/parsing/taskSearchCommand.js';
+import { queryTasks } from '../src/tasks/taskQuery.js';
+import { MAX_SEARCH_QUERY_LENGTH, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT, searchTerms, searchTasks, findMatchingTaskIds } from '../src/tasks/taskSearch.js';
+import { summarizeTaskQuery, summarizeTaskSearch } from '../src/voice/summarizeTasks.js';
+import { IntentTokenError } from '../src/voice/intentToken.js';
+import { describeOperations } from '../src/voice/describeOperations.js';
+import { selectTaskContext } from '../src/voice/taskContext.js';
+import { parseHistoryCommand } from '../src/parsing/historyCommand.js';
+import { snapshotTask, recordChanges, undoLastChange, redoLastChange, previewHistoryChange } from '../src/tasks/changeJournal.js';
+import { RECURRENCE_NONE, createNextOccurrence } from '../src/tasks/recurrence.js';
+import { TASK_PRIORITIES, isValidPriority } from '../src/tasks/priority.js';
+import { TASK_SORTS, TASK_STATUSES, TASK_SOURCES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, decodeCursor, listTasks } from '../src/tasks/taskListQuery.js';
+import { resolveListName } from '../src/tasks/lists.js';
+import { MAX_TAGS_PER_TASK, normalizeTag, normalizeTags, setTaskTags, taskTagsSql, countTaskTags } from '../src/tasks/tags.js';
+import {
+  MAX_CHECKLIST_ITEMS,
+  checklistSql,
+  normalizeChecklistItem,
+  getChecklist,
+  addChecklistItems,
+  setChecklistItemCompletedByNumber,
+  syncChecklistCompletion
+} from '../src/tasks/checklist.js';
+import { attachmentsSql, getTaskAttachment } from '../src/tasks/attachments.js';
+import { fetchGmailAttachment } from '../src/email_ingestion/emailContent.js';
+import { isValidTimeZone, isValidIsoDate, resolveTimeZone, getLocalDateTime, getUserTimeZone } from '../src/time/timeZone.js';
 
-// In-memory store for pending delete confirmations
-// Extracted from backend/app.js:23
-const pendingDeleteTasks = new Map();
+// GET /api/tasks?priority= value matching tasks without a priority
+const NO_PRIORITY = 'none';
+// GET /api/tasks?list_id= value matching tasks in no list
+const NO_LIST = 'none';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Task count above which rule-based fuzzy matching is narrowed by full-text search
+const FUZZY_MATCH_SEARCH_THRESHOLD = 100;
 
 export default async function taskRoutes(fastify, options) {
-  const { pool, openai, requesty, llmLogger } = options;
+  // pendingDeletes and pendingIntents are pending stores
+  // (src/storage/pendingStore.js), so a confirmation can be answered and a
+  // preview committed by any instance, even after a restart, but only once
+  const { pool, llmRouter, llmLogger, intentTokens, pendingDeletes, pendingIntents } = options;
 
-  // GET /api/tasks - Fetch all tasks for authenticated user
+  const DELETE_CONFIRMATION_TIMEOUT_SECONDS = 10;
+
+  /**
+   * Fails closed on operations referencing tasks the user does not own:
+   * edit, complete and delete operations for unknown or foreign task IDs
+   * are downgraded to create_task in place. Returns the number downgraded.
+   */
+  async function enforceTaskOwnership(dbClient, operations, userId, requestId) {
+    const referencedIds = [...new Set(operations.map(operation => operation.task_id).filter(Boolean))];
+    if (referencedIds.length === 0) {
+      return 0;
+    }
+
+    const verifyResult = await dbClient.query(
+      'SELECT id FROM tasks WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL',
+      [referencedIds, userId]
+    );
+    const ownedIds = new Set(verifyResult.rows.map(row => row.id));
+
+    let downgraded = 0;
+    for (const operation of operations) {
+      if (operation.intent !== 'create_task' && operation.task_id && !ownedIds.has(operation.task_id)) {
+        // Task doesn't exist or doesn't belong to user - fail closed to create_task
+        llmLogger.warn({
+          requestId,
+          userId,
+          event: 'intent_downgraded',
+          originalIntent: operation.intent,
+          newIntent: 'create_task',
+          taskId: operation.task_id,
+          reason: 'task_not_found_or_unauthorized',
+          securitySignal: 'INTENT_DOWNGRADE'
+        }, `Task not found or unauthorized for ${operation.intent} - failing closed to create_task`);
+
+        operation.intent = 'create_task';
+        operation.task_id = null;
+        downgraded++;
+      }
+    }
+    return downgraded;
+  }
+
+  /**
+   * Applies a single operation and returns the resulting task, or null when
+   * the task to update no longer exists. delete_task (which moves the task to
+   * the trash) is only passed here once the user has confirmed it.
+   */
+  async function applyTaskOperation(dbClient, operation, userId, requestId) {
+    if (operation.intent === 'delete_task' && operation.task_id) {
+      const deleteResult = await dbClient.query(
+        'UPDATE tasks SET deleted_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id, task_name',
+        [operation.task_id, userId]
+      );
+      if (deleteResult.rowCount === 0) {
+        return null;
+      }
+      llmLogger.info({
+        requestId,
+        userId,
+        event: 'database_operation_success',
+        operation: 'delete_task',
+        taskId: operation.task_id
+      }, 'Task deleted successfully');
+      return deleteResult.rows[0];
+    }
+
+    if (operation.intent === 'tick_item' && operation.task_id) {
+      const item = await setChecklistItemCompletedByNumber(dbClient, userId, operation.task_id, operation.item_number, true);
+      if (!item) {
+        llmLogger.error({
+          requestId,
+          userId,
+          event: 'database_operation_failed',
+          operation: 'tick_item',
+          taskId: operation.task_id,
+          itemNumber: operation.item_number,
+          reason: 'item_not_found'
+        }, 'Checklist item tick failed - item not found');
+        return null;
+      }
+      // Ticking the last open step completes the task
+      await syncChecklistCompletion(dbClient, userId, operation.task_id);
+      const tickResult = await dbClient.query(
+        `SELECT id, task_name, due_date, due_time, is_completed, original_request, is_archived, recurrence_rule, priority, list_id, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments
+         FROM tasks WHERE id = $1 AND user_id = $2`,
+        [operation.task_id, userId]
+      );
+
+      llmLogger.info({
+        requestId,
+        userId,
+        event: 'database_operation_success',
+        operation: 'tick_item',
+        taskId: operation.task_id,
+        itemId: item.id
+      }, 'Checklist item ticked successfully');
+      return tickResult.rows[0];
+    }
+
+    if ((operation.intent === 'edit_task' || operation.intent === 'complete_task') && operation.task_id) {
+      llmLogger.info({
+        requestId,
+        userId,
+        event: 'database_operation',
+        operation: 'update_task',
+        intent: operation.intent,
+        taskId: operation.task_id
+      }, 'Executing task update operation');
+
+      // complete_task only flips the completion flag
+      const isComplete = operation.intent === 'complete_task';
+      const recurrence = isComplete ? null : operation.recurrence ?? null;
+      const list = isComplete ? null : await resolveListName(dbClient, userId, operation.list_name);
+      const updateResult = await dbClient.query(
+        `UPDATE tasks
+         SET
+           task_name = COALESCE($1, task_name),
+           due_date = COALESCE($2, due_date),
+           is_completed = COALESCE($3, is_completed),
+           original_request = COALESCE($4, original_request),
+           message_id = COALESCE($5, message_id),
+           recurrence_rule = CASE WHEN $9 THEN NULL ELSE COALESCE($8, recurrence_rule) END,
+           due_time = COALESCE($10, due_time),
+           priority = COALESCE($11, priority),
+           list_id = COALESCE($12, list_id),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6 AND user_id = $7 AND deleted_at IS NULL
+         RETURNING id, task_name, due_date, due_time, is_completed, original_request, is_archived, message_id, recurrence_rule, priority, list_id, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments;`,
+        [
+          isComplete ? null : operation.task_name,
+          isComplete ? null : operation.due_date,
+          isComplete ? true : operation.is_completed,
+          operation.original_request,
+          operation.message_id,
+          operation.task_id,
+          userId,
+          recurrence === RECURRENCE_NONE ? null : recurrence,
+          recurrence === RECURRENCE_NONE,
+          isComplete ? null : operation.due_time ?? null,
+          isComplete ? null : operation.priority ?? null,
+          list?.id ?? null
+        ]
+      );
+
+      if (updateResult.rowCount === 0) {
+        llmLogger.error({
+          requestId,
+          userId,
+          event: 'database_operation_failed',
+          operation: 'update_task',
+          taskId: operation.task_id,
+          reason: 'task_not_found'
+        }, 'Task update failed - task not found');
+        return null;
+      }
+
+      // tags (null = leave as they are) replace the task's whole set of tags
+      const updatedTask = updateResult.rows[0];
+      if (!isComplete && operation.tags) {
+        await setTaskTags(dbClient, userId, updatedTask.id, operation.tags);
+        updatedTask.tags = operation.tags;
+      }
+      // New steps go at the end of the checklist, and reopen a completed task
+      const newItems = isComplete ? [] : (operation.checklist || []).slice(0, MAX_CHECKLIST_ITEMS - updatedTask.checklist.length);
+      if (newItems.length > 0) {
+        await addChecklistItems(dbClient, updatedTask.id, newItems);
+        if (await syncChecklistCompletion(dbClient, userId, updatedTask.id, { reopen: true }) === false) {
+          updatedTask.is_completed = false;
+        }
+        updatedTask.checklist = await getChecklist(dbClient, updatedTask.id);
+      }
+
+      llmLogger.info({
+        requestId,
+        userId,
+        event: 'database_operation_success',
+        operation: 'update_task',
+        taskId: updatedTask.id
+      }, 'Task updated successfully');
+      return updatedTask;
+    }
+
+    // Default to create_task (fail-closed behavior)
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'database_operation',
+      operation: 'create_task',
+      isFailClosed: operation.intent !== 'create_task'
+    }, 'Executing task creation operation');
+
+    // A list the user does not have leaves the task out of any list
+    const list = await resolveListName(dbClient, userId, operation.list_name);
+    const insertResult = await dbClient.query(
+      "INSERT INTO tasks (id, user_id, task_name, due_date, due_time, is_completed, original_request, recurrence_rule, priority, list_id, source) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, 'voice') RETURNING id, task_name, due_date, due_time, is_completed, original_request, is_archived, recurrence_rule, priority, list_id, source",
+      [
+        userId,
+        operation.task_name,
+        operation.due_date,
+        // A time without a day has nothing to anchor to
+        operation.due_date ? operation.due_time ?? null : null,
+        operation.is_completed,
+        operation.original_request,
+        operation.recurrence === RECURRENCE_NONE ? null : operation.recurrence ?? null,
+        operation.priority ?? null,
+        list?.id ?? null
+      ]
+    );
+    const createdTask = { ...insertResult.rows[0], tags: operation.tags || [], checklist: [] };
+    if (createdTask.tags.length > 0) {
+      await setTaskTags(dbClient, userId, createdTask.id, createdTask.tags);
+    }
+    if (operation.checklist?.length > 0) {
+      await addChecklistItems(dbClient, createdTask.id, operation.checklist);
+      createdTask.checklist = await getChecklist(dbClient, createdTask.id);
+    }
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'database_operation_success',
+      operation: 'create_task',
+      taskId: createdTask.id
+    }, 'Task created successfully');
+    return createdTask;
+  }
+
+  /**
+   * Creates the next instance of a recurring task when a journaled change
+   * just completed it (see src/tasks/recurrence.js). The new instance is
+   * added to `changes` and returned; returns null otherwise.
+   */
+  async function createNextInstanceIfCompleted(dbClient, change, changes, userId, requestId) {
+    const { before, after } = change;
+    if (!before || before.is_completed || !after?.is_completed || !after.recurrence_rule) {
+      return null;
+    }
+
+    const { date: today } = getLocalDateTime(resolveTimeZone(await getUserTimeZone(dbClient, userId)));
+    const nextInstance = await createNextOccurrence(dbClient, after, userId, today);
+    if (!nextInstance) {
+      return null;
+    }
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'database_operation_success',
+      operation: 'create_next_occurrence',
+      taskId: nextInstance.id,
+      completedTaskId: change.taskId
+    }, 'Next occurrence of recurring task created');
+    change.after = await snapshotTask(dbClient, change.taskId, userId);
+    changes.push({ taskId: nextInstance.id, before: null, after: await snapshotTask(dbClient, nextInstance.id, userId) });
+    return nextInstance;
+  }
+
+  /**
+   * Applies operations atomically and journals them as one undoable change.
+   * Returns one `{ intent, task }` result per operation, or null (after
+   * rolling back) if a task no longer exists. Completing a recurring task
+   * creates its next instance, returned as the task's `next_instance`.
+   */
+  async function applyOperationsInTransaction(dbClient, operations, userId, requestId) {
+    const results = [];
+    const changes = [];
+    await dbClient.query('BEGIN');
+    try {
+      for (const operation of operations) {
+        const before = operation.task_id ? await snapshotTask(dbClient, operation.task_id, userId) : null;
+        let task = await applyTaskOperation(dbClient, operation, userId, requestId);
+        if (!task) {
+          await dbClient.query('ROLLBACK');
+          return null;
+        }
+        const after = await snapshotTask(dbClient, task.id, userId);
+        const change = { taskId: task.id, before, after };
+        changes.push(change);
+
+        const nextInstance = await createNextInstanceIfCompleted(dbClient, change, changes, userId, requestId);
+        if (nextInstance) {
+          task = { ...task, recurrence_rule: null, next_instance: nextInstance };
+        }
+
+        results.push({ intent: operation.intent, task });
+      }
+      await recordChanges(dbClient, { userId, source: 'voice', changes });
+      await dbClient.query('COMMIT');
+    } catch (transactionError) {
+      await dbClient.query('ROLLBACK');
+      throw transactionError;
+    }
+    return results;
+  }
+
+  /**
+   * Runs one statement that mutates the given tasks inside a transaction,
+   * journaling their before/after snapshots as one undoable change.
+   * `afterMutation(client, result)`, when given, runs in the same
+   * transaction once the statement changed a row. Returns the statement's
+   * query result.
+   */
+  async function runJournaledMutation({ taskIds, userId, source, afterMutation }, sql, params) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const changes = [];
+      for (const taskId of taskIds) {
+        changes.push({ taskId, before: await snapshotTask(client, taskId, userId) });
+      }
+
+      const result = await client.query(sql, params);
+      if (afterMutation && result.rowCount > 0) {
+        await afterMutation(client, result);
+      }
+
+      for (const change of changes) {
+        change.after = await snapshotTask(client, change.taskId, userId);
+      }
+      await recordChanges(client, { userId, source, changes });
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Changes a task's checklist in a transaction with `change(client)`, then
+   * completes the task when every step is ticked (or, with `reopen`,
+   * reopens it when one is not) and journals it all as one undoable change.
+   *
+   * Returns the task with its checklist (and `next_instance` when completing
+   * a recurring task created one), null when the user has no such live
+   * task, or false when `change` returned false (e.g. no such item).
+   */
+  async function runChecklistChange(taskId, userId, { reopen = false }, change) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const before = await snapshotTask(client, taskId, userId);
+      if (!before || before.deleted_at) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (await change(client) === false) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await syncChecklistCompletion(client, userId, taskId, { reopen });
+      const changes = [{ taskId, before, after: await snapshotTask(client, taskId, userId) }];
+      const nextInstance = await createNextInstanceIfCompleted(client, changes[0], changes, userId);
+      await recordChanges(client, { userId, source: 'manual', changes });
+
+      const result = await client.query(
+        `SELECT tasks.*, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments FROM tasks WHERE id = $1 AND user_id = $2`,
+        [taskId, userId]
+      );
+      await client.query('COMMIT');
+      return { ...result.rows[0], ...(nextInstance && { next_instance: nextInstance }) };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Undoes or redoes the user's most recent change group in a transaction.
+   * Returns the history result, or null if there is nothing to undo/redo
+   * (or, given a previewed groupId, if that group is no longer next).
+   */
+  async function runHistoryAction(action, userId, requestId, groupId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = action === 'undo'
+        ? await undoLastChange(client, userId, groupId)
+        : await redoLastChange(client, userId, groupId);
+      await client.query('COMMIT');
+
+      llmLogger.info({
+        requestId,
+        userId,
+        event: result ? `history_${action}` : `history_${action}_empty`,
+        groupId: result?.groupId,
+        source: result?.source,
+        operationCount: result?.operations.length || 0
+      }, result ? `Change ${action === 'undo' ? 'undone' : 'redone'}` : `Nothing to ${action}`);
+
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Answers a validated task query from the database. Read-only, so it is
+   * answered straight away, also in preview mode.
+   */
+  async function answerTaskQuery(filters, now, userId, requestId) {
+    const tasks = await queryTasks(pool, userId, filters, now);
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'task_query_answered',
+      filters,
+      resultCount: tasks.length
+    }, 'Task query answered - nothing written');
+
+    return {
+      query: filters,
+      summary: summarizeTaskQuery(tasks, filters, now.date),
+      tasks
+    };
+  }
+
+  /**
+   * Answers a validated voice search with full-text search. Read-only, like
+   * task queries.
+   */
+  async function answerTaskSearch(search, userId, requestId) {
+    const tasks = await searchTasks(pool, userId, searchTerms(search.query), {
+      includeCompleted: search.include_completed,
+      includeArchived: search.include_archived
+    });
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'task_search_answered',
+      includeCompleted: search.include_completed,
+      includeArchived: search.include_archived,
+      resultCount: tasks.length
+    }, 'Task search answered - nothing written');
+
+    return {
+      search,
+      summary: summarizeTaskSearch(tasks, search),
+      tasks
+    };
+  }
+
+  /**
+   * Builds a preview of an undo or redo: what it would change, and a signed
+   * token that /api/tasks/commit-intent will apply. Returns null if there is
+   * nothing to undo/redo.
+   */
+  async function previewHistoryAction(action, userId, requestId) {
+    const change = await previewHistoryChange(pool, userId, action);
+    if (!change) {
+      return null;
+    }
+    const { token, jti, expiresAt } = intentTokens.sign({ userId, requestId, history: action, groupId: change.groupId });
+    await pendingIntents.set(jti, { userId }, intentTokens.ttlSeconds);
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'intent_preview_created',
+      jti,
+      history: action,
+      groupId: change.groupId
+    }, `${action === 'undo' ? 'Undo' : 'Redo'} previewed - nothing written`);
+
+    return {
+      preview: true,
+      history: action,
+      intentToken: token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      expiresInSeconds: intentTokens.ttlSeconds,
+      description: `${action === 'undo' ? 'Undo' : 'Redo'} the last change: ${change.description}`
+    };
+  }
+
+  /**
+   * Builds a preview of validated operations: a spoken description and a
+   * signed token that /api/tasks/commit-intent will apply. The token's jti
+   * is recorded as pending; committing or cancelling takes it, so a token
+   * that was never recorded (or was already used) applies nothing.
+   */
+  async function previewOperations(operations, existingTasks, currentDate, userId, requestId) {
+    const { description, descriptions } = describeOperations(operations, existingTasks, currentDate);
+    const { token, jti, expiresAt } = intentTokens.sign({ userId, requestId, operations });
+    await pendingIntents.set(jti, { userId }, intentTokens.ttlSeconds);
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'intent_preview_created',
+      jti,
+      operationCount: operations.length,
+      intents: operations.map(operation => operation.intent)
+    }, 'Voice command previewed - nothing written');
+
+    return {
+      preview: true,
+      intentToken: token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      expiresInSeconds: intentTokens.ttlSeconds,
+      description,
+      descriptions,
+      operations
+    };
+  }
+
+  /**
+   * Stores a pending deletion of one or more tasks and returns the
+   * confirmation payload for the client
+   */
+  async function requestDeleteConfirmation(taskIds, userId, requestId) {
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'delete_confirmation_requested',
+      operation: 'delete_task',
+      taskIds
+    }, 'Requesting deletion confirmation from user');
+
+    // Generate a unique confirmation ID
+    const confirmationId = crypto.randomBytes(16).toString('hex');
+
+    // Expiry is checked when the confirmation is answered
+    await pendingDeletes.set(confirmationId, {
+      taskIds,
+      userId,
+      requestId,
+      createdAt: Date.now()
+    }, DELETE_CONFIRMATION_TIMEOUT_SECONDS);
+
+    llmLogger.info({
+      requestId,
+      userId,
+      event: 'delete_confirmation_pending',
+      confirmationId,
+      taskIds
+    }, 'Delete confirmation pending');
+
+    return {
+      requiresConfirmation: true,
+      confirmationId,
+      taskIds,
+      message: taskIds.length === 1 ? 'Please confirm task deletion' : `Please confirm deletion of ${taskIds.length} tasks`,
+      timeoutSeconds: DELETE_CONFIRMATION_TIMEOUT_SECONDS
+    };
+  }
+
+  // GET /api/tasks - Fetch a page of the authenticated user's tasks
   // Extracted from backend/app.js:564-581
+  // Responds with { tasks, total, next_cursor }: total counts every task
+  // matching the filters, and next_cursor (null on the last page) is passed
+  // back as ?cursor= for the next page. ?limit= sets the page size (default
+  // 50, at most 200).
+  // ?sort=due_date (default) lists undated tasks first, then by due date and
+  // time, then oldest first; ?sort=priority puts urgent tasks first.
+  // Filters: ?status=open|completed|all (default all), ?due_from= and
+  // ?due_to= (YYYY-MM-DD, inclusive), ?source=voice,email,manual,
+  // ?priority=high,urgent ("none" matches tasks without one), ?list_id=
+  // ("none" for tasks in no list), ?tag=errand,phone-call (tasks with every
+  // one of those tags) and ?showArchived=true.
+  // Each task comes with its tags, alphabetically, and its checklist.
   fastify.get('/api/tasks', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const {
+      sort = 'due_date',
+      status = 'all',
+      priority,
+      list_id: listId,
+      tag,
+      source,
+      due_from: dueFrom,
+      due_to: dueTo,
+      limit,
+      cursor
+    } = request.query;
+    if (!TASK_SORTS.includes(sort)) {
+      return reply.status(400).send({ error: `sort must be one of: ${TASK_SORTS.join(', ')}` });
+    }
+    if (!TASK_STATUSES.includes(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${TASK_STATUSES.join(', ')}` });
+    }
+    const priorities = priority ? String(priority).split(',').map(value => value.trim().toLowerCase()) : [];
+    if (priorities.some(value => value !== NO_PRIORITY && !isValidPriority(value))) {
+      return reply.status(400).send({ error: `priority must be a comma-separated list of: ${[...TASK_PRIORITIES, NO_PRIORITY].join(', ')}` });
+    }
+    if (listId !== undefined && listId !== NO_LIST && !UUID_PATTERN.test(listId)) {
+      return reply.status(400).send({ error: `list_id must be a list ID or "${NO_LIST}".` });
+    }
+    const tags = tag ? String(tag).split(',').map(normalizeTag) : [];
+    if (tags.includes(null) || tags.length > MAX_TAGS_PER_TASK) {
+      return reply.status(400).send({ error: `tag must be a comma-separated list of at most ${MAX_TAGS_PER_TASK} tags.` });
+    }
+    const sources = source ? String(source).split(',').map(value => value.trim().toLowerCase()) : [];
+    if (sources.some(value => !TASK_SOURCES.includes(value))) {
+      return reply.status(400).send({ error: `source must be a comma-separated list of: ${TASK_SOURCES.join(', ')}` });
+    }
+    for (const [name, value] of [['due_from', dueFrom], ['due_to', dueTo]]) {
+      if (value !== undefined && !isValidIsoDate(value)) {
+        return reply.status(400).send({ error: `${name} must be a date in YYYY-MM-DD format.` });
+      }
+    }
+    if (dueFrom && dueTo && dueFrom > dueTo) {
+      return reply.status(400).send({ error: 'due_from must not be after due_to.' });
+    }
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return reply.status(400).send({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}.` });
+    }
+    const after = cursor === undefined ? null : decodeCursor(cursor, sort);
+    if (cursor !== undefined && !after) {
+      return reply.status(400).send({ error: 'cursor is not valid for this sort order.' });
+    }
+
     try {
-      const client = await pool.connect();
-      const showArchived = request.query.showArchived === 'true';
-      const query = showArchived 
-        ? 'SELECT * FROM tasks WHERE user_id = $1 ORDER BY due_date ASC NULLS FIRST'
-        : 'SELECT * FROM tasks WHERE user_id = $1 AND is_archived = FALSE ORDER BY due_date ASC NULLS FIRST';
-      const result = await client.query(
-        query,
+      const filters = {
+        showArchived: request.query.showArchived === 'true',
+        status,
+        priorities: priorities.filter(isValidPriority),
+        noPriority: priorities.includes(NO_PRIORITY),
+        listId: listId === NO_LIST ? null : listId,
+        tags,
+        dueFrom,
+        dueTo,
+        sources
+      };
+      reply.send(await listTasks(pool, request.user.id, filters, { sort, limit: pageSize, after }));
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/tasks/tags - Each tag with the number of tasks carrying it, for
+  // the tag cloud. ?list_id= (a list ID or "none") counts one list's tasks;
+  // the tag and priority filters of GET /api/tasks do not apply, so the cloud
+  // keeps every tag of the list while one is chosen.
+  fastify.get('/api/tasks/tags', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { list_id: listId } = request.query;
+    if (listId !== undefined && listId !== NO_LIST && !UUID_PATTERN.test(listId)) {
+      return reply.status(400).send({ error: `list_id must be a list ID or "${NO_LIST}".` });
+    }
+
+    try {
+      reply.send(await countTaskTags(pool, request.user.id, listId === NO_LIST ? null : listId));
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/tasks/search?q= - Full-text search over the user's tasks' names,
+  // descriptions and original requests, best match first. Each result has a
+  // rank and `highlights`: HTML-escaped fragments of the matching fields with
+  // matches in <mark> (null for fields that do not match).
+  // ?include_completed=true and ?include_archived=true widen the search;
+  // ?limit= caps the results (default 20, at most 50).
+  fastify.get('/api/tasks/search', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { q, include_completed: includeCompleted, include_archived: includeArchived, limit } = request.query;
+    const terms = typeof q === 'string' && q.length <= MAX_SEARCH_QUERY_LENGTH ? searchTerms(q) : [];
+    if (terms.length === 0) {
+      return reply.status(400).send({ error: `q must contain a word and be at most ${MAX_SEARCH_QUERY_LENGTH} characters.` });
+    }
+    const resultLimit = limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(limit);
+    if (!Number.isInteger(resultLimit) || resultLimit < 1 || resultLimit > MAX_SEARCH_LIMIT) {
+      return reply.status(400).send({ error: `limit must be a whole number from 1 to ${MAX_SEARCH_LIMIT}.` });
+    }
+
+    try {
+      const results = await searchTasks(pool, request.user.id, terms, {
+        includeCompleted: includeCompleted === 'true',
+        includeArchived: includeArchived === 'true',
+        limit: resultLimit
+      });
+      reply.send({ query: q, results });
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/tasks/trash - Fetch deleted tasks, most recently deleted first
+  fastify.get('/api/tasks/trash', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const result = await pool.query(
+        `SELECT tasks.*, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments FROM tasks WHERE user_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`,
         [request.user.id]
       );
-      client.release();
       reply.send(result.rows);
     } catch (err) {
       fastify.log.error(err);
@@ -57,7 +777,7 @@ export default async function taskRoutes(fastify, options) {
     const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(7)}`;
     
     try {
-      const { transcribedText: rawTranscribedText, clientDate, clientTimezoneOffset } = request.body;
+      const { transcribedText: rawTranscribedText, clientDate, clientTimezoneOffset, clientTimeZone, preview = false } = request.body;
       
       // Log initial request with security context
       llmLogger.info({
@@ -80,22 +800,53 @@ export default async function taskRoutes(fastify, options) {
         return reply.status(400).send({ error: 'Transcribed text is required.' });
       }
 
+      // "Undo that" / "redo" never reach the LLM. In preview mode they are
+      // read back and applied through commit-intent like any other change
+      const historyCommand = parseHistoryCommand(transcribedText);
+      if (historyCommand) {
+        const historyResult = preview === true
+          ? await previewHistoryAction(historyCommand, request.user.id, requestId)
+          : await runHistoryAction(historyCommand, request.user.id, requestId);
+        if (!historyResult) {
+          return reply.status(404).send({ history: historyCommand, error: `Nothing to ${historyCommand}.` });
+        }
+        return reply.status(200).send({ history: historyCommand, ...historyResult });
+      }
+
       let rawLLMOutput = null;
       let llmUsed = 'None';
-      const clientCurrentDate = new Date(clientDate);
-      clientCurrentDate.setMinutes(clientCurrentDate.getMinutes() - clientTimezoneOffset);
-      const currentTimeForLLM = clientCurrentDate.toISOString().split('T')[0];
+      // "Today" is resolved in the client's time zone, then the user's stored
+      // one; the UTC offset is only used by clients that send neither
+      const timeZone = isValidTimeZone(clientTimeZone) ? clientTimeZone : await getUserTimeZone(pool, request.user.id);
+      let currentTimeForLLM;
+      let currentClockTime = null;
+      if (timeZone) {
+        const localNow = getLocalDateTime(timeZone);
+        currentTimeForLLM = localNow.date;
+        currentClockTime = localNow.time;
+      } else {
+        const clientCurrentDate = new Date(clientDate);
+        clientCurrentDate.setMinutes(clientCurrentDate.getMinutes() - clientTimezoneOffset);
+        currentTimeForLLM = clientCurrentDate.toISOString().split('T')[0];
+      }
 
-      // Fetch existing tasks for context
+      // Fetch existing tasks and the user's list names for context
       const client = await pool.connect();
       let existingTasks = [];
+      let lists = [];
       try {
         const tasksResult = await client.query(
-          'SELECT id, task_name, due_date, is_completed FROM tasks WHERE user_id = $1 AND is_archived = FALSE ORDER BY due_date ASC NULLS FIRST',
+          `SELECT t.id, t.task_name, t.due_date, t.due_time, t.is_completed, t.recurrence_rule, t.priority, t.created_at, t.updated_at, l.name AS list_name,
+                  ${taskTagsSql('t')} AS tags, ${checklistSql('t')} AS checklist
+           FROM tasks t LEFT JOIN lists l ON l.id = t.list_id
+           WHERE t.user_id = $1 AND t.is_archived = FALSE AND t.deleted_at IS NULL
+           ORDER BY t.due_date ASC NULLS FIRST, t.due_time ASC NULLS FIRST`,
           [request.user.id]
         );
         existingTasks = tasksResult.rows;
         fastify.log.info(`Found ${existingTasks.length} existing tasks for user ${request.user.id}`);
+        const listsResult = await client.query('SELECT id, name FROM lists WHERE user_id = $1 ORDER BY LOWER(name)', [request.user.id]);
+        lists = listsResult.rows;
       } catch (err) {
         fastify.log.error('Error fetching existing tasks:', err);
       } finally {
@@ -117,10 +868,26 @@ export default async function taskRoutes(fastify, options) {
         }, 'User input was sanitized before LLM processing');
       }
       
+      // Only the tasks most relevant to the command are listed in the prompt
+      const taskContext = selectTaskContext(existingTasks, sanitizedInput, { currentDate: currentTimeForLLM });
+      llmLogger.info({
+        requestId,
+        userId: request.user.id,
+        event: 'task_context_selected',
+        totalTasks: existingTasks.length,
+        includedCount: taskContext.tasks.length,
+        omittedCount: taskContext.omittedCount,
+        estimatedTokens: taskContext.estimatedTokens,
+        includedTasks: taskContext.included
+      }, 'Existing-task context selected for the prompt');
+
       const prompt = buildTaskParsingPrompt({
         transcribedText: sanitizedInput,
         currentDate: currentTimeForLLM,
-        existingTasks
+        currentTime: currentClockTime,
+        existingTasks: taskContext.tasks,
+        omittedTaskCount: taskContext.omittedCount,
+        lists
       });
       
       // Log prompt construction (without full content to avoid log bloat)
@@ -129,133 +896,65 @@ export default async function taskRoutes(fastify, options) {
         userId: request.user.id,
         event: 'prompt_constructed',
         promptLength: prompt.length,
-        existingTasksCount: existingTasks.length
+        existingTasksCount: taskContext.tasks.length
       }, 'LLM prompt constructed');
       
-      const callLLM = async (llmClient, modelName, timeoutMs) => {
-        const timeoutPromise = new Promise((resolve, reject) => {
-          setTimeout(() => {
-            reject(new Error(`${modelName} API call for task parsing timed out after ${timeoutMs / 1000} seconds`));
-          }, timeoutMs);
-        });
-
-        const llmCallPromise = llmClient.chat.completions.create({
-          model: modelName,
-          messages: [{
-            role: "user",
-            content: prompt
-          }],
-          response_format: { type: "json_object" },
-        });
-
-        const response = await Promise.race([llmCallPromise, timeoutPromise]);
-        return JSON.parse(response.choices[0].message.content);
-      };
+      const llmResult = await llmRouter.call(prompt, {
+        requestId,
+        userId: request.user.id,
+        purpose: 'task_parsing'
+      });
+      rawLLMOutput = llmResult.output;
+      if (llmResult.provider) {
+        llmUsed = llmResult.provider;
+      }
 
-      // Try Requesty first
-      if (requesty) {
-        try {
-          llmLogger.debug({
-            requestId,
-            userId: request.user.id,
-            event: 'llm_call_start',
-            provider: 'Requesty',
-            model: 'openai/gpt-4o-mini',
-            timeout: 5000
-          }, 'Attempting LLM call to Requesty');
-          
-          rawLLMOutput = await callLLM(requesty, "openai/gpt-4o-mini", 5000);
-          llmUsed = 'Requesty';
-          
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'llm_call_success',
-            provider: 'Requesty',
-            outputSize: JSON.stringify(rawLLMOutput).length
-          }, 'Task parsed successfully using Requesty');
-        } catch (requestyError) {
+      // Searches are read-only too: the LLM (or the rule-based parser) only
+      // supplies the search text
+      const rawSearch = rawLLMOutput
+        ? (isTaskSearchOutput(rawLLMOutput) ? rawLLMOutput : null)
+        : parseTaskSearchCommand({ transcribedText: sanitizedInput });
+      if (rawSearch) {
+        const searchResult = validateLLMTaskSearch(rawSearch);
+        if (!searchResult.success) {
           llmLogger.warn({
             requestId,
             userId: request.user.id,
-            event: 'llm_call_failed',
-            provider: 'Requesty',
-            error: requestyError.message,
-            willFallback: !!openai
-          }, 'Requesty failed or timed out, falling back to OpenAI');
-          
-          // Fallback to OpenAI if Requesty fails
-          if (openai) {
-            try {
-              llmLogger.debug({
-                requestId,
-                userId: request.user.id,
-                event: 'llm_call_start',
-                provider: 'OpenAI',
-                model: 'gpt-4o-mini',
-                timeout: 3000,
-                isFallback: true
-              }, 'Attempting fallback LLM call to OpenAI');
-              
-              rawLLMOutput = await callLLM(openai, "gpt-4o-mini", 3000);
-              llmUsed = 'OpenAI';
-              
-              llmLogger.info({
-                requestId,
-                userId: request.user.id,
-                event: 'llm_call_success',
-                provider: 'OpenAI',
-                outputSize: JSON.stringify(rawLLMOutput).length,
-                isFallback: true
-              }, 'Task parsed successfully using OpenAI fallback');
-            } catch (openaiError) {
-              llmLogger.error({
-                requestId,
-                userId: request.user.id,
-                event: 'llm_call_failed',
-                provider: 'OpenAI',
-                error: openaiError.message,
-                isFallback: true
-              }, 'OpenAI fallback also failed');
-            }
-          }
+            event: 'search_validation_failed',
+            issues: searchResult.issues,
+            securitySignal: 'VALIDATION_FAILURE'
+          }, 'Task search failed schema validation');
+          return reply.status(422).send({ error: "Sorry, I couldn't understand what to search for." });
         }
-      } else if (openai) {
-        // If Requesty is not configured, try OpenAI directly
-        try {
-          llmLogger.debug({
-            requestId,
-            userId: request.user.id,
-            event: 'llm_call_start',
-            provider: 'OpenAI',
-            model: 'gpt-4o-mini',
-            timeout: 3000
-          }, 'Attempting LLM call to OpenAI');
-          
-          rawLLMOutput = await callLLM(openai, "gpt-4o-mini", 3000);
-          llmUsed = 'OpenAI';
-          
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'llm_call_success',
-            provider: 'OpenAI',
-            outputSize: JSON.stringify(rawLLMOutput).length
-          }, 'Task parsed successfully using OpenAI');
-        } catch (openaiError) {
-          llmLogger.error({
+        return reply.status(200).send(await answerTaskSearch(searchResult.data, request.user.id, requestId));
+      }
+
+      // Questions about tasks are read-only: the LLM (or, without one, the
+      // rule-based parser) only supplies filters, which are validated and
+      // evaluated here
+      const rawQuery = rawLLMOutput
+        ? (isTaskQueryOutput(rawLLMOutput) ? rawLLMOutput : null)
+        : parseTaskQueryCommand({ transcribedText: sanitizedInput, currentDate: currentTimeForLLM });
+      if (rawQuery) {
+        const queryResult = validateLLMTaskQuery(rawQuery);
+        if (!queryResult.success) {
+          llmLogger.warn({
             requestId,
             userId: request.user.id,
-            event: 'llm_call_failed',
-            provider: 'OpenAI',
-            error: openaiError.message
-          }, 'OpenAI API call failed');
+            event: 'query_validation_failed',
+            issues: queryResult.issues,
+            securitySignal: 'VALIDATION_FAILURE'
+          }, 'Task query failed schema validation');
+          return reply.status(422).send({ error: "Sorry, I couldn't understand that question." });
         }
+        const now = { date: currentTimeForLLM, time: currentClockTime };
+        return reply.status(200).send(await answerTaskQuery(queryResult.data.filters, now, request.user.id, requestId));
       }
 
       // CRITICAL SECURITY CONTROL: Validate LLM output before any database operations
-      // This is the trust boundary - LLM output is untrusted until validated
-      let validatedTaskData;
+      // This is the trust boundary - LLM output is untrusted until validated.
+      // Multi-intent output is validated item by item; invalid items are dropped.
+      let operations;
       let usedFallback = false;
       
       if (rawLLMOutput) {
@@ -274,18 +973,29 @@ export default async function taskRoutes(fastify, options) {
           rawLLMOutput
         }, 'Full LLM output (debug)');
         
-        const validationResult = validateLLMTaskOutput(rawLLMOutput);
+        const validationResult = validateLLMTaskOperations(rawLLMOutput);
+
+        if (validationResult.success && validationResult.rejected.length > 0) {
+          llmLogger.warn({
+            requestId,
+            userId: request.user.id,
+            event: 'operations_rejected',
+            rejected: validationResult.rejected,
+            acceptedCount: validationResult.operations.length,
+            securitySignal: 'VALIDATION_FAILURE'
+          }, 'Some LLM operations failed schema validation and were dropped');
+        }
         
         if (validationResult.success) {
           llmLogger.info({
             requestId,
             userId: request.user.id,
             event: 'validation_success',
-            intent: validationResult.data.intent,
-            hasTaskId: !!validationResult.data.task_id
+            operationCount: validationResult.operations.length,
+            intents: validationResult.operations.map(operation => operation.intent)
           }, 'LLM output passed schema validation');
           
-          validatedTaskData = sanitizeForDatabase(validationResult.data);
+          operations = validationResult.operations.map(sanitizeForDatabase);
         } else {
           // Schema validation failed - log and use safe fallback
           llmLogger.warn({
@@ -293,7 +1003,7 @@ export default async function taskRoutes(fastify, options) {
             userId: request.user.id,
             event: 'validation_failed',
             error: validationResult.error?.message,
-            issues: validationResult.issues,
+            issues: validationResult.rejected,
             securitySignal: 'VALIDATION_FAILURE'
           }, 'LLM output failed schema validation - potential prompt injection or malformed output');
           
@@ -304,23 +1014,59 @@ export default async function taskRoutes(fastify, options) {
             reason: 'validation_failed'
           }, 'Using safe fallback task creation');
           
-          validatedTaskData = createSafeFallbackTask(transcribedText);
+          operations = [createSafeFallbackTask(transcribedText)];
           usedFallback = true;
           llmUsed = 'Fallback (Validation Failed)';
         }
       } else {
-        // No LLM output - use safe fallback
+        // No LLM output - use rule-based parser
         llmLogger.warn({
           requestId,
           userId: request.user.id,
           event: 'fallback_activated',
           reason: 'no_llm_output',
+          llmFallbackReason: llmResult.fallbackReason,
           securitySignal: 'NO_LLM_OUTPUT'
-        }, 'No LLM configured or all LLMs failed, using safe fallback for task parsing');
+        }, 'No LLM configured or all LLMs failed, using rule-based parser for task parsing');
         
-        validatedTaskData = createSafeFallbackTask(transcribedText);
+        // With a long task list, fuzzy matching only considers the tasks the
+        // search index finds for the command's words (or all, if it finds none)
+        let matchCandidates = existingTasks;
+        if (existingTasks.length > FUZZY_MATCH_SEARCH_THRESHOLD) {
+          try {
+            const matchingIds = await findMatchingTaskIds(pool, request.user.id, sanitizedInput);
+            if (matchingIds.size > 0) {
+              matchCandidates = existingTasks.filter(task => matchingIds.has(task.id));
+            }
+          } catch (err) {
+            fastify.log.error(err);
+          }
+        }
+
+        // Rule-based output is a single operation and goes through the same
+        // schema validation as LLM output
+        const ruleBasedResult = validateLLMTaskOperation(parseTaskCommand({
+          transcribedText: sanitizedInput,
+          currentDate: currentTimeForLLM,
+          existingTasks: matchCandidates,
+          lists
+        }));
         usedFallback = true;
-        llmUsed = 'Fallback (No LLM)';
+
+        if (ruleBasedResult.success) {
+          operations = [sanitizeForDatabase(ruleBasedResult.data)];
+          llmUsed = 'Fallback (Rule-Based)';
+        } else {
+          llmLogger.warn({
+            requestId,
+            userId: request.user.id,
+            event: 'rule_based_parse_failed',
+            issues: ruleBasedResult.issues
+          }, 'Rule-based parser output failed schema validation, using safe fallback');
+
+          operations = [createSafeFallbackTask(transcribedText)];
+          llmUsed = 'Fallback (No LLM)';
+        }
       }
 
       llmLogger.info({
@@ -328,174 +1074,58 @@ export default async function taskRoutes(fastify, options) {
         userId: request.user.id,
         event: 'task_data_validated',
         llmUsed,
-        intent: validatedTaskData.intent,
-        taskId: validatedTaskData.task_id,
-        usedFallback
+        operationCount: operations.length,
+        intents: operations.map(operation => operation.intent),
+        taskIds: operations.map(operation => operation.task_id).filter(Boolean),
+        usedFallback,
+        llmLatencyMs: llmResult.latencyMs,
+        llmFallbackReason: llmResult.fallbackReason
       }, 'Task data validated and ready for processing');
 
       // SEPARATION OF RESPONSIBILITIES: Application logic decides database operations
       // The LLM only suggests - the application enforces
       const dbClient = await pool.connect();
       try {
-        // Business logic validation: edit_task and delete_task require valid task_id
-        if ((validatedTaskData.intent === "edit_task" || validatedTaskData.intent === "delete_task") && validatedTaskData.task_id) {
-          // Verify task exists and belongs to user before allowing edit or delete
-          const verifyResult = await dbClient.query(
-            'SELECT id FROM tasks WHERE id = $1 AND user_id = $2',
-            [validatedTaskData.task_id, request.user.id]
-          );
-          
-          if (verifyResult.rowCount === 0) {
-            // Task doesn't exist or doesn't belong to user - fail closed to create_task
-            llmLogger.warn({
-              requestId,
-              userId: request.user.id,
-              event: 'intent_downgraded',
-              originalIntent: validatedTaskData.intent,
-              newIntent: 'create_task',
-              taskId: validatedTaskData.task_id,
-              reason: 'task_not_found_or_unauthorized',
-              securitySignal: 'INTENT_DOWNGRADE'
-            }, `Task not found or unauthorized for ${validatedTaskData.intent} - failing closed to create_task`);
-            
-            validatedTaskData.intent = 'create_task';
-            validatedTaskData.task_id = null;
-          }
+        // Business logic validation: every operation that references a task
+        // must reference one the user owns
+        await enforceTaskOwnership(dbClient, operations, request.user.id, requestId);
+
+        // Preview mode: full pipeline, but nothing is written until the
+        // returned token is committed
+        if (preview === true) {
+          return reply.status(200).send(await previewOperations(operations, existingTasks, currentTimeForLLM, request.user.id, requestId));
         }
-        
-        // Execute database operation based on validated intent
-        if (validatedTaskData.intent === "edit_task" && validatedTaskData.task_id) {
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'database_operation',
-            operation: 'update_task',
-            taskId: validatedTaskData.task_id
-          }, 'Executing task update operation');
-          
-          const updateQuery = `
-            UPDATE tasks
-            SET
-              task_name = COALESCE($1, task_name),
-              due_date = COALESCE($2, due_date),
-              is_completed = COALESCE($3, is_completed),
-              original_request = COALESCE($4, original_request),
-              message_id = COALESCE($5, message_id),
-              updated_at = CURRENT_TIMESTAMP
-            WHERE id = $6 AND user_id = $7
-            RETURNING id, task_name, due_date, is_completed, original_request, is_archived, message_id;
-          `;
-          const updateResult = await dbClient.query(
-            updateQuery,
-            [
-              validatedTaskData.task_name,
-              validatedTaskData.due_date,
-              validatedTaskData.is_completed,
-              validatedTaskData.original_request,
-              validatedTaskData.message_id,
-              validatedTaskData.task_id,
-              request.user.id
-            ]
-          );
-
-          if (updateResult.rowCount === 0) {
-            llmLogger.error({
-              requestId,
-              userId: request.user.id,
-              event: 'database_operation_failed',
-              operation: 'update_task',
-              taskId: validatedTaskData.task_id,
-              reason: 'task_not_found'
-            }, 'Task update failed - task not found');
-            
-            reply.status(404).send({ error: 'Task not found or user not authorized for update.' });
-          } else {
-            llmLogger.info({
-              requestId,
-              userId: request.user.id,
-              event: 'database_operation_success',
-              operation: 'update_task',
-              taskId: updateResult.rows[0].id
-            }, 'Task updated successfully');
-            
-            reply.status(200).send(updateResult.rows[0]);
-          }
-        } else if (validatedTaskData.intent === "delete_task" && validatedTaskData.task_id) {
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'delete_confirmation_requested',
-            operation: 'delete_task',
-            taskId: validatedTaskData.task_id
-          }, 'Requesting deletion confirmation from user');
 
-          // Generate a unique confirmation ID
-          const confirmationId = crypto.randomBytes(16).toString('hex');
-          
-          // Store the pending deletion with a 10-second timeout
-          const timeoutId = setTimeout(() => {
-            // Remove the pending deletion after timeout
-            if (pendingDeleteTasks.has(confirmationId)) {
-              pendingDeleteTasks.delete(confirmationId);
-              llmLogger.info({
-                requestId,
-                userId: request.user.id,
-                event: 'delete_confirmation_timeout',
-                confirmationId,
-                taskId: validatedTaskData.task_id
-              }, 'Delete confirmation timed out after 10 seconds');
-            }
-          }, 10000); // 10 seconds
+        const deletions = operations.filter(operation => operation.intent === 'delete_task');
+        const changes = operations.filter(operation => operation.intent !== 'delete_task');
 
-          // Store the pending deletion
-          pendingDeleteTasks.set(confirmationId, {
-            taskId: validatedTaskData.task_id,
-            userId: request.user.id,
-            requestId,
-            timeoutId,
-            createdAt: Date.now()
-          });
+        // Creates, edits and completions are applied atomically
+        const results = changes.length > 0
+          ? await applyOperationsInTransaction(dbClient, changes, request.user.id, requestId)
+          : [];
+        if (!results) {
+          return reply.status(404).send({ error: 'Task not found or user not authorized for update.' });
+        }
 
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'delete_confirmation_pending',
-            confirmationId,
-            taskId: validatedTaskData.task_id
-          }, 'Delete confirmation pending');
-
-          // Send confirmation prompt to frontend
-          reply.status(202).send({
-            requiresConfirmation: true,
-            confirmationId,
-            taskId: validatedTaskData.task_id,
-            message: 'Please confirm task deletion',
-            timeoutSeconds: 10
-          });
+        // Deletes are never applied directly - they are collected into a
+        // single confirmation
+        const deleteConfirmation = deletions.length > 0
+          ? await requestDeleteConfirmation([...new Set(deletions.map(operation => operation.task_id))], request.user.id, requestId)
+          : null;
+
+        if (operations.length === 1) {
+          // Single operation: original response contract
+          if (deleteConfirmation) {
+            reply.status(202).send({ ...deleteConfirmation, taskId: deleteConfirmation.taskIds[0] });
+          } else {
+            reply.status(results[0].intent === 'create_task' ? 201 : 200).send(results[0].task);
+          }
         } else {
-          // Default to create_task (fail-closed behavior)
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'database_operation',
-            operation: 'create_task',
-            isFailClosed: validatedTaskData.intent !== 'create_task'
-          }, 'Executing task creation operation');
-          
-          const insertResult = await dbClient.query(
-            'INSERT INTO tasks (id, user_id, task_name, due_date, is_completed, original_request) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5) RETURNING id, task_name, due_date, is_completed, original_request, is_archived',
-            [request.user.id, validatedTaskData.task_name, validatedTaskData.due_date, validatedTaskData.is_completed, validatedTaskData.original_request]
-          );
-          
-          llmLogger.info({
-            requestId,
-            userId: request.user.id,
-            event: 'database_operation_success',
-            operation: 'create_task',
-            taskId: insertResult.rows[0].id
-          }, 'Task created successfully');
-          
-          reply.status(201).send(insertResult.rows[0]);
+          // Multi-intent: list every resulting task so the client can summarise
+          reply.status(deleteConfirmation ? 202 : 200).send({
+            operations: results,
+            ...deleteConfirmation
+          });
         }
       } catch (dbError) {
         fastify.log.error('Database error during task operation:', dbError);
@@ -517,6 +1147,119 @@ export default async function taskRoutes(fastify, options) {
     }
   });
 
+  // POST /api/tasks/commit-intent - Apply or discard a previewed voice command
+  fastify.post('/api/tasks/commit-intent', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { intentToken, confirmed } = request.body || {};
+
+      let payload;
+      try {
+        payload = intentTokens.verify(intentToken);
+      } catch (err) {
+        if (!(err instanceof IntentTokenError)) {
+          throw err;
+        }
+        llmLogger.warn({
+          userId: request.user.id,
+          event: 'intent_token_rejected',
+          reason: err.code,
+          securitySignal: err.code === 'bad_signature' ? 'INTENT_TOKEN_TAMPERED' : undefined
+        }, `Intent token rejected: ${err.message}`);
+
+        return err.code === 'expired'
+          ? reply.status(410).send({ error: 'Preview expired. Please try again.' })
+          : reply.status(400).send({ error: 'Invalid intent token.' });
+      }
+
+      if (payload.userId !== request.user.id) {
+        llmLogger.warn({
+          userId: request.user.id,
+          event: 'intent_token_unauthorized',
+          jti: payload.jti,
+          securitySignal: 'INTENT_TOKEN_WRONG_USER'
+        }, 'User does not own this intent token');
+        return reply.status(403).send({ error: 'Unauthorized.' });
+      }
+
+      // Consume the preview; if another request (or instance) got here first,
+      // it has already been applied or cancelled
+      const taken = await pendingIntents.take(payload.jti);
+      if (!taken) {
+        return reply.status(409).send({ error: 'This change has already been applied or cancelled.' });
+      }
+      if (taken.expired) {
+        return reply.status(410).send({ error: 'Preview expired. Please try again.' });
+      }
+
+      if (confirmed !== true) {
+        llmLogger.info({
+          requestId: payload.requestId,
+          userId: request.user.id,
+          event: 'intent_cancelled',
+          jti: payload.jti
+        }, 'User cancelled previewed voice command');
+        return reply.status(200).send({ message: 'Change cancelled.' });
+      }
+
+      // A previewed "undo that" / "redo" applies the group it described
+      if (payload.history) {
+        if (!['undo', 'redo'].includes(payload.history) || typeof payload.groupId !== 'string') {
+          return reply.status(400).send({ error: 'Invalid intent token.' });
+        }
+        const historyResult = await runHistoryAction(payload.history, request.user.id, payload.requestId, payload.groupId);
+        if (!historyResult) {
+          return reply.status(409).send({ error: 'Your tasks changed since the preview. Please try again.' });
+        }
+        llmLogger.info({
+          requestId: payload.requestId,
+          userId: request.user.id,
+          event: 'intent_committed',
+          jti: payload.jti,
+          history: payload.history
+        }, 'Previewed undo/redo committed');
+        return reply.status(200).send({ history: payload.history, ...historyResult });
+      }
+
+      // Defense in depth: the token is ours, but its operations still pass
+      // through the same validation as fresh LLM output
+      const validationResult = validateLLMTaskOperations({ operations: payload.operations });
+      if (!validationResult.success || validationResult.rejected.length > 0) {
+        return reply.status(400).send({ error: 'Invalid intent token.' });
+      }
+      const operations = validationResult.operations.map(sanitizeForDatabase);
+
+      const dbClient = await pool.connect();
+      try {
+        // Tasks may have been deleted or changed hands since the preview
+        const downgraded = await enforceTaskOwnership(dbClient, operations, request.user.id, payload.requestId);
+        if (downgraded > 0) {
+          return reply.status(409).send({ error: 'Your tasks changed since the preview. Please try again.' });
+        }
+
+        // The user confirmed the preview, so deletes are applied directly
+        const results = await applyOperationsInTransaction(dbClient, operations, request.user.id, payload.requestId);
+        if (!results) {
+          return reply.status(409).send({ error: 'Your tasks changed since the preview. Please try again.' });
+        }
+
+        llmLogger.info({
+          requestId: payload.requestId,
+          userId: request.user.id,
+          event: 'intent_committed',
+          jti: payload.jti,
+          operationCount: results.length
+        }, 'Previewed voice command committed');
+
+        reply.status(200).send({ operations: results });
+      } finally {
+        dbClient.release();
+      }
+    } catch (error) {
+      fastify.log.error('Error committing voice intent:', error);
+      reply.status(500).send({ error: 'Failed to apply change.', details: error.message });
+    }
+  });
+
   // POST /api/tasks/confirm-delete/:confirmationId - Handle delete confirmation
   // Extracted from backend/app.js:1175-1277
   fastify.post('/api/tasks/confirm-delete/:confirmationId', { onRequest: [fastify.authenticate] }, async (request, reply) => {
@@ -531,8 +1274,8 @@ export default async function taskRoutes(fastify, options) {
         confirmed
       }, 'Delete confirmation response received');
 
-      // Check if the confirmation exists
-      const pendingDelete = pendingDeleteTasks.get(confirmationId);
+      // Check if the confirmation exists and has not expired
+      const pendingDelete = await pendingDeletes.get(confirmationId);
 
       if (!pendingDelete) {
         llmLogger.warn({
@@ -556,11 +1299,20 @@ export default async function taskRoutes(fastify, options) {
         return reply.status(403).send({ error: 'Unauthorized.' });
       }
 
-      // Clear the timeout
-      clearTimeout(pendingDelete.timeoutId);
+      // Consume the confirmation; if another request (or instance) got here
+      // first, or it expired in the meantime, treat it as gone
+      const taken = await pendingDeletes.take(confirmationId);
+      if (!taken || taken.expired) {
+        llmLogger.info({
+          requestId: pendingDelete.requestId,
+          userId: request.user.id,
+          event: taken ? 'delete_confirmation_timeout' : 'delete_confirmation_not_found',
+          confirmationId,
+          taskIds: pendingDelete.taskIds
+        }, taken ? `Delete confirmation timed out after ${DELETE_CONFIRMATION_TIMEOUT_SECONDS} seconds` : 'Confirmation already answered');
 
-      // Remove from pending map
-      pendingDeleteTasks.delete(confirmationId);
+        return reply.status(404).send({ error: 'Confirmation not found or expired.' });
+      }
 
       if (confirmed === true) {
         // User confirmed - proceed with deletion
@@ -569,40 +1321,36 @@ export default async function taskRoutes(fastify, options) {
           userId: request.user.id,
           event: 'delete_confirmed',
           confirmationId,
-          taskId: pendingDelete.taskId
+          taskIds: pendingDelete.taskIds
         }, 'User confirmed deletion - proceeding');
 
-        const client = await pool.connect();
-        try {
-          const deleteResult = await client.query(
-            'DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING id',
-            [pendingDelete.taskId, request.user.id]
-          );
-
-          if (deleteResult.rowCount === 0) {
-            llmLogger.error({
-              requestId: pendingDelete.requestId,
-              userId: request.user.id,
-              event: 'database_operation_failed',
-              operation: 'delete_task',
-              taskId: pendingDelete.taskId,
-              reason: 'task_not_found'
-            }, 'Task deletion failed - task not found');
-            
-            reply.status(404).send({ error: 'Task not found or user not authorized for deletion.' });
-          } else {
-            llmLogger.info({
-              requestId: pendingDelete.requestId,
-              userId: request.user.id,
-              event: 'database_operation_success',
-              operation: 'delete_task',
-              taskId: pendingDelete.taskId
-            }, 'Task deleted successfully after confirmation');
-            
-            reply.status(204).send(); // No Content
-          }
-        } finally {
-          client.release();
+        const deleteResult = await runJournaledMutation(
+          { taskIds: pendingDelete.taskIds, userId: request.user.id, source: 'voice' },
+          'UPDATE tasks SET deleted_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL RETURNING id',
+          [pendingDelete.taskIds, request.user.id]
+        );
+
+        if (deleteResult.rowCount === 0) {
+          llmLogger.error({
+            requestId: pendingDelete.requestId,
+            userId: request.user.id,
+            event: 'database_operation_failed',
+            operation: 'delete_task',
+            taskIds: pendingDelete.taskIds,
+            reason: 'task_not_found'
+          }, 'Task deletion failed - task not found');
+          
+          reply.status(404).send({ error: 'Task not found or user not authorized for deletion.' });
+        } else {
+          llmLogger.info({
+            requestId: pendingDelete.requestId,
+            userId: request.user.id,
+            event: 'database_operation_success',
+            operation: 'delete_task',
+            taskIds: pendingDelete.taskIds
+          }, 'Task deleted successfully after confirmation');
+          
+          reply.status(204).send(); // No Content
         }
       } else {
         // User cancelled or denied
@@ -611,7 +1359,7 @@ export default async function taskRoutes(fastify, options) {
           userId: request.user.id,
           event: 'delete_cancelled',
           confirmationId,
-          taskId: pendingDelete.taskId
+          taskIds: pendingDelete.taskIds
         }, 'User cancelled deletion');
 
         reply.status(200).send({ message: 'Deletion cancelled.' });
@@ -622,59 +1370,65 @@ export default async function taskRoutes(fastify, options) {
     }
   });
 
+  // POST /api/tasks/undo and /api/tasks/redo - Step through the change journal
+  for (const action of ['undo', 'redo']) {
+    fastify.post(`/api/tasks/${action}`, { onRequest: [fastify.authenticate] }, async (request, reply) => {
+      try {
+        const result = await runHistoryAction(action, request.user.id);
+        if (!result) {
+          return reply.status(404).send({ error: `Nothing to ${action}.` });
+        }
+        reply.status(200).send(result);
+      } catch (err) {
+        fastify.log.error(err);
+        reply.status(500).send({ error: 'Internal Server Error' });
+      }
+    });
+  }
+
   // POST /api/openai-task-suggestion - Get AI task suggestion
   // Extracted from backend/app.js:1279-1317
   fastify.post('/api/openai-task-suggestion', { onRequest: [fastify.authenticate] }, async (request, reply) => {
     try {
-      // If OpenAI client is not initialized, use fallback immediately
-      if (!openai) {
-        fastify.log.warn('OpenAI API key not configured, using fallback');
+      // If no LLM provider is configured, use fallback immediately
+      if (llmRouter.providers().length === 0) {
+        fastify.log.warn('No LLM provider configured, using fallback');
         return reply.send({ suggestion: 'Consider organizing your desk.', fallback: true });
       }
 
-      const timeoutPromise = new Promise((resolve, reject) => {
-        setTimeout(() => {
-          reject(new Error('OpenAI API call timed out after 3 seconds'));
-        }, 3000);
-      });
-
       // Use reusable prompt template
       const prompt = buildTaskSuggestionPrompt();
-      
-      const openaiCallPromise = openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{
-          role: "user",
-          content: prompt
-        }],
+
+      const llmResult = await llmRouter.call(prompt, {
+        userId: request.user.id,
+        purpose: 'task_suggestion',
+        json: false
       });
 
-      const response = await Promise.race([
-        openaiCallPromise,
-        timeoutPromise
-      ]);
+      if (llmResult.output === null) {
+        throw new Error(`Task suggestion failed: ${llmResult.fallbackReason}`);
+      }
 
-      reply.send({ suggestion: response.choices[0].message.content });
+      reply.send({ suggestion: llmResult.output });
 
     } catch (error) {
-      fastify.log.error('OpenAI API error:', error);
+      fastify.log.error('LLM task suggestion error:', error);
 
       // Fallback mechanism (you can expand this to use another LLM or a predefined list)
       reply.send({ suggestion: 'Consider organizing your desk.', fallback: true });
     }
   });
 
-  // DELETE /api/tasks/:id - Delete a task
+  // DELETE /api/tasks/:id - Delete a task (moves it to the trash)
   // Extracted from backend/app.js:1319-1338
   fastify.delete('/api/tasks/:id', { onRequest: [fastify.authenticate] }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const client = await pool.connect();
-      const result = await client.query(
-        'DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING id',
+      const result = await runJournaledMutation(
+        { taskIds: [id], userId: request.user.id, source: 'manual' },
+        'UPDATE tasks SET deleted_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id',
         [id, request.user.id]
       );
-      client.release();
 
       if (result.rowCount === 0) {
         reply.status(404).send({ error: 'Task not found or user not authorized.' });
@@ -692,20 +1446,55 @@ export default async function taskRoutes(fastify, options) {
   fastify.put('/api/tasks/:id', { onRequest: [fastify.authenticate] }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { task_name, description, due_date } = request.body;
+      const { task_name, description, due_date, due_time, priority, list_id: listId, tags } = request.body;
 
-      const client = await pool.connect();
-      const result = await client.query(
+      // Unlike the other fields, due_time and priority can be cleared by sending null
+      const hasDueTime = due_time !== undefined;
+      if (hasDueTime && due_time !== null && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(due_time)) {
+        return reply.status(400).send({ error: 'due_time must be in HH:MM format.' });
+      }
+      const hasPriority = priority !== undefined;
+      if (hasPriority && priority !== null && !isValidPriority(priority)) {
+        return reply.status(400).send({ error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}, or null.` });
+      }
+      // list_id moves the task to one of the user's lists, or out of any list with null
+      const hasListId = listId !== undefined;
+      if (hasListId && listId !== null) {
+        const list = typeof listId === 'string' && UUID_PATTERN.test(listId)
+          ? await pool.query('SELECT id FROM lists WHERE id = $1 AND user_id = $2', [listId, request.user.id])
+          : { rowCount: 0 };
+        if (list.rowCount === 0) {
+          return reply.status(400).send({ error: 'list_id must be the ID of one of your lists, or null.' });
+        }
+      }
+      // tags replaces the task's whole set of tags; [] removes them all
+      const newTags = normalizeTags(tags);
+      if (tags !== undefined && (!newTags || newTags.length !== tags.length || tags.length > MAX_TAGS_PER_TASK)) {
+        return reply.status(400).send({ error: `tags must be an array of at most ${MAX_TAGS_PER_TASK} different tags of letters, digits and hyphens.` });
+      }
+
+      const result = await runJournaledMutation(
+        {
+          taskIds: [id],
+          userId: request.user.id,
+          source: 'manual',
+          afterMutation: newTags && (async (client, { rows: [task] }) => {
+            await setTaskTags(client, request.user.id, task.id, newTags);
+            task.tags = newTags;
+          })
+        },
         `UPDATE tasks
          SET task_name = COALESCE($1, task_name),
              description = COALESCE($2, description),
              due_date = COALESCE($3, due_date),
+             due_time = CASE WHEN $6 THEN $7::time ELSE due_time END,
+             priority = CASE WHEN $8 THEN $9 ELSE priority END,
+             list_id = CASE WHEN $10 THEN $11::uuid ELSE list_id END,
              updated_at = CURRENT_TIMESTAMP
-         WHERE id = $4 AND user_id = $5
-         RETURNING id, task_name, description, due_date, is_completed, original_request, is_archived`,
-        [task_name, description, due_date, id, request.user.id]
+         WHERE id = $4 AND user_id = $5 AND deleted_at IS NULL
+         RETURNING id, task_name, description, due_date, due_time, is_completed, original_request, is_archived, recurrence_rule, priority, list_id, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments`,
+        [task_name, description, due_date, id, request.user.id, hasDueTime, hasDueTime ? due_time : null, hasPriority, hasPriority ? priority : null, hasListId, hasListId ? listId : null]
       );
-      client.release();
 
       if (result.rowCount === 0) {
         reply.status(404).send({ error: 'Task not found or user not authorized.' });
@@ -718,6 +1507,203 @@ export default async function taskRoutes(fastify, options) {
     }
   });
 
+  // Checklist routes answer with the whole task, like PUT /api/tasks/:id
+  const sendTaskNotFound = (reply) => reply.status(404).send({ error: 'Task not found or user not authorized.' });
+  const sendItemNotFound = (reply) => reply.status(404).send({ error: 'Checklist item not found.' });
+  const parseItemId = (value) => {
+    const itemId = Number(value);
+    return Number.isInteger(itemId) && itemId > 0 ? itemId : null;
+  };
+
+  // POST /api/tasks/:id/checklist - Add a step to the end of a task's checklist
+  fastify.post('/api/tasks/:id/checklist', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const text = normalizeChecklistItem(request.body?.text);
+    if (!UUID_PATTERN.test(id)) {
+      return sendTaskNotFound(reply);
+    }
+    if (!text) {
+      return reply.status(400).send({ error: 'text must be between 1 and 250 characters.' });
+    }
+
+    try {
+      // Counted with the task row locked, so concurrent adds cannot pass the cap
+      let isFull = false;
+      const task = await runChecklistChange(id, request.user.id, { reopen: true }, async (client) => {
+        const count = await client.query('SELECT COUNT(*)::int AS count FROM task_checklist_items WHERE task_id = $1', [id]);
+        if (count.rows[0].count >= MAX_CHECKLIST_ITEMS) {
+          isFull = true;
+          return false;
+        }
+        await addChecklistItems(client, id, [text]);
+      });
+      // The cap is only counted once the task is known to be the user's
+      if (isFull) {
+        return reply.status(400).send({ error: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items.` });
+      }
+      if (!task) {
+        return sendTaskNotFound(reply);
+      }
+      reply.status(201).send(task);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // PUT /api/tasks/:id/checklist/order - Reorder a task's checklist;
+  // item_ids lists every item of the checklist in the new order
+  fastify.put('/api/tasks/:id/checklist/order', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const itemIds = request.body?.item_ids;
+    if (!UUID_PATTERN.test(id)) {
+      return sendTaskNotFound(reply);
+    }
+    if (!Array.isArray(itemIds) || itemIds.some(itemId => !Number.isInteger(itemId) || itemId <= 0) || new Set(itemIds).size !== itemIds.length) {
+      return reply.status(400).send({ error: 'item_ids must be an array of the task\'s checklist item IDs.' });
+    }
+
+    try {
+      const task = await runChecklistChange(id, request.user.id, {}, async (client) => {
+        const current = await getChecklist(client, id);
+        if (current.length !== itemIds.length || current.some(item => !itemIds.includes(item.id))) {
+          return false;
+        }
+        await client.query(
+          `UPDATE task_checklist_items ci SET position = item.n, updated_at = CURRENT_TIMESTAMP
+           FROM UNNEST($2::int[]) WITH ORDINALITY AS item(id, n)
+           WHERE ci.id = item.id AND ci.task_id = $1`,
+          [id, itemIds]
+        );
+      });
+      if (task === null) {
+        return sendTaskNotFound(reply);
+      }
+      if (task === false) {
+        return reply.status(400).send({ error: 'item_ids must list every item of the task\'s checklist once.' });
+      }
+      reply.send(task);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // PUT /api/tasks/:id/checklist/:itemId - Tick, untick or reword a step.
+  // Ticking the last open step completes the task; unticking one reopens it.
+  fastify.put('/api/tasks/:id/checklist/:itemId', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const itemId = parseItemId(request.params.itemId);
+    const { text: rawText, is_completed: isCompleted } = request.body || {};
+    if (!UUID_PATTERN.test(id) || !itemId) {
+      return sendItemNotFound(reply);
+    }
+    const text = rawText === undefined ? null : normalizeChecklistItem(rawText);
+    if (rawText !== undefined && !text) {
+      return reply.status(400).send({ error: 'text must be between 1 and 250 characters.' });
+    }
+    if (isCompleted !== undefined && typeof isCompleted !== 'boolean') {
+      return reply.status(400).send({ error: 'is_completed must be a boolean.' });
+    }
+    if (rawText === undefined && isCompleted === undefined) {
+      return reply.status(400).send({ error: 'Send text and/or is_completed.' });
+    }
+
+    try {
+      const task = await runChecklistChange(id, request.user.id, { reopen: isCompleted === false }, async (client) => {
+        const result = await client.query(
+          `UPDATE task_checklist_items
+           SET text = COALESCE($3, text), is_completed = COALESCE($4, is_completed), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND task_id = $2`,
+          [itemId, id, text, isCompleted ?? null]
+        );
+        return result.rowCount > 0;
+      });
+      if (!task) {
+        return sendItemNotFound(reply);
+      }
+      reply.send(task);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // DELETE /api/tasks/:id/checklist/:itemId - Remove a step
+  fastify.delete('/api/tasks/:id/checklist/:itemId', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const itemId = parseItemId(request.params.itemId);
+    if (!UUID_PATTERN.test(id) || !itemId) {
+      return sendItemNotFound(reply);
+    }
+
+    try {
+      const task = await runChecklistChange(id, request.user.id, {}, async (client) => {
+        const result = await client.query('DELETE FROM task_checklist_items WHERE id = $1 AND task_id = $2', [itemId, id]);
+        return result.rowCount > 0;
+      });
+      if (!task) {
+        return sendItemNotFound(reply);
+      }
+      reply.send(task);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/tasks/:id/attachments/:attachmentId - Download a file of the
+  // email a task came from. Gmail attachments are fetched from the mailbox.
+  fastify.get('/api/tasks/:id/attachments/:attachmentId', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    const { id } = request.params;
+    const attachmentId = parseItemId(request.params.attachmentId);
+    const sendAttachmentNotFound = () => reply.status(404).send({ error: 'Attachment not found.' });
+    if (!UUID_PATTERN.test(id) || !attachmentId) {
+      return sendAttachmentNotFound();
+    }
+
+    try {
+      const attachment = await getTaskAttachment(pool, request.user.id, id, attachmentId);
+      if (!attachment) {
+        return sendAttachmentNotFound();
+      }
+      const content = attachment.content
+        || (attachment.gmail_attachment_id && await fetchGmailAttachment(attachment.gmail_message_id, attachment.gmail_attachment_id));
+      if (!content) {
+        return sendAttachmentNotFound();
+      }
+      reply
+        .header('Content-Type', attachment.mime_type)
+        .header('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`)
+        .header('X-Content-Type-Options', 'nosniff')
+        .send(content);
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // POST /api/tasks/:id/restore - Move a task out of the trash
+  fastify.post('/api/tasks/:id/restore', { onRequest: [fastify.authenticate] }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const result = await runJournaledMutation(
+        { taskIds: [id], userId: request.user.id, source: 'manual' },
+        `UPDATE tasks SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING *, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments`,
+        [id, request.user.id]
+      );
+
+      if (result.rowCount === 0) {
+        reply.status(404).send({ error: 'Task not found in trash or user not authorized.' });
+      } else {
+        reply.status(200).send(result.rows[0]);
+      }
+    } catch (err) {
+      fastify.log.error(err);
+      reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
   // PUT /api/tasks/:id/archive - Archive/unarchive a task
   // Extracted from backend/app.js:1369-1394
   fastify.put('/api/tasks/:id/archive', { onRequest: [fastify.authenticate] }, async (request, reply) => {
@@ -729,12 +1715,11 @@ export default async function taskRoutes(fastify, options) {
         return reply.status(400).send({ error: 'Invalid value for is_archived. Must be a boolean.' });
       }
 
-      const client = await pool.connect();
-      const result = await client.query(
-        'UPDATE tasks SET is_archived = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 RETURNING id, is_archived',
+      const result = await runJournaledMutation(
+        { taskIds: [id], userId: request.user.id, source: 'manual' },
+        'UPDATE tasks SET is_archived = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL RETURNING id, is_archived',
         [is_archived, id, request.user.id]
       );
-      client.release();
 
       if (result.rowCount === 0) {
         reply.status(404).send({ error: 'Task not found or user not authorized.' });
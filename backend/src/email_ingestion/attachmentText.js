@@ -0,0 +1,174 @@
+/**
+ * Attachment Text Extraction
+ *
+ * "Please review the attached" says little about the task; the attachment
+ * says more. When EMAIL_ATTACHMENT_TEXT_EXTRACTION is true, the text of small
+ * PDFs, Word (.docx) documents and calendar invites is read and given to the
+ * LLM as extra context. Each file and all files together are kept under a
+ * budget, so a large attachment cannot crowd the email out of the prompt.
+ */
+
+import { extractText, getDocumentProxy } from 'unpdf';
+import mammoth from 'mammoth';
+
+// Largest attachment whose text is extracted
+export const MAX_EXTRACTABLE_ATTACHMENT_BYTES = 1024 * 1024;
+
+// Longest text kept from one attachment, and from all of an email's attachments
+export const MAX_ATTACHMENT_TEXT_LENGTH = 4000;
+export const MAX_ATTACHMENTS_TEXT_LENGTH = 8000;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Calendar properties worth showing, with their labels
+const CALENDAR_FIELDS = {
+  SUMMARY: 'Event',
+  DTSTART: 'Starts',
+  DTEND: 'Ends',
+  LOCATION: 'Location',
+  ORGANIZER: 'Organizer',
+  DESCRIPTION: 'Description'
+};
+
+/**
+ * Whether attachment text is extracted (EMAIL_ATTACHMENT_TEXT_EXTRACTION=true)
+ *
+ * @returns {boolean}
+ */
+export function isAttachmentTextExtractionEnabled() {
+  return process.env.EMAIL_ATTACHMENT_TEXT_EXTRACTION === 'true';
+}
+
+/**
+ * The kind of an attachment whose text can be extracted, by MIME type or,
+ * for mail clients that send application/octet-stream, by extension
+ *
+ * @param {{ filename: string, mimeType: string }} attachment
+ * @returns {'pdf'|'docx'|'calendar'|null}
+ */
+export function attachmentKind({ filename, mimeType }) {
+  const type = String(mimeType || '').toLowerCase();
+  const name = String(filename || '').toLowerCase();
+  if (type === 'application/pdf' || name.endsWith('.pdf')) {
+    return 'pdf';
+  }
+  if (type === DOCX_MIME_TYPE || name.endsWith('.docx')) {
+    return 'docx';
+  }
+  if (type === 'text/calendar' || type === 'application/ics' || name.endsWith('.ics')) {
+    return 'calendar';
+  }
+  return null;
+}
+
+/**
+ * Reads the event of an iCalendar invite as labelled lines
+ * ("Event: Q4 board review"). Folded lines are joined and escapes undone.
+ *
+ * @param {string} text - The .ics file
+ * @returns {string}
+ */
+export function parseCalendarText(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const start = lines.findIndex(line => /^BEGIN:VEVENT$/i.test(line.trim()));
+  const fields = {};
+  for (const line of lines.slice(start + 1)) {
+    if (/^END:VEVENT$/i.test(line.trim())) {
+      break;
+    }
+    const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/i);
+    const name = match && match[1].toUpperCase();
+    if (!match || !(name in CALENDAR_FIELDS) || name in fields) {
+      continue;
+    }
+    let value = match[3]
+      .replace(/\\n/gi, '\n')
+      .replace(/\\([,;\\])/g, '$1')
+      .trim();
+    if (name === 'ORGANIZER') {
+      const commonName = match[2].match(/;CN=("?)([^;:"]*)\1/i);
+      const address = value.replace(/^mailto:/i, '');
+      value = commonName ? `${commonName[2]} <${address}>` : address;
+    } else if (name === 'DTSTART' || name === 'DTEND') {
+      value = formatCalendarDate(value, match[2]);
+    }
+    fields[name] = value;
+  }
+  return Object.entries(CALENDAR_FIELDS)
+    .filter(([name]) => fields[name])
+    .map(([name, label]) => `${label}: ${fields[name]}`)
+    .join('\n');
+}
+
+/**
+ * An iCalendar date ("20251023T140000", TZID=Europe/London) as
+ * "2025-10-23 14:00 (Europe/London)"
+ */
+function formatCalendarDate(value, parameters) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z?))?$/);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour, minute, utc] = match;
+  const timeZone = utc ? 'UTC' : (parameters.match(/;TZID=("?)([^;:"]*)\1/i) || [])[2];
+  return `${year}-${month}-${day}${hour ? ` ${hour}:${minute}` : ''}${hour && timeZone ? ` (${timeZone})` : ''}`;
+}
+
+/**
+ * The text of one attachment
+ *
+ * @param {{ filename: string, mimeType: string }} attachment
+ * @param {Buffer} content
+ * @returns {Promise<string>} '' when the kind is not supported
+ */
+export async function extractAttachmentText(attachment, content) {
+  switch (attachmentKind(attachment)) {
+    case 'pdf': {
+      const pdf = await getDocumentProxy(new Uint8Array(content));
+      const { text } = await extractText(pdf, { mergePages: true });
+      return text;
+    }
+    case 'docx':
+      return (await mammoth.extractRawText({ buffer: content })).value;
+    case 'calendar':
+      return parseCalendarText(content.toString('utf8'));
+    default:
+      return '';
+  }
+}
+
+/**
+ * Adds `text` to the attachments that have extractable text, within the
+ * per-file and per-email budgets. A file that cannot be read keeps no text
+ * and does not stop the others.
+ *
+ * @param {Array<Object>} attachments - { filename, mimeType, size, content? }
+ * @param {Object} options
+ * @param {Function} options.loadContent - async (attachment) => Buffer, for attachments without `content`
+ * @param {Object} options.log - Fastify logger
+ * @returns {Promise<Array<Object>>} The attachments, with `text` where extracted
+ */
+export async function addAttachmentText(attachments, { loadContent, log }) {
+  let remaining = MAX_ATTACHMENTS_TEXT_LENGTH;
+  const result = [];
+  for (const attachment of attachments) {
+    if (remaining <= 0 || !attachmentKind(attachment) || attachment.size > MAX_EXTRACTABLE_ATTACHMENT_BYTES) {
+      result.push(attachment);
+      continue;
+    }
+    try {
+      const content = attachment.content || await loadContent(attachment);
+      const text = (await extractAttachmentText(attachment, content))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n+/g, '\n\n')
+        .trim()
+        .slice(0, Math.min(MAX_ATTACHMENT_TEXT_LENGTH, remaining));
+      remaining -= text.length;
+      result.push(text ? { ...attachment, text } : attachment);
+    } catch (error) {
+      log.warn(`Could not extract text from attachment ${attachment.filename}: ${error.message}`);
+      result.push(attachment);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,120 @@
+/**
+ * Email Content
+ *
+ * Fetches a Gmail message and reduces it to the shape every ingestion channel
+ * hands to ingestEmail(): { subject, sender, body, messageId, inReplyTo,
+ * references, forwarded, attachments, original_request }, where `forwarded`
+ * is a message forwarded inline as a message/rfc822 part. rawEmail.js
+ * produces the same shape from raw RFC 822 messages.
+ */
+
+import { google } from 'googleapis';
+import { convert } from 'html-to-text';
+import { getHeader, extractMessageBody, findForwardedMessage, findAttachments } from './mimeParts.js';
+
+/**
+ * A Gmail client with the app-owned credentials
+ */
+function createGmailClient() {
+  const oAuth2Client = new google.auth.OAuth2(
+    process.env.GMAIL_CLIENT_ID,
+    process.env.GMAIL_CLIENT_SECRET
+  );
+  oAuth2Client.setCredentials({
+    refresh_token: process.env.GMAIL_REFRESH_TOKEN,
+  });
+  return google.gmail({ version: 'v1', auth: oAuth2Client });
+}
+
+export async function fetchEmailContent(emailAddress, messageId) {
+  // Fetch email content using app-owned Gmail credentials
+  try {
+    const gmail = createGmailClient();
+
+    // Use app's email address for fetching messages
+    const appEmail = process.env.GMAIL_APP_EMAIL || emailAddress;
+    const fullMessage = await gmail.users.messages.get({
+      userId: appEmail,
+      id: messageId,
+      format: 'full',
+    });
+
+    const payload = fullMessage.data.payload;
+    const headers = payload.headers;
+    const subject = getHeader(headers, 'Subject');
+    const sender = getHeader(headers, 'From');
+    const messageIdHeader = getHeader(headers, 'Message-ID');
+    const inReplyTo = getHeader(headers, 'In-Reply-To');
+    const references = getHeader(headers, 'References');
+
+    const body = extractMessageBody(payload);
+
+    const truncatedRequest = truncateOriginalRequest(subject, body);
+
+    return {
+      subject: subject,
+      body: body,
+      messageId: messageIdHeader,
+      sender: sender,
+      inReplyTo: inReplyTo,
+      references: references,
+      forwarded: findForwardedMessage(payload),
+      attachments: findAttachments(payload).map(attachment => ({ ...attachment, gmailMessageId: messageId })),
+      original_request: truncatedRequest,
+    };
+
+  } catch (error) {
+    console.error(`Error fetching email content for message ID ${messageId}:`, error);
+    throw new Error('Could not fetch email content.');
+  }
+}
+
+/**
+ * Downloads one attachment of a message in the app's Gmail mailbox
+ *
+ * @param {string} gmailMessageId - Gmail's ID of the message (not its Message-ID header)
+ * @param {string} attachmentId
+ * @returns {Promise<Buffer>}
+ */
+export async function fetchGmailAttachment(gmailMessageId, attachmentId) {
+  const gmail = createGmailClient();
+  const response = await gmail.users.messages.attachments.get({
+    userId: process.env.GMAIL_APP_EMAIL || 'me',
+    messageId: gmailMessageId,
+    id: attachmentId,
+  });
+  return Buffer.from(response.data.data || '', 'base64url');
+}
+
+export function truncateOriginalRequest(subject, body) {
+  const MAX_LENGTH = 30000;
+  
+  // Convert HTML to plain text (removes all tags/scripts)
+  const cleanSubject = subject ? convert(subject, { wordwrap: false }) : '';
+  const cleanBody = body ? convert(body, { wordwrap: false }) : '';
+  
+  let result = '';
+  const subjectText = cleanSubject ? `Subject: ${cleanSubject}` : '';
+  const bodyText = cleanBody || '';
+
+  // Prioritize subject
+  if (subjectText.length >= MAX_LENGTH) {
+    return subjectText.substring(0, MAX_LENGTH - 3) + '...';
+  } else {
+    result += subjectText;
+  }
+
+  // Add body if there's space
+  const remainingLength = MAX_LENGTH - result.length;
+  if (remainingLength > 0 && bodyText.length > 0) {
+    if (result.length > 0) {
+      result += '\n\n'; // Add separator if both exist
+    }
+    const bodyToAppend = bodyText.substring(0, remainingLength - 3);
+    result += bodyToAppend;
+    if (bodyText.length > bodyToAppend.length) {
+      result += '...';
+    }
+  }
+  return result;
+}
@@ -0,0 +1,196 @@
+/**
+ * Forwarded Email Unwrapping
+ *
+ * Users forward mail to the app, so the person who asked for something is
+ * usually not the sender. Before an email is parsed, the forwarded message
+ * is found, either an inline message/rfc822 part (`email.forwarded`, from
+ * fetchEmailContent() or parseRawEmail()) or a Gmail, Outlook, Apple Mail or
+ * Thunderbird forward marker in the body. Its From, Date and Subject are
+ * read, and quoted reply chains and signatures are stripped, so the LLM sees
+ * the original request and who made it.
+ *
+ * The original sender only names the person a task is for; sender
+ * verification still uses the forwarder's own From header.
+ */
+
+// Lines that start a forwarded message
+const FORWARD_MARKERS = [
+  // Gmail "---------- Forwarded message ---------", Thunderbird "-------- Forwarded Message --------"
+  /^\s*-{3,}\s*Forwarded message\s*-{3,}\s*$/i,
+  // Apple Mail
+  /^\s*Begin forwarded message:\s*$/i
+];
+
+// Outlook starts forwarded and replied-to messages alike with these, so they
+// only mark a forward when the subject says so
+const OUTLOOK_MARKERS = [
+  /^\s*-{3,}\s*Original Message\s*-{3,}\s*$/i,
+  /^\s*_{10,}\s*$/
+];
+const FORWARD_SUBJECT = /^\s*(fwd?|fw|tr|wg)\s*:/i;
+
+// A header line in a forwarded message's header block; Outlook may bold the label
+const HEADER_LINE = /^\s*>?\s*\*?(From|Date|Sent|Subject|To|Cc|Reply-To)\s*:\*?\s*(.*)$/i;
+
+// Lines that start an earlier message quoted in a reply
+const REPLY_CHAIN_MARKERS = [
+  /^\s*On\b.+\bwrote:\s*$/i,
+  /^\s*-{3,}\s*Original Message\s*-{3,}\s*$/i
+];
+
+// Lines that start a signature
+const SIGNATURE_MARKERS = [
+  /^--\s*$/,
+  /^\s*Sent from my \S+/i,
+  /^\s*Get Outlook for \S+/i
+];
+
+// Subject prefixes added when forwarding or replying
+const SUBJECT_PREFIX = /^\s*((fwd?|fw|re|aw|tr|wg)\s*:\s*)+/i;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DATE_LENGTH = 100;
+
+/**
+ * Splits a From value into a display name and address. Accepts
+ * "Jane Doe <jane@example.com>", Outlook's "Jane Doe [mailto:jane@example.com]",
+ * a bare address or a bare name. The name is reduced to characters that can
+ * appear in a name, as it is shown to the LLM.
+ *
+ * @param {string} from
+ * @returns {{ name: string, address: string }}
+ */
+export function parseSender(from) {
+  const value = String(from || '').trim();
+  const bracketed = value.match(/^(.*?)[<[]\s*(?:mailto:)?([^\s<>[\]]+@[^\s<>[\]]+)\s*[>\]]/i);
+  const bare = value.match(/^[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+$/);
+  const address = bracketed ? bracketed[2] : bare ? value : '';
+  const rawName = bracketed ? bracketed[1] : bare ? '' : value;
+  const name = rawName
+    .replace(/[^\p{L}\p{M}\p{N} .,'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  return { name, address: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address) ? address.toLowerCase() : '' };
+}
+
+/**
+ * Drops a subject's "Fwd:", "FW:" and "Re:" prefixes
+ *
+ * @param {string} subject
+ * @returns {string}
+ */
+export function stripSubjectPrefixes(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX, '').trim();
+}
+
+/**
+ * Removes quoted reply chains ("On ... wrote:" and everything after it,
+ * Outlook's original-message blocks, "> " lines) and the signature
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripRepliesAndSignature(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // Gmail wraps a long attribution over two lines
+    const attribution = /^\s*On\b/i.test(line) && !/wrote:\s*$/i.test(line) ? `${line} ${lines[i + 1] || ''}` : line;
+    const outlookReplyHeader = /^\s*\*?From\s*:/i.test(line) && /^\s*\*?(Sent|Date)\s*:/i.test(lines[i + 1] || '');
+    if (REPLY_CHAIN_MARKERS.some(marker => marker.test(attribution)) || outlookReplyHeader
+      || SIGNATURE_MARKERS.some(marker => marker.test(line))) {
+      break;
+    }
+    if (!/^\s*>/.test(line)) {
+      kept.push(line);
+    }
+  }
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Reads the header block after a forward marker
+ *
+ * @returns {{ headers: Object, bodyStart: number }} Lowercase header names; index of the first body line
+ */
+function readForwardedHeaders(lines, start) {
+  const headers = {};
+  let i = start;
+  while (i < lines.length && lines[i].trim() === '') {
+    i++;
+  }
+  let match;
+  while (i < lines.length && (match = lines[i].match(HEADER_LINE))) {
+    const name = match[1].toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = match[2].trim();
+    }
+    i++;
+  }
+  return { headers, bodyStart: i };
+}
+
+/**
+ * Finds a forward marker followed by a From header
+ */
+function findForwardInBody(body, subject) {
+  const markers = FORWARD_SUBJECT.test(subject || '') ? [...FORWARD_MARKERS, ...OUTLOOK_MARKERS] : FORWARD_MARKERS;
+  const lines = String(body || '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (!markers.some(marker => marker.test(lines[i]))) {
+      continue;
+    }
+    const { headers, bodyStart } = readForwardedHeaders(lines, i + 1);
+    if (headers.from) {
+      return {
+        note: lines.slice(0, i).join('\n'),
+        sender: headers.from,
+        date: headers.date || headers.sent || '',
+        subject: headers.subject || '',
+        body: lines.slice(bodyStart).join('\n')
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Unwraps a forwarded email
+ *
+ * @param {Object} email - As returned by fetchEmailContent() or parseRawEmail()
+ * @param {string} email.subject
+ * @param {string} email.body
+ * @param {{ sender: string, date: string, subject: string, body: string } | null} [email.forwarded] - An inline message/rfc822 part
+ * @returns {{
+ *   isForwarded: boolean,
+ *   subject: string,
+ *   body: string,
+ *   note: string,
+ *   original: { name: string, address: string, date: string } | null
+ * }} For a forward, `body` is the original message, without its reply
+ *   chain and signature unless that would leave nothing, and `note` what
+ *   the forwarder wrote above it. Otherwise `body` is the email's own text,
+ *   unchanged: quoted lines in a plain reply may be what it asks about.
+ */
+export function unwrapForwardedEmail(email) {
+  const inline = email.forwarded && (email.forwarded.sender || email.forwarded.body)
+    ? { ...email.forwarded, note: email.body }
+    : null;
+  const forward = inline || findForwardInBody(email.body, email.subject);
+  if (!forward) {
+    return { isForwarded: false, subject: email.subject || '', body: email.body || '', note: '', original: null };
+  }
+
+  return {
+    isForwarded: true,
+    subject: stripSubjectPrefixes(forward.subject || email.subject),
+    body: stripRepliesAndSignature(forward.body) || forward.body || '',
+    note: stripRepliesAndSignature(forward.note),
+    original: {
+      ...parseSender(forward.sender),
+      date: String(forward.date || '').replace(/[^\p{L}\p{N} .,:+\-/()]/gu, '').trim().slice(0, MAX_DATE_LENGTH)
+    }
+  };
+}
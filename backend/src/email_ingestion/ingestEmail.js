@@ -0,0 +1,292 @@
+/**
+ * Email Task Ingestion
+ *
+ * Turns a received email into tasks for every user who verified its sender.
+ * The Gmail push webhook, POST /api/email-ingestion (JSON and raw RFC 822)
+ * and the SMTP listener all go through ingestEmail(), so senders are checked,
+ * Message-IDs deduplicated, the LLM output validated (against
+ * LLMEmailTaskOutputSchema, falling back to a single "Review email" task) and
+ * tasks written the same way for each.
+ */
+
+import { buildEmailParsingPrompt } from '../../promptTemplates.js';
+import { validateLLMEmailTaskOutput, createSafeFallbackEmailParsingOutput } from '../schemas/task.schema.js';
+import { unwrapForwardedEmail } from './forwardedEmail.js';
+import { isAttachmentTextExtractionEnabled, addAttachmentText } from './attachmentText.js';
+import { fetchGmailAttachment } from './emailContent.js';
+import { getVerifiedUserIdsForSender } from './emailVerification.js';
+import { claimMessageId, releaseMessageId } from './messageIdService.js';
+import { recordChanges, snapshotTask } from '../tasks/changeJournal.js';
+import { normalizeRecurrenceRule } from '../tasks/recurrence.js';
+import { normalizePriority } from '../tasks/priority.js';
+import { findListForEmail } from '../tasks/lists.js';
+import { normalizeTags, setTaskTags } from '../tasks/tags.js';
+import { normalizeChecklist, addChecklistItems } from '../tasks/checklist.js';
+import { matchTaskAttachments, addTaskAttachments } from '../tasks/attachments.js';
+import { resolveTimeZone, getLocalDateTime, getUserTimeZone } from '../time/timeZone.js';
+
+// Longest original request stored when the caller supplies none
+const MAX_FALLBACK_ORIGINAL_REQUEST_LENGTH = 2000;
+
+/**
+ * The bare, lowercase address of a From header
+ * ("Sender Name <Sender@Example.com>" → "sender@example.com")
+ *
+ * @param {string} from
+ * @returns {string}
+ */
+export function extractSenderAddress(from) {
+  const sender = String(from || '').trim().toLowerCase();
+  const match = sender.match(/<(.*?)>/);
+  return match && match[1] ? match[1].trim() : sender;
+}
+
+/**
+ * Parses an email into tasks with the LLM
+ *
+ * @param {Object} deps
+ * @param {Object} deps.llmRouter
+ * @param {Object} deps.llmLogger
+ * @param {{ sender: string, subject: string, body: string, messageId?: string, forwarded?: Object, attachments?: Array<Object> }} email
+ * @param {Object} context
+ * @param {string} context.requestId
+ * @param {string} context.currentDate - YYYY-MM-DD, for relative dates in the email
+ * @param {string} context.channel - See ingestEmail()
+ * @returns {Promise<{ tasks: Array<Object>, llmUsed: string }>} Validated tasks, or the safe fallback task
+ */
+export async function parseEmailTasks({ llmRouter, llmLogger }, email, { requestId, currentDate, channel }) {
+  // A forwarded email is parsed as the original message, for its original sender
+  const unwrapped = unwrapForwardedEmail(email);
+  llmLogger.info({
+    requestId,
+    event: 'email_llm_request_start',
+    channel,
+    sender: email.sender,
+    messageId: email.messageId,
+    subject: email.subject,
+    contentLength: email.body.length,
+    forwarded: unwrapped.isForwarded,
+    attachmentCount: (email.attachments || []).length
+  }, 'LLM email parsing request initiated');
+
+  const llmResult = await llmRouter.call(buildEmailParsingPrompt({
+    emailContent: unwrapped.body,
+    emailSubject: unwrapped.subject,
+    currentDate,
+    forwardedFrom: unwrapped.original,
+    forwarderNote: unwrapped.note,
+    attachments: email.attachments || []
+  }), {
+    requestId,
+    purpose: `${channel}_email_parsing`
+  });
+  const fallback = () => createSafeFallbackEmailParsingOutput(email.body, email.sender, email.subject).tasks;
+
+  if (!llmResult.output) {
+    llmLogger.warn({
+      requestId,
+      event: 'fallback_activated',
+      channel,
+      reason: 'no_llm_output_email_parsing',
+      llmFallbackReason: llmResult.fallbackReason
+    }, 'No LLM output for email parsing, using safe fallback');
+    return { tasks: fallback(), llmUsed: 'Fallback (No LLM)' };
+  }
+
+  // CRITICAL SECURITY CONTROL: the email is untrusted, and so is the LLM's
+  // reading of it
+  const validationResult = validateLLMEmailTaskOutput(llmResult.output);
+  if (!validationResult.success) {
+    llmLogger.warn({
+      requestId,
+      event: 'validation_failed',
+      channel,
+      issues: validationResult.issues,
+      securitySignal: 'EMAIL_LLM_VALIDATION_FAILURE'
+    }, 'LLM email parsing output failed schema validation, using safe fallback');
+    return { tasks: fallback(), llmUsed: 'Fallback (Validation Failed)' };
+  }
+
+  llmLogger.info({
+    requestId,
+    event: 'validation_success',
+    channel,
+    llmUsed: llmResult.provider,
+    llmLatencyMs: llmResult.latencyMs,
+    llmFallbackReason: llmResult.fallbackReason,
+    taskCount: validationResult.data.tasks.length
+  }, 'LLM email parsing output validated successfully');
+  return { tasks: validationResult.data.tasks, llmUsed: llmResult.provider || 'None' };
+}
+
+/**
+ * Creates an email's tasks for one user, all or none, linked to the email's
+ * Message-ID and attachments and journaled together so one undo reverts them
+ *
+ * @param {Object} pool - pg pool
+ * @param {string} userId
+ * @param {{ sender: string, subject: string, body: string, messageId?: string, originalRequest?: string, attachments?: Array<Object> }} email
+ * @param {Array<Object>} tasks - From parseEmailTasks()
+ * @param {Map<Object, number>} [contentIds] - Attachment content already stored for this email (see addTaskAttachments()); what is stored here is added once committed
+ * @returns {Promise<Array<string>>} IDs of the created tasks
+ */
+export async function createEmailTasks(pool, userId, email, tasks, contentIds = new Map()) {
+  // The user's routing rules may file this email's tasks into a list
+  const listId = await findListForEmail(pool, userId, { sender: email.sender, subject: email.subject });
+  const originalRequest = email.originalRequest || email.body.substring(0, MAX_FALLBACK_ORIGINAL_REQUEST_LENGTH);
+  const taskAttachments = matchTaskAttachments(tasks, email.attachments || []);
+
+  const dbClient = await pool.connect();
+  const journalChanges = [];
+  // Content stored in a transaction that rolls back must not be shared
+  const storedContentIds = new Map(contentIds);
+  try {
+    await dbClient.query('BEGIN');
+    for (const [index, task] of tasks.entries()) {
+      const insertResult = await dbClient.query(
+        "INSERT INTO tasks (id, user_id, task_name, due_date, due_time, is_completed, original_request, message_id, recurrence_rule, priority, list_id, source) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'email') RETURNING id",
+        [
+          userId,
+          task.task_name || `Review email: ${email.subject}`,
+          task.due_date || null,
+          task.due_date && task.due_time ? task.due_time : null,
+          task.is_completed || false,
+          originalRequest,
+          email.messageId || null,
+          normalizeRecurrenceRule(task.recurrence),
+          normalizePriority(task.priority),
+          listId
+        ]
+      );
+      const taskId = insertResult.rows[0].id;
+      const tags = normalizeTags(task.tags) || [];
+      if (tags.length > 0) {
+        await setTaskTags(dbClient, userId, taskId, tags);
+      }
+      await addChecklistItems(dbClient, taskId, normalizeChecklist(task.checklist) || []);
+      await addTaskAttachments(dbClient, taskId, taskAttachments[index], storedContentIds);
+      journalChanges.push({ taskId, before: null, after: await snapshotTask(dbClient, taskId, userId) });
+    }
+    await recordChanges(dbClient, { userId, source: 'email', changes: journalChanges });
+    await dbClient.query('COMMIT');
+  } catch (err) {
+    await dbClient.query('ROLLBACK');
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+
+  for (const [attachment, contentId] of storedContentIds) {
+    contentIds.set(attachment, contentId);
+  }
+  return journalChanges.map(change => change.taskId);
+}
+
+/**
+ * Ingests one received email
+ *
+ * @param {Object} deps
+ * @param {Object} deps.pool - pg pool
+ * @param {Object} deps.llmRouter
+ * @param {Object} deps.llmLogger
+ * @param {Object} deps.log - Fastify logger
+ * @param {Object} email - As returned by fetchEmailContent() or parseRawEmail()
+ * @param {string} email.sender - The From header
+ * @param {string} email.subject
+ * @param {string} email.body - Plain text
+ * @param {string} [email.messageId] - The Message-ID header, for deduplication
+ * @param {string} [email.original_request] - Stored with each task; defaults to the start of the body
+ * @param {Object} [email.forwarded] - An inline forwarded message (see unwrapForwardedEmail())
+ * @param {Array<Object>} [email.attachments] - The email's files (see findAttachments() and parseRawEmail())
+ * @param {string} channel - 'webhook', 'api', 'raw' or 'smtp', for logs
+ * @returns {Promise<{ status: 'unauthorized' } | { status: 'duplicate' } | { status: 'processed', llmUsed: string, taskCount: number, created: Array<{ user_id: string, task_ids: Array<string> }>, failedUserIds: Array<string> }>}
+ */
+export async function ingestEmail({ pool, llmRouter, llmLogger, log }, email, channel) {
+  const sender = extractSenderAddress(email.sender);
+  const userIds = sender ? await getVerifiedUserIdsForSender(sender, pool) : [];
+  if (userIds.length === 0) {
+    log.warn(`Email from unauthorized sender ${sender} rejected`);
+    return { status: 'unauthorized' };
+  }
+
+  if (email.messageId && !(await claimMessageId(pool, email.messageId))) {
+    log.warn(`Email with duplicate Message-ID ${email.messageId} rejected`);
+    return { status: 'duplicate' };
+  }
+
+  let result;
+  try {
+    result = await parseAndCreateEmailTasks({ pool, llmRouter, llmLogger, log }, email, { sender, userIds, channel });
+  } catch (err) {
+    await releaseEmailMessageId(pool, email.messageId, log);
+    throw err;
+  }
+  // Nothing was created, so the sender's retry must not be refused as a duplicate
+  if (result.created.length === 0) {
+    await releaseEmailMessageId(pool, email.messageId, log);
+  }
+  return result;
+}
+
+/**
+ * Releases an email's Message-ID after a failed ingestion. A failure to
+ * release is logged, not thrown: the ingestion has already failed.
+ */
+async function releaseEmailMessageId(pool, messageId, log) {
+  if (!messageId) {
+    return;
+  }
+  try {
+    await releaseMessageId(pool, messageId);
+  } catch (err) {
+    log.error(`Error releasing Message-ID ${messageId}:`, err);
+  }
+}
+
+/**
+ * Parses an email once and creates its tasks for each of the users who
+ * verified its sender (the rest of ingestEmail())
+ */
+async function parseAndCreateEmailTasks({ pool, llmRouter, llmLogger, log }, email, { sender, userIds, channel }) {
+  // Relative dates in the email ("tomorrow") are resolved in the recipient's
+  // time zone; the email is parsed once, so when a sender is shared the first
+  // recipient's zone is used
+  const requestId = `${channel}-email-req_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+  const { date: currentDate } = getLocalDateTime(resolveTimeZone(await getUserTimeZone(pool, userIds[0])));
+  // Text is only read from attachments of emails that will be parsed
+  const attachments = email.attachments && email.attachments.length > 0 && isAttachmentTextExtractionEnabled()
+    ? await addAttachmentText(email.attachments, {
+      loadContent: attachment => fetchGmailAttachment(attachment.gmailMessageId, attachment.gmailAttachmentId),
+      log
+    })
+    : email.attachments || [];
+  const parsedEmail = { sender, subject: email.subject || '', body: email.body || '', messageId: email.messageId, originalRequest: email.original_request, forwarded: email.forwarded || null, attachments };
+  const { tasks, llmUsed } = await parseEmailTasks({ llmRouter, llmLogger }, parsedEmail, { requestId, currentDate, channel });
+
+  const created = [];
+  const failedUserIds = [];
+  // Each attachment's content is stored once, for every recipient
+  const contentIds = new Map();
+  for (const userId of userIds) {
+    try {
+      created.push({ user_id: userId, task_ids: await createEmailTasks(pool, userId, parsedEmail, tasks, contentIds) });
+    } catch (err) {
+      // Other recipients still get their tasks
+      log.error(`Error creating email tasks for user ${userId}:`, err);
+      failedUserIds.push(userId);
+    }
+  }
+
+  llmLogger.info({
+    requestId,
+    event: 'email_processing_complete',
+    channel,
+    llmUsed,
+    taskCount: tasks.length,
+    tasksCreated: created.reduce((sum, result) => sum + result.task_ids.length, 0),
+    userCount: userIds.length,
+    failedUserCount: failedUserIds.length
+  }, 'Email processed');
+
+  return { status: 'processed', llmUsed, taskCount: tasks.length, created, failedUserIds };
+}
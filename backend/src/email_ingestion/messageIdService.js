@@ -1,25 +1,41 @@
-export async function isMessageIdLocked(pool, messageId) {
-  try {
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const { rows } = await pool.query(
-      `SELECT processed_at FROM email_processing_lock WHERE message_id = $1 AND processed_at >= $2;`,
-      [messageId, twentyFourHoursAgo]
-    );
-    return rows.length > 0;
-  } catch (error) {
-    console.error(`Error checking message ID lock for ${messageId}:`, error);
-    return false;
-  }
+/**
+ * Message-ID Locks
+ *
+ * An email is ingested at most once a day per Message-ID. The ingestion
+ * claims the Message-ID before parsing, so a relay delivering the same
+ * message twice at once creates its tasks once, and releases it when no
+ * tasks were created, so the relay's retry is not mistaken for a duplicate.
+ */
+
+// How long a claimed Message-ID is refused
+const MESSAGE_ID_LOCK_INTERVAL = '24 hours';
+
+/**
+ * Claims a Message-ID in one statement: a new one is inserted, and one last
+ * claimed more than a day ago is claimed again
+ *
+ * @param {Object} pool - pg pool
+ * @param {string} messageId
+ * @returns {Promise<boolean>} False when the Message-ID was claimed in the last day
+ */
+export async function claimMessageId(pool, messageId) {
+  const { rows } = await pool.query(
+    `INSERT INTO email_processing_lock (message_id, processed_at) VALUES ($1, NOW())
+     ON CONFLICT (message_id) DO UPDATE SET processed_at = NOW()
+     WHERE email_processing_lock.processed_at < NOW() - INTERVAL '${MESSAGE_ID_LOCK_INTERVAL}'
+     RETURNING message_id`,
+    [messageId]
+  );
+  return rows.length > 0;
 }
 
-export async function addMessageIdToLockTable(pool, messageId) {
-  try {
-    await pool.query(
-      `INSERT INTO email_processing_lock (message_id, processed_at) VALUES ($1, NOW());`,
-      [messageId]
-    );
-    console.log(`Message-ID ${messageId} added to email_processing_lock.`);
-  } catch (error) {
-    console.error(`Error adding message ID ${messageId} to lock table:`, error);
-  }
-}
\ No newline at end of file
+/**
+ * Releases a claimed Message-ID so the email can be ingested again
+ *
+ * @param {Object} pool - pg pool
+ * @param {string} messageId
+ * @returns {Promise<void>}
+ */
+export async function releaseMessageId(pool, messageId) {
+  await pool.query('DELETE FROM email_processing_lock WHERE message_id = $1', [messageId]);
+}
@@ -0,0 +1,212 @@
+/**
+ * MIME Part Walking for Gmail Messages
+ *
+ * Finds the readable body of a Gmail API message (users.messages.get with
+ * format 'full'), whose payload is a tree of parts. Forwarded mail nests
+ * multipart/alternative inside multipart/mixed, so the whole tree is walked:
+ * the first text/plain part wins, and otherwise the first text/html part is
+ * converted to text. Attachments and messages forwarded inline
+ * (message/rfc822) are skipped; findForwardedMessage() reads the latter and
+ * findAttachments() lists the former.
+ * Each part is decoded from base64url and then from its own charset.
+ */
+
+import { convert } from 'html-to-text';
+
+// windows-1252 characters for bytes 0x80-0x9F (undefined bytes stay as is)
+const WINDOWS_1252_C1 = [
+  '€', '', '‚', 'ƒ', '„', '…', '†', '‡', 'ˆ', '‰', 'Š', '‹', 'Œ', '', 'Ž', '',
+  '', '‘', '’', '“', '”', '•', '–', '—', '˜', '™', 'š', '›', 'œ', '', 'ž', 'Ÿ'
+];
+
+/**
+ * A header's value, matched case-insensitively (Gmail passes headers as
+ * sent, so "Message-ID" may arrive as "Message-Id")
+ *
+ * @param {Array<{ name: string, value: string }>} headers
+ * @param {string} name
+ * @returns {string} The first matching value, or ''
+ */
+export function getHeader(headers, name) {
+  const wanted = name.toLowerCase();
+  const header = (headers || []).find(candidate => String(candidate.name).toLowerCase() === wanted);
+  return header ? header.value : '';
+}
+
+/**
+ * The value of one parameter of a structured header
+ * (`text/plain; charset="ISO-8859-1"` → "ISO-8859-1")
+ */
+function getHeaderParameter(value, parameter) {
+  const match = String(value || '').match(new RegExp(`(?:^|;)\\s*${parameter}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? (match[1] ?? match[2]).trim() : '';
+}
+
+/**
+ * Whether a part is an attachment rather than part of the message text
+ */
+function isAttachment(part) {
+  return Boolean(part.filename)
+    || Boolean(part.body && part.body.attachmentId)
+    || /^\s*attachment\b/i.test(getHeader(part.headers, 'Content-Disposition'));
+}
+
+/**
+ * Undoes quoted-printable encoding (soft line breaks and =XX escapes)
+ *
+ * @param {Buffer} bytes
+ * @returns {Buffer}
+ */
+export function decodeQuotedPrintable(bytes) {
+  const text = bytes.toString('latin1')
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(text, 'latin1');
+}
+
+/**
+ * Decodes text in a MIME charset, as UTF-8 when the charset is missing or
+ * unknown
+ *
+ * @param {Buffer} bytes
+ * @param {string} [charset]
+ * @returns {string}
+ */
+export function decodeCharset(bytes, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  // ISO-8859-1 and US-ASCII labels mean windows-1252, but Node decodes
+  // 0x80-0x9F (curly quotes, dashes, €) as control characters
+  if (decoder.encoding === 'windows-1252') {
+    return Array.from(bytes, byte => WINDOWS_1252_C1[byte - 0x80] || String.fromCharCode(byte)).join('');
+  }
+  return decoder.decode(bytes);
+}
+
+/**
+ * The text of one part. Gmail sends bodies base64url encoded and usually
+ * already without their transfer encoding; a quoted-printable body that
+ * still carries its escapes is decoded too.
+ *
+ * @param {Object} part - A Gmail message part
+ * @returns {string}
+ */
+export function decodePartBody(part) {
+  if (!part.body || !part.body.data) {
+    return '';
+  }
+  let bytes = Buffer.from(part.body.data, 'base64url');
+  const transferEncoding = getHeader(part.headers, 'Content-Transfer-Encoding').trim().toLowerCase();
+  if (transferEncoding === 'quoted-printable' && /=\r?\n|=[0-9A-F]{2}/.test(bytes.toString('latin1'))) {
+    bytes = decodeQuotedPrintable(bytes);
+  }
+  return decodeCharset(bytes, getHeaderParameter(getHeader(part.headers, 'Content-Type'), 'charset'));
+}
+
+/**
+ * The first text/plain and text/html parts of a part tree, depth first,
+ * skipping attachments
+ */
+function findTextParts(part, found = { plain: null, html: null }) {
+  if (!part || isAttachment(part)) {
+    return found;
+  }
+  // A part without a Content-Type is text/plain (RFC 2045)
+  const mimeType = String(part.mimeType || 'text/plain').toLowerCase();
+  // A forwarded message's text is not this message's (see findForwardedMessage())
+  if (mimeType === 'message/rfc822') {
+    return found;
+  }
+  if (Array.isArray(part.parts) && part.parts.length > 0) {
+    for (const child of part.parts) {
+      findTextParts(child, found);
+    }
+  } else if (mimeType === 'text/plain' && !found.plain && part.body && part.body.data) {
+    found.plain = part;
+  } else if (mimeType === 'text/html' && !found.html && part.body && part.body.data) {
+    found.html = part;
+  }
+  return found;
+}
+
+/**
+ * The readable body of a Gmail message: its plain text, or its HTML
+ * converted to text
+ *
+ * @param {Object} payload - `data.payload` of a format 'full' message
+ * @returns {string}
+ */
+export function extractMessageBody(payload) {
+  const { plain, html } = findTextParts(payload);
+  if (plain) {
+    return decodePartBody(plain);
+  }
+  if (html) {
+    return convert(decodePartBody(html), { wordwrap: false, selectors: [{ selector: 'img', format: 'skip' }] });
+  }
+  return '';
+}
+
+/**
+ * The first message forwarded inline as a message/rfc822 part. Gmail gives
+ * the forwarded message's headers on the part itself or on its only child.
+ *
+ * @param {Object} payload - `data.payload` of a format 'full' message
+ * @returns {{ sender: string, date: string, subject: string, body: string } | null}
+ */
+export function findForwardedMessage(payload) {
+  if (!payload) {
+    return null;
+  }
+  if (String(payload.mimeType || '').toLowerCase() === 'message/rfc822' && Array.isArray(payload.parts) && payload.parts.length > 0) {
+    const message = getHeader(payload.headers, 'From') ? payload : payload.parts[0];
+    return {
+      sender: getHeader(message.headers, 'From'),
+      date: getHeader(message.headers, 'Date'),
+      subject: getHeader(message.headers, 'Subject'),
+      body: extractMessageBody(message === payload ? { mimeType: 'multipart/mixed', parts: payload.parts } : message)
+    };
+  }
+  for (const child of payload.parts || []) {
+    const forwarded = findForwardedMessage(child);
+    if (forwarded) {
+      return forwarded;
+    }
+  }
+  return null;
+}
+
+/**
+ * The attachments of a Gmail message, forwarded messages' included. Images
+ * shown inline in an HTML body (with a Content-ID and no attachment
+ * disposition) are not attachments to the user.
+ *
+ * @param {Object} payload - `data.payload` of a format 'full' message
+ * @returns {Array<{ filename: string, mimeType: string, size: number, gmailAttachmentId: string|null, content: Buffer|null }>}
+ *   Gmail gives small attachments' data inline and larger ones an attachment ID
+ */
+export function findAttachments(payload, found = []) {
+  if (!payload) {
+    return found;
+  }
+  const mimeType = String(payload.mimeType || '').toLowerCase();
+  const inlineImage = mimeType.startsWith('image/') && getHeader(payload.headers, 'Content-ID')
+    && !/^\s*attachment\b/i.test(getHeader(payload.headers, 'Content-Disposition'));
+  if (payload.filename && mimeType !== 'message/rfc822' && !inlineImage && payload.body) {
+    found.push({
+      filename: payload.filename,
+      mimeType: mimeType || 'application/octet-stream',
+      size: payload.body.size || 0,
+      gmailAttachmentId: payload.body.attachmentId || null,
+      content: payload.body.attachmentId || !payload.body.data ? null : Buffer.from(payload.body.data, 'base64url')
+    });
+  }
+  for (const child of payload.parts || []) {
+    findAttachments(child, found);
+  }
+  return found;
+}
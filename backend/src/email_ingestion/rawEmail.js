@@ -0,0 +1,100 @@
+/**
+ * Raw Email Adapter
+ *
+ * Turns a raw RFC 822 message (an .eml file, a relay's upload, an SMTP DATA
+ * payload) into the shape fetchEmailContent() gives for Gmail messages, so
+ * POST /api/email-ingestion/raw and the SMTP listener hand ingestEmail() the
+ * same input as the Gmail webhook.
+ */
+
+import { simpleParser } from 'mailparser';
+import { truncateOriginalRequest } from './emailContent.js';
+
+// Largest raw message accepted, attachments included
+export const MAX_RAW_EMAIL_BYTES = 10 * 1024 * 1024;
+
+const PARSER_OPTIONS = { skipImageLinks: true, skipTextToHtml: true, skipTextLinks: true };
+
+/**
+ * Parses a raw RFC 822 message
+ *
+ * @param {Buffer|string} raw
+ * @returns {Promise<{ subject: string, sender: string, body: string, messageId: string, inReplyTo: string, references: string, forwarded: Object|null, attachments: Array<Object>, original_request: string }>}
+ *   `sender` is the From header; `body` is the plain text part, or the HTML
+ *   part converted to text; `references` is space-separated, as in the
+ *   header; `forwarded` is a message forwarded inline as message/rfc822;
+ *   `attachments` are this message's and the forwarded message's files
+ */
+export async function parseRawEmail(raw) {
+  const parsed = await simpleParser(raw, PARSER_OPTIONS);
+  const subject = parsed.subject || '';
+  const body = parsed.text || '';
+  const references = Array.isArray(parsed.references) ? parsed.references.join(' ') : parsed.references || '';
+  const forwarded = await parseForwardedMessage(parsed.attachments);
+
+  return {
+    subject,
+    sender: parsed.from?.text || '',
+    body,
+    messageId: parsed.messageId || '',
+    inReplyTo: parsed.inReplyTo || '',
+    references,
+    forwarded: forwarded && forwarded.message,
+    attachments: [...listAttachments(parsed.attachments), ...(forwarded ? forwarded.attachments : [])],
+    original_request: truncateOriginalRequest(subject, body)
+  };
+}
+
+/**
+ * The files among mailparser's attachments: not forwarded messages, nor
+ * images shown inline in the HTML body
+ */
+function listAttachments(attachments) {
+  return (attachments || [])
+    .filter(attachment => attachment.contentType !== 'message/rfc822' && !(attachment.related && attachment.contentDisposition !== 'attachment'))
+    .map(attachment => ({
+      filename: attachment.filename || 'attachment',
+      mimeType: attachment.contentType || 'application/octet-stream',
+      size: attachment.size,
+      content: attachment.content
+    }));
+}
+
+/**
+ * The first message forwarded inline as a message/rfc822 part, which
+ * mailparser lists among the attachments, with its own attachments
+ */
+async function parseForwardedMessage(attachments) {
+  const attachment = (attachments || []).find(candidate => candidate.contentType === 'message/rfc822');
+  if (!attachment) {
+    return null;
+  }
+  const forwarded = await simpleParser(attachment.content, PARSER_OPTIONS);
+  return {
+    message: {
+      sender: forwarded.from?.text || '',
+      date: forwarded.date instanceof Date && !Number.isNaN(forwarded.date.getTime()) ? forwarded.date.toUTCString() : '',
+      subject: forwarded.subject || '',
+      body: forwarded.text || ''
+    },
+    attachments: listAttachments(forwarded.attachments)
+  };
+}
+
+/**
+ * Headers a raw message needs before it can be ingested: From for sender
+ * verification and Message-ID for deduplication
+ *
+ * @param {{ sender: string, messageId: string }} email - From parseRawEmail()
+ * @returns {Array<string>} Names of the missing headers
+ */
+export function findMissingHeaders(email) {
+  const missing = [];
+  if (!email.sender) {
+    missing.push('From');
+  }
+  if (!email.messageId) {
+    missing.push('Message-ID');
+  }
+  return missing;
+}
@@ -0,0 +1,87 @@
+/**
+ * Embedded SMTP Listener
+ *
+ * For self-hosting without Gmail: a mail server (Postfix, a Fastmail forward
+ * through a relay) delivers to this listener, and each message goes through
+ * parseRawEmail() and the same ingestion as every other channel. It has no
+ * AUTH or STARTTLS, so it listens on 127.0.0.1 unless SMTP_INGESTION_HOST
+ * says otherwise; put it behind a mail server that checks SPF/DKIM, since
+ * the From header is what decides whose tasks an email creates.
+ */
+
+import { SMTPServer } from 'smtp-server';
+import { parseRawEmail, findMissingHeaders, MAX_RAW_EMAIL_BYTES } from './rawEmail.js';
+
+export const DEFAULT_SMTP_INGESTION_HOST = '127.0.0.1';
+
+/**
+ * The listener's address from SMTP_INGESTION_PORT and SMTP_INGESTION_HOST
+ *
+ * @returns {{ port: number, host: string } | null} Null when the listener is not enabled
+ */
+export function getSmtpListenerConfig() {
+  const port = Number.parseInt(process.env.SMTP_INGESTION_PORT, 10);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    return null;
+  }
+  return { port, host: process.env.SMTP_INGESTION_HOST || DEFAULT_SMTP_INGESTION_HOST };
+}
+
+/**
+ * An SMTP reply for a rejected message
+ */
+function smtpError(responseCode, message) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+}
+
+/**
+ * Creates the SMTP listener (not yet listening)
+ *
+ * @param {Object} options
+ * @param {Function} options.ingest - async (email) => ingestEmail() result, given parseRawEmail() output
+ * @param {Object} options.log - Fastify logger
+ * @param {number} [options.maxBytes=MAX_RAW_EMAIL_BYTES]
+ * @returns {SMTPServer}
+ */
+export function createSmtpListener({ ingest, log, maxBytes = MAX_RAW_EMAIL_BYTES }) {
+  return new SMTPServer({
+    name: 'cleartask',
+    banner: 'ClearTask email ingestion',
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    size: maxBytes,
+    logger: false,
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('error', callback);
+      stream.on('end', async () => {
+        if (stream.sizeExceeded) {
+          return callback(smtpError(552, 'Message exceeds fixed maximum message size'));
+        }
+        try {
+          const email = await parseRawEmail(Buffer.concat(chunks));
+          const missing = findMissingHeaders(email);
+          if (missing.length > 0) {
+            return callback(smtpError(550, `Message has no ${missing.join(' or ')} header`));
+          }
+
+          const result = await ingest(email);
+          if (result.status === 'unauthorized') {
+            return callback(smtpError(550, 'Sender is not authorized'));
+          }
+          // A duplicate was already ingested; accepting it stops the relay retrying
+          if (result.status === 'processed' && result.created.length === 0) {
+            return callback(smtpError(451, 'Could not create tasks, try again later'));
+          }
+          callback();
+        } catch (error) {
+          log.error('Error ingesting email received over SMTP:', error);
+          callback(smtpError(451, 'Could not process message, try again later'));
+        }
+      });
+    }
+  });
+}
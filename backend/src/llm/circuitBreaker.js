@@ -0,0 +1,130 @@
+/**
+ * Circuit Breaker for LLM providers
+ *
+ * Tracks consecutive failures for a single provider so the provider router can
+ * skip a provider that is known to be down instead of paying its full timeout
+ * on every request.
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are skipped until resetTimeoutMs has elapsed
+ * - half_open: a single probe request is allowed; success closes the
+ *   circuit, failure re-opens it
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Creates a circuit breaker
+ *
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Provider name, used in health snapshots
+ * @param {number} [options.failureThreshold=3] - Consecutive failures (or timeouts) before opening
+ * @param {number} [options.resetTimeoutMs=30000] - How long to stay open before allowing a probe
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {Object} Breaker with canRequest, recordSuccess, recordFailure and snapshot
+ */
+export function createCircuitBreaker({ name, failureThreshold = 3, resetTimeoutMs = 30000, now = Date.now }) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probeInFlight = false;
+  let lastError = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+  let totalSuccesses = 0;
+  let totalFailures = 0;
+  let totalTimeouts = 0;
+
+  function open() {
+    state = CIRCUIT_STATES.OPEN;
+    openedAt = now();
+    probeInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent to the provider right now.
+   * Moves an open circuit to half_open once the reset timeout has elapsed
+   * and reserves the single probe slot for the caller.
+   * @returns {boolean}
+   */
+  function canRequest() {
+    if (state === CIRCUIT_STATES.OPEN && now() - openedAt >= resetTimeoutMs) {
+      state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (state === CIRCUIT_STATES.HALF_OPEN && !probeInFlight) {
+      probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  function recordSuccess() {
+    state = CIRCUIT_STATES.CLOSED;
+    consecutiveFailures = 0;
+    openedAt = null;
+    probeInFlight = false;
+    lastSuccessAt = now();
+    totalSuccesses++;
+  }
+
+  /**
+   * @param {Error} error - Failure reason
+   * @param {boolean} [timedOut=false] - Whether the failure was a timeout
+   */
+  function recordFailure(error, timedOut = false) {
+    consecutiveFailures++;
+    totalFailures++;
+    if (timedOut) {
+      totalTimeouts++;
+    }
+    lastError = error?.message || String(error);
+    lastFailureAt = now();
+
+    if (state === CIRCUIT_STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  }
+
+  /**
+   * Read-only view of the breaker for health reporting
+   * @returns {Object}
+   */
+  function snapshot() {
+    const isOpen = state === CIRCUIT_STATES.OPEN;
+    return {
+      name,
+      state,
+      consecutiveFailures,
+      failureThreshold,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: isOpen ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      lastError,
+      lastFailureAt: lastFailureAt ? new Date(lastFailureAt).toISOString() : null,
+      lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+      totalSuccesses,
+      totalFailures,
+      totalTimeouts
+    };
+  }
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    snapshot,
+    get state() {
+      return state;
+    }
+  };
+}
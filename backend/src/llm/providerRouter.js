@@ -0,0 +1,328 @@
+/**
+ * LLM Provider Router
+ *
+ * Single entry point for every LLM call made by the backend. Walks an ordered
+ * provider chain (see LLM_PROVIDER_CHAIN in promptTemplates.js), applying each
+ * provider's timeout and retry settings, and aborts the in-flight request when
+ * a provider loses the race against its timeout.
+ *
+ * Each provider sits behind a circuit breaker (see circuitBreaker.js), so a
+ * provider that keeps failing is skipped outright until it has had time to
+ * recover, rather than costing every request its full timeout.
+ *
+ * Call sites receive the same structured result regardless of which provider
+ * answered, so fallback behaviour lives in one place instead of being
+ * re-implemented per route.
+ */
+
+import { LLM_CONFIGS, LLM_PROVIDER_CHAIN, LLM_CIRCUIT_BREAKER } from '../../promptTemplates.js';
+import { llmLogger } from '../../utils/llmLogger.js';
+import { createCircuitBreaker, CIRCUIT_STATES } from './circuitBreaker.js';
+
+/**
+ * Error raised when a provider does not answer within its configured timeout
+ */
+export class LLMTimeoutError extends Error {
+  constructor(providerName, timeoutMs) {
+    super(`${providerName} API call timed out after ${timeoutMs / 1000} seconds`);
+    this.name = 'LLMTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs a single chat completion against a provider, racing it against the
+ * provider timeout. The losing request is aborted so it does not keep
+ * consuming a connection (or tokens) after we have moved on.
+ *
+ * @param {Object} client - OpenAI-compatible client
+ * @param {Object} config - Provider configuration from LLM_CONFIGS
+ * @param {string} prompt - Fully built prompt
+ * @param {boolean} json - Whether to request and parse a JSON object response
+ * @returns {Promise<Object|string>} Parsed JSON output, or raw text when json is false
+ */
+async function callProvider(client, config, prompt, json) {
+  const controller = new AbortController();
+  let timeoutId;
+
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new LLMTimeoutError(config.name, config.timeout));
+    }, config.timeout);
+  });
+
+  const request = {
+    model: config.model,
+    messages: [{
+      role: "user",
+      content: prompt
+    }],
+  };
+  const useJsonMode = json && config.jsonMode !== false;
+  if (useJsonMode) {
+    request.response_format = { type: "json_object" };
+  }
+
+  const llmCallPromise = Promise.resolve().then(() => client.chat.completions.create(request, {
+    signal: controller.signal,
+    maxRetries: 0
+  }));
+  // The race below may settle on the timeout first; keep the aborted call
+  // from surfacing as an unhandled rejection.
+  llmCallPromise.catch(() => {});
+
+  try {
+    const response = await Promise.race([llmCallPromise, timeoutPromise]);
+    const content = response.choices[0].message.content;
+    if (!json) {
+      return content;
+    }
+    return useJsonMode ? JSON.parse(content) : extractJsonObject(content);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Pulls a JSON object out of a free-text reply from a provider that does not
+ * support response_format (e.g. wrapped in a ```json fence or prose)
+ *
+ * @param {string} content - Raw completion text
+ * @returns {Object} Parsed JSON object
+ * @throws {SyntaxError} If no JSON object can be found
+ */
+export function extractJsonObject(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new SyntaxError('No JSON object found in LLM response');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Creates a provider router bound to a set of LLM clients
+ *
+ * @param {Object} options - Router options
+ * @param {Object<string, Object|null>} options.clients - OpenAI-compatible clients keyed by the `client` field of each provider config (e.g. { requesty, openai })
+ * @param {Object} [options.configs=LLM_CONFIGS] - Provider configurations keyed by provider key
+ * @param {Array<string>} [options.chain=LLM_PROVIDER_CHAIN] - Ordered provider keys to try
+ * @param {Object} [options.logger=llmLogger] - Pino-compatible logger
+ * @param {Object} [options.circuitBreaker=LLM_CIRCUIT_BREAKER] - Default breaker settings ({ failureThreshold, resetTimeoutMs }); a provider config may override them with its own `circuitBreaker` field
+ * @param {Function} [options.now=Date.now] - Clock passed to the breakers, injectable for tests
+ * @returns {{ call: Function, providers: Function, health: Function }} Router instance
+ */
+export function createProviderRouter({
+  clients,
+  configs = LLM_CONFIGS,
+  chain = LLM_PROVIDER_CHAIN,
+  logger = llmLogger,
+  circuitBreaker = LLM_CIRCUIT_BREAKER,
+  now = Date.now
+}) {
+  // One breaker per provider key, living as long as the router does
+  const breakers = new Map();
+  for (const key of chain) {
+    if (configs[key]) {
+      breakers.set(key, createCircuitBreaker({
+        name: configs[key].name,
+        ...circuitBreaker,
+        ...configs[key].circuitBreaker,
+        now
+      }));
+    }
+  }
+
+  /**
+   * Lists the providers in chain order that have a configured client
+   * @returns {Array<{ key: string, config: Object, client: Object }>}
+   */
+  function providers() {
+    return chain
+      .map(key => ({ key, config: configs[key], client: configs[key] && clients[configs[key].client] }))
+      .filter(provider => provider.config && provider.client);
+  }
+
+  /**
+   * Sends a prompt through the provider chain until one provider answers
+   *
+   * @param {string} prompt - Fully built prompt
+   * @param {Object} [context] - Call context, used for logging and response handling
+   * @param {string} [context.requestId] - Request correlation ID
+   * @param {string} [context.userId] - Authenticated user ID, if any
+   * @param {string} [context.purpose] - Short label for logs (e.g. 'task_parsing')
+   * @param {boolean} [context.json=true] - Request a JSON object response and parse it
+   * @returns {Promise<{ output: Object|string|null, provider: string|null, model: string|null, latencyMs: number, fallbackReason: string|null, attempts: Array<Object> }>}
+   */
+  async function call(prompt, { requestId, userId, purpose, json = true } = {}) {
+    const startedAt = Date.now();
+    const available = providers();
+    const attempts = [];
+
+    if (available.length === 0) {
+      logger.warn({
+        requestId,
+        userId,
+        event: 'llm_no_providers',
+        purpose
+      }, 'No LLM providers configured');
+
+      return {
+        output: null,
+        provider: null,
+        model: null,
+        latencyMs: 0,
+        fallbackReason: 'no_providers_configured',
+        attempts
+      };
+    }
+
+    for (const [index, { key, config, client }] of available.entries()) {
+      const isFallback = index > 0;
+      const maxAttempts = 1 + (config.retries || 0);
+      const breaker = breakers.get(key);
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (!breaker.canRequest()) {
+          // A circuit that opened during our own retries needs no extra record
+          if (attempt === 1) {
+            attempts.push({ provider: config.name, attempt, latencyMs: 0, error: 'circuit open', skipped: true });
+
+            logger.warn({
+              requestId,
+              userId,
+              event: 'llm_provider_skipped',
+              purpose,
+              provider: config.name,
+              reason: 'circuit_open',
+              circuitState: breaker.state
+            }, `Skipping ${config.name}: circuit breaker is open`);
+          }
+          break;
+        }
+
+        if (attempt > 1) {
+          await sleep((config.backoffMs || 0) * 2 ** (attempt - 2));
+        }
+
+        logger.debug({
+          requestId,
+          userId,
+          event: 'llm_call_start',
+          purpose,
+          provider: config.name,
+          model: config.model,
+          timeout: config.timeout,
+          attempt,
+          isFallback
+        }, `Attempting LLM call to ${config.name}`);
+
+        const attemptStartedAt = Date.now();
+        try {
+          const output = await callProvider(client, config, prompt, json);
+          breaker.recordSuccess();
+          const latencyMs = Date.now() - startedAt;
+          attempts.push({ provider: config.name, attempt, latencyMs: Date.now() - attemptStartedAt, error: null });
+
+          logger.info({
+            requestId,
+            userId,
+            event: 'llm_call_success',
+            purpose,
+            provider: config.name,
+            outputSize: JSON.stringify(output).length,
+            latencyMs,
+            isFallback
+          }, `LLM call succeeded using ${config.name}`);
+
+          return {
+            output,
+            provider: config.name,
+            model: config.model,
+            latencyMs,
+            fallbackReason: isFallback ? describeFailures(attempts) : null,
+            attempts
+          };
+        } catch (error) {
+          const timedOut = error instanceof LLMTimeoutError;
+          breaker.recordFailure(error, timedOut);
+          attempts.push({
+            provider: config.name,
+            attempt,
+            latencyMs: Date.now() - attemptStartedAt,
+            error: error.message,
+            timedOut
+          });
+
+          logger.warn({
+            requestId,
+            userId,
+            event: 'llm_call_failed',
+            purpose,
+            provider: config.name,
+            error: error.message,
+            attempt,
+            circuitState: breaker.state,
+            willRetry: attempt < maxAttempts && breaker.state !== CIRCUIT_STATES.OPEN,
+            willFallback: attempt === maxAttempts && index < available.length - 1,
+            isFallback
+          }, `${config.name} failed or timed out`);
+        }
+      }
+    }
+
+    logger.error({
+      requestId,
+      userId,
+      event: 'llm_all_providers_failed',
+      purpose,
+      attempts
+    }, 'All LLM providers failed');
+
+    return {
+      output: null,
+      provider: null,
+      model: null,
+      latencyMs: Date.now() - startedAt,
+      fallbackReason: describeFailures(attempts),
+      attempts
+    };
+  }
+
+  /**
+   * Per-provider health, in chain order, for the admin health route
+   * @returns {Array<Object>} Breaker snapshots plus model and configuration status
+   */
+  function health() {
+    return chain
+      .filter(key => breakers.has(key))
+      .map(key => ({
+        key,
+        model: configs[key].model,
+        configured: Boolean(clients[configs[key].client]),
+        ...breakers.get(key).snapshot()
+      }));
+  }
+
+  return { call, providers, health };
+}
+
+/**
+ * Summarises failed attempts into a short, loggable fallback reason
+ * @param {Array<Object>} attempts - Attempt records collected by the router
+ * @returns {string} e.g. "Requesty: timeout; OpenAI GPT-4o-mini: 500 Internal Server Error"
+ */
+function describeFailures(attempts) {
+  const lastFailureByProvider = new Map();
+  for (const attempt of attempts) {
+    if (attempt.error) {
+      lastFailureByProvider.set(attempt.provider, attempt.timedOut ? 'timeout' : attempt.error);
+    }
+  }
+  return Array.from(lastFailureByProvider, ([provider, reason]) => `${provider}: ${reason}`).join('; ');
+}
@@ -0,0 +1,182 @@
+/**
+ * Fuzzy Task Name Matching
+ *
+ * Scores how well a spoken reference ("the dentist thing") matches an
+ * existing task name ("Book dentist appointment"). Tolerant of plurals,
+ * small transcription errors and extra filler words, but deterministic so
+ * it can run without an LLM.
+ */
+
+// Words that carry no identifying information when referring to a task
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'my', 'our', 'your', 'to', 'for', 'of', 'on', 'in', 'at', 'and',
+  'task', 'tasks', 'item', 'thing', 'one', 'that', 'this', 'it', 'please', 'about'
+]);
+
+/**
+ * Lowercases, strips punctuation and stopwords
+ * @param {string} text
+ * @returns {Array<string>} Significant tokens
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !STOPWORDS.has(token));
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Similarity of two single tokens in [0, 1]. Prefix matches ("dentist" vs
+ * "dentists", "groc" vs "groceries") and shared stems ("grocery" vs
+ * "groceries") score highly; otherwise edit distance is normalised by length.
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const shorter = a.length <= b.length ? a : b;
+  const longer = a.length <= b.length ? b : a;
+  if (shorter.length >= 3 && longer.startsWith(shorter)) {
+    return 0.9;
+  }
+  if (shorter.length >= 4 && commonPrefixLength(a, b) / shorter.length >= 0.75) {
+    return 0.85;
+  }
+  return Math.max(0, 1 - levenshtein(a, b) / longer.length);
+}
+
+/**
+ * Average best-match similarity of every token in `from` against `to`
+ */
+function coverage(from, to) {
+  if (from.length === 0 || to.length === 0) return 0;
+  const total = from.reduce((sum, token) => sum + Math.max(...to.map(other => tokenSimilarity(token, other))), 0);
+  return total / from.length;
+}
+
+/**
+ * Scores a spoken reference against a task name
+ *
+ * The score is the harmonic mean of how much of the reference is found in
+ * the task name and how much of the task name is covered by the reference,
+ * so both "dentist" → "Book dentist appointment" and
+ * "book the dentist appointment" → "Book dentist" land well above unrelated
+ * tasks, while a short reference is not penalised too heavily.
+ *
+ * @param {string} reference - What the user said
+ * @param {string} taskName - Existing task name
+ * @returns {number} Score in [0, 1]
+ */
+export function scoreTaskMatch(reference, taskName) {
+  const referenceTokens = tokenize(reference);
+  const taskTokens = tokenize(taskName);
+  if (referenceTokens.length === 0 || taskTokens.length === 0) {
+    return 0;
+  }
+
+  const recall = coverage(referenceTokens, taskTokens);
+  const precision = coverage(taskTokens, referenceTokens);
+  if (recall === 0 || precision === 0) {
+    return 0;
+  }
+
+  // Weight recall (every spoken word should be in the task) over precision
+  // (users abbreviate long task names)
+  return (2 * recall * precision) / (recall + precision) * 0.5 + recall * 0.5;
+}
+
+/**
+ * Ranks tasks by how well they match a spoken reference
+ *
+ * @param {string} reference - What the user said
+ * @param {Array<Object>} tasks - Candidate tasks with a task_name field
+ * @returns {Array<{ task: Object, score: number }>} Sorted best first
+ */
+export function rankTaskMatches(reference, tasks) {
+  return tasks
+    .map(task => ({ task, score: scoreTaskMatch(reference, task.task_name) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Finds the single best-matching task, if it is a confident match
+ *
+ * A match is rejected when it scores below the threshold, or when the
+ * runner-up is nearly as good (ambiguous references should not silently
+ * edit or delete the wrong task).
+ *
+ * @param {string} reference - What the user said
+ * @param {Array<Object>} tasks - Candidate tasks with a task_name field
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.6] - Minimum score to accept
+ * @param {number} [options.margin=0.05] - Required lead over the runner-up
+ * @returns {{ task: Object, score: number } | null}
+ */
+export function findBestTaskMatch(reference, tasks, { threshold = 0.6, margin = 0.05 } = {}) {
+  const [best, runnerUp] = rankTaskMatches(reference, tasks);
+  if (!best || best.score < threshold) {
+    return null;
+  }
+  if (runnerUp && best.score - runnerUp.score < margin) {
+    return null;
+  }
+  return best;
+}
+
+/**
+ * Scores how strongly an utterance mentions a task: the share of the task
+ * name's words that appear (allowing plurals and small transcription errors)
+ * anywhere in the utterance. Unlike scoreTaskMatch(), the utterance may be a
+ * whole command ("move the dentist appointment to Friday") rather than just
+ * the reference.
+ *
+ * @param {string} utterance - What the user said
+ * @param {string} taskName - Existing task name
+ * @returns {number} Score in [0, 1]
+ */
+export function scoreTaskMention(utterance, taskName) {
+  const utteranceTokens = tokenize(utterance);
+  const taskTokens = tokenize(taskName);
+  if (utteranceTokens.length === 0 || taskTokens.length === 0) {
+    return 0;
+  }
+
+  // Near misses between unrelated words ("move" vs "more") are not mentions
+  const total = taskTokens.reduce((sum, token) => {
+    const best = Math.max(...utteranceTokens.map(other => tokenSimilarity(token, other)));
+    return sum + (best >= 0.8 ? best : 0);
+  }, 0);
+  return total / taskTokens.length;
+}
@@ -0,0 +1,36 @@
+/**
+ * Undo / Redo Voice Commands
+ *
+ * Recognizes spoken history commands ("undo that", "take that back",
+ * "redo") before a transcript is sent to the LLM, so they are handled
+ * deterministically and never turned into a new task.
+ *
+ * Only whole-utterance matches count: "undo the dishes" is not a history
+ * command.
+ */
+
+const POLITE_PREFIX = '^(?:(?:please|ok(?:ay)?|hey|oops|no|wait)[,\\s]+)*(?:(?:can|could|would|will)\\s+you\\s+)?(?:please\\s+)?';
+const POLITE_SUFFIX = '(?:[,\\s]+please)?[.!?\\s]*$';
+const LAST_CHANGE = '(?:that|it|this|the\\s+last\\s+(?:change|thing|one|command|action)|my\\s+last\\s+(?:change|command|action))';
+
+const HISTORY_PATTERNS = [
+  { command: 'undo', pattern: new RegExp(`${POLITE_PREFIX}undo(?:\\s+${LAST_CHANGE})?${POLITE_SUFFIX}`, 'i') },
+  { command: 'undo', pattern: new RegExp(`${POLITE_PREFIX}(?:take|put)\\s+(?:that|it)\\s+back${POLITE_SUFFIX}`, 'i') },
+  { command: 'undo', pattern: new RegExp(`${POLITE_PREFIX}revert\\s+${LAST_CHANGE}${POLITE_SUFFIX}`, 'i') },
+  { command: 'redo', pattern: new RegExp(`${POLITE_PREFIX}redo(?:\\s+${LAST_CHANGE})?${POLITE_SUFFIX}`, 'i') }
+];
+
+/**
+ * Detects an undo/redo voice command
+ *
+ * @param {string} transcribedText
+ * @returns {'undo'|'redo'|null}
+ */
+export function parseHistoryCommand(transcribedText) {
+  if (typeof transcribedText !== 'string') {
+    return null;
+  }
+  const text = transcribedText.trim();
+  const match = HISTORY_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.command : null;
+}
@@ -0,0 +1,247 @@
+/**
+ * Relative Date Resolution
+ *
+ * Deterministic conversion of spoken date expressions ("tomorrow",
+ * "next Friday", "in 3 days", "December 25th") into YYYY-MM-DD strings,
+ * relative to the user's current date. Used by the rule-based voice parser
+ * when no LLM is available.
+ *
+ * All arithmetic is done on UTC calendar dates so results never shift with
+ * the server's own timezone.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+// Full weekday names only (plus "tues"/"thurs"): short forms like "sun" or
+// "sat" are too easily real words in a task name
+const WEEKDAY_PATTERN = '(sunday|monday|tues(?:day)?|wednesday|thurs(?:day)?|friday|saturday)';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, thirty: 30
+};
+
+const NUMBER_PATTERN = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Optional lead-in words that belong to the date expression ("by Friday", "due on the 3rd")
+const LEAD_IN = '(?:(?:due|by|on|for|before|until|at)\\s+)?(?:the\\s+)?';
+
+/**
+ * Parses a YYYY-MM-DD string into a UTC Date at midnight
+ * @param {string} isoDate
+ * @returns {Date}
+ */
+function parseIsoDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+/**
+ * Formats a UTC Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date.getTime());
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function addMonths(date, months) {
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  // Clamp to the last day of the target month (Jan 31 + 1 month = Feb 28/29)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return result;
+}
+
+function weekdayIndex(token) {
+  return WEEKDAYS.findIndex(day => day.startsWith(token.toLowerCase().slice(0, 3)));
+}
+
+function monthIndex(token) {
+  return MONTHS.findIndex(month => month.startsWith(token.toLowerCase().slice(0, 3)));
+}
+
+function parseNumber(token) {
+  const lower = token.toLowerCase();
+  return lower in NUMBER_WORDS ? NUMBER_WORDS[lower] : parseInt(lower, 10);
+}
+
+/**
+ * Next occurrence of a weekday on or after `from` (strictly after when
+ * `strictlyAfter` is set)
+ */
+function upcomingWeekday(from, targetDay, strictlyAfter = false) {
+  let delta = (targetDay - from.getUTCDay() + 7) % 7;
+  if (delta === 0 && strictlyAfter) {
+    delta = 7;
+  }
+  return addDays(from, delta);
+}
+
+/**
+ * Date rules, tried in order. Each has a regex (matched case-insensitively
+ * against the whole utterance) and a resolver returning a UTC Date.
+ *
+ * Conventions:
+ * - A bare weekday ("Friday", "on Friday", "this Friday") is the soonest
+ *   such day, counting today.
+ * - "next Friday" is the Friday of next week: the upcoming Friday, pushed a
+ *   further week if that Friday falls in the current Monday–Sunday week.
+ * - "next week" is the Monday of next week; "next month" is the 1st.
+ * - A month/day without a year that has already passed rolls to next year.
+ */
+const DATE_RULES = [
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'),
+    resolve: (today, m) => new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]))
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:the\\s+)?day\\s+after\\s+tomorrow\\b`, 'i'),
+    resolve: (today) => addDays(today, 2)
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:tomorrow|tmrw|tomorow)(?:\\s+(?:morning|afternoon|evening|night))?\\b`, 'i'),
+    resolve: (today) => addDays(today, 1)
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:today|tonight|this\\s+(?:morning|afternoon|evening))\\b`, 'i'),
+    resolve: (today) => today
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}in\\s+${NUMBER_PATTERN}\\s+(day|week|month|year)s?\\b`, 'i'),
+    resolve: (today, m) => {
+      const amount = parseNumber(m[1]);
+      const unit = m[2].toLowerCase();
+      if (unit === 'day') return addDays(today, amount);
+      if (unit === 'week') return addDays(today, amount * 7);
+      if (unit === 'month') return addMonths(today, amount);
+      return addMonths(today, amount * 12);
+    }
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}${NUMBER_PATTERN}\\s+(day|week)s?\\s+from\\s+(?:now|today)\\b`, 'i'),
+    resolve: (today, m) => addDays(today, parseNumber(m[1]) * (m[2].toLowerCase() === 'week' ? 7 : 1))
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}next\\s+${WEEKDAY_PATTERN}\\b`, 'i'),
+    resolve: (today, m) => {
+      const upcoming = upcomingWeekday(today, weekdayIndex(m[1]), true);
+      // Days until the end of the current Monday–Sunday week
+      const daysLeftInWeek = (7 - today.getUTCDay()) % 7;
+      const daysAway = Math.round((upcoming - today) / 86400000);
+      return daysAway <= daysLeftInWeek ? addDays(upcoming, 7) : upcoming;
+    }
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:this\\s+)?${WEEKDAY_PATTERN}\\b`, 'i'),
+    resolve: (today, m) => upcomingWeekday(today, weekdayIndex(m[1]))
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}next\\s+week\\b`, 'i'),
+    resolve: (today) => upcomingWeekday(today, 1, true)
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:the\\s+)?end\\s+of\\s+(?:the|this)\\s+week\\b`, 'i'),
+    resolve: (today) => upcomingWeekday(today, 5)
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}next\\s+month\\b`, 'i'),
+    resolve: (today) => new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1))
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD_IN}(?:the\\s+)?end\\s+of\\s+(?:the|this)\\s+month\\b`, 'i'),
+    resolve: (today) => new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0))
+  },
+  {
+    // "December 25", "Dec 25th", "December 25th 2026"
+    pattern: new RegExp(`\\b${LEAD_IN}${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    resolve: (today, m) => calendarDate(today, monthIndex(m[1]), +m[2], m[3] && +m[3])
+  },
+  {
+    // "25 December", "the 25th of December"
+    pattern: new RegExp(`\\b${LEAD_IN}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    resolve: (today, m) => calendarDate(today, monthIndex(m[2]), +m[1], m[3] && +m[3])
+  }
+];
+
+/**
+ * Builds a calendar date, rolling forward a year when no year was spoken and
+ * the date has already passed. Returns null for impossible dates (Feb 30).
+ */
+function calendarDate(today, month, day, year) {
+  const resolvedYear = year || today.getUTCFullYear();
+  let date = new Date(Date.UTC(resolvedYear, month, day));
+  if (date.getUTCMonth() !== month) {
+    return null;
+  }
+  if (!year && date < today) {
+    date = new Date(Date.UTC(resolvedYear + 1, month, day));
+  }
+  return date;
+}
+
+/**
+ * Finds the first date expression in a piece of text
+ *
+ * @param {string} text - Utterance to scan
+ * @param {string} currentDate - The user's current date in YYYY-MM-DD format
+ * @returns {{ date: string, matchedText: string, index: number } | null} The resolved date and the exact text it came from
+ */
+export function findDateExpression(text, currentDate) {
+  if (!text) {
+    return null;
+  }
+  const today = parseIsoDate(currentDate);
+
+  for (const rule of DATE_RULES) {
+    const match = text.match(rule.pattern);
+    if (match) {
+      const date = rule.resolve(today, match);
+      if (date && !isNaN(date.getTime())) {
+        return { date: formatIsoDate(date), matchedText: match[0], index: match.index };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the first date expression in text, or null when there is none
+ *
+ * @param {string} text - Utterance to scan
+ * @param {string} currentDate - The user's current date in YYYY-MM-DD format
+ * @returns {string|null} YYYY-MM-DD date
+ */
+export function resolveRelativeDate(text, currentDate) {
+  return findDateExpression(text, currentDate)?.date || null;
+}
+
+/**
+ * Removes the first date expression from text, returning the remaining text
+ * and the resolved date
+ *
+ * @param {string} text - Utterance to scan
+ * @param {string} currentDate - The user's current date in YYYY-MM-DD format
+ * @returns {{ text: string, date: string|null }}
+ */
+export function extractDateExpression(text, currentDate) {
+  const found = findDateExpression(text, currentDate);
+  if (!found) {
+    return { text: text.trim(), date: null };
+  }
+  const remaining = (text.slice(0, found.index) + ' ' + text.slice(found.index + found.matchedText.length))
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/[\s,]+$/, '')
+    .trim();
+  return { text: remaining, date: found.date };
+}
@@ -0,0 +1,361 @@
+/**
+ * Rule-Based Task Parser
+ *
+ * Deterministic, offline parser for voice commands. Used by
+ * create-from-voice when no LLM provider answers, so the app still
+ * understands common phrasings instead of copying the whole transcript into
+ * a new task.
+ *
+ * Output always has the LLMTaskOutputSchema shape, so it goes through the
+ * same validation and database logic as LLM output.
+ *
+ * Supported commands:
+ * - Create:      "remind me to call mom tomorrow", "add buy milk"
+ * - Complete:    "mark X done", "complete X", "X is done", "tick off X"
+ * - Uncomplete:  "mark X not done", "reopen X"
+ * - Rename:      "rename X to Y", "change X to Y"
+ * - Reschedule:  "move X to Friday", "change the due date of X to tomorrow"
+ * - Prioritize:  "make X high priority", "set the priority of X to urgent"
+ * - File:        "move X to groceries", "add bread to groceries" (only for the user's own lists)
+ * - Tag:         "tag X errand", "tag X as phone call", "add buy stamps, tag it errand"
+ * - Tick a step: "tick off step two of X", "tick off the last step of X"
+ * - Delete:      "delete X", "remove X", "get rid of X"
+ *
+ * Commands that reference a task are matched against the user's existing
+ * tasks with fuzzy scoring. When no task matches confidently, the command
+ * falls back to creating a task from the whole transcript.
+ */
+
+import { extractDateExpression, findDateExpression } from './relativeDates.js';
+import { findBestTaskMatch } from './fuzzyMatch.js';
+import { TASK_PRIORITIES } from '../tasks/priority.js';
+import { findListByName } from '../tasks/lists.js';
+import { normalizeTags } from '../tasks/tags.js';
+import { MAX_CHECKLIST_ITEMS } from '../tasks/checklist.js';
+
+const MAX_TASK_NAME_LENGTH = 250;
+const MAX_ORIGINAL_REQUEST_LENGTH = 2000;
+
+const POLITE_PREFIX = '^(?:(?:please|ok(?:ay)?|hey)[,\\s]+)*(?:(?:can|could|would|will)\\s+you\\s+)?(?:please\\s+)?';
+const DONE_WORDS = '(?:done|complete|completed|finished)';
+const NOT_DONE_WORDS = '(?:not\\s+done|not\\s+complete(?:d)?|not\\s+finished|incomplete|undone|unfinished)';
+const PRIORITY_WORDS = `(${TASK_PRIORITIES.join('|')})`;
+
+// Spoken step numbers ("step two", "the second step"); digits are also accepted
+const STEP_NUMBER_WORDS = [
+  ['one', 'first'], ['two', 'second'], ['three', 'third'], ['four', 'fourth'], ['five', 'fifth'],
+  ['six', 'sixth'], ['seven', 'seventh'], ['eight', 'eighth'], ['nine', 'ninth'], ['ten', 'tenth'],
+  ['eleven', 'eleventh'], ['twelve', 'twelfth']
+];
+const STEP_OF = '\\s+(?:of|on|in|for)\\s+';
+
+/**
+ * Command rules referencing an existing task, tried in order. `reference`
+ * is the capture group naming the task; `target` (if any) is the new name,
+ * date or step. Groups are positional (reference first) unless named.
+ */
+const COMMAND_RULES = [
+  {
+    type: 'delete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:delete|remove|cancel|erase|get\\s+rid\\s+of)\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'uncomplete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:mark|set)\\s+(.+?)\\s+(?:as\\s+)?${NOT_DONE_WORDS}$`, 'i')
+  },
+  {
+    type: 'uncomplete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:uncheck|untick|reopen)\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'uncomplete',
+    pattern: new RegExp(`^(.+?)\\s+(?:is|are)\\s+(?:still\\s+)?${NOT_DONE_WORDS}$`, 'i')
+  },
+  {
+    type: 'prioritize',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:change|set|update|make)\\s+the\\s+priority\\s+(?:of|for|on)\\s+(.+?)\\s+(?:to\\s+)?${PRIORITY_WORDS}$`, 'i')
+  },
+  {
+    type: 'prioritize',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:make|mark|set|flag)\\s+(.+?)\\s+(?:as\\s+|to\\s+)?(?:an?\\s+)?${PRIORITY_WORDS}(?:\\s+priority)?$`, 'i')
+  },
+  {
+    type: 'tag',
+    pattern: new RegExp(`${POLITE_PREFIX}tag\\s+(.+?)\\s+(?:as|with)\\s+(.+)$`, 'i')
+  },
+  {
+    // Without "as", only the last word is the tag: "tag the rent errand"
+    type: 'tag',
+    pattern: new RegExp(`${POLITE_PREFIX}tag\\s+(.+?)\\s+(#?\\S+)$`, 'i')
+  },
+  {
+    type: 'tick',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:tick|check|cross)\\s+off\\s+(?:step|item)\\s+(?<target>\\w+)${STEP_OF}(?<reference>.+)$`, 'i')
+  },
+  {
+    type: 'tick',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:tick|check|cross)\\s+off\\s+the\\s+(?<target>\\w+)\\s+(?:step|item)${STEP_OF}(?<reference>.+)$`, 'i')
+  },
+  {
+    type: 'tick',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:mark|set)\\s+(?:step|item)\\s+(?<target>\\w+)${STEP_OF}(?<reference>.+?)\\s+(?:as\\s+)?${DONE_WORDS}$`, 'i')
+  },
+  {
+    type: 'complete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:mark|set)\\s+(.+?)\\s+(?:as\\s+)?${DONE_WORDS}$`, 'i')
+  },
+  {
+    type: 'complete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:tick|check|cross)\\s+off\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'complete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:tick|check|cross)\\s+(.+?)\\s+off$`, 'i')
+  },
+  {
+    type: 'complete',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:i(?:'ve|\\s+have)?\\s+)?(?:complete|completed|finish|finished)\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'complete',
+    pattern: new RegExp(`^(.+?)\\s+(?:is|are)\\s+(?:now\\s+)?${DONE_WORDS}$`, 'i')
+  },
+  {
+    // Only when the target is one of the user's lists; otherwise a reschedule
+    type: 'file',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:move|put|file)\\s+(.+?)\\s+(?:to|in|into|on|under)\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'reschedule',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:change|set|update|move)\\s+the\\s+(?:due\\s+)?date\\s+(?:of|for|on)\\s+(.+?)\\s+to\\s+(.+)$`, 'i')
+  },
+  {
+    type: 'reschedule',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:move|reschedule|push|postpone|delay)\\s+(.+?)\\s+(?:back\\s+)?(?:to|until|till|for)\\s+(.+)$`, 'i')
+  },
+  {
+    // "change X to Y" is a reschedule when Y is only a date, otherwise a rename
+    type: 'rename',
+    pattern: new RegExp(`${POLITE_PREFIX}(?:rename|change|update)\\s+(.+?)\\s+to\\s+(?:say\\s+|read\\s+|be\\s+)?(.+)$`, 'i')
+  }
+];
+
+// Filler phrases stripped from the start of a create command
+const CREATE_PREFIXES = [
+  /^(?:please|ok(?:ay)?|hey)[,\s]+/i,
+  /^(?:can|could|would|will)\s+you\s+/i,
+  /^(?:remind\s+me|don't\s+forget|do\s+not\s+forget)\s+(?:to\s+)?/i,
+  /^(?:i\s+)?(?:need|have|want|must|got)\s+to\s+/i,
+  /^i\s+(?:should|must)\s+/i,
+  /^add\s+(?:(?:a\s+)?(?:new\s+)?(?:task|to-?do|reminder)\s*(?:to|for|called|named|:)?\s*)?/i,
+  /^create\s+(?:a\s+)?(?:new\s+)?(?:task|to-?do|reminder)\s*(?:to|for|called|named|:)?\s*/i,
+  /^(?:new\s+)?(?:task|to-?do|reminder)\s*(?:to|for|called|named|:)\s*/i,
+  /^new\s+(?:task|to-?do|reminder)\s+/i
+];
+
+// Filler phrases stripped from the end of a create command
+const CREATE_SUFFIXES = [
+  /\s+(?:to|on)\s+(?:my|the)\s+(?:to-?do\s+|task\s+)?list$/i,
+  /\s+please$/i
+];
+
+function normalizeUtterance(text) {
+  return text.trim().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function stripFillers(text) {
+  let result = text;
+  let previous;
+  do {
+    previous = result;
+    for (const pattern of [...CREATE_PREFIXES, ...CREATE_SUFFIXES]) {
+      result = result.replace(pattern, '').trim();
+    }
+  } while (result !== previous);
+  return result;
+}
+
+function buildOutput(fields, transcribedText) {
+  return {
+    task_name: fields.task_name.substring(0, MAX_TASK_NAME_LENGTH),
+    due_date: fields.due_date ?? null,
+    is_completed: fields.is_completed ?? false,
+    original_request: transcribedText.substring(0, MAX_ORIGINAL_REQUEST_LENGTH),
+    intent: fields.intent,
+    task_id: fields.task_id ?? null,
+    ...(fields.priority && { priority: fields.priority }),
+    ...(fields.list_name && { list_name: fields.list_name }),
+    ...(fields.tags && { tags: fields.tags }),
+    ...(fields.item_number && { item_number: fields.item_number })
+  };
+}
+
+/**
+ * Reads a spoken step number ("two", "second", "2", "2nd"); "last" is the
+ * checklist's last step
+ */
+function parseStepNumber(text, checklistLength) {
+  const word = text.toLowerCase();
+  if (word === 'last') {
+    return checklistLength;
+  }
+  const digits = word.match(/^(\d+)(?:st|nd|rd|th)?$/);
+  if (digits) {
+    return Number(digits[1]);
+  }
+  const index = STEP_NUMBER_WORDS.findIndex(words => words.includes(word));
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Splits spoken tags ("errand and phone call", "#errand, #home") into
+ * normalized tags
+ */
+function splitTags(text) {
+  return normalizeTags(text.split(/\s*,\s*|\s+and\s+/i));
+}
+
+/**
+ * Splits a trailing ", tag it errand" / "tagged phone call" off a create command
+ */
+function extractTags(text) {
+  const match = text.match(/^(.+?),?\s+(?:and\s+)?tag(?:ged)?\s+(?:it\s+)?(?:as\s+|with\s+)?(.+)$/i);
+  const tags = match ? splitTags(match[2]) : [];
+  return tags.length > 0 ? { text: match[1], tags } : { text, tags: null };
+}
+
+/**
+ * Splits a trailing "to groceries" / "on my work list" off a create command
+ * when it names one of the user's lists
+ */
+function extractListName(text, lists) {
+  const match = lists.length > 0 ? text.match(/^(.+)\s+(?:to|on|in|into|for)\s+(.+)$/i) : null;
+  const list = match ? findListByName(lists, match[2]) : null;
+  return list ? { text: match[1], listName: list.name } : { text, listName: null };
+}
+
+/**
+ * Builds a create_task output, pulling out any list, date expression and filler
+ */
+function parseCreateCommand(text, transcribedText, currentDate, lists) {
+  const { text: withoutTags, tags } = extractTags(text);
+  const { text: withoutDate, date } = extractDateExpression(withoutTags, currentDate);
+  const { text: withoutList, listName } = extractListName(withoutDate, lists);
+  const taskName = stripFillers(withoutList) || stripFillers(text) || text;
+
+  return buildOutput({
+    task_name: capitalize(taskName),
+    due_date: date,
+    list_name: listName,
+    tags,
+    intent: 'create_task'
+  }, transcribedText);
+}
+
+/**
+ * Turns a matched command rule into an output, or null if it cannot be
+ * applied (e.g. a reschedule without a recognisable date)
+ */
+function applyCommand(type, task, target, currentDate, transcribedText, lists) {
+  const base = {
+    task_name: task.task_name,
+    is_completed: task.is_completed ?? false,
+    task_id: task.id
+  };
+
+  switch (type) {
+    case 'delete':
+      return buildOutput({ ...base, intent: 'delete_task' }, transcribedText);
+
+    case 'complete':
+      return buildOutput({ ...base, is_completed: true, intent: 'edit_task' }, transcribedText);
+
+    case 'uncomplete':
+      return buildOutput({ ...base, is_completed: false, intent: 'edit_task' }, transcribedText);
+
+    case 'prioritize':
+      return buildOutput({ ...base, priority: target.toLowerCase(), intent: 'edit_task' }, transcribedText);
+
+    case 'file': {
+      const list = findListByName(lists, target);
+      return list ? buildOutput({ ...base, list_name: list.name, intent: 'edit_task' }, transcribedText) : null;
+    }
+
+    case 'tag': {
+      // The task keeps the tags it already has
+      const tags = splitTags(target);
+      return tags.length > 0
+        ? buildOutput({ ...base, tags: normalizeTags([...(task.tags || []), ...tags]), intent: 'edit_task' }, transcribedText)
+        : null;
+    }
+
+    case 'tick': {
+      // A step past the end is left to the server, which reports it as not found
+      const itemNumber = parseStepNumber(target, task.checklist?.length || 0);
+      return itemNumber >= 1 && itemNumber <= MAX_CHECKLIST_ITEMS
+        ? buildOutput({ ...base, item_number: itemNumber, intent: 'tick_item' }, transcribedText)
+        : null;
+    }
+
+    case 'reschedule': {
+      const found = findDateExpression(target, currentDate);
+      if (!found) {
+        return null;
+      }
+      return buildOutput({ ...base, due_date: found.date, intent: 'edit_task' }, transcribedText);
+    }
+
+    case 'rename': {
+      const { text: newName, date } = extractDateExpression(target, currentDate);
+      if (!newName) {
+        // "change X to Friday" - the target was only a date
+        return date ? buildOutput({ ...base, due_date: date, intent: 'edit_task' }, transcribedText) : null;
+      }
+      return buildOutput({ ...base, task_name: capitalize(newName), due_date: date, intent: 'edit_task' }, transcribedText);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses a voice command into task data without an LLM
+ *
+ * @param {Object} params
+ * @param {string} params.transcribedText - The user's transcribed speech
+ * @param {string} params.currentDate - The user's current date in YYYY-MM-DD format
+ * @param {Array<Object>} [params.existingTasks] - User's tasks ({ id, task_name, due_date, is_completed, tags, checklist })
+ * @param {Array<{ name: string }>} [params.lists] - User's task lists
+ * @returns {Object} Task data in the LLMTaskOutputSchema shape
+ */
+export function parseTaskCommand({ transcribedText, currentDate, existingTasks = [], lists = [] }) {
+  const text = normalizeUtterance(transcribedText || '');
+  if (!text) {
+    return buildOutput({ task_name: transcribedText || 'New task', intent: 'create_task' }, transcribedText || '');
+  }
+
+  for (const rule of COMMAND_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+
+    const [, reference, target] = match.groups ? [null, match.groups.reference, match.groups.target] : match;
+    const best = findBestTaskMatch(reference, existingTasks);
+    if (!best) continue;
+
+    const output = applyCommand(rule.type, best.task, target, currentDate, transcribedText, lists);
+    if (output) {
+      return output;
+    }
+    if (rule.type === 'tick') {
+      // An unreadable step number must not fall through to completing the whole task
+      break;
+    }
+  }
+
+  return parseCreateCommand(text, transcribedText, currentDate, lists);
+}
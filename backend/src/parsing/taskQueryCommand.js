@@ -0,0 +1,112 @@
+/**
+ * Task Query Voice Commands
+ *
+ * Recognizes common questions about the user's tasks ("what's on today?",
+ * "what's due this week?", "what's overdue?") when no LLM is available, so
+ * the rule-based fallback answers them instead of creating a task named
+ * after the question.
+ *
+ * Output has the LLMTaskQuerySchema shape and goes through the same
+ * validation as LLM output. Only whole-utterance matches count.
+ */
+
+import { findDateExpression } from './relativeDates.js';
+import { addDaysToDate } from '../time/timeZone.js';
+import { QUERY_INTENT } from '../schemas/task.schema.js';
+
+const POLITE_PREFIX = '^(?:(?:please|ok(?:ay)?|hey|so)[,\\s]+)*(?:(?:can|could|would|will)\\s+you\\s+)?(?:please\\s+)?';
+const SUFFIX = '(?:[,\\s]+please)?[.!?\\s]*$';
+const WHAT = "(?:what(?:'s|\\s+is|\\s+are|\\s+do\\s+i\\s+have|\\s+have\\s+i\\s+got)|is\\s+there\\s+anything|do\\s+i\\s+have\\s+anything)";
+const LIST = '(?:(?:tell|read|give|show)(?:\\s+me)?|list|read\\s+out)';
+const MY_TASKS = '(?:my\\s+)?(?:tasks|to-?dos|to\\s+do\\s+list|list|agenda|schedule|plate)';
+const WHEN = '(?:\\s+(?:for\\s+|on\\s+|due\\s+)?(.+?))?';
+
+const QUERY_RULES = [
+  { overdue: true, pattern: new RegExp(`${POLITE_PREFIX}${WHAT}\\s+(?:overdue|late|past\\s+due)${SUFFIX}`, 'i') },
+  { overdue: true, pattern: new RegExp(`${POLITE_PREFIX}(?:${LIST}\\s+)?(?:my\\s+|the\\s+)?overdue\\s+(?:tasks|to-?dos)${SUFFIX}`, 'i') },
+  { completed: true, pattern: new RegExp(`${POLITE_PREFIX}what\\s+(?:have\\s+i|did\\s+i)\\s+(?:done|do|completed|complete|finished|finish)${WHEN}${SUFFIX}`, 'i') },
+  { pattern: new RegExp(`${POLITE_PREFIX}${WHAT}\\s+(?:on|due|coming\\s+up|to\\s+do)(?:\\s+(?:on\\s+)?${MY_TASKS})?${WHEN}${SUFFIX}`, 'i') },
+  { pattern: new RegExp(`${POLITE_PREFIX}${WHAT}\\s+(?:on\\s+)?${MY_TASKS}${WHEN}${SUFFIX}`, 'i') },
+  // "what do I have tomorrow?": only when the rest is a date
+  { pattern: new RegExp(`${POLITE_PREFIX}${WHAT}\\s+(.+?)${SUFFIX}`, 'i') },
+  { allDates: true, pattern: new RegExp(`${POLITE_PREFIX}${LIST}\\s+${MY_TASKS}${WHEN}${SUFFIX}`, 'i') },
+  { pattern: new RegExp(`${POLITE_PREFIX}(?:daily\\s+)?briefing${SUFFIX}`, 'i') }
+];
+
+/**
+ * Day of the week, Monday = 0
+ */
+function weekdayFromMonday(isoDate) {
+  return (new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Resolves a spoken period into an inclusive date range
+ *
+ * @returns {{ due_from: string, due_to: string } | null} null when the period is not understood
+ */
+function resolvePeriod(period, currentDate) {
+  const text = period.trim().toLowerCase().replace(/^(?:the\s+)?(?:rest\s+of\s+)?/, '');
+  const endOfWeek = addDaysToDate(currentDate, 6 - weekdayFromMonday(currentDate));
+
+  if (/^(?:today|tonight|this\s+(?:morning|afternoon|evening))$/.test(text)) {
+    return { due_from: currentDate, due_to: currentDate };
+  }
+  if (/^this\s+week$/.test(text)) {
+    return { due_from: currentDate, due_to: endOfWeek };
+  }
+  if (/^next\s+week$/.test(text)) {
+    return { due_from: addDaysToDate(endOfWeek, 1), due_to: addDaysToDate(endOfWeek, 7) };
+  }
+  if (/^(?:the\s+)?(?:next\s+(?:few|couple\s+of)\s+days)$/.test(text)) {
+    return { due_from: currentDate, due_to: addDaysToDate(currentDate, 3) };
+  }
+  // The whole period must be a date: "the party tomorrow" is not one
+  const found = findDateExpression(text, currentDate);
+  return found && found.matchedText.trim().length === text.length ? { due_from: found.date, due_to: found.date } : null;
+}
+
+/**
+ * Detects a question about the user's tasks
+ *
+ * @param {Object} params
+ * @param {string} params.transcribedText - The user's utterance
+ * @param {string} params.currentDate - The user's current date in YYYY-MM-DD format
+ * @returns {Object|null} A query in the LLMTaskQuerySchema shape, or null when the utterance is not a question
+ */
+export function parseTaskQueryCommand({ transcribedText, currentDate }) {
+  if (typeof transcribedText !== 'string') {
+    return null;
+  }
+  const text = transcribedText.trim();
+
+  for (const rule of QUERY_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) {
+      continue;
+    }
+
+    const period = match[1] ? resolvePeriod(match[1], currentDate) : null;
+    if (match[1] && !period) {
+      // "what's on the shopping list" is not a date; leave it to the task parser
+      continue;
+    }
+
+    // A bare "what's on my list?" is the daily briefing: today's tasks.
+    // "Read me my tasks" and questions about overdue or done tasks cover all dates.
+    const range = period ?? (rule.allDates || rule.overdue || rule.completed
+      ? { due_from: null, due_to: null }
+      : { due_from: currentDate, due_to: currentDate });
+    return {
+      intent: QUERY_INTENT,
+      filters: {
+        ...range,
+        completed: rule.completed ?? false,
+        overdue: rule.overdue ?? false,
+        text: null
+      },
+      original_request: text
+    };
+  }
+  return null;
+}
@@ -0,0 +1,60 @@
+/**
+ * Task Search Voice Commands
+ *
+ * Recognizes requests to find tasks about a subject ("find the task about
+ * the plumber", "search my completed tasks for invoices") when no LLM is
+ * available, so the rule-based fallback searches instead of creating a task
+ * named after the request.
+ *
+ * Output has the LLMTaskSearchSchema shape and goes through the same
+ * validation as LLM output. Only whole-utterance matches count.
+ */
+
+import { SEARCH_INTENT } from '../schemas/task.schema.js';
+
+const POLITE_PREFIX = '^(?:(?:please|ok(?:ay)?|hey|so)[,\\s]+)*(?:(?:can|could|would|will)\\s+you\\s+)?(?:please\\s+)?';
+const SUFFIX = '(?:[,\\s]+please)?[.!?\\s]*$';
+const FIND = '(?:find|search(?:\\s+for)?|look\\s+(?:for|up)|show(?:\\s+me)?)';
+const KIND = '(?:completed|finished|done|archived|old)';
+const KINDS = `(?<kinds>${KIND}(?:\\s+(?:and|or)\\s+${KIND})?\\s+)?`;
+const TASKS = '(?:tasks?|to-?dos?)';
+const INCLUDING = `(?:,?\\s+including\\s+(?<including>${KIND}(?:\\s+(?:and|or)\\s+${KIND})?)(?:\\s+(?:ones|tasks))?)?`;
+
+const SEARCH_RULES = [
+  // "find the task about the plumber", "look for my archived tasks mentioning invoices"
+  new RegExp(`${POLITE_PREFIX}${FIND}\\s+(?:the\\s+|my\\s+|any\\s+|all\\s+)?${KINDS}${TASKS}\\s+(?:about|mentioning|regarding|that\\s+mentions?|with)\\s+(?<query>.+?)${INCLUDING}${SUFFIX}`, 'i'),
+  // "search my tasks for invoices"
+  new RegExp(`${POLITE_PREFIX}search\\s+(?:through\\s+)?(?:my\\s+|all\\s+)?${KINDS}${TASKS}\\s+for\\s+(?<query>.+?)${INCLUDING}${SUFFIX}`, 'i')
+];
+
+/**
+ * Detects a request to search the user's tasks
+ *
+ * @param {Object} params
+ * @param {string} params.transcribedText - The user's utterance
+ * @returns {Object|null} A search in the LLMTaskSearchSchema shape, or null when the utterance is not a search
+ */
+export function parseTaskSearchCommand({ transcribedText }) {
+  if (typeof transcribedText !== 'string') {
+    return null;
+  }
+  const text = transcribedText.trim();
+
+  for (const pattern of SEARCH_RULES) {
+    const match = text.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    // Asking for archived (or old) tasks includes completed ones too
+    const kinds = `${match.groups.kinds || ''} ${match.groups.including || ''}`.toLowerCase();
+    return {
+      intent: SEARCH_INTENT,
+      query: match.groups.query.replace(/^(?:the|a|an|my)\s+/i, ''),
+      include_completed: kinds.trim() !== '',
+      include_archived: /\b(?:archived|old)\b/.test(kinds),
+      original_request: text
+    };
+  }
+  return null;
+}
@@ -0,0 +1,179 @@
+/**
+ * Reminder Channels
+ *
+ * A channel delivers a reminder digest (see buildReminderDigest) to a user:
+ *
+ *   { name, send(user, digest) => Promise<boolean> }
+ *
+ * send resolves true once the digest was delivered and false when it could
+ * not be for an expected reason (no push subscription, daily email cap
+ * reached); the scheduler then retries on its next run. Unexpected failures
+ * throw.
+ */
+
+import webPush from 'web-push';
+import { sendTransactionalEmail, DailyLimitReachedError } from '../email_ingestion/emailService.js';
+import { formatSpokenDate, formatSpokenTime } from '../voice/describeOperations.js';
+
+export const REMINDER_CHANNEL_NAMES = ['email', 'push'];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Describes when a task is due, e.g. "Oct 21 at 3 PM"
+ *
+ * @param {{ due_date: string, due_time: string|null }} task
+ * @param {string} [today] - YYYY-MM-DD; the year is left out for dates in the same year
+ */
+export function formatDue(task, today) {
+  const date = formatSpokenDate(task.due_date, today);
+  return task.due_time ? `${date} at ${formatSpokenTime(task.due_time)}` : date;
+}
+
+/**
+ * Email channel, sent through sendTransactionalEmail so reminders count
+ * towards (and stop at) the system_email_ledger daily cap
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool
+ * @param {string} [options.appUrl] - Link included in the email
+ * @param {Function} [options.sendEmail=sendTransactionalEmail] - Injectable for tests
+ * @param {Object} [options.logger=console]
+ */
+export function createEmailChannel({ pool, appUrl, sendEmail = sendTransactionalEmail, logger = console }) {
+  const section = (heading, tasks, today) => tasks.length === 0 ? '' : `
+              <h2 style="margin: 24px 0 8px 0; font-size: 16px; color: #333333;">${heading}</h2>
+              <ul style="margin: 0; padding-left: 20px; font-size: 15px; line-height: 1.6; color: #333333;">
+                ${tasks.map(task => `<li>${escapeHtml(task.task_name)} <span style="color: #666666;">(${escapeHtml(formatDue(task, today))})</span></li>`).join('\n                ')}
+              </ul>`;
+
+  return {
+    name: 'email',
+    async send(user, digest) {
+      if (!user.email) {
+        return false;
+      }
+
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(digest.title)}</title>
+</head>
+<body style="margin: 0; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f4f4f4;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 24px; background-color: #ffffff; border-radius: 8px;">
+    <h1 style="margin: 0; font-size: 20px; color: #333333;">${escapeHtml(digest.title)}</h1>${section('Overdue', digest.overdue, digest.today)}${section('Due soon', digest.upcoming, digest.today)}
+    ${appUrl ? `<p style="margin: 24px 0 0 0; font-size: 14px;"><a href="${escapeHtml(appUrl)}" style="color: #007bff;">Open ClearTask</a></p>` : ''}
+    <p style="margin: 24px 0 0 0; font-size: 13px; color: #999999;">You can change or turn off reminders in ClearTask's settings.</p>
+  </div>
+</body>
+</html>`;
+
+      try {
+        await sendEmail(pool, user.email, `ClearTask: ${digest.title}`, html, 'task_reminder');
+        return true;
+      } catch (error) {
+        if (error instanceof DailyLimitReachedError) {
+          logger.warn({ userId: user.id, resetTime: error.resetTime }, 'Daily email limit reached, reminder email deferred');
+          return false;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Web Push channel: notifies every browser the user subscribed from.
+ * Subscriptions the push service reports as gone are removed.
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool
+ * @param {{ publicKey: string, privateKey: string, subject: string }} options.vapid - VAPID details
+ * @param {string} [options.appUrl] - Opened when the notification is clicked
+ * @param {Object} [options.pushClient=webPush] - Injectable for tests
+ */
+export function createWebPushChannel({ pool, vapid, appUrl, pushClient = webPush }) {
+  const vapidDetails = { subject: vapid.subject, publicKey: vapid.publicKey, privateKey: vapid.privateKey };
+
+  return {
+    name: 'push',
+    async send(user, digest) {
+      const result = await pool.query(
+        'SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = $1',
+        [user.id]
+      );
+
+      const tasks = [...digest.overdue, ...digest.upcoming];
+      const payload = JSON.stringify({
+        title: digest.title,
+        body: tasks.map(task => `${task.task_name} (${formatDue(task, digest.today)})`).join('\n'),
+        url: appUrl || '/'
+      });
+
+      let delivered = false;
+      for (const subscription of result.rows) {
+        try {
+          await pushClient.sendNotification(
+            { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+            payload,
+            { vapidDetails, TTL: 60 * 60 }
+          );
+          delivered = true;
+        } catch (error) {
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [subscription.endpoint]);
+          } else {
+            throw error;
+          }
+        }
+      }
+      return delivered;
+    }
+  };
+}
+
+/**
+ * Reads the VAPID keys for Web Push from the environment
+ *
+ * @param {Object} [env=process.env]
+ * @returns {{ publicKey: string, privateKey: string, subject: string } | null} null when push is not configured
+ */
+export function getVapidConfig(env = process.env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) {
+    return null;
+  }
+  return {
+    publicKey: env.VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+    subject: env.VAPID_SUBJECT || `mailto:noreply@${env.RESEND_DOMAIN || 'yourdomain.com'}`
+  };
+}
+
+/**
+ * Creates the configured channels, by name: email always, push when VAPID keys are set
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool
+ * @param {Object} [options.env=process.env]
+ * @param {Object} [options.logger=console]
+ * @returns {Object<string, { name: string, send: Function }>}
+ */
+export function createReminderChannels({ pool, env = process.env, logger = console }) {
+  const appUrl = env.FRONTEND_URL || 'http://localhost:5173';
+  const channels = { email: createEmailChannel({ pool, appUrl, logger }) };
+
+  const vapid = getVapidConfig(env);
+  if (vapid) {
+    channels.push = createWebPushChannel({ pool, vapid, appUrl });
+  }
+  return channels;
+}
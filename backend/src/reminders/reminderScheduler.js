@@ -0,0 +1,213 @@
+/**
+ * Task Reminders
+ *
+ * A periodic job (see app.js) finds, for every user who has turned reminders
+ * on, the open tasks that are due soon or overdue and sends them one digest
+ * through each of the user's channels (src/reminders/channels.js).
+ *
+ * - A task with a due time is "due soon" lead_minutes before that time; a
+ *   task with only a due date is "due soon" from lead_days before that date
+ *   (0: on the day itself) and overdue once the day is over.
+ * - Everything is evaluated in the user's time zone, so reminders follow
+ *   daylight saving changes.
+ * - Nothing is sent during the user's quiet hours; reminders held back are
+ *   picked up by the first run after the quiet hours end.
+ * - Each task gets at most one "due soon" and one "overdue" reminder per due
+ *   date (recorded in task_reminders); moving the due date re-arms them.
+ *   Reminders are only recorded once at least one channel delivered them.
+ */
+
+import { resolveTimeZone, getLocalDateTime, addDaysToDate, zonedTimeToUtc } from '../time/timeZone.js';
+
+export const REMINDER_KINDS = {
+  UPCOMING: 'upcoming',
+  OVERDUE: 'overdue'
+};
+
+// Used for users without a reminder_settings row (reminders stay off until enabled)
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  channels: ['email'],
+  lead_minutes: 30,
+  lead_days: 0,
+  quiet_hours_start: null,
+  quiet_hours_end: null
+};
+
+/**
+ * Whether a local time falls in the quiet hours [start, end)
+ *
+ * Quiet hours may wrap past midnight (22:00-07:00). Missing or equal
+ * bounds mean there are no quiet hours.
+ *
+ * @param {string} time - HH:MM
+ * @param {string|null} start - HH:MM or HH:MM:SS
+ * @param {string|null} end - HH:MM or HH:MM:SS
+ * @returns {boolean}
+ */
+export function isQuietTime(time, start, end) {
+  if (!start || !end) {
+    return false;
+  }
+  const from = start.slice(0, 5);
+  const to = end.slice(0, 5);
+  if (from === to) {
+    return false;
+  }
+  return from < to ? time >= from && time < to : time >= from || time < to;
+}
+
+/**
+ * Decides which reminder, if any, a task is due at a given instant
+ *
+ * @param {{ due_date: string, due_time: string|null }} task
+ * @param {{ lead_minutes: number, lead_days: number }} settings
+ * @param {string} timeZone - The user's IANA time zone
+ * @param {Date} now
+ * @returns {string|null} A REMINDER_KINDS value, or null if no reminder is due yet
+ */
+export function classifyTask(task, settings, timeZone, now) {
+  if (task.due_time) {
+    const dueAt = zonedTimeToUtc(task.due_date, task.due_time, timeZone);
+    if (dueAt <= now) {
+      return REMINDER_KINDS.OVERDUE;
+    }
+    return dueAt.getTime() - now.getTime() <= settings.lead_minutes * 60 * 1000 ? REMINDER_KINDS.UPCOMING : null;
+  }
+
+  const today = getLocalDateTime(timeZone, now).date;
+  if (task.due_date < today) {
+    return REMINDER_KINDS.OVERDUE;
+  }
+  return addDaysToDate(task.due_date, -settings.lead_days) <= today ? REMINDER_KINDS.UPCOMING : null;
+}
+
+/**
+ * Identifies the due date a reminder was sent for
+ */
+function dueKey(task) {
+  return task.due_time ? `${task.due_date}T${task.due_time.slice(0, 5)}` : task.due_date;
+}
+
+/**
+ * Builds the digest sent to a user
+ *
+ * @param {Array<{ kind: string, task: Object }>} reminders
+ * @param {string} [today] - The user's local date (YYYY-MM-DD), so channels can leave out the year
+ * @returns {{ title: string, today: string|undefined, overdue: Array<Object>, upcoming: Array<Object> }}
+ */
+export function buildReminderDigest(reminders, today) {
+  const overdue = reminders.filter(reminder => reminder.kind === REMINDER_KINDS.OVERDUE).map(reminder => reminder.task);
+  const upcoming = reminders.filter(reminder => reminder.kind === REMINDER_KINDS.UPCOMING).map(reminder => reminder.task);
+
+  const count = (n, label) => `${n} ${n === 1 ? 'task' : 'tasks'} ${label}`;
+  const parts = [];
+  if (upcoming.length > 0) parts.push(count(upcoming.length, 'due soon'));
+  if (overdue.length > 0) parts.push(count(overdue.length, 'overdue'));
+
+  return { title: parts.join(', '), today, overdue, upcoming };
+}
+
+/**
+ * Creates the reminder scheduler
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool
+ * @param {Object<string, { send: Function }>} options.channels - Channels by name; send(user, digest)
+ *   resolves true once delivered and false if it could not deliver (e.g. the daily email cap)
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {Object} [options.logger=console]
+ * @returns {{ runOnce: () => Promise<{ usersNotified: number, remindersSent: number }> }}
+ */
+export function createReminderScheduler({ pool, channels, now = () => new Date(), logger = console }) {
+
+  async function findDueReminders(user, timeZone, at) {
+    const today = getLocalDateTime(timeZone, at).date;
+    // Timed tasks can be at most a day ahead (lead_minutes is capped at 24h)
+    const horizon = addDaysToDate(today, Math.max(user.lead_days, 2));
+    const tasksResult = await pool.query(
+      `SELECT id, task_name, due_date, due_time FROM tasks
+       WHERE user_id = $1 AND is_completed = FALSE AND is_archived = FALSE AND deleted_at IS NULL
+         AND due_date IS NOT NULL AND due_date <= $2::date
+       ORDER BY due_date ASC, due_time ASC NULLS FIRST`,
+      [user.id, horizon]
+    );
+
+    const candidates = tasksResult.rows
+      .map(task => ({ kind: classifyTask(task, user, timeZone, at), task }))
+      .filter(reminder => reminder.kind !== null);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const sentResult = await pool.query(
+      'SELECT task_id, kind, due_key FROM task_reminders WHERE task_id = ANY($1::uuid[])',
+      [candidates.map(reminder => reminder.task.id)]
+    );
+    const sent = new Set(sentResult.rows.map(row => `${row.task_id}|${row.kind}|${row.due_key}`));
+    return candidates.filter(reminder => !sent.has(`${reminder.task.id}|${reminder.kind}|${dueKey(reminder.task)}`));
+  }
+
+  async function deliver(user, digest) {
+    let delivered = false;
+    for (const name of user.channels) {
+      const channel = channels[name];
+      if (!channel) {
+        continue;
+      }
+      try {
+        if (await channel.send(user, digest)) {
+          delivered = true;
+        }
+      } catch (error) {
+        logger.error({ userId: user.id, channel: name, err: error }, 'Failed to send reminder');
+      }
+    }
+    return delivered;
+  }
+
+  async function runOnce() {
+    const at = now();
+    const usersResult = await pool.query(
+      `SELECT u.id, u.email, u.timezone, s.channels, s.lead_minutes, s.lead_days, s.quiet_hours_start, s.quiet_hours_end
+       FROM reminder_settings s JOIN users u ON u.id = s.user_id
+       WHERE s.enabled = TRUE`
+    );
+
+    let usersNotified = 0;
+    let remindersSent = 0;
+    for (const user of usersResult.rows) {
+      try {
+        const timeZone = resolveTimeZone(user.timezone);
+        const local = getLocalDateTime(timeZone, at);
+        if (isQuietTime(local.time, user.quiet_hours_start, user.quiet_hours_end)) {
+          continue;
+        }
+
+        const reminders = await findDueReminders(user, timeZone, at);
+        if (reminders.length === 0 || !(await deliver(user, buildReminderDigest(reminders, local.date)))) {
+          continue;
+        }
+
+        await pool.query(
+          `INSERT INTO task_reminders (task_id, kind, due_key)
+           SELECT * FROM UNNEST($1::uuid[], $2::text[], $3::text[])
+           ON CONFLICT DO NOTHING`,
+          [
+            reminders.map(reminder => reminder.task.id),
+            reminders.map(reminder => reminder.kind),
+            reminders.map(reminder => dueKey(reminder.task))
+          ]
+        );
+        usersNotified++;
+        remindersSent += reminders.length;
+      } catch (error) {
+        logger.error({ userId: user.id, err: error }, 'Failed to process reminders for user');
+      }
+    }
+
+    return { usersNotified, remindersSent };
+  }
+
+  return { runOnce };
+}
@@ -1,4 +1,10 @@
 import { z } from 'zod';
+import { RECURRENCE_NONE, isValidRecurrenceRule, normalizeRecurrenceRule } from '../tasks/recurrence.js';
+import { TASK_PRIORITIES } from '../tasks/priority.js';
+import { MAX_LIST_NAME_LENGTH } from '../tasks/lists.js';
+import { MAX_TAGS_PER_TASK, normalizeTag, normalizeTags } from '../tasks/tags.js';
+import { MAX_CHECKLIST_ITEMS, MAX_CHECKLIST_ITEM_LENGTH, normalizeChecklist } from '../tasks/checklist.js';
+import { searchTerms } from '../tasks/taskSearch.js';
 
 /**
  * Schema for validating LLM-parsed task data
@@ -16,10 +22,34 @@ import { z } from 'zod';
 // Valid intent values - strictly enumerated
 const VALID_INTENTS = ['create_task', 'edit_task', 'delete_task'];
 
+// Valid intents for an item of a multi-intent `operations` array.
+// complete_task is shorthand for an edit_task that only sets is_completed;
+// tick_item ticks off one step (item_number) of a task's checklist.
+const VALID_OPERATION_INTENTS = [...VALID_INTENTS, 'complete_task', 'tick_item'];
+
+// Intents that must reference an existing task
+const TASK_ID_REQUIRED_INTENTS = ['edit_task', 'delete_task', 'complete_task', 'tick_item'];
+
+// Read-only intent: the user is asking about their tasks rather than changing them
+export const QUERY_INTENT = 'query_tasks';
+
+// Read-only intent: the user is looking for tasks about a subject
+export const SEARCH_INTENT = 'search_tasks';
+
 // Maximum field lengths to prevent abuse
 const MAX_TASK_NAME_LENGTH = 250;
 const MAX_ORIGINAL_REQUEST_LENGTH = 2000;
 const MAX_SUBJECT_LENGTH = 500;
+const MAX_RECURRENCE_LENGTH = 100;
+const MAX_QUERY_TEXT_LENGTH = 100;
+
+// Maximum number of operations accepted from a single utterance
+export const MAX_OPERATIONS = 10;
+
+// Maximum number of tasks created from a single email
+export const MAX_EMAIL_TASKS = 20;
+const MAX_EMAIL_ATTACHMENTS = 20;
+const MAX_ATTACHMENT_NAME_LENGTH = 255;
 
 /**
  * Schema for LLM task parsing output
@@ -45,6 +75,65 @@ export const LLMTaskOutputSchema = z.object({
     .nullable()
     .optional()
     .or(z.null()),
+
+  // Due time - optional wall-clock time (HH:MM, 24-hour) in the user's time
+  // zone, e.g. "15:00" for "at 3pm"; only meaningful alongside a due date
+  due_time: z.string()
+    .regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: 'Time must be in HH:MM 24-hour format' })
+    .nullable()
+    .optional(),
+
+  // Recurrence - optional RRULE subset (see src/tasks/recurrence.js), "NONE"
+  // to clear it, or null to leave it as it is
+  recurrence: z.string()
+    .max(MAX_RECURRENCE_LENGTH, `Recurrence cannot exceed ${MAX_RECURRENCE_LENGTH} characters`)
+    .refine((rule) => rule === RECURRENCE_NONE || isValidRecurrenceRule(rule), {
+      message: 'Recurrence must be a supported RRULE (FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY) or "NONE"'
+    })
+    .nullable()
+    .optional(),
+
+  // Priority - optional, one of TASK_PRIORITIES, or null to leave it as it is
+  priority: z.enum(TASK_PRIORITIES, { message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}` })
+    .nullable()
+    .optional(),
+
+  // List - optional name of one of the user's lists to file the task in, or
+  // null to leave it as it is. Resolved against the user's own lists, never
+  // trusted as an ID (see src/tasks/lists.js)
+  list_name: z.string()
+    .max(MAX_LIST_NAME_LENGTH, `List name cannot exceed ${MAX_LIST_NAME_LENGTH} characters`)
+    .trim()
+    .nullable()
+    .optional(),
+
+  // Tags - optional, the task's complete set of tags (e.g. ["errand"]), or
+  // null to leave them as they are. Normalized by sanitizeForDatabase
+  tags: z.array(
+    z.string().refine(tag => normalizeTag(tag) !== null, { message: 'Each tag must be a word or short phrase of letters and digits' })
+  )
+    .max(MAX_TAGS_PER_TASK, `Cannot have more than ${MAX_TAGS_PER_TASK} tags`)
+    .nullable()
+    .optional(),
+
+  // Checklist - optional steps to add to the end of the task's checklist
+  checklist: z.array(
+    z.string()
+      .trim()
+      .min(1, 'Checklist items cannot be empty')
+      .max(MAX_CHECKLIST_ITEM_LENGTH, `Checklist items cannot exceed ${MAX_CHECKLIST_ITEM_LENGTH} characters`)
+  )
+    .max(MAX_CHECKLIST_ITEMS, `Cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`)
+    .nullable()
+    .optional(),
+
+  // Item number - the step to tick off (1 = first), required for tick_item
+  item_number: z.number()
+    .int('Item number must be a whole number')
+    .min(1, 'Item number must be at least 1')
+    .max(MAX_CHECKLIST_ITEMS, `Item number cannot exceed ${MAX_CHECKLIST_ITEMS}`)
+    .nullable()
+    .optional(),
   
   // Completion status - must be boolean
   is_completed: z.boolean()
@@ -69,13 +158,215 @@ export const LLMTaskOutputSchema = z.object({
 }).strict(); // Reject any additional fields not in schema
 
 /**
- * Schema for the LLM's output when parsing an email into a list of tasks.
- * Expected to be an array of LLMTaskOutputSchema.
+ * Schema for the LLM's output when parsing an email into a list of tasks
+ * (see buildEmailParsingPrompt). Each task has the LLMTaskOutputSchema
+ * fields, except that an email only ever creates tasks: `intent` may only be
+ * create_task and there is no task ID, list or step number. `source` and
+ * `attachments` are accepted because the prompt asks for them.
  */
 export const LLMEmailTaskOutputSchema = z.object({
-  tasks: z.array(LLMTaskOutputSchema)
+  tasks: z.array(
+    LLMTaskOutputSchema.omit({ intent: true, task_id: true, list_name: true, item_number: true }).extend({
+      intent: z.literal('create_task').optional(),
+      task_id: z.null().optional(),
+      source: z.literal('email').optional(),
+      attachments: z.array(z.string().max(MAX_ATTACHMENT_NAME_LENGTH, `Attachment names cannot exceed ${MAX_ATTACHMENT_NAME_LENGTH} characters`))
+        .max(MAX_EMAIL_ATTACHMENTS, `Cannot have more than ${MAX_EMAIL_ATTACHMENTS} attachments`)
+        .nullable()
+        .optional()
+    }).strict()
+  ).max(MAX_EMAIL_TASKS, `Cannot have more than ${MAX_EMAIL_TASKS} tasks`),
+  has_actionable_items: z.boolean().optional()
 }).strict();
 
+/**
+ * Schema for a single item of a multi-intent voice command
+ *
+ * Identical to LLMTaskOutputSchema except that complete_task is also allowed.
+ */
+export const LLMTaskOperationSchema = LLMTaskOutputSchema.extend({
+  intent: z.enum(VALID_OPERATION_INTENTS, {
+    errorMap: () => ({ message: `Intent must be one of: ${VALID_OPERATION_INTENTS.join(', ')}` })
+  })
+}).strict();
+
+/**
+ * Schema for the envelope of a multi-intent voice command
+ * ("add milk and eggs, and move the dentist to Friday").
+ *
+ * Items are left unvalidated here so that each one can be validated (and
+ * rejected) individually by validateLLMTaskOperations.
+ */
+export const LLMTaskOperationsOutputSchema = z.object({
+  operations: z.array(z.unknown())
+    .min(1, 'At least one operation is required')
+    .max(MAX_OPERATIONS, `Cannot exceed ${MAX_OPERATIONS} operations`)
+}).strict();
+
+const IsoDateSchema = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, { message: 'Date must be in YYYY-MM-DD format' })
+  .refine((date) => !isNaN(new Date(date + 'T00:00:00Z').getTime()), { message: 'Invalid date' });
+
+/**
+ * Schema for a read-only question about the user's tasks ("what's due this
+ * week?"). The LLM only describes the filters; the tasks themselves are
+ * always looked up by the backend (see src/tasks/taskQuery.js).
+ */
+export const LLMTaskQuerySchema = z.object({
+  intent: z.literal(QUERY_INTENT),
+
+  filters: z.object({
+    // Inclusive due date range; either end may be open
+    due_from: IsoDateSchema.nullable().optional(),
+    due_to: IsoDateSchema.nullable().optional(),
+
+    // false: open tasks (default), true: completed tasks, null: both
+    completed: z.boolean().nullable().default(false),
+
+    // Only open tasks whose due date (and time) has passed
+    overdue: z.boolean().default(false),
+
+    // Words the task name must contain
+    text: z.string()
+      .trim()
+      .max(MAX_QUERY_TEXT_LENGTH, `Text filter cannot exceed ${MAX_QUERY_TEXT_LENGTH} characters`)
+      .nullable()
+      .optional()
+  }).strict()
+    .refine((filters) => !filters.due_from || !filters.due_to || filters.due_from <= filters.due_to, {
+      message: 'due_from must not be after due_to',
+      path: ['due_to']
+    })
+    .default({ completed: false, overdue: false }),
+
+  original_request: z.string()
+    .max(MAX_ORIGINAL_REQUEST_LENGTH, `Original request cannot exceed ${MAX_ORIGINAL_REQUEST_LENGTH} characters`)
+    .optional()
+    .nullable()
+}).strict();
+
+/**
+ * Whether raw LLM output claims to be a task query rather than operations
+ *
+ * @param {unknown} llmOutput
+ * @returns {boolean}
+ */
+export function isTaskQueryOutput(llmOutput) {
+  return llmOutput !== null && typeof llmOutput === 'object' && llmOutput.intent === QUERY_INTENT;
+}
+
+/**
+ * Validates a task query against the strict schema
+ *
+ * @param {unknown} llmOutput - Raw output from LLM to validate
+ * @returns {{ success: true, data: { intent: string, filters: object } } | { success: false, error: object, issues: Array }} Validation result
+ */
+export function validateLLMTaskQuery(llmOutput) {
+  const result = LLMTaskQuerySchema.safeParse(llmOutput);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      issues: result.error.issues
+    };
+  }
+
+  const { filters } = result.data;
+  return {
+    success: true,
+    data: {
+      intent: QUERY_INTENT,
+      filters: {
+        due_from: filters.due_from || null,
+        due_to: filters.due_to || null,
+        // Overdue tasks are open by definition
+        completed: filters.overdue ? false : filters.completed,
+        overdue: filters.overdue,
+        text: filters.text || null
+      }
+    }
+  };
+}
+
+/**
+ * Schema for a read-only search of the user's tasks ("find the task about
+ * the plumber"). The tasks themselves are found by full-text search (see
+ * src/tasks/taskSearch.js).
+ */
+export const LLMTaskSearchSchema = z.object({
+  intent: z.literal(SEARCH_INTENT),
+
+  // What the tasks are about, e.g. "plumber"
+  query: z.string()
+    .trim()
+    .max(MAX_QUERY_TEXT_LENGTH, `Search text cannot exceed ${MAX_QUERY_TEXT_LENGTH} characters`)
+    .refine((query) => searchTerms(query).length > 0, { message: 'Search text must contain a word' }),
+
+  // Completed and archived tasks are only searched when the user asks for them
+  include_completed: z.boolean().default(false),
+  include_archived: z.boolean().default(false),
+
+  original_request: z.string()
+    .max(MAX_ORIGINAL_REQUEST_LENGTH, `Original request cannot exceed ${MAX_ORIGINAL_REQUEST_LENGTH} characters`)
+    .optional()
+    .nullable()
+}).strict();
+
+/**
+ * Whether raw LLM output claims to be a task search
+ *
+ * @param {unknown} llmOutput
+ * @returns {boolean}
+ */
+export function isTaskSearchOutput(llmOutput) {
+  return llmOutput !== null && typeof llmOutput === 'object' && llmOutput.intent === SEARCH_INTENT;
+}
+
+/**
+ * Validates a task search against the strict schema
+ *
+ * @param {unknown} llmOutput - Raw output from LLM to validate
+ * @returns {{ success: true, data: { intent: string, query: string, include_completed: boolean, include_archived: boolean } } | { success: false, error: object, issues: Array }} Validation result
+ */
+export function validateLLMTaskSearch(llmOutput) {
+  const result = LLMTaskSearchSchema.safeParse(llmOutput);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      issues: result.error.issues
+    };
+  }
+
+  const { query, include_completed: includeCompleted, include_archived: includeArchived } = result.data;
+  return {
+    success: true,
+    data: { intent: SEARCH_INTENT, query, include_completed: includeCompleted, include_archived: includeArchived }
+  };
+}
+
+/**
+ * Validates the LLM's output for an email against LLMEmailTaskOutputSchema
+ *
+ * @param {unknown} llmOutput - Raw output from LLM to validate
+ * @returns {{ success: true, data: { tasks: Array<object> } } | { success: false, error: object, issues: Array }} Validation result
+ */
+export function validateLLMEmailTaskOutput(llmOutput) {
+  const result = LLMEmailTaskOutputSchema.safeParse(llmOutput);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      issues: result.error.issues
+    };
+  }
+
+  return { success: true, data: { tasks: result.data.tasks } };
+}
+
 /**
  * Validates LLM output against the strict schema
  * 
@@ -125,6 +416,104 @@ export function validateLLMTaskOutput(llmOutput) {
   }
 }
 
+/**
+ * Validates a single operation of a multi-intent command
+ *
+ * @param {unknown} operation - One raw item from the LLM's operations array
+ * @returns {{ success: true, data: object } | { success: false, error: object, issues: Array }} Validation result
+ */
+export function validateLLMTaskOperation(operation) {
+  const result = LLMTaskOperationSchema.safeParse(operation);
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      issues: result.error.issues
+    };
+  }
+
+  if (TASK_ID_REQUIRED_INTENTS.includes(result.data.intent) && !result.data.task_id) {
+    return {
+      success: false,
+      error: new Error(`${result.data.intent} intent requires a valid task_id`),
+      issues: [{
+        code: 'custom',
+        path: ['task_id'],
+        message: `task_id is required when intent is ${result.data.intent}`
+      }]
+    };
+  }
+
+  if (result.data.intent === 'tick_item' && !result.data.item_number) {
+    return {
+      success: false,
+      error: new Error('tick_item intent requires an item_number'),
+      issues: [{
+        code: 'custom',
+        path: ['item_number'],
+        message: 'item_number is required when intent is tick_item'
+      }]
+    };
+  }
+
+  return {
+    success: true,
+    data: result.data
+  };
+}
+
+/**
+ * Validates a multi-intent LLM output item by item
+ *
+ * Accepts either `{ operations: [...] }` or a single LLMTaskOutputSchema
+ * object (treated as one operation). Invalid items are rejected individually
+ * so one malformed item does not discard the rest of the command; the
+ * envelope itself must still be well-formed.
+ *
+ * @param {unknown} llmOutput - Raw output from LLM to validate
+ * @returns {{ success: boolean, operations: Array<object>, rejected: Array<{ index: number, issues: Array }>, error?: object }}
+ *   success is true when at least one operation passed validation
+ */
+export function validateLLMTaskOperations(llmOutput) {
+  const isEnvelope = llmOutput !== null && typeof llmOutput === 'object' && 'operations' in llmOutput;
+
+  if (!isEnvelope) {
+    const single = validateLLMTaskOperation(llmOutput);
+    return single.success
+      ? { success: true, operations: [single.data], rejected: [] }
+      : { success: false, operations: [], rejected: [{ index: 0, issues: single.issues }], error: single.error };
+  }
+
+  const envelope = LLMTaskOperationsOutputSchema.safeParse(llmOutput);
+  if (!envelope.success) {
+    return {
+      success: false,
+      operations: [],
+      rejected: [],
+      error: envelope.error
+    };
+  }
+
+  const operations = [];
+  const rejected = [];
+  envelope.data.operations.forEach((operation, index) => {
+    const result = validateLLMTaskOperation(operation);
+    if (result.success) {
+      operations.push(result.data);
+    } else {
+      rejected.push({ index, issues: result.issues });
+    }
+  });
+
+  return {
+    success: operations.length > 0,
+    operations,
+    rejected,
+    ...(operations.length === 0 && { error: new Error('No operation passed validation') })
+  };
+}
+
 /**
  * Creates a safe fallback task when LLM output validation fails
  * 
@@ -197,6 +586,15 @@ export function sanitizeForDatabase(validatedData) {
   return {
     task_name: validatedData.task_name.trim(),
     due_date: validatedData.due_date || null,
+    due_time: validatedData.due_time || null,
+    recurrence: validatedData.recurrence === RECURRENCE_NONE
+      ? RECURRENCE_NONE
+      : normalizeRecurrenceRule(validatedData.recurrence),
+    priority: validatedData.priority || null,
+    list_name: validatedData.list_name || null,
+    tags: normalizeTags(validatedData.tags),
+    checklist: normalizeChecklist(validatedData.checklist),
+    item_number: validatedData.item_number ?? null,
     is_completed: Boolean(validatedData.is_completed),
     original_request: validatedData.original_request || null,
     intent: validatedData.intent,
@@ -0,0 +1,152 @@
+/**
+ * Pending Item Stores
+ *
+ * Short-lived, single-use items that must survive a restart and be visible
+ * to every backend instance: pending delete confirmations, OAuth state
+ * values and previewed voice commands. Each store is scoped to a namespace and exposes the same
+ * interface, whatever the backend:
+ *
+ * - set(key, value, ttlSeconds)  Store a JSON-serializable value
+ * - get(key)                     Value, or null if missing or expired
+ * - take(key)                    Remove the item and return { value, expired },
+ *                                or null if missing. Only one caller can take
+ *                                an item, so takes double as one-time use.
+ * - delete(key)
+ * - cleanup()                    Remove expired items, returning the count
+ *
+ * Expiry is always checked at read time; cleanup() only reclaims space.
+ *
+ * Backends:
+ * - postgres (default): the pending_items table, shared by all instances
+ * - memory: a process-local Map, for single-instance setups and tests
+ *
+ * The backend is chosen with PENDING_STORE_BACKEND.
+ */
+
+export const PENDING_STORE_BACKENDS = ['postgres', 'memory'];
+
+/**
+ * Creates a process-local store
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {Object} Pending store
+ */
+export function createMemoryPendingStore({ now = Date.now } = {}) {
+  const items = new Map();
+
+  const isExpired = (item) => item.expiresAt <= now();
+
+  return {
+    backend: 'memory',
+
+    async set(key, value, ttlSeconds) {
+      items.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+    },
+
+    async get(key) {
+      const item = items.get(key);
+      return item && !isExpired(item) ? item.value : null;
+    },
+
+    async take(key) {
+      const item = items.get(key);
+      if (!item) {
+        return null;
+      }
+      items.delete(key);
+      return { value: item.value, expired: isExpired(item) };
+    },
+
+    async delete(key) {
+      items.delete(key);
+    },
+
+    async cleanup() {
+      let removed = 0;
+      for (const [key, item] of items) {
+        if (isExpired(item)) {
+          items.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * Creates a store backed by the pending_items table. Expiry uses the
+ * database clock so every instance agrees on it.
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool
+ * @param {string} options.namespace - Keeps stores sharing the table apart
+ * @returns {Object} Pending store
+ */
+export function createPostgresPendingStore({ pool, namespace }) {
+  return {
+    backend: 'postgres',
+
+    async set(key, value, ttlSeconds) {
+      await pool.query(
+        `INSERT INTO pending_items (namespace, item_key, payload, expires_at)
+         VALUES ($1, $2, $3::jsonb, NOW() + make_interval(secs => $4))
+         ON CONFLICT (namespace, item_key)
+         DO UPDATE SET payload = EXCLUDED.payload, expires_at = EXCLUDED.expires_at, created_at = NOW()`,
+        [namespace, key, JSON.stringify(value), ttlSeconds]
+      );
+    },
+
+    async get(key) {
+      const result = await pool.query(
+        'SELECT payload FROM pending_items WHERE namespace = $1 AND item_key = $2 AND expires_at > NOW()',
+        [namespace, key]
+      );
+      return result.rows[0]?.payload ?? null;
+    },
+
+    async take(key) {
+      const result = await pool.query(
+        `DELETE FROM pending_items
+         WHERE namespace = $1 AND item_key = $2
+         RETURNING payload, expires_at <= NOW() AS expired`,
+        [namespace, key]
+      );
+      if (result.rowCount === 0) {
+        return null;
+      }
+      return { value: result.rows[0].payload, expired: result.rows[0].expired };
+    },
+
+    async delete(key) {
+      await pool.query('DELETE FROM pending_items WHERE namespace = $1 AND item_key = $2', [namespace, key]);
+    },
+
+    async cleanup() {
+      const result = await pool.query(
+        'DELETE FROM pending_items WHERE namespace = $1 AND expires_at <= NOW()',
+        [namespace]
+      );
+      return result.rowCount;
+    }
+  };
+}
+
+/**
+ * Creates a pending store for the configured backend
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - pg pool (postgres backend)
+ * @param {string} options.namespace
+ * @param {string} [options.backend] - Defaults to PENDING_STORE_BACKEND, then 'postgres'
+ * @returns {Object} Pending store
+ */
+export function createPendingStore({ pool, namespace, backend = process.env.PENDING_STORE_BACKEND || 'postgres' }) {
+  if (!PENDING_STORE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown pending store backend "${backend}" (expected one of: ${PENDING_STORE_BACKENDS.join(', ')})`);
+  }
+  return backend === 'memory'
+    ? createMemoryPendingStore()
+    : createPostgresPendingStore({ pool, namespace });
+}
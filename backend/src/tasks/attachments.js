@@ -0,0 +1,130 @@
+/**
+ * Task Attachments
+ *
+ * Files attached to an ingested email are linked to the tasks created from
+ * it, in task_attachments. Gmail attachments are stored by their Gmail
+ * message and attachment IDs and fetched when downloaded; attachments of raw
+ * and SMTP messages have no other home, so their content is stored, once per
+ * email, in attachment_contents and shared by every task linked to the file.
+ *
+ * The LLM names the files a task needs in its `attachments` field. A file
+ * it names goes to those tasks only; a file no task names goes to every
+ * task of the email.
+ */
+
+// Longest file name and MIME type stored (the column sizes)
+const MAX_FILENAME_LENGTH = 255;
+const MAX_MIME_TYPE_LENGTH = 255;
+
+/**
+ * SQL expression for a task's attachments, oldest first, as a JSON array of
+ * { id, filename, mime_type, size_bytes }
+ *
+ * @param {string} taskAlias - Name or alias of the tasks table in the query
+ * @returns {string}
+ */
+export function attachmentsSql(taskAlias) {
+  return `COALESCE((SELECT jsonb_agg(jsonb_build_object('id', ta.id, 'filename', ta.filename, 'mime_type', ta.mime_type, 'size_bytes', ta.size_bytes) ORDER BY ta.id) FROM task_attachments ta WHERE ta.task_id = ${taskAlias}.id), '[]'::jsonb)`;
+}
+
+/**
+ * A file name for comparison: lowercase, without its extension and with
+ * runs of spaces, dashes and underscores as one space ("Q4_Report.pdf" →
+ * "q4 report")
+ */
+function comparableName(filename) {
+  return String(filename || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]{1,5}$/, '')
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Decides which of an email's attachments go to which of its tasks
+ *
+ * @param {Array<{ attachments?: Array<string>|null }>} tasks - Validated LLM tasks
+ * @param {Array<{ filename: string }>} attachments - The email's attachments
+ * @returns {Array<Array<Object>>} For each task, the attachments to link to it
+ */
+export function matchTaskAttachments(tasks, attachments) {
+  if (attachments.length === 0) {
+    return tasks.map(() => []);
+  }
+  const named = tasks.map(task => {
+    const wanted = (task.attachments || []).map(comparableName).filter(Boolean);
+    return attachments.filter(attachment => wanted.includes(comparableName(attachment.filename)));
+  });
+  const unnamed = attachments.filter(attachment => !named.some(matches => matches.includes(attachment)));
+  return named.map(matches => [...matches, ...unnamed]);
+}
+
+/**
+ * Links attachments to a task. The caller has already checked that the user
+ * owns the task.
+ *
+ * Content is stored the first time a file is linked; `contentIds` carries it
+ * to the file's other tasks, so pass the same map for every task of an email.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} taskId
+ * @param {Array<Object>} attachments - { filename, mimeType, size, gmailMessageId?, gmailAttachmentId?, content?, text? }
+ * @param {Map<Object, number>} contentIds - attachment_contents IDs by attachment; the content stored here is added
+ * @returns {Promise<void>}
+ */
+export async function addTaskAttachments(db, taskId, attachments, contentIds) {
+  for (const attachment of attachments) {
+    if (!attachment.gmailAttachmentId && attachment.content && !contentIds.has(attachment)) {
+      const stored = await db.query('INSERT INTO attachment_contents (content) VALUES ($1) RETURNING id', [attachment.content]);
+      contentIds.set(attachment, stored.rows[0].id);
+    }
+    await db.query(
+      `INSERT INTO task_attachments (task_id, filename, mime_type, size_bytes, gmail_message_id, gmail_attachment_id, content_id, extracted_text)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        taskId,
+        String(attachment.filename).slice(0, MAX_FILENAME_LENGTH),
+        String(attachment.mimeType).slice(0, MAX_MIME_TYPE_LENGTH),
+        attachment.size,
+        attachment.gmailMessageId || null,
+        attachment.gmailAttachmentId || null,
+        contentIds.get(attachment) ?? null,
+        attachment.text || null
+      ]
+    );
+  }
+}
+
+/**
+ * Deletes stored content no attachment links to any more, once the tasks
+ * linked to it are gone for good
+ *
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<void>}
+ */
+export async function deleteUnlinkedAttachmentContents(db) {
+  await db.query(
+    `DELETE FROM attachment_contents ac
+     WHERE NOT EXISTS (SELECT 1 FROM task_attachments ta WHERE ta.content_id = ac.id)`
+  );
+}
+
+/**
+ * Reads one attachment of one of the user's live tasks
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {number} attachmentId
+ * @returns {Promise<Object|null>} The attachment row, or null when the user has no such attachment
+ */
+export async function getTaskAttachment(db, userId, taskId, attachmentId) {
+  const result = await db.query(
+    `SELECT ta.id, ta.filename, ta.mime_type, ta.size_bytes, ta.gmail_message_id, ta.gmail_attachment_id, ac.content
+     FROM task_attachments ta JOIN tasks ON tasks.id = ta.task_id
+     LEFT JOIN attachment_contents ac ON ac.id = ta.content_id
+     WHERE ta.id = $1 AND ta.task_id = $2 AND tasks.user_id = $3 AND tasks.deleted_at IS NULL`,
+    [attachmentId, taskId, userId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,336 @@
+/**
+ * Task Change Journal
+ *
+ * Per-user undo/redo history for task mutations. Every mutation records a
+ * full before/after snapshot of each affected task row; one user action
+ * (a voice command, a manual edit, an ingested email) is one group, and
+ * undo/redo always operate on whole groups.
+ *
+ * Snapshots are taken with to_jsonb() and restored with
+ * jsonb_populate_record(), so dates round-trip exactly and columns added to
+ * the tasks table later are journaled without changes here. A task's tags
+ * and checklist live in their own tables, so snapshots carry them as extra
+ * `tags` and `checklist` arrays.
+ *
+ * All functions take a pg client; callers that need atomicity wrap them in
+ * a transaction together with the mutation itself.
+ */
+
+import crypto from 'crypto';
+import { normalizeTags, setTaskTags, taskTagsSql } from './tags.js';
+import { checklistSql, replaceChecklist } from './checklist.js';
+import { attachmentsSql } from './attachments.js';
+
+export const JOURNAL_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+// Number of change groups kept per user
+export const MAX_HISTORY_GROUPS = 50;
+
+// Columns never overwritten when restoring a snapshot
+const IMMUTABLE_COLUMNS = new Set(['id', 'user_id']);
+const COLUMN_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Reads the current snapshot of a task, locking the row for the rest of
+ * the transaction
+ *
+ * @param {Object} client - pg client or pool
+ * @param {string} taskId
+ * @param {string} userId
+ * @returns {Promise<Object|null>} The task row as plain JSON, or null if it does not exist
+ */
+export async function snapshotTask(client, taskId, userId) {
+  const result = await client.query(
+    `SELECT to_jsonb(t) || jsonb_build_object('tags', ${taskTagsSql('t')}, 'checklist', ${checklistSql('t')}) AS snapshot
+     FROM tasks t WHERE t.id = $1 AND t.user_id = $2 FOR UPDATE`,
+    [taskId, userId]
+  );
+  return result.rows[0]?.snapshot || null;
+}
+
+// A task is live when it exists and is not in the trash
+const isLive = (snapshot) => Boolean(snapshot) && !snapshot.deleted_at;
+
+/**
+ * Derives the journal action from a before/after snapshot pair. Moving a
+ * task to the trash counts as a delete, restoring it as a create.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {string|null} A JOURNAL_ACTIONS value, or null if the task never existed
+ */
+export function journalAction(before, after) {
+  if (!before && !after) return null;
+  if (isLive(before) && !isLive(after)) return JOURNAL_ACTIONS.DELETE;
+  if (!isLive(before) && isLive(after)) return JOURNAL_ACTIONS.CREATE;
+  return JOURNAL_ACTIONS.UPDATE;
+}
+
+/**
+ * Records one user action's changes as a single undoable group
+ *
+ * Recording a new change clears the redo history, and only the latest
+ * MAX_HISTORY_GROUPS groups are kept. Changes where the task existed
+ * neither before nor after are ignored.
+ *
+ * @param {Object} client - pg client or pool
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.source - Where the change came from ('voice', 'manual', 'email', ...)
+ * @param {Array<{ taskId: string, before: Object|null, after: Object|null }>} params.changes - Snapshots from snapshotTask()
+ * @returns {Promise<string|null>} The group ID, or null when there was nothing to record
+ */
+export async function recordChanges(client, { userId, source, changes }) {
+  const entries = (changes || []).filter(change => journalAction(change.before, change.after));
+  if (entries.length === 0) {
+    return null;
+  }
+  const groupId = crypto.randomUUID();
+
+  await client.query(
+    'DELETE FROM task_change_journal WHERE user_id = $1 AND undone_at IS NOT NULL',
+    [userId]
+  );
+
+  for (const change of entries) {
+    await client.query(
+      `INSERT INTO task_change_journal (user_id, group_id, task_id, action, source, before_snapshot, after_snapshot)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb)`,
+      [
+        userId,
+        groupId,
+        change.taskId,
+        journalAction(change.before, change.after),
+        source,
+        change.before ? JSON.stringify(change.before) : null,
+        change.after ? JSON.stringify(change.after) : null
+      ]
+    );
+  }
+
+  await client.query(
+    `DELETE FROM task_change_journal
+     WHERE user_id = $1
+       AND group_id NOT IN (
+         SELECT group_id FROM task_change_journal
+         WHERE user_id = $1
+         GROUP BY group_id
+         ORDER BY MAX(id) DESC
+         LIMIT $2
+       )`,
+    [userId, MAX_HISTORY_GROUPS]
+  );
+
+  return groupId;
+}
+
+/**
+ * Makes a task match a snapshot: moves it to the trash when the snapshot is
+ * null (undoing a create), re-inserts it when it no longer exists,
+ * otherwise overwrites its columns. A trashed task keeps its attachments,
+ * which no snapshot carries, so redo brings it back with them.
+ *
+ * @returns {Promise<Object|null>} The task after writing, or null if trashed
+ */
+async function writeSnapshot(client, userId, taskId, snapshot) {
+  if (!snapshot) {
+    await client.query(
+      'UPDATE tasks SET deleted_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [taskId, userId]
+    );
+    return null;
+  }
+
+  // Snapshots are only ever restored for the user they were taken from.
+  // Snapshots journaled before tags or checklists existed have none to restore
+  const { tags, checklist, ...columns } = snapshot;
+  const restored = { ...columns, id: taskId, user_id: userId };
+  // The task's list may have been deleted since; it then comes back in no list
+  if (restored.list_id) {
+    const list = await client.query('SELECT id FROM lists WHERE id = $1 AND user_id = $2', [restored.list_id, userId]);
+    if (list.rowCount === 0) {
+      restored.list_id = null;
+    }
+  }
+  const existing = await client.query('SELECT id FROM tasks WHERE id = $1 AND user_id = $2 FOR UPDATE', [taskId, userId]);
+
+  if (existing.rowCount === 0) {
+    // Snapshots journaled before tasks recorded their source come back as manual
+    restored.source = restored.source || 'manual';
+    await client.query(
+      'INSERT INTO tasks SELECT * FROM jsonb_populate_record(NULL::tasks, $1::jsonb)',
+      [JSON.stringify(restored)]
+    );
+  } else {
+    const columnList = Object.keys(restored)
+      .filter(column => !IMMUTABLE_COLUMNS.has(column) && COLUMN_NAME_PATTERN.test(column))
+      .join(', ');
+    await client.query(
+      `UPDATE tasks SET (${columnList}) = (
+         SELECT ${columnList} FROM jsonb_populate_record(NULL::tasks, $1::jsonb)
+       )
+       WHERE id = $2 AND user_id = $3`,
+      [JSON.stringify(restored), taskId, userId]
+    );
+  }
+
+  if (Array.isArray(tags)) {
+    await setTaskTags(client, userId, taskId, normalizeTags(tags));
+  }
+  if (Array.isArray(checklist)) {
+    await replaceChecklist(client, taskId, checklist);
+  }
+
+  const result = await client.query(
+    `SELECT tasks.*, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments FROM tasks WHERE id = $1 AND user_id = $2`,
+    [taskId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Maps a restored entry to the `{ intent, task }` shape used by
+ * create-from-voice responses, so clients can apply it the same way
+ */
+function toOperationResult(entry, task, otherSnapshot) {
+  if (!isLive(task)) {
+    return { intent: 'delete_task', task: { id: entry.task_id, task_name: (task || otherSnapshot)?.task_name || '' } };
+  }
+  return { intent: isLive(otherSnapshot) ? 'edit_task' : 'create_task', task };
+}
+
+/**
+ * Builds a short spoken description of an undo or redo
+ *
+ * @param {'undo'|'redo'} direction
+ * @param {Array<Object>} entries - Journal entries that were reverted/reapplied
+ * @returns {string}
+ */
+export function describeHistoryChange(direction, entries) {
+  if (entries.length !== 1) {
+    return `${direction === 'undo' ? 'Undid' : 'Redid'} ${entries.length} changes`;
+  }
+
+  const [entry] = entries;
+  const name = (entry.after_snapshot || entry.before_snapshot)?.task_name;
+  const previousName = entry.before_snapshot?.task_name;
+
+  if (direction === 'undo') {
+    if (entry.action === JOURNAL_ACTIONS.CREATE) return `Removed '${name}'`;
+    if (entry.action === JOURNAL_ACTIONS.DELETE) return `Restored '${name}'`;
+    return previousName && previousName !== name
+      ? `Changed '${name}' back to '${previousName}'`
+      : `Reverted the change to '${name}'`;
+  }
+
+  if (entry.action === JOURNAL_ACTIONS.CREATE) return `Added '${name}' again`;
+  if (entry.action === JOURNAL_ACTIONS.DELETE) return `Deleted '${name}' again`;
+  return `Reapplied the change to '${name}'`;
+}
+
+/**
+ * Finds the group an undo or redo would apply, with its entries in the
+ * order they would be applied (undo walks the group backwards, redo forwards)
+ */
+async function findGroup(client, userId, direction) {
+  const groupResult = direction === 'undo'
+    ? await client.query(
+      `SELECT group_id, source FROM task_change_journal
+       WHERE user_id = $1 AND undone_at IS NULL
+       ORDER BY id DESC LIMIT 1`,
+      [userId]
+    )
+    : await client.query(
+      `SELECT group_id, source FROM task_change_journal
+       WHERE user_id = $1 AND undone_at IS NOT NULL
+       ORDER BY undone_at DESC, id DESC LIMIT 1`,
+      [userId]
+    );
+
+  if (groupResult.rowCount === 0) {
+    return null;
+  }
+  const { group_id: groupId, source } = groupResult.rows[0];
+
+  const entriesResult = await client.query(
+    `SELECT id, task_id, action, before_snapshot, after_snapshot
+     FROM task_change_journal
+     WHERE user_id = $1 AND group_id = $2
+     ORDER BY id ${direction === 'undo' ? 'DESC' : 'ASC'}`,
+    [userId, groupId]
+  );
+  return { groupId, source, entries: entriesResult.rows };
+}
+
+async function applyGroup(client, userId, direction, expectedGroupId) {
+  const group = await findGroup(client, userId, direction);
+  // A previewed undo/redo only applies to the group it described
+  if (!group || (expectedGroupId && group.groupId !== expectedGroupId)) {
+    return null;
+  }
+  const { groupId, source, entries } = group;
+
+  const operations = [];
+  for (const entry of entries) {
+    const [target, other] = direction === 'undo'
+      ? [entry.before_snapshot, entry.after_snapshot]
+      : [entry.after_snapshot, entry.before_snapshot];
+    const task = await writeSnapshot(client, userId, entry.task_id, target);
+    operations.push(toOperationResult(entry, task, other));
+  }
+
+  await client.query(
+    `UPDATE task_change_journal SET undone_at = ${direction === 'undo' ? 'NOW()' : 'NULL'}
+     WHERE user_id = $1 AND group_id = $2`,
+    [userId, groupId]
+  );
+
+  return {
+    action: direction,
+    groupId,
+    source,
+    description: describeHistoryChange(direction, entries),
+    operations
+  };
+}
+
+/**
+ * Describes what an undo or redo would do, without applying it
+ *
+ * @param {Object} client - pg client or pool
+ * @param {string} userId
+ * @param {'undo'|'redo'} direction
+ * @returns {Promise<{ groupId: string, description: string }|null>} null if there is nothing to undo/redo
+ */
+export async function previewHistoryChange(client, userId, direction) {
+  const group = await findGroup(client, userId, direction);
+  return group && { groupId: group.groupId, description: describeHistoryChange(direction, group.entries) };
+}
+
+/**
+ * Reverts the user's most recent change group
+ *
+ * @param {Object} client - pg client, inside a transaction
+ * @param {string} userId
+ * @param {string} [groupId] - From previewHistoryChange(); nothing is undone unless it is still the most recent group
+ * @returns {Promise<Object|null>} `{ action, groupId, source, description, operations }`, or null if there is nothing to undo
+ */
+export async function undoLastChange(client, userId, groupId) {
+  return applyGroup(client, userId, 'undo', groupId);
+}
+
+/**
+ * Re-applies the user's most recently undone change group
+ *
+ * @param {Object} client - pg client, inside a transaction
+ * @param {string} userId
+ * @param {string} [groupId] - From previewHistoryChange(); nothing is redone unless it is still the most recently undone group
+ * @returns {Promise<Object|null>} `{ action, groupId, source, description, operations }`, or null if there is nothing to redo
+ */
+export async function redoLastChange(client, userId, groupId) {
+  return applyGroup(client, userId, 'redo', groupId);
+}
@@ -0,0 +1,162 @@
+/**
+ * Task Checklists
+ *
+ * A task can carry an ordered checklist of steps ("pack boxes", "book the
+ * van"), each with its own completion state, in task_checklist_items. Steps
+ * are numbered from 1 in checklist order when spoken ("tick off step two of
+ * the move plan").
+ *
+ * A task with steps completes itself once every step is ticked. Unticking a
+ * step, or adding one, reopens it.
+ */
+
+export const MAX_CHECKLIST_ITEMS = 50;
+export const MAX_CHECKLIST_ITEM_LENGTH = 250;
+
+/**
+ * SQL expression for a task's checklist, in order, as a JSON array of
+ * { id, text, is_completed }
+ *
+ * @param {string} taskAlias - Name or alias of the tasks table in the query
+ * @returns {string}
+ */
+export function checklistSql(taskAlias) {
+  return `COALESCE((SELECT jsonb_agg(jsonb_build_object('id', ci.id, 'text', ci.text, 'is_completed', ci.is_completed) ORDER BY ci.position, ci.id) FROM task_checklist_items ci WHERE ci.task_id = ${taskAlias}.id), '[]'::jsonb)`;
+}
+
+/**
+ * Tidies a step: trims it and collapses runs of whitespace
+ *
+ * @param {*} text
+ * @returns {string|null} The step, or null when it is missing, empty or too long
+ */
+export function normalizeChecklistItem(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const normalized = text.trim().replace(/\s+/g, ' ');
+  return normalized && normalized.length <= MAX_CHECKLIST_ITEM_LENGTH ? normalized : null;
+}
+
+/**
+ * Normalizes a list of steps, dropping invalid ones
+ *
+ * @param {*} values
+ * @returns {Array<string>|null} At most MAX_CHECKLIST_ITEMS steps, or null when values is not an array
+ */
+export function normalizeChecklist(values) {
+  if (!Array.isArray(values)) {
+    return null;
+  }
+  return values.map(normalizeChecklistItem).filter(Boolean).slice(0, MAX_CHECKLIST_ITEMS);
+}
+
+/**
+ * Reads a task's checklist, in order
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} taskId
+ * @returns {Promise<Array<{ id: number, text: string, is_completed: boolean }>>}
+ */
+export async function getChecklist(db, taskId) {
+  const result = await db.query(
+    'SELECT id, text, is_completed FROM task_checklist_items WHERE task_id = $1 ORDER BY position, id',
+    [taskId]
+  );
+  return result.rows;
+}
+
+/**
+ * Appends unticked steps to a task's checklist. The caller has already
+ * checked that the user owns the task and that the checklist has room.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} taskId
+ * @param {Array<string>} items - Normalized steps (see normalizeChecklist)
+ * @returns {Promise<void>}
+ */
+export async function addChecklistItems(db, taskId, items) {
+  if (items.length === 0) {
+    return;
+  }
+  await db.query(
+    `INSERT INTO task_checklist_items (task_id, text, position)
+     SELECT $1, item.text, (SELECT COALESCE(MAX(position), 0) FROM task_checklist_items WHERE task_id = $1) + item.n
+     FROM UNNEST($2::text[]) WITH ORDINALITY AS item(text, n)`,
+    [taskId, items]
+  );
+}
+
+/**
+ * Replaces a task's whole checklist, keeping item IDs (used to restore
+ * journal snapshots)
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} taskId
+ * @param {Array<{ id: number, text: string, is_completed: boolean }>} items - In order
+ * @returns {Promise<void>}
+ */
+export async function replaceChecklist(db, taskId, items) {
+  await db.query('DELETE FROM task_checklist_items WHERE task_id = $1', [taskId]);
+  if (items.length === 0) {
+    return;
+  }
+  await db.query(
+    `INSERT INTO task_checklist_items (id, task_id, text, is_completed, position)
+     SELECT item.id, $1, item.text, item.is_completed, item.n
+     FROM jsonb_to_recordset($2::jsonb) WITH ORDINALITY AS item(id integer, text text, is_completed boolean, n integer)`,
+    [taskId, JSON.stringify(items)]
+  );
+}
+
+/**
+ * Ticks or unticks a step by its number in the checklist (1 = first step)
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {number} itemNumber
+ * @param {boolean} isCompleted
+ * @returns {Promise<Object|null>} The step, or null when the task has no such step
+ */
+export async function setChecklistItemCompletedByNumber(db, userId, taskId, itemNumber, isCompleted) {
+  const result = await db.query(
+    `UPDATE task_checklist_items SET is_completed = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT ci.id FROM task_checklist_items ci
+       JOIN tasks t ON t.id = ci.task_id
+       WHERE ci.task_id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL
+       ORDER BY ci.position, ci.id
+       OFFSET $3 LIMIT 1
+     )
+     RETURNING id, text, is_completed`,
+    [taskId, userId, itemNumber - 1, isCompleted]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Completes a task once every step of its checklist is ticked, and with
+ * `reopen` also reopens a completed task that has an unticked step. Tasks
+ * without steps are left alone.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {{ reopen?: boolean }} [options]
+ * @returns {Promise<boolean|null>} The task's new completion state, or null when it did not change
+ */
+export async function syncChecklistCompletion(db, userId, taskId, { reopen = false } = {}) {
+  const result = await db.query(
+    `UPDATE tasks t SET is_completed = steps.all_done, updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT COUNT(*) AS total, BOOL_AND(is_completed) AS all_done
+       FROM task_checklist_items WHERE task_id = $1
+     ) steps
+     WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL
+       AND steps.total > 0 AND t.is_completed <> steps.all_done AND (steps.all_done OR $3)
+     RETURNING t.is_completed`,
+    [taskId, userId, reopen]
+  );
+  return result.rows[0]?.is_completed ?? null;
+}
@@ -0,0 +1,121 @@
+/**
+ * Task Lists
+ *
+ * Users group tasks into named lists (Home, Work, Groceries); tasks.list_id
+ * is NULL for tasks in no list. The LLM only ever names a list; names are
+ * resolved to IDs here, against the user's own lists, so a task can never be
+ * filed into a list the user does not own.
+ *
+ * Emails are filed by routing rules: a rule sends emails from a sender
+ * (a full address, or a domain written as "@example.com") or with a subject
+ * containing some text to one of the user's lists.
+ */
+
+export const MAX_LIST_NAME_LENGTH = 50;
+export const MAX_LISTS = 50;
+export const MAX_RULE_PATTERN_LENGTH = 255;
+export const MAX_ROUTING_RULES = 50;
+
+/**
+ * Tidies a list name: trims it and collapses runs of whitespace
+ *
+ * @param {*} name
+ * @returns {string|null} The name, or null when it is missing, empty or too long
+ */
+export function normalizeListName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const normalized = name.trim().replace(/\s+/g, ' ');
+  return normalized && normalized.length <= MAX_LIST_NAME_LENGTH ? normalized : null;
+}
+
+/**
+ * Finds a list by name, ignoring case and a trailing " list"
+ * ("groceries", "the Groceries list")
+ *
+ * @param {Array<{ id: string, name: string }>} lists - The user's lists
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findListByName(lists, name) {
+  const key = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  const wanted = key(name || '').replace(/^(?:the|my)\s+/, '');
+  if (!wanted) {
+    return null;
+  }
+  return lists.find(list => key(list.name) === wanted)
+    || lists.find(list => `${key(list.name)} list` === wanted)
+    || null;
+}
+
+/**
+ * Looks up one of the user's lists by name
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<Object|null>} The list ({ id, name }), or null when the user has no such list
+ */
+export async function resolveListName(db, userId, name) {
+  if (!normalizeListName(name)) {
+    return null;
+  }
+  const result = await db.query('SELECT id, name FROM lists WHERE user_id = $1', [userId]);
+  return findListByName(result.rows, name);
+}
+
+/**
+ * Checks whether an email matches a routing rule. Sender patterns match the
+ * whole address, or its domain when written as "@example.com"; subject
+ * patterns match anywhere in the subject. Both are case-insensitive, and a
+ * rule with both patterns needs both to match.
+ *
+ * @param {{ sender_pattern: string|null, subject_pattern: string|null }} rule
+ * @param {{ sender: string, subject: string }} email
+ * @returns {boolean}
+ */
+export function matchesRoutingRule(rule, { sender, subject }) {
+  const from = (sender || '').trim().toLowerCase();
+  const senderPattern = rule.sender_pattern?.trim().toLowerCase();
+  const subjectPattern = rule.subject_pattern?.trim().toLowerCase();
+  if (!senderPattern && !subjectPattern) {
+    return false;
+  }
+
+  if (senderPattern) {
+    const matches = senderPattern.startsWith('@') ? from.endsWith(senderPattern) : from === senderPattern;
+    if (!matches) return false;
+  }
+  if (subjectPattern && !(subject || '').toLowerCase().includes(subjectPattern)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Picks the list an email's tasks go to: the first matching rule, oldest first
+ *
+ * @param {Array<Object>} rules - The user's routing rules, oldest first
+ * @param {{ sender: string, subject: string }} email
+ * @returns {string|null} The list ID, or null when no rule matches
+ */
+export function routeEmailToList(rules, email) {
+  return rules.find(rule => matchesRoutingRule(rule, email))?.list_id ?? null;
+}
+
+/**
+ * Finds the list for an email sent to one user
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {{ sender: string, subject: string }} email
+ * @returns {Promise<string|null>} The list ID, or null when no rule matches
+ */
+export async function findListForEmail(db, userId, email) {
+  const result = await db.query(
+    'SELECT list_id, sender_pattern, subject_pattern FROM list_routing_rules WHERE user_id = $1 ORDER BY id ASC',
+    [userId]
+  );
+  return routeEmailToList(result.rows, email);
+}
@@ -0,0 +1,39 @@
+/**
+ * Task Priorities
+ *
+ * tasks.priority holds one of TASK_PRIORITIES, or NULL when the user never
+ * gave the task a priority. Sorting by priority puts urgent tasks first and
+ * tasks without a priority last.
+ */
+
+// Lowest to highest
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * SQL expression ranking tasks by priority: urgent = 4 ... low = 1, none = 0
+ */
+export const PRIORITY_RANK_SQL = `CASE priority ${TASK_PRIORITIES.map((priority, i) => `WHEN '${priority}' THEN ${i + 1}`).join(' ')} ELSE 0 END`;
+
+/**
+ * Checks whether a value is a supported priority
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidPriority(value) {
+  return TASK_PRIORITIES.includes(value);
+}
+
+/**
+ * Normalizes a loosely formatted priority (e.g. "High" from an email parse)
+ *
+ * @param {*} value
+ * @returns {string|null} A TASK_PRIORITIES value, or null when missing or unsupported
+ */
+export function normalizePriority(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const priority = value.trim().toLowerCase();
+  return isValidPriority(priority) ? priority : null;
+}
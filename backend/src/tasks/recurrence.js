@@ -0,0 +1,275 @@
+/**
+ * Task Recurrence
+ *
+ * Recurring tasks carry an iCalendar RRULE subset in tasks.recurrence_rule:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY   required
+ *   INTERVAL=n                  every n days/weeks/months (1-99, default 1)
+ *   BYDAY=MO,TU,...             WEEKLY only: the weekdays it falls on
+ *   BYMONTHDAY=d                MONTHLY only: the day of the month (1-31,
+ *                               clamped to the last day of shorter months)
+ *
+ * Rules are stored in a canonical form (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH")
+ * so they compare and display consistently. When a recurring task is
+ * completed, the next instance is created with the rule and the completed
+ * task keeps its history without it.
+ */
+
+import { setTaskTags } from './tags.js';
+import { addChecklistItems, getChecklist } from './checklist.js';
+
+// Sentinel the LLM uses to clear a task's recurrence (null means "unchanged")
+export const RECURRENCE_NONE = 'NONE';
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const MAX_INTERVAL = 99;
+
+// RRULE weekday codes, indexed like Date#getUTCDay()
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Canonical BYDAY order (weeks start on Monday)
+const WEEKDAY_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a rule of the supported RRULE subset
+ *
+ * Accepts an optional "RRULE:" prefix and any part order or letter case.
+ *
+ * @param {string} rule
+ * @returns {{ freq: string, interval: number, byDay: string[], byMonthDay: number|null } | null}
+ *   The parsed rule, or null if the rule is malformed or outside the subset
+ */
+export function parseRecurrenceRule(rule) {
+  if (typeof rule !== 'string') {
+    return null;
+  }
+
+  const parts = new Map();
+  for (const part of rule.trim().toUpperCase().replace(/^RRULE:/, '').split(';')) {
+    const match = part.match(/^([A-Z]+)=([A-Z0-9,]+)$/);
+    if (!match || parts.has(match[1])) {
+      return null;
+    }
+    parts.set(match[1], match[2]);
+  }
+
+  const freq = parts.get('FREQ');
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return null;
+  }
+
+  for (const key of parts.keys()) {
+    if (!['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY'].includes(key)) {
+      return null;
+    }
+  }
+
+  let interval = 1;
+  if (parts.has('INTERVAL')) {
+    interval = /^\d+$/.test(parts.get('INTERVAL')) ? Number(parts.get('INTERVAL')) : NaN;
+    if (!(interval >= 1 && interval <= MAX_INTERVAL)) {
+      return null;
+    }
+  }
+
+  let byDay = [];
+  if (parts.has('BYDAY')) {
+    const days = parts.get('BYDAY').split(',');
+    if (freq !== 'WEEKLY' || days.some(day => !WEEKDAY_ORDER.includes(day))) {
+      return null;
+    }
+    byDay = WEEKDAY_ORDER.filter(day => days.includes(day));
+  }
+
+  let byMonthDay = null;
+  if (parts.has('BYMONTHDAY')) {
+    byMonthDay = /^\d+$/.test(parts.get('BYMONTHDAY')) ? Number(parts.get('BYMONTHDAY')) : NaN;
+    if (freq !== 'MONTHLY' || !(byMonthDay >= 1 && byMonthDay <= 31)) {
+      return null;
+    }
+  }
+
+  return { freq, interval, byDay, byMonthDay };
+}
+
+/**
+ * @param {string} rule
+ * @returns {boolean} Whether the rule is within the supported subset
+ */
+export function isValidRecurrenceRule(rule) {
+  return parseRecurrenceRule(rule) !== null;
+}
+
+/**
+ * Returns the canonical form of a rule, or null if it is invalid
+ *
+ * @param {string} rule
+ * @returns {string|null}
+ */
+export function normalizeRecurrenceRule(rule) {
+  const parsed = parseRecurrenceRule(rule);
+  if (!parsed) {
+    return null;
+  }
+
+  const parts = [`FREQ=${parsed.freq}`];
+  if (parsed.interval > 1) {
+    parts.push(`INTERVAL=${parsed.interval}`);
+  }
+  if (parsed.byDay.length > 0) {
+    parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+  }
+  if (parsed.byMonthDay !== null) {
+    parts.push(`BYMONTHDAY=${parsed.byMonthDay}`);
+  }
+  return parts.join(';');
+}
+
+function toDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Computes the first occurrence of a rule strictly after a date
+ *
+ * The date is treated as the previous occurrence: intervals are counted
+ * from it (from its week for WEEKLY rules).
+ *
+ * @param {string} rule - A valid recurrence rule
+ * @param {string} afterDate - YYYY-MM-DD
+ * @returns {string|null} The next occurrence as YYYY-MM-DD, or null if the rule is invalid
+ */
+export function nextOccurrence(rule, afterDate) {
+  const parsed = parseRecurrenceRule(rule);
+  if (!parsed) {
+    return null;
+  }
+
+  const after = toDate(afterDate);
+
+  if (parsed.freq === 'DAILY') {
+    return toIsoDate(new Date(after.getTime() + parsed.interval * DAY_MS));
+  }
+
+  if (parsed.freq === 'WEEKLY') {
+    if (parsed.byDay.length === 0) {
+      return toIsoDate(new Date(after.getTime() + parsed.interval * 7 * DAY_MS));
+    }
+    // Later in the same week, otherwise the first matching day `interval` weeks on
+    const weekStart = after.getTime() - ((after.getUTCDay() + 6) % 7) * DAY_MS;
+    const offsets = parsed.byDay.map(day => WEEKDAY_ORDER.indexOf(day));
+    const afterOffset = (after.getUTCDay() + 6) % 7;
+    const laterThisWeek = offsets.find(offset => offset > afterOffset);
+    if (laterThisWeek !== undefined) {
+      return toIsoDate(new Date(weekStart + laterThisWeek * DAY_MS));
+    }
+    return toIsoDate(new Date(weekStart + (parsed.interval * 7 + offsets[0]) * DAY_MS));
+  }
+
+  // MONTHLY: on BYMONTHDAY, or on the same day of the month as the previous occurrence
+  const monthDay = parsed.byMonthDay ?? after.getUTCDate();
+  const year = after.getUTCFullYear();
+  const month = after.getUTCMonth();
+  const thisMonthDay = Math.min(monthDay, daysInMonth(year, month));
+  if (thisMonthDay > after.getUTCDate()) {
+    return toIsoDate(new Date(Date.UTC(year, month, thisMonthDay)));
+  }
+  const target = new Date(Date.UTC(year, month + parsed.interval, 1));
+  const targetDay = Math.min(monthDay, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  return toIsoDate(new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), targetDay)));
+}
+
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Describes a rule in plain words, e.g. "every 2 weeks on Monday and Thursday"
+ *
+ * @param {string} rule
+ * @returns {string|null} The description, or null if the rule is invalid
+ */
+export function describeRecurrence(rule) {
+  const parsed = parseRecurrenceRule(rule);
+  if (!parsed) {
+    return null;
+  }
+
+  const { freq, interval, byDay, byMonthDay } = parsed;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+  const every = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+
+  if (freq === 'WEEKLY' && byDay.length > 0) {
+    const isWeekdays = byDay.join(',') === 'MO,TU,WE,TH,FR';
+    const days = isWeekdays ? 'weekday' : listNames(byDay.map(day => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(day)]));
+    return interval > 1 ? `${every} on ${isWeekdays ? 'weekdays' : days}` : `every ${days}`;
+  }
+  if (freq === 'MONTHLY' && byMonthDay !== null) {
+    return `${every} on the ${ordinal(byMonthDay)}`;
+  }
+  return every;
+}
+
+/**
+ * Creates the next instance of a recurring task that was just completed
+ *
+ * The next instance is due on the first occurrence after the completed
+ * task's due date, or after today if the task is overdue or undated, so
+ * completing a task late does not create instances that are already due.
+ * The rule moves to the new instance; the completed task keeps none. The
+ * new instance keeps the task's priority, list and tags, and its checklist
+ * with every step unticked.
+ *
+ * @param {Object} client - pg client inside the caller's transaction
+ * @param {Object} completedTask - Snapshot of the completed task (to_jsonb row)
+ * @param {string} userId
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Promise<Object|null>} The new task row, or null if the task has no valid rule
+ */
+export async function createNextOccurrence(client, completedTask, userId, today) {
+  const rule = normalizeRecurrenceRule(completedTask.recurrence_rule);
+  if (!rule) {
+    return null;
+  }
+
+  const from = completedTask.due_date && completedTask.due_date > today ? completedTask.due_date : today;
+  const dueDate = nextOccurrence(rule, from);
+
+  await client.query(
+    'UPDATE tasks SET recurrence_rule = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
+    [completedTask.id, userId]
+  );
+  const insertResult = await client.query(
+    `INSERT INTO tasks (id, user_id, task_name, description, due_date, due_time, is_completed, original_request, recurrence_rule, priority, list_id, source)
+     VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, FALSE, $6, $7, $8, $9, COALESCE($10, 'manual'))
+     RETURNING id, task_name, description, due_date, due_time, is_completed, original_request, is_archived, recurrence_rule, priority, list_id, source`,
+    [userId, completedTask.task_name, completedTask.description ?? null, dueDate, completedTask.due_time ?? null, completedTask.original_request ?? null, rule, completedTask.priority ?? null, completedTask.list_id ?? null, completedTask.source ?? null]
+  );
+  const nextTask = { ...insertResult.rows[0], tags: completedTask.tags || [], checklist: [] };
+  if (nextTask.tags.length > 0) {
+    await setTaskTags(client, userId, nextTask.id, nextTask.tags);
+  }
+  const steps = (completedTask.checklist || []).map(item => item.text);
+  if (steps.length > 0) {
+    await addChecklistItems(client, nextTask.id, steps);
+    nextTask.checklist = await getChecklist(client, nextTask.id);
+  }
+  return nextTask;
+}
@@ -0,0 +1,115 @@
+/**
+ * Task Tags
+ *
+ * Free-text labels such as "errand" or "phone-call". A task has any number
+ * of tags (up to MAX_TAGS_PER_TASK) and a tag any number of tasks: the tags
+ * table holds each user's tag names, task_tags joins them to tasks.
+ *
+ * Tags are stored normalized - lowercase, without a leading "#", words
+ * joined with hyphens - so "#Phone Call" and "phone-call" are the same tag.
+ * Setting a task's tags always replaces the whole set.
+ */
+
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS_PER_TASK = 10;
+
+/**
+ * SQL expression for a task's tag names, alphabetically, as a text array
+ *
+ * @param {string} taskAlias - Name or alias of the tasks table in the query
+ * @returns {string}
+ */
+export function taskTagsSql(taskAlias) {
+  return `COALESCE((SELECT array_agg(tg.name ORDER BY tg.name) FROM task_tags tt JOIN tags tg ON tg.id = tt.tag_id WHERE tt.task_id = ${taskAlias}.id), '{}')`;
+}
+
+/**
+ * Normalizes a tag: "#Phone Call" becomes "phone-call"
+ *
+ * @param {*} value
+ * @returns {string|null} The tag, or null when it is missing, empty or too long
+ */
+export function normalizeTag(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const tag = value
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+}
+
+/**
+ * Normalizes a set of tags, dropping invalid ones and duplicates
+ *
+ * @param {*} values
+ * @returns {Array<string>|null} At most MAX_TAGS_PER_TASK tags, or null when values is not an array
+ */
+export function normalizeTags(values) {
+  if (!Array.isArray(values)) {
+    return null;
+  }
+  const tags = values.map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS_PER_TASK);
+}
+
+/**
+ * Replaces a task's tags, creating tags the user does not have yet. The
+ * caller has already checked that the user owns the task.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {Array<string>} tags - Normalized tags (see normalizeTags)
+ * @returns {Promise<void>}
+ */
+export async function setTaskTags(db, userId, taskId, tags) {
+  await db.query('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
+  if (tags.length === 0) {
+    return;
+  }
+  await db.query(
+    'INSERT INTO tags (user_id, name) SELECT $1, UNNEST($2::text[]) ON CONFLICT (user_id, name) DO NOTHING',
+    [userId, tags]
+  );
+  await db.query(
+    'INSERT INTO task_tags (task_id, tag_id) SELECT $1, id FROM tags WHERE user_id = $2 AND name = ANY($3::text[])',
+    [taskId, userId, tags]
+  );
+}
+
+/**
+ * Counts how many of a user's tasks carry each tag, for the tag cloud.
+ * Archived and deleted tasks are not counted.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string|null} [listId] - Only tasks in this list, null for tasks in no list, undefined for every task
+ * @returns {Promise<Array<{ tag: string, count: number }>>} Alphabetically
+ */
+export async function countTaskTags(db, userId, listId) {
+  const params = [userId];
+  let listCondition = '';
+  if (listId === null) {
+    listCondition = 'AND t.list_id IS NULL';
+  } else if (listId !== undefined) {
+    params.push(listId);
+    listCondition = 'AND t.list_id = $2';
+  }
+  const result = await db.query(
+    `SELECT tg.name AS tag, COUNT(*)::int AS count
+     FROM task_tags tt
+     JOIN tags tg ON tg.id = tt.tag_id
+     JOIN tasks t ON t.id = tt.task_id
+     WHERE tg.user_id = $1 AND t.user_id = $1 AND t.is_archived = FALSE AND t.deleted_at IS NULL ${listCondition}
+     GROUP BY tg.name
+     ORDER BY tg.name`,
+    params
+  );
+  return result.rows;
+}
@@ -0,0 +1,186 @@
+/**
+ * Task List Queries
+ *
+ * Builds the SQL behind GET /api/tasks: filters, sorting and cursor
+ * (keyset) pagination, plus the total count of matching tasks.
+ *
+ * Sort orders match the task list in the frontend (sortTasks in App.tsx):
+ * undated tasks first, then by due date, untimed tasks before timed ones on
+ * the same day, then oldest first. The priority order puts higher
+ * priorities first and sorts each priority the same way. Every order ends
+ * with the task ID, so it is total and a cursor (the sort key of the last
+ * task on a page) always resumes exactly where the page ended.
+ */
+
+import { PRIORITY_RANK_SQL } from './priority.js';
+import { taskTagsSql } from './tags.js';
+import { checklistSql } from './checklist.js';
+import { attachmentsSql } from './attachments.js';
+
+export const TASK_SORTS = ['due_date', 'priority'];
+export const TASK_STATUSES = ['open', 'completed', 'all'];
+// Where a task came from (tasks.source)
+export const TASK_SOURCES = ['voice', 'email', 'manual'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Sort key parts: a NULL-free SQL expression and the pattern its text form must
+// match in a cursor. Flags sort NULLs first without NULLs in the comparison.
+const DUE_DATE_KEYS = [
+  { sql: '(tasks.due_date IS NOT NULL)::int', type: 'int', pattern: /^[01]$/ },
+  { sql: "COALESCE(tasks.due_date, DATE '1970-01-01')", type: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { sql: '(tasks.due_time IS NOT NULL)::int', type: 'int', pattern: /^[01]$/ },
+  { sql: "COALESCE(tasks.due_time, TIME '00:00')", type: 'time', pattern: /^\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/ },
+  { sql: "COALESCE(tasks.created_at, TIMESTAMP 'epoch')", type: 'timestamp', pattern: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/ },
+  { sql: 'tasks.id', type: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/ }
+];
+
+const SORT_KEYS = {
+  due_date: DUE_DATE_KEYS,
+  priority: [{ sql: `-(${PRIORITY_RANK_SQL})`, type: 'int', pattern: /^-?\d$/ }, ...DUE_DATE_KEYS]
+};
+
+/**
+ * Encodes the sort key of the last task on a page as an opaque cursor
+ *
+ * @param {string} sort
+ * @param {Array<string>} key - Text form of each sort key part
+ * @returns {string}
+ */
+export function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor() for the same sort order
+ *
+ * @param {*} cursor
+ * @param {string} sort
+ * @returns {Array<string>|null} The sort key, or null when the cursor is malformed or for another order
+ */
+export function decodeCursor(cursor, sort) {
+  if (typeof cursor !== 'string' || cursor.length > 500) {
+    return null;
+  }
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const keys = SORT_KEYS[sort];
+    const valid = decoded?.sort === sort
+      && Array.isArray(decoded.key)
+      && decoded.key.length === keys.length
+      && decoded.key.every((value, i) => typeof value === 'string' && keys[i].pattern.test(value));
+    return valid ? decoded.key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the page and count queries for a user's task list
+ *
+ * @param {string} userId
+ * @param {Object} filters - Already validated
+ * @param {boolean} [filters.showArchived=false]
+ * @param {string} [filters.status='all'] - One of TASK_STATUSES
+ * @param {Array<string>} [filters.priorities] - Priorities, plus `noPriority` for tasks without one
+ * @param {boolean} [filters.noPriority=false]
+ * @param {string|null} [filters.listId] - A list ID, or null for tasks in no list
+ * @param {Array<string>} [filters.tags] - Tasks must carry every one
+ * @param {string} [filters.dueFrom] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.dueTo] - YYYY-MM-DD, inclusive
+ * @param {Array<string>} [filters.sources] - Any of TASK_SOURCES
+ * @param {Object} page
+ * @param {string} page.sort - One of TASK_SORTS
+ * @param {number} page.limit
+ * @param {Array<string>|null} [page.after] - Decoded cursor
+ * @returns {{ sql: string, params: Array, countSql: string, countParams: Array }}
+ */
+export function buildTaskListQuery(userId, filters, { sort, limit, after = null }) {
+  const params = [userId];
+  const conditions = ['tasks.user_id = $1', 'tasks.deleted_at IS NULL'];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (!filters.showArchived) {
+    conditions.push('tasks.is_archived = FALSE');
+  }
+  if (filters.status === 'open' || filters.status === 'completed') {
+    conditions.push(`tasks.is_completed = ${filters.status === 'completed' ? 'TRUE' : 'FALSE'}`);
+  }
+  if (filters.priorities?.length > 0 || filters.noPriority) {
+    const matches = [`tasks.priority = ANY(${param(filters.priorities || [])}::text[])`];
+    if (filters.noPriority) {
+      matches.push('tasks.priority IS NULL');
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+  if (filters.listId === null) {
+    conditions.push('tasks.list_id IS NULL');
+  } else if (filters.listId !== undefined) {
+    conditions.push(`tasks.list_id = ${param(filters.listId)}`);
+  }
+  if (filters.tags?.length > 0) {
+    const uniqueTags = [...new Set(filters.tags)];
+    conditions.push(`tasks.id IN (
+      SELECT tt.task_id FROM task_tags tt JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tg.user_id = $1 AND tg.name = ANY(${param(uniqueTags)}::text[])
+      GROUP BY tt.task_id HAVING COUNT(*) = ${uniqueTags.length}
+    )`);
+  }
+  if (filters.dueFrom) {
+    conditions.push(`tasks.due_date >= ${param(filters.dueFrom)}::date`);
+  }
+  if (filters.dueTo) {
+    conditions.push(`tasks.due_date <= ${param(filters.dueTo)}::date`);
+  }
+  if (filters.sources?.length > 0) {
+    conditions.push(`tasks.source = ANY(${param(filters.sources)}::text[])`);
+  }
+
+  // The total counts every matching task, not only those after the cursor
+  const countSql = `SELECT COUNT(*)::int AS total FROM tasks WHERE ${conditions.join(' AND ')}`;
+  const countParams = [...params];
+
+  const keys = SORT_KEYS[sort];
+  if (after) {
+    const values = keys.map((key, i) => `${param(after[i])}::${key.type}`);
+    conditions.push(`(${keys.map(key => key.sql).join(', ')}) > (${values.join(', ')})`);
+  }
+
+  return {
+    sql: `SELECT tasks.*, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments,
+       ARRAY[${keys.map(key => `(${key.sql})::text`).join(', ')}] AS sort_key
+       FROM tasks WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keys.map(key => key.sql).join(', ')}
+       LIMIT ${param(limit + 1)}`,
+    params,
+    countSql,
+    countParams
+  };
+}
+
+/**
+ * Reads one page of a user's task list
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {Object} filters - See buildTaskListQuery()
+ * @param {{ sort: string, limit: number, after?: Array<string>|null }} page
+ * @returns {Promise<{ tasks: Array<Object>, total: number, next_cursor: string|null }>}
+ */
+export async function listTasks(db, userId, filters, page) {
+  const { sql, params, countSql, countParams } = buildTaskListQuery(userId, filters, page);
+  const [rows, count] = await Promise.all([db.query(sql, params), db.query(countSql, countParams)]);
+
+  const hasMore = rows.rows.length > page.limit;
+  const tasks = rows.rows.slice(0, page.limit).map(({ sort_key: _sortKey, ...task }) => task);
+  const last = rows.rows[page.limit - 1];
+  return {
+    tasks,
+    total: count.rows[0].total,
+    next_cursor: hasMore ? encodeCursor(page.sort, last.sort_key) : null
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Task Queries
+ *
+ * Evaluates the filters of a read-only voice question ("what's due this
+ * week?", "what's overdue?") against the user's tasks. The LLM only chooses
+ * the filters (validated by LLMTaskQuerySchema); which tasks match is always
+ * decided here, in SQL, so the answer never depends on the LLM reciting the
+ * task list correctly.
+ */
+
+// Upper bound on the tasks returned for one question
+export const MAX_QUERY_RESULTS = 50;
+
+/**
+ * Escapes LIKE wildcards so text filters match literally
+ */
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Builds the SQL for a task query
+ *
+ * @param {string} userId
+ * @param {{ due_from: string|null, due_to: string|null, completed: boolean|null, overdue: boolean, text: string|null }} filters
+ * @param {{ date: string, time: string|null }} now - The user's local date (YYYY-MM-DD) and time (HH:MM), if known
+ * @returns {{ sql: string, params: Array }}
+ */
+export function buildTaskQuery(userId, filters, now) {
+  const params = [userId];
+  const conditions = ['user_id = $1', 'is_archived = FALSE', 'deleted_at IS NULL'];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.completed !== null) {
+    conditions.push(`is_completed = ${param(filters.completed)}`);
+  }
+  if (filters.due_from) {
+    conditions.push(`due_date >= ${param(filters.due_from)}::date`);
+  }
+  if (filters.due_to) {
+    conditions.push(`due_date <= ${param(filters.due_to)}::date`);
+  }
+  if (filters.overdue) {
+    const today = param(now.date);
+    conditions.push(now.time
+      ? `(due_date < ${today}::date OR (due_date = ${today}::date AND due_time < ${param(now.time)}::time))`
+      : `due_date < ${today}::date`);
+  }
+  if (filters.text) {
+    conditions.push(`task_name ILIKE ${param(`%${escapeLikePattern(filters.text)}%`)}`);
+  }
+
+  return {
+    sql: `SELECT id, task_name, due_date, due_time, is_completed, recurrence_rule FROM tasks
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY due_date ASC NULLS LAST, due_time ASC NULLS FIRST, created_at ASC
+       LIMIT ${MAX_QUERY_RESULTS}`,
+    params
+  };
+}
+
+/**
+ * Runs a task query
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {Object} filters - Validated filters (see validateLLMTaskQuery)
+ * @param {{ date: string, time: string|null }} now - The user's local date and time
+ * @returns {Promise<Array<Object>>} Matching tasks, soonest first
+ */
+export async function queryTasks(db, userId, filters, now) {
+  const { sql, params } = buildTaskQuery(userId, filters, now);
+  const result = await db.query(sql, params);
+  return result.rows;
+}
@@ -0,0 +1,156 @@
+/**
+ * Task Search
+ *
+ * Postgres full-text search over a task's name, description and original
+ * request, backed by the GIN expression index idx_tasks_search (see
+ * db/init.js). Matches in the name rank above matches in the description,
+ * which rank above matches in the original request.
+ *
+ * Search text is reduced to plain words, each matched as a word prefix
+ * ("plumb" finds "Call the plumber"), so user input never reaches tsquery
+ * syntax. Deleted tasks are never searched; completed and archived tasks
+ * only on request.
+ */
+
+import { taskTagsSql } from './tags.js';
+import { checklistSql } from './checklist.js';
+import { attachmentsSql } from './attachments.js';
+
+export const MAX_SEARCH_QUERY_LENGTH = 200;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+
+// Words beyond this are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Matches are wrapped in <mark> in HTML-escaped fragments
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * SQL expression for a task's search document. Postgres only uses
+ * idx_tasks_search when a query repeats this expression exactly.
+ *
+ * @param {string} [taskAlias] - Name or alias of the tasks table in the query; none in the index definition
+ * @returns {string}
+ */
+export function taskSearchVectorSql(taskAlias) {
+  const column = (name) => `COALESCE(${taskAlias ? `${taskAlias}.` : ''}${name}, '')`;
+  return `(setweight(to_tsvector('english'::regconfig, ${column('task_name')}), 'A')
+    || setweight(to_tsvector('english'::regconfig, ${column('description')}), 'B')
+    || setweight(to_tsvector('english'::regconfig, ${column('original_request')}), 'C'))`;
+}
+
+/**
+ * Splits search text into lowercase words
+ *
+ * @param {*} text
+ * @returns {Array<string>} At most MAX_SEARCH_TERMS words
+ */
+export function searchTerms(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Builds a to_tsquery() query matching every word as a prefix, or with
+ * `matchAny` any of them
+ *
+ * @param {Array<string>} terms - From searchTerms()
+ * @param {{ matchAny?: boolean }} [options]
+ * @returns {string}
+ */
+export function buildTsQuery(terms, { matchAny = false } = {}) {
+  return terms.map(term => `${term}:*`).join(matchAny ? ' | ' : ' & ');
+}
+
+/**
+ * HTML-escapes a SQL text expression, so highlighted fragments only carry
+ * the <mark> tags added by ts_headline()
+ */
+function escapeHtmlSql(expression) {
+  return `replace(replace(replace(COALESCE(${expression}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+/**
+ * Highlighted fragment of one field, or NULL when the field does not match
+ */
+function headlineSql(column, options) {
+  return `CASE WHEN to_tsvector('english'::regconfig, COALESCE(tasks.${column}, '')) @@ search.query
+    THEN ts_headline('english'::regconfig, ${escapeHtmlSql(`tasks.${column}`)}, search.query, '${options}') END`;
+}
+
+/**
+ * Builds the SQL for a task search
+ *
+ * @param {string} userId
+ * @param {Array<string>} terms - From searchTerms(); must not be empty
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCompleted=false]
+ * @param {boolean} [options.includeArchived=false]
+ * @param {number} [options.limit=DEFAULT_SEARCH_LIMIT]
+ * @returns {{ sql: string, params: Array }}
+ */
+export function buildTaskSearch(userId, terms, { includeCompleted = false, includeArchived = false, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const conditions = ['tasks.user_id = $1', 'tasks.deleted_at IS NULL', `${taskSearchVectorSql('tasks')} @@ search.query`];
+  if (!includeCompleted) {
+    conditions.push('tasks.is_completed = FALSE');
+  }
+  if (!includeArchived) {
+    conditions.push('tasks.is_archived = FALSE');
+  }
+
+  return {
+    sql: `SELECT tasks.*, ${taskTagsSql('tasks')} AS tags, ${checklistSql('tasks')} AS checklist, ${attachmentsSql('tasks')} AS attachments,
+       ts_rank_cd(${taskSearchVectorSql('tasks')}, search.query) AS rank,
+       jsonb_build_object(
+         'task_name', ${headlineSql('task_name', 'HighlightAll=TRUE, StartSel=<mark>, StopSel=</mark>')},
+         'description', ${headlineSql('description', HEADLINE_OPTIONS)},
+         'original_request', ${headlineSql('original_request', HEADLINE_OPTIONS)}
+       ) AS highlights
+       FROM tasks, to_tsquery('english'::regconfig, $2) AS search(query)
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY rank DESC, tasks.created_at DESC
+       LIMIT $3`,
+    params: [userId, buildTsQuery(terms), Math.min(Math.max(1, limit), MAX_SEARCH_LIMIT)]
+  };
+}
+
+/**
+ * Searches the user's tasks, best match first
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {Array<string>} terms - From searchTerms(); must not be empty
+ * @param {Object} [options] - See buildTaskSearch()
+ * @returns {Promise<Array<Object>>} Tasks with their rank and highlighted fragments
+ */
+export async function searchTasks(db, userId, terms, options) {
+  const { sql, params } = buildTaskSearch(userId, terms, options);
+  const result = await db.query(sql, params);
+  return result.rows;
+}
+
+/**
+ * IDs of the user's live tasks mentioning any word of a spoken command, to
+ * narrow fuzzy task matching down from a long task list
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @param {string} text - The spoken command
+ * @returns {Promise<Set<string>>}
+ */
+export async function findMatchingTaskIds(db, userId, text) {
+  const terms = searchTerms(text);
+  if (terms.length === 0) {
+    return new Set();
+  }
+  const result = await db.query(
+    `SELECT id FROM tasks
+     WHERE user_id = $1 AND is_archived = FALSE AND deleted_at IS NULL
+       AND ${taskSearchVectorSql()} @@ to_tsquery('english'::regconfig, $2)`,
+    [userId, buildTsQuery(terms, { matchAny: true })]
+  );
+  return new Set(result.rows.map(row => row.id));
+}
@@ -0,0 +1,58 @@
+/**
+ * Task Trash
+ *
+ * Deleted tasks are soft-deleted: deleted_at is set and the task moves to
+ * the user's trash, from which it can be restored. Trashed tasks are
+ * purged for good once they are older than the retention period
+ * (TRASH_RETENTION_DAYS, 30 days by default).
+ */
+
+import { deleteUnlinkedAttachmentContents } from './attachments.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Reads the trash retention period from the environment
+ *
+ * @param {Object} [env=process.env]
+ * @returns {number} Retention in days (falls back to the default when unset or invalid)
+ */
+export function getTrashRetentionDays(env = process.env) {
+  const days = Number.parseInt(env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently deletes tasks that have been in the trash longer than the
+ * retention period, together with their undo history so a purged task
+ * cannot be brought back by an undo, and attachment content no other task
+ * shares
+ *
+ * @param {Object} pool - pg pool
+ * @param {number} retentionDays
+ * @returns {Promise<number>} Number of tasks purged
+ */
+export async function purgeTrash(pool, retentionDays) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const purged = await client.query(
+      'DELETE FROM tasks WHERE deleted_at < NOW() - make_interval(days => $1) RETURNING id',
+      [retentionDays]
+    );
+    if (purged.rowCount > 0) {
+      await client.query(
+        'DELETE FROM task_change_journal WHERE task_id = ANY($1::uuid[])',
+        [purged.rows.map(row => row.id)]
+      );
+      await deleteUnlinkedAttachmentContents(client);
+    }
+    await client.query('COMMIT');
+    return purged.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * User Time Zones
+ *
+ * Each user has an IANA time zone (users.timezone, e.g. "Australia/Sydney")
+ * that decides what "today" means for them. Due dates are calendar days and
+ * due times are wall-clock times in that zone, so a task due "tomorrow at
+ * 3pm" stays on the right day for the user whatever zone the server or the
+ * LLM provider runs in, and across daylight saving changes.
+ *
+ * Local dates and times are derived with Intl, which applies the zone's
+ * rules for the given instant, rather than from a fixed UTC offset.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * @param {unknown} timeZone
+ * @returns {boolean} Whether timeZone is an IANA time zone this runtime knows
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the first valid time zone among the candidates, or the default
+ *
+ * @param {...unknown} candidates
+ * @returns {string}
+ */
+export function resolveTimeZone(...candidates) {
+  return candidates.find(isValidTimeZone) ?? DEFAULT_TIME_ZONE;
+}
+
+/**
+ * The wall-clock date and time of an instant in a time zone
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [now=new Date()]
+ * @returns {{ date: string, time: string }} date as YYYY-MM-DD, time as HH:MM (24-hour)
+ */
+export function getLocalDateTime(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Looks up a user's stored time zone
+ *
+ * @param {Object} db - pg pool or client
+ * @param {string} userId
+ * @returns {Promise<string|null>} The user's time zone, or null if none is stored
+ */
+export async function getUserTimeZone(db, userId) {
+  const result = await db.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+  const timeZone = result.rows[0]?.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * Checks that a value is a real calendar date in YYYY-MM-DD format
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Shifts a YYYY-MM-DD calendar date by a number of days
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDaysToDate(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The zone's UTC offset at an instant, in milliseconds
+ */
+function getUtcOffset(timeZone, instant) {
+  const local = getLocalDateTime(timeZone, new Date(instant));
+  const [year, month, day] = local.date.split('-').map(Number);
+  const [hours, minutes] = local.time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes) - Math.floor(instant / 60000) * 60000;
+}
+
+/**
+ * The instant at which a wall-clock date and time occurs in a time zone
+ *
+ * The zone's offset is looked up around the wall-clock time rather than
+ * assumed, so dates on either side of a daylight saving change resolve with
+ * their own offset. A time skipped by a spring-forward change (02:30 on the
+ * night clocks jump from 02:00 to 03:00) resolves to the instant it would
+ * have been without the change, i.e. 03:30 local time.
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS (24-hour)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(isoDate, time, timeZone) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const firstGuess = wallClockAsUtc - getUtcOffset(timeZone, wallClockAsUtc);
+  const secondGuess = wallClockAsUtc - getUtcOffset(timeZone, firstGuess);
+  if (firstGuess === secondGuess || getUtcOffset(timeZone, secondGuess) === wallClockAsUtc - secondGuess) {
+    return new Date(secondGuess);
+  }
+  // Neither offset produces the wall-clock time: it falls in a spring-forward gap
+  return new Date(Math.max(firstGuess, secondGuess));
+}
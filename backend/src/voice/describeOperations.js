@@ -0,0 +1,162 @@
+/**
+ * Human-Readable Descriptions of Voice Operations
+ *
+ * Turns validated task operations into short sentences that can be read
+ * aloud before a change is committed, e.g.
+ * "Rename 'Dentist' to 'Orthodontist', due Oct 24".
+ */
+
+import { RECURRENCE_NONE, describeRecurrence } from '../tasks/recurrence.js';
+
+/**
+ * Formats a YYYY-MM-DD date for speech ("Oct 24", or "Oct 24, 2027" when
+ * it is not in the current year)
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} [currentDate] - The user's current date in YYYY-MM-DD format
+ * @returns {string}
+ */
+export function formatSpokenDate(isoDate, currentDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  const sameYear = currentDate && currentDate.slice(0, 4) === isoDate.slice(0, 4);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(!sameYear && { year: 'numeric' }),
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Formats an HH:MM time for speech ("3 PM", "3:30 PM")
+ *
+ * @param {string} time - HH:MM or HH:MM:SS (24-hour)
+ * @returns {string}
+ */
+export function formatSpokenTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  const hour12 = hours % 12 || 12;
+  return minutes ? `${hour12}:${String(minutes).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+// "errand", "errand and phone-call", "errand, calls and home"
+function joinTags(tags) {
+  return tags.length > 1 ? `${tags.slice(0, -1).join(', ')} and ${tags[tags.length - 1]}` : tags.join('');
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Describes a single operation
+ *
+ * @param {Object} operation - Sanitized operation (LLMTaskOperationSchema shape)
+ * @param {Object|null} existingTask - The task the operation refers to, if any
+ * @param {string} [currentDate] - The user's current date in YYYY-MM-DD format
+ * @returns {string}
+ */
+export function describeOperation(operation, existingTask, currentDate) {
+  const currentName = existingTask?.task_name || operation.task_name;
+  const dueSuffix = (date, time) => {
+    if (!date && !time) return '';
+    const spokenDate = date ? ` ${formatSpokenDate(date, currentDate)}` : '';
+    return `, due${spokenDate}${time ? ` at ${formatSpokenTime(time)}` : ''}`;
+  };
+  const recurrenceSuffix = (rule) => {
+    if (rule === RECURRENCE_NONE) return ', no longer repeating';
+    const description = rule && describeRecurrence(rule);
+    return description ? `, repeating ${description}` : '';
+  };
+  const prioritySuffix = (priority) => priority ? `, ${priority} priority` : '';
+  const listSuffix = (listName) => listName ? `, in ${listName}` : '';
+  const tagsSuffix = (tags) => {
+    if (!tags) return '';
+    return tags.length > 0 ? `, tagged ${joinTags(tags)}` : ', with no tags';
+  };
+  const steps = (count) => `${count} ${count === 1 ? 'step' : 'steps'}`;
+
+  switch (operation.intent) {
+    case 'delete_task':
+      return `Delete '${currentName}'`;
+
+    case 'complete_task':
+      return `Mark '${currentName}' as done`;
+
+    case 'tick_item': {
+      const item = existingTask?.checklist?.[operation.item_number - 1];
+      return `Tick off step ${operation.item_number} of '${currentName}'${item ? `: ${item.text}` : ''}`;
+    }
+
+    case 'edit_task': {
+      const renamed = operation.task_name && operation.task_name !== currentName;
+      const newDueDate = operation.due_date && operation.due_date !== toIsoDate(existingTask?.due_date)
+        ? operation.due_date
+        : null;
+      const completionChange = existingTask && operation.is_completed !== Boolean(existingTask.is_completed)
+        ? (operation.is_completed ? 'done' : 'not done')
+        : null;
+      const newDueTime = operation.due_time && operation.due_time !== existingTask?.due_time?.slice(0, 5)
+        ? operation.due_time
+        : null;
+      const newRecurrence = operation.recurrence && operation.recurrence !== (existingTask?.recurrence_rule ?? RECURRENCE_NONE)
+        ? operation.recurrence
+        : null;
+      const newPriority = operation.priority && operation.priority !== existingTask?.priority
+        ? operation.priority
+        : null;
+      const newList = operation.list_name && operation.list_name.toLowerCase() !== existingTask?.list_name?.toLowerCase()
+        ? operation.list_name
+        : null;
+      const currentTags = existingTask?.tags || [];
+      const newTags = operation.tags
+        && (operation.tags.length !== currentTags.length || operation.tags.some(tag => !currentTags.includes(tag)))
+        ? operation.tags
+        : null;
+      const addedTags = newTags ? newTags.filter(tag => !currentTags.includes(tag)) : [];
+      const newSteps = operation.checklist?.length || 0;
+
+      if (!renamed && !newDueDate && !newDueTime && !newRecurrence && !newPriority && !newList && !newTags && !newSteps && completionChange) {
+        return `Mark '${currentName}' as ${completionChange}`;
+      }
+      if (!renamed && !newDueDate && !newDueTime && !newRecurrence && newPriority && !newList && !newTags && !newSteps && !completionChange) {
+        return `Make '${currentName}' ${newPriority} priority`;
+      }
+      if (!renamed && !newDueDate && !newDueTime && !newRecurrence && !newPriority && newList && !newTags && !newSteps && !completionChange) {
+        return `Move '${currentName}' to ${newList}`;
+      }
+      // Only tags added, none removed: "Tag 'Buy stamps' errand"
+      if (!renamed && !newDueDate && !newDueTime && !newRecurrence && !newPriority && !newList && !newSteps && !completionChange
+        && addedTags.length > 0 && addedTags.length === newTags.length - currentTags.length) {
+        return `Tag '${currentName}' ${joinTags(addedTags)}`;
+      }
+
+      const head = renamed
+        ? `Rename '${currentName}' to '${operation.task_name}'`
+        : newDueDate || newDueTime ? `Move '${currentName}'` : `Update '${currentName}'`;
+      return `${head}${dueSuffix(newDueDate, newDueTime)}${recurrenceSuffix(newRecurrence)}${prioritySuffix(newPriority)}${listSuffix(newList)}${tagsSuffix(newTags)}${newSteps ? `, adding ${steps(newSteps)}` : ''}${completionChange ? `, mark as ${completionChange}` : ''}`;
+    }
+
+    default:
+      return `Add '${operation.task_name}'${operation.list_name ? ` to ${operation.list_name}` : ''}${dueSuffix(operation.due_date, operation.due_date && operation.due_time)}${recurrenceSuffix(operation.recurrence)}${prioritySuffix(operation.priority)}${operation.tags?.length ? tagsSuffix(operation.tags) : ''}${operation.checklist?.length ? `, with ${steps(operation.checklist.length)}` : ''}`;
+  }
+}
+
+/**
+ * Describes a list of operations
+ *
+ * @param {Array<Object>} operations - Sanitized operations
+ * @param {Array<Object>} existingTasks - The user's tasks ({ id, task_name, due_date, is_completed })
+ * @param {string} [currentDate] - The user's current date in YYYY-MM-DD format
+ * @returns {{ description: string, descriptions: Array<string> }} Combined sentence and one entry per operation
+ */
+export function describeOperations(operations, existingTasks, currentDate) {
+  const tasksById = new Map(existingTasks.map(task => [task.id, task]));
+  const descriptions = operations.map(operation =>
+    describeOperation(operation, operation.task_id ? tasksById.get(operation.task_id) || null : null, currentDate)
+  );
+  return { description: descriptions.join('; '), descriptions };
+}
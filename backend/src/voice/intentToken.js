@@ -0,0 +1,99 @@
+/**
+ * Signed Voice Intent Tokens
+ *
+ * A preview of a voice command returns the validated, ownership-checked
+ * operations inside a short-lived signed token. Committing the token applies
+ * exactly those operations, without re-running the LLM. A previewed
+ * "undo that" / "redo" carries the change group it described instead.
+ *
+ * Tokens are HMAC-SHA256 signed with a key derived from the server secret
+ * and a purpose string, so they can never be confused with (or used as)
+ * authentication JWTs signed with the same secret.
+ *
+ * Format: base64url(JSON payload) + "." + base64url(signature)
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_PURPOSE = 'cleartask:voice-intent:v1';
+
+/**
+ * Error thrown when an intent token cannot be accepted
+ */
+export class IntentTokenError extends Error {
+  /**
+   * @param {string} message
+   * @param {'malformed'|'bad_signature'|'expired'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'IntentTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Creates a signer/verifier for voice intent tokens
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Server secret (JWT_SECRET)
+ * @param {number} [options.ttlSeconds=120] - Token lifetime
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {{ sign: Function, verify: Function, ttlSeconds: number }}
+ */
+export function createIntentTokenSigner({ secret, ttlSeconds = 120, now = Date.now }) {
+  if (!secret) {
+    throw new Error('An intent token secret is required');
+  }
+  const key = crypto.createHmac('sha256', secret).update(TOKEN_PURPOSE).digest();
+
+  function signature(encodedPayload) {
+    return crypto.createHmac('sha256', key).update(encodedPayload).digest('base64url');
+  }
+
+  /**
+   * Signs a payload, adding a unique token ID and an expiry
+   * @param {Object} payload
+   * @returns {{ token: string, jti: string, expiresAt: number }}
+   */
+  function sign(payload) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now() + ttlSeconds * 1000;
+    const encodedPayload = Buffer.from(JSON.stringify({ ...payload, jti, exp: expiresAt })).toString('base64url');
+    return { token: `${encodedPayload}.${signature(encodedPayload)}`, jti, expiresAt };
+  }
+
+  /**
+   * Verifies a token and returns its payload
+   * @param {string} token
+   * @returns {Object} Payload including jti and exp
+   * @throws {IntentTokenError}
+   */
+  function verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      throw new IntentTokenError('Malformed intent token', 'malformed');
+    }
+
+    const [encodedPayload, providedSignature] = parts;
+    const expected = Buffer.from(signature(encodedPayload));
+    const provided = Buffer.from(providedSignature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new IntentTokenError('Invalid intent token signature', 'bad_signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      throw new IntentTokenError('Malformed intent token payload', 'malformed');
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= now()) {
+      throw new IntentTokenError('Intent token has expired', 'expired');
+    }
+    return payload;
+  }
+
+  return { sign, verify, ttlSeconds };
+}
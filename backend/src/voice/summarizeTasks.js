@@ -0,0 +1,114 @@
+/**
+ * Spoken Answers to Task Queries
+ *
+ * Turns the result of a task query into a short paragraph for text to
+ * speech, e.g. "You have 2 tasks due today: Call mom at 3 PM and Buy milk."
+ */
+
+import { formatSpokenDate, formatSpokenTime } from './describeOperations.js';
+import { addDaysToDate } from '../time/timeZone.js';
+
+// Tasks read out by name; the rest are only counted
+export const MAX_SPOKEN_TASKS = 8;
+
+function joinForSpeech(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Describes the date range of a query, e.g. " due today", " due between Oct 20 and Oct 26"
+ */
+function describeRange(filters, currentDate) {
+  const { due_from: from, due_to: to } = filters;
+  const spoken = (date) => {
+    if (date === currentDate) return 'today';
+    if (date === addDaysToDate(currentDate, 1)) return 'tomorrow';
+    return `on ${formatSpokenDate(date, currentDate)}`;
+  };
+
+  if (from && to) {
+    return from === to
+      ? ` due ${spoken(from)}`
+      : ` due between ${formatSpokenDate(from, currentDate)} and ${formatSpokenDate(to, currentDate)}`;
+  }
+  if (to) return ` due by ${formatSpokenDate(to, currentDate)}`;
+  if (from) return ` due from ${formatSpokenDate(from, currentDate)}`;
+  return '';
+}
+
+/**
+ * Describes one task, mentioning its date only when the range spans several days
+ */
+function describeTask(task, filters, currentDate) {
+  const dueDate = toIsoDate(task.due_date);
+  const singleDay = filters.due_from && filters.due_from === filters.due_to;
+  const time = task.due_time ? ` at ${formatSpokenTime(task.due_time)}` : '';
+
+  if (!dueDate || singleDay) {
+    return `${task.task_name}${dueDate ? time : ''}`;
+  }
+  const date = dueDate === currentDate ? 'today' : formatSpokenDate(dueDate, currentDate);
+  return `${task.task_name}${filters.overdue ? `, due ${date}` : ` ${dueDate === currentDate ? '' : 'on '}${date}`}${time}`;
+}
+
+/**
+ * Summarizes the tasks matching a query for speech
+ *
+ * @param {Array<Object>} tasks - Matching tasks, soonest first
+ * @param {Object} filters - Validated filters (see validateLLMTaskQuery)
+ * @param {string} currentDate - The user's current date in YYYY-MM-DD format
+ * @returns {string}
+ */
+export function summarizeTaskQuery(tasks, filters, currentDate) {
+  const kind = [
+    filters.overdue ? 'overdue' : null,
+    filters.completed === true ? 'completed' : null
+  ].filter(Boolean).join(' ');
+  const matching = filters.text ? ` matching "${filters.text}"` : '';
+  const range = describeRange(filters, currentDate);
+  const noun = (count) => `${kind ? `${kind} ` : ''}${count === 1 ? 'task' : 'tasks'}`;
+
+  if (tasks.length === 0) {
+    return `You have no ${noun(0)}${matching}${range}.`;
+  }
+
+  const spoken = tasks.slice(0, MAX_SPOKEN_TASKS).map(task => describeTask(task, filters, currentDate));
+  const remaining = tasks.length - spoken.length;
+  const list = remaining > 0
+    ? `${spoken.join(', ')}, and ${remaining} more`
+    : joinForSpeech(spoken);
+  return `You have ${tasks.length} ${noun(tasks.length)}${matching}${range}: ${list}.`;
+}
+
+/**
+ * Summarizes the result of a task search for speech, best match first,
+ * e.g. 'I found 2 tasks about "plumber": Call the plumber and Pay the plumber.'
+ *
+ * @param {Array<Object>} tasks - Matching tasks, best match first
+ * @param {{ query: string, include_completed: boolean, include_archived: boolean }} search - Validated search (see validateLLMTaskSearch)
+ * @returns {string}
+ */
+export function summarizeTaskSearch(tasks, search) {
+  const about = `about "${search.query}"`;
+  if (tasks.length === 0) {
+    const kind = search.include_completed || search.include_archived ? '' : 'open ';
+    return `I found no ${kind}tasks ${about}.`;
+  }
+
+  const spoken = tasks.slice(0, MAX_SPOKEN_TASKS).map(task => {
+    const notes = [task.is_completed ? 'done' : null, task.is_archived ? 'archived' : null].filter(Boolean);
+    return notes.length ? `${task.task_name} (${notes.join(', ')})` : task.task_name;
+  });
+  const remaining = tasks.length - spoken.length;
+  const list = remaining > 0
+    ? `${spoken.join(', ')}, and ${remaining} more`
+    : joinForSpeech(spoken);
+  return `I found ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} ${about}: ${list}.`;
+}
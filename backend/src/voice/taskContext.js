@@ -0,0 +1,120 @@
+/**
+ * Existing-Task Context for Voice Commands
+ *
+ * Picks which of the user's tasks are listed in the task parsing prompt, so
+ * prompt size, latency and cost stay bounded however many tasks a user has.
+ * Tasks are ranked by how strongly the command mentions them (fuzzy matching
+ * on the name and tags, see src/parsing/fuzzyMatch.js), then by how soon
+ * they are due and how recently they changed, and the best are kept up to
+ * MAX_CONTEXT_TASKS tasks and CONTEXT_TOKEN_BUDGET estimated tokens.
+ *
+ * A clear mention outranks recency and due dates, so the task a command is
+ * about makes it into the context even among thousands of others. When every
+ * task fits, every task is listed.
+ */
+
+import { scoreTaskMention } from '../parsing/fuzzyMatch.js';
+import { formatExistingTask } from '../../promptTemplates.js';
+
+export const MAX_CONTEXT_TASKS = 50;
+export const CONTEXT_TOKEN_BUDGET = 3000;
+
+// Mentioning one word of a three-word name still outranks a task that is
+// merely due today and changed a moment ago
+const MENTION_WEIGHT = 5;
+const DUE_SOON_WEIGHT = 1;
+const RECENCY_WEIGHT = 0.5;
+// Tags count for less than the name, as several tasks often share one
+const TAG_MENTION_FACTOR = 0.8;
+
+// Tasks due (or overdue) within this many days get a due-soon boost
+const DUE_SOON_DAYS = 7;
+// A task changed this many days ago gets half the recency boost
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rough token count of prompt text (about four characters per token for
+ * English), good enough to keep the prompt under a budget
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(fromIsoDate, toIsoDate) {
+  return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Scores how relevant a task is to a voice command
+ *
+ * @param {Object} task - Task with task_name, tags, due_date, is_completed, updated_at and created_at
+ * @param {string} transcribedText - The command
+ * @param {Object} now
+ * @param {string} now.currentDate - Today in the user's time zone, YYYY-MM-DD
+ * @param {Date} [now.currentTime=new Date()] - For task ages
+ * @returns {number}
+ */
+export function scoreTaskRelevance(task, transcribedText, { currentDate, currentTime = new Date() }) {
+  const tagMention = Math.max(0, ...(task.tags || []).map(tag => scoreTaskMention(transcribedText, tag.replace(/-/g, ' '))));
+  const mention = Math.max(scoreTaskMention(transcribedText, task.task_name), tagMention * TAG_MENTION_FACTOR);
+
+  // Overdue tasks count as due today
+  let dueSoon = 0;
+  if (task.due_date && !task.is_completed) {
+    const days = Math.max(0, daysBetween(currentDate, String(task.due_date).slice(0, 10)));
+    dueSoon = days <= DUE_SOON_DAYS ? 1 - days / (DUE_SOON_DAYS + 1) : 0;
+  }
+
+  const changedAt = new Date(task.updated_at || task.created_at || 0).getTime();
+  const ageDays = Number.isNaN(changedAt) ? Infinity : Math.max(0, (currentTime.getTime() - changedAt) / MS_PER_DAY);
+  const recency = Number.isFinite(ageDays) ? RECENCY_HALF_LIFE_DAYS / (RECENCY_HALF_LIFE_DAYS + ageDays) : 0;
+
+  return mention * MENTION_WEIGHT + dueSoon * DUE_SOON_WEIGHT + recency * RECENCY_WEIGHT;
+}
+
+/**
+ * Selects the existing tasks to list in the task parsing prompt
+ *
+ * @param {Array<Object>} tasks - The user's live tasks, in the order they should be listed
+ * @param {string} transcribedText - The command
+ * @param {Object} now - See scoreTaskRelevance()
+ * @param {Object} [limits]
+ * @param {number} [limits.maxTasks=MAX_CONTEXT_TASKS]
+ * @param {number} [limits.tokenBudget=CONTEXT_TOKEN_BUDGET]
+ * @returns {{ tasks: Array<Object>, omittedCount: number, estimatedTokens: number, included: Array<{ id: string, score: number }> }}
+ *   The selected tasks keep their original order; `included` lists them best first
+ */
+export function selectTaskContext(tasks, transcribedText, now, { maxTasks = MAX_CONTEXT_TASKS, tokenBudget = CONTEXT_TOKEN_BUDGET } = {}) {
+  const ranked = tasks
+    .map((task, index) => ({ task, index, lineTokens: estimateTokens(formatExistingTask(task)) + 1, score: scoreTaskRelevance(task, transcribedText, now) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let estimatedTokens = 0;
+  for (const candidate of ranked) {
+    if (selected.length >= maxTasks) {
+      break;
+    }
+    // Skip a long task that does not fit; a shorter one further down may
+    if (estimatedTokens + candidate.lineTokens > tokenBudget) {
+      continue;
+    }
+    selected.push(candidate);
+    estimatedTokens += candidate.lineTokens;
+  }
+
+  return {
+    tasks: [...selected].sort((a, b) => a.index - b.index).map(candidate => candidate.task),
+    omittedCount: tasks.length - selected.length,
+    estimatedTokens,
+    included: selected.map(candidate => ({ id: candidate.task.id, score: Math.round(candidate.score * 1000) / 1000 }))
+  };
+}
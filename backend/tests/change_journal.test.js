@@ -0,0 +1,237 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHistoryCommand } from '../src/parsing/historyCommand.js';
+import { journalAction, describeHistoryChange, recordChanges, undoLastChange, redoLastChange, JOURNAL_ACTIONS } from '../src/tasks/changeJournal.js';
+import buildApp from '../app.js';
+
+const TASK_ID = '11111111-1111-4111-8111-111111111111';
+
+/**
+ * Minimal pg client stand-in that records the queries it receives
+ */
+function recordingClient() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+describe('Undo/redo voice commands', () => {
+
+  it('recognizes undo phrasings', () => {
+    for (const phrase of ['undo', 'Undo that', 'undo that please', 'oops, undo the last change', 'take that back', 'can you revert that?']) {
+      assert.equal(parseHistoryCommand(phrase), 'undo', phrase);
+    }
+  });
+
+  it('recognizes redo phrasings', () => {
+    for (const phrase of ['redo', 'Redo that.', 'please redo my last change']) {
+      assert.equal(parseHistoryCommand(phrase), 'redo', phrase);
+    }
+  });
+
+  it('ignores commands that merely contain the words', () => {
+    for (const phrase of ['undo the kitchen renovation', 'redo the presentation slides', 'take the bins back in', '', undefined]) {
+      assert.equal(parseHistoryCommand(phrase), null, String(phrase));
+    }
+  });
+});
+
+describe('Change journal', () => {
+  const before = { id: TASK_ID, task_name: 'Dentist', due_date: '2025-10-24', is_completed: false };
+  const after = { ...before, task_name: 'Orthodontist' };
+
+  it('derives the action from the snapshots', () => {
+    assert.equal(journalAction(null, after), JOURNAL_ACTIONS.CREATE);
+    assert.equal(journalAction(before, after), JOURNAL_ACTIONS.UPDATE);
+    assert.equal(journalAction(before, null), JOURNAL_ACTIONS.DELETE);
+    assert.equal(journalAction(null, null), null);
+  });
+
+  it('treats moving to and from the trash as delete and create', () => {
+    const trashed = { ...before, deleted_at: '2025-10-24T10:00:00+00:00' };
+    assert.equal(journalAction(before, trashed), JOURNAL_ACTIONS.DELETE);
+    assert.equal(journalAction(trashed, before), JOURNAL_ACTIONS.CREATE);
+  });
+
+  it('records nothing when no task existed before or after', async () => {
+    const client = recordingClient();
+    const groupId = await recordChanges(client, { userId: 'user-1', source: 'manual', changes: [{ taskId: TASK_ID, before: null, after: null }] });
+    assert.equal(groupId, null);
+    assert.equal(client.queries.length, 0);
+  });
+
+  it('records a group, clearing redo history first', async () => {
+    const client = recordingClient();
+    const groupId = await recordChanges(client, { userId: 'user-1', source: 'voice', changes: [{ taskId: TASK_ID, before, after }] });
+
+    assert.match(groupId, /^[0-9a-f-]{36}$/);
+    assert.match(client.queries[0].sql, /DELETE FROM task_change_journal .*undone_at IS NOT NULL/);
+    const [userId, insertedGroupId, taskId, action, source, beforeJson, afterJson] = client.queries[1].params;
+    assert.deepEqual([userId, insertedGroupId, taskId, action, source], ['user-1', groupId, TASK_ID, 'update', 'voice']);
+    assert.deepEqual(JSON.parse(beforeJson), before);
+    assert.deepEqual(JSON.parse(afterJson), after);
+  });
+
+  it('moves a created task to the trash on undo, and back out on redo', async () => {
+    const queries = [];
+    const client = {
+      async query(sql, params) {
+        queries.push(sql);
+        if (sql.includes('SELECT group_id, source')) {
+          return { rows: [{ group_id: 'group-1', source: 'email' }], rowCount: 1 };
+        }
+        if (sql.includes('SELECT id, task_id, action')) {
+          return { rows: [{ id: 1, task_id: TASK_ID, action: 'create', before_snapshot: null, after_snapshot: { ...after, deleted_at: null } }], rowCount: 1 };
+        }
+        if (sql.startsWith('SELECT id FROM tasks')) {
+          return { rows: [{ id: TASK_ID }], rowCount: 1 };
+        }
+        if (sql.startsWith('SELECT tasks.*')) {
+          return { rows: [{ ...after, deleted_at: null }], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      }
+    };
+
+    const undone = await undoLastChange(client, 'user-1');
+    assert.deepEqual(undone.operations, [{ intent: 'delete_task', task: { id: TASK_ID, task_name: 'Orthodontist' } }]);
+    assert.ok(queries.some(sql => sql.startsWith('UPDATE tasks SET deleted_at = NOW()')));
+    assert.ok(!queries.some(sql => sql.startsWith('DELETE FROM tasks')));
+
+    queries.length = 0;
+    const redone = await redoLastChange(client, 'user-1');
+    assert.equal(redone.operations[0].intent, 'create_task');
+    // The row still exists, attachments and all, so it is updated rather than re-inserted
+    assert.ok(queries.some(sql => sql.startsWith('UPDATE tasks SET (')));
+    assert.ok(!queries.some(sql => sql.startsWith('INSERT INTO tasks')));
+  });
+
+  it('describes undo and redo', () => {
+    const entry = (action, beforeSnapshot, afterSnapshot) => ({ action, before_snapshot: beforeSnapshot, after_snapshot: afterSnapshot });
+
+    assert.equal(describeHistoryChange('undo', [entry('create', null, after)]), "Removed 'Orthodontist'");
+    assert.equal(describeHistoryChange('undo', [entry('delete', before, null)]), "Restored 'Dentist'");
+    assert.equal(describeHistoryChange('undo', [entry('update', before, after)]), "Changed 'Orthodontist' back to 'Dentist'");
+    assert.equal(describeHistoryChange('undo', [entry('update', before, { ...before, is_completed: true })]), "Reverted the change to 'Dentist'");
+    assert.equal(describeHistoryChange('redo', [entry('delete', before, null)]), "Deleted 'Dentist' again");
+    assert.equal(describeHistoryChange('redo', [entry('create', null, after), entry('delete', before, null)]), 'Redid 2 changes');
+  });
+});
+
+describe('POST /api/tasks/undo and /api/tasks/redo', () => {
+
+  it('require authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      for (const url of ['/api/tasks/undo', '/api/tasks/redo']) {
+        const response = await fastify.inject({ method: 'POST', url });
+        assert.equal(response.statusCode, 401, url);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
+
+describe('Previewed "undo that"', () => {
+  const GROUP_ID = '22222222-2222-4222-8222-222222222222';
+  const WRITE = /^\s*(INSERT|UPDATE|DELETE)\b/i;
+
+  /**
+   * Stubs the app's pool with a journal holding one created task in the
+   * given group, and records every query sent through it
+   */
+  function stubJournal(fastify, groupId) {
+    const queries = [];
+    async function query(sql, params) {
+      queries.push(sql);
+      if (/SELECT group_id, source FROM task_change_journal/.test(sql)) {
+        return { rows: [{ group_id: groupId, source: 'voice' }], rowCount: 1 };
+      }
+      if (/FROM task_change_journal/.test(sql)) {
+        const entry = {
+          id: 1,
+          task_id: TASK_ID,
+          action: JOURNAL_ACTIONS.CREATE,
+          before_snapshot: null,
+          after_snapshot: { id: TASK_ID, task_name: 'Buy milk' }
+        };
+        return { rows: [entry], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    }
+    mock.method(fastify.pool, 'query', query);
+    mock.method(fastify.pool, 'connect', async () => ({ query, release() {} }));
+    return queries;
+  }
+
+  async function withApp(fn) {
+    // Previews are recorded in a pending store; keep it off the stubbed pool
+    const backend = process.env.PENDING_STORE_BACKEND;
+    process.env.PENDING_STORE_BACKEND = 'memory';
+    const fastify = buildApp();
+    if (backend === undefined) {
+      delete process.env.PENDING_STORE_BACKEND;
+    } else {
+      process.env.PENDING_STORE_BACKEND = backend;
+    }
+    await fastify.ready();
+    try {
+      const authToken = fastify.jwt.sign({ userId: 'test_user', email: 'test@example.com' });
+      await fn(fastify, { authorization: `Bearer ${authToken}` });
+    } finally {
+      await fastify.close();
+    }
+  }
+
+  it('describes the change and leaves the journal and tasks untouched', async () => {
+    await withApp(async (fastify, headers) => {
+      const queries = stubJournal(fastify, GROUP_ID);
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/create-from-voice',
+        headers,
+        payload: { transcribedText: 'undo that', preview: true }
+      });
+
+      assert.equal(response.statusCode, 200);
+      const body = response.json();
+      assert.equal(body.preview, true);
+      assert.equal(body.history, 'undo');
+      assert.equal(typeof body.intentToken, 'string');
+      assert.match(body.description, /Removed 'Buy milk'/);
+      assert.equal(body.operations, undefined);
+      assert.deepEqual(queries.filter(sql => WRITE.test(sql)), []);
+    });
+  });
+
+  it('applies nothing if another change was made after the preview', async () => {
+    await withApp(async (fastify, headers) => {
+      stubJournal(fastify, GROUP_ID);
+      const preview = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/create-from-voice',
+        headers,
+        payload: { transcribedText: 'undo that', preview: true }
+      });
+
+      const queries = stubJournal(fastify, '33333333-3333-4333-8333-333333333333');
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/commit-intent',
+        headers,
+        payload: { intentToken: preview.json().intentToken, confirmed: true }
+      });
+
+      assert.equal(response.statusCode, 409);
+      assert.match(response.json().error, /changed since the preview/);
+      assert.deepEqual(queries.filter(sql => WRITE.test(sql)), []);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeChecklistItem,
+  normalizeChecklist,
+  addChecklistItems,
+  setChecklistItemCompletedByNumber,
+  syncChecklistCompletion,
+  MAX_CHECKLIST_ITEMS
+} from '../src/tasks/checklist.js';
+import { validateLLMTaskOperation, LLMEmailTaskOutputSchema, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { describeOperation } from '../src/voice/describeOperations.js';
+import { buildTaskParsingPrompt, buildEmailParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+const TODAY = '2025-10-20';
+const movePlan = {
+  id: '22222222-2222-4222-8222-222222222222',
+  task_name: 'Move plan',
+  due_date: null,
+  is_completed: false,
+  checklist: [
+    { id: 1, text: 'Pack boxes', is_completed: true },
+    { id: 2, text: 'Book a van', is_completed: false },
+    { id: 3, text: 'Hand in the keys', is_completed: false }
+  ]
+};
+
+// Records queries and answers each with the next canned result
+const fakeDb = (...results) => {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return results.shift() || { rows: [], rowCount: 0 };
+    }
+  };
+};
+
+describe('Checklist steps', () => {
+
+  it('are trimmed, bounded and dropped when empty', () => {
+    assert.equal(normalizeChecklistItem('  Pack   boxes '), 'Pack boxes');
+    for (const text of [undefined, null, '', '   ', 'x'.repeat(251), 3]) {
+      assert.equal(normalizeChecklistItem(text), null, String(text));
+    }
+    assert.deepEqual(normalizeChecklist(['Pack boxes', '', ' Book a van']), ['Pack boxes', 'Book a van']);
+    assert.equal(normalizeChecklist(Array.from({ length: 60 }, (_, i) => `Step ${i}`)).length, MAX_CHECKLIST_ITEMS);
+    assert.equal(normalizeChecklist('Pack boxes'), null);
+  });
+
+  it('are appended after the last step', async () => {
+    const db = fakeDb();
+    await addChecklistItems(db, movePlan.id, ['Label boxes', 'Clean']);
+    assert.match(db.calls[0].sql, /COALESCE\(MAX\(position\), 0\)/);
+    assert.deepEqual(db.calls[0].params, [movePlan.id, ['Label boxes', 'Clean']]);
+
+    await addChecklistItems(db, movePlan.id, []);
+    assert.equal(db.calls.length, 1);
+  });
+
+  it('are ticked by their number in the checklist', async () => {
+    const db = fakeDb({ rows: [{ id: 2, text: 'Book a van', is_completed: true }] });
+    const item = await setChecklistItemCompletedByNumber(db, 'user-1', movePlan.id, 2, true);
+    assert.equal(item.text, 'Book a van');
+    assert.match(db.calls[0].sql, /t\.user_id = \$2 AND t\.deleted_at IS NULL/);
+    assert.deepEqual(db.calls[0].params, [movePlan.id, 'user-1', 1, true]);
+    assert.equal(await setChecklistItemCompletedByNumber(fakeDb(), 'user-1', movePlan.id, 9, true), null);
+  });
+
+  it('complete the task once all are ticked, and reopen it only when asked', async () => {
+    const db = fakeDb({ rows: [{ is_completed: true }] });
+    assert.equal(await syncChecklistCompletion(db, 'user-1', movePlan.id), true);
+    assert.match(db.calls[0].sql, /steps\.total > 0 AND t\.is_completed <> steps\.all_done AND \(steps\.all_done OR \$3\)/);
+    assert.deepEqual(db.calls[0].params, [movePlan.id, 'user-1', false]);
+
+    const reopen = fakeDb({ rows: [{ is_completed: false }] });
+    assert.equal(await syncChecklistCompletion(reopen, 'user-1', movePlan.id, { reopen: true }), false);
+    assert.equal(reopen.calls[0].params[2], true);
+    assert.equal(await syncChecklistCompletion(fakeDb(), 'user-1', movePlan.id), null);
+  });
+});
+
+describe('Checklists in LLM output', () => {
+
+  it('tick_item needs a task and a step number', () => {
+    const operation = { task_name: 'Move plan', intent: 'tick_item', task_id: movePlan.id, item_number: 2 };
+    assert.equal(sanitizeForDatabase(validateLLMTaskOperation(operation).data).item_number, 2);
+    assert.equal(validateLLMTaskOperation({ ...operation, item_number: null }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, task_id: null }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, item_number: 0 }).success, false);
+  });
+
+  it('steps are validated as a bounded array and normalized', () => {
+    const operation = { task_name: 'Office move', intent: 'create_task', checklist: [' Pack the files ', 'Label the boxes'] };
+    assert.deepEqual(sanitizeForDatabase(validateLLMTaskOperation(operation).data).checklist, ['Pack the files', 'Label the boxes']);
+    assert.equal(sanitizeForDatabase(validateLLMTaskOperation({ ...operation, checklist: undefined }).data).checklist, null);
+    assert.equal(validateLLMTaskOperation({ ...operation, checklist: Array.from({ length: 51 }, (_, i) => `Step ${i}`) }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, checklist: ['   '] }).success, false);
+  });
+
+  it('email tasks can carry steps', () => {
+    const result = LLMEmailTaskOutputSchema.safeParse({
+      tasks: [{ task_name: 'Office move', intent: 'create_task', checklist: ['Pack the files', 'Return the keys'] }]
+    });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.tasks[0].checklist, ['Pack the files', 'Return the keys']);
+  });
+
+  it('are described to the LLM with numbered steps', () => {
+    const prompt = buildTaskParsingPrompt({ transcribedText: 'tick off step two of the move plan', currentDate: TODAY, existingTasks: [movePlan] });
+    assert.match(prompt, /Checklist: 1\. \[done\] "Pack boxes"; 2\. "Book a van"; 3\. "Hand in the keys"/);
+    assert.match(prompt, /"tick_item"/);
+    assert.match(buildEmailParsingPrompt({ emailContent: 'Please plan the move', emailSubject: 'Move', currentDate: TODAY }), /- checklist \(array of strings or null\)/);
+  });
+});
+
+describe('Checklists in voice commands', () => {
+  const parse = (transcribedText) => parseTaskCommand({ transcribedText, currentDate: TODAY, existingTasks: [movePlan] });
+
+  it('tick off a step without an LLM', () => {
+    for (const [text, itemNumber] of [
+      ['tick off step two of the move plan', 2],
+      ['check off the first item on the move plan', 1],
+      ['please tick off the last step of move plan', 3],
+      ['mark step 3 of the move plan as done', 3]
+    ]) {
+      const output = parse(text);
+      assert.equal(output.intent, 'tick_item', text);
+      assert.equal(output.task_id, movePlan.id, text);
+      assert.equal(output.item_number, itemNumber, text);
+    }
+  });
+
+  it('never complete the whole task for an unreadable step', () => {
+    assert.notEqual(parse('tick off step banana of the move plan').intent, 'edit_task');
+    assert.equal(parse('tick off the move plan').is_completed, true);
+  });
+
+  it('read the step back', () => {
+    const tick = { ...movePlan, intent: 'tick_item', task_id: movePlan.id, item_number: 2 };
+    assert.equal(describeOperation(tick, movePlan, TODAY), "Tick off step 2 of 'Move plan': Book a van");
+    assert.equal(describeOperation({ task_name: 'Office move', checklist: ['Pack', 'Label'], intent: 'create_task' }, null, TODAY), "Add 'Office move', with 2 steps");
+  });
+});
+
+describe('Checklist routes', () => {
+
+  it('require authentication and reject bad input before touching the database', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const unauthenticated = await fastify.inject({ method: 'POST', url: `/api/tasks/${movePlan.id}/checklist`, payload: { text: 'Pack' } });
+      assert.equal(unauthenticated.statusCode, 401);
+
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      const expectations = [
+        [{ method: 'POST', url: `/api/tasks/${movePlan.id}/checklist`, payload: { text: '  ' } }, 400],
+        [{ method: 'POST', url: `/api/tasks/${movePlan.id}/checklist`, payload: { text: 'x'.repeat(251) } }, 400],
+        [{ method: 'PUT', url: `/api/tasks/${movePlan.id}/checklist/order`, payload: { item_ids: [1, 1] } }, 400],
+        [{ method: 'PUT', url: `/api/tasks/${movePlan.id}/checklist/order`, payload: { item_ids: 'all' } }, 400],
+        [{ method: 'PUT', url: `/api/tasks/${movePlan.id}/checklist/2`, payload: { is_completed: 'yes' } }, 400],
+        [{ method: 'PUT', url: `/api/tasks/${movePlan.id}/checklist/2`, payload: {} }, 400],
+        [{ method: 'PUT', url: `/api/tasks/${movePlan.id}/checklist/two`, payload: { is_completed: true } }, 404],
+        [{ method: 'DELETE', url: '/api/tasks/not-a-task/checklist/2' }, 404]
+      ];
+      for (const [request, statusCode] of expectations) {
+        const response = await fastify.inject({ ...request, headers });
+        assert.equal(response.statusCode, statusCode, `${request.method} ${request.url}`);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('count the step cap inside the locked transaction, after checking ownership', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    // user-1 owns the task, whose checklist is full
+    const calls = [];
+    const client = {
+      async query(sql, params) {
+        calls.push(sql);
+        if (sql.includes('AS snapshot')) {
+          return { rows: params[1] === 'user-1' ? [{ snapshot: { id: movePlan.id, user_id: 'user-1', deleted_at: null } }] : [] };
+        }
+        if (sql.includes('COUNT(*)')) {
+          return { rows: [{ count: MAX_CHECKLIST_ITEMS }] };
+        }
+        return { rows: [], rowCount: 0 };
+      },
+      release() {}
+    };
+    const connections = mock.method(fastify.pool, 'connect', async () => client);
+    const queries = mock.method(fastify.pool, 'query', async () => { throw new Error('not expected outside the transaction'); });
+    try {
+      const add = userId => fastify.inject({
+        method: 'POST',
+        url: `/api/tasks/${movePlan.id}/checklist`,
+        headers: { authorization: `Bearer ${fastify.jwt.sign({ userId, email: `${userId}@example.com` })}` },
+        payload: { text: 'One more' }
+      });
+
+      const stranger = await add('user-2');
+      assert.equal(stranger.statusCode, 404);
+      assert.equal(calls.some(sql => sql.includes('COUNT(*)')), false);
+
+      calls.length = 0;
+      const owner = await add('user-1');
+      assert.equal(owner.statusCode, 400);
+      assert.ok(calls.findIndex(sql => sql.includes('AS snapshot')) < calls.findIndex(sql => sql.includes('COUNT(*)')));
+      assert.equal(calls.some(sql => sql.includes('INSERT INTO task_checklist_items')), false);
+      assert.equal(calls.at(-1), 'ROLLBACK');
+      assert.equal(queries.mock.callCount(), 0);
+    } finally {
+      connections.mock.restore();
+      queries.mock.restore();
+      await fastify.close();
+    }
+  });
+});
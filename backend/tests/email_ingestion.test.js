@@ -1,5 +1,6 @@
 import { test, mock } from 'node:test';
 import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
 import { google } from 'googleapis';
 import { fetchEmailContent } from '../src/email_ingestion/index.js';
 
@@ -79,7 +80,7 @@ test('fetchEmailContent extracts subject, body, message-ID, and sender correctly
 
     const result = await fetchEmailContent('html@example.com', 'message2');
     assert.strictEqual(result.subject, 'HTML Subject');
-    assert.strictEqual(result.body, '<html><body><p>This is the HTML body.</p></body></html>');
+    assert.strictEqual(result.body, 'This is the HTML body.'); // HTML converted to text
     assert.strictEqual(result.messageId, '<message-id-html@example.com>');
     assert.strictEqual(result.sender, 'HTML Sender <html@example.com>');
   });
@@ -207,16 +208,9 @@ test('fetchEmailContent extracts subject, body, message-ID, and sender correctly
       },
     }));
 
-    // For simplicity, fetchEmailContent as currently implemented only looks at the top-level parts array.
-    // If nested parts are common and need to be handled, the function would need to be recursive.
-    // For this test, we expect it to find the plain text in the first level of parts of the multipart/alternative.
     const result = await fetchEmailContent('nested@example.com', 'message6');
     assert.strictEqual(result.subject, 'Nested Parts');
-    // The current implementation of fetchEmailContent does not recursively search nested parts.
-    // It will not find the body in this structure. This highlights a potential area for improvement
-    // if deeply nested multipart messages are expected.
-    // For now, we'll assert it correctly handles what it finds at the top level or returns empty.
-    assert.strictEqual(result.body, ''); // Expect empty because current logic doesn't recurse
+    assert.strictEqual(result.body, 'Nested plain text.'); // Plain text found inside multipart/alternative
     assert.strictEqual(result.messageId, '<message-id-nested@example.com>');
     assert.strictEqual(result.sender, 'Nested <nested@example.com>');
   });
@@ -251,4 +245,17 @@ test('fetchEmailContent extracts subject, body, message-ID, and sender correctly
     assert.strictEqual(result.messageId, '');
     assert.strictEqual(result.sender, '');
   });
+
+  // Test Case 9: Forwarded message with nested parts, an attachment and lowercase header names
+  await t.test('should walk nested parts of a forwarded message', async () => {
+    mockGmailUsersMessagesGet.mock.resetCalls();
+    const payload = JSON.parse(readFileSync(new URL('./fixtures/gmail/forwarded_nested.json', import.meta.url), 'utf8'));
+    mockGmailUsersMessagesGet.mock.mockImplementationOnce(async () => ({ data: { payload } }));
+
+    const result = await fetchEmailContent('forwarded@example.com', 'message9');
+    assert.strictEqual(result.subject, 'Fwd: Q4 report');
+    assert.strictEqual(result.body, 'Please review the Q4 report before Friday’s board meeting.\r\n');
+    assert.strictEqual(result.messageId, '<fwd-1@example.com>');
+    assert.strictEqual(result.sender, 'Sam Forwarder <sam@example.com>');
+  });
 });
@@ -0,0 +1,428 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import net from 'node:net';
+import { extractSenderAddress, ingestEmail } from '../src/email_ingestion/ingestEmail.js';
+import { parseRawEmail, findMissingHeaders } from '../src/email_ingestion/rawEmail.js';
+import { createSmtpListener, getSmtpListenerConfig } from '../src/email_ingestion/smtpListener.js';
+import { validateLLMEmailTaskOutput, MAX_EMAIL_TASKS } from '../src/schemas/task.schema.js';
+import buildApp from '../app.js';
+
+const EMAIL = {
+  subject: 'Invoice',
+  sender: 'Alex Sender <Alex@Example.com>',
+  body: 'Please send the invoice by Friday and call the bank.',
+  messageId: '<invoice-1@example.com>',
+  inReplyTo: '',
+  references: '',
+  original_request: 'Subject: Invoice\n\nPlease send the invoice by Friday and call the bank.'
+};
+
+const LLM_OUTPUT = {
+  tasks: [
+    { task_name: 'Send the invoice', due_date: '2025-10-24', priority: 'high', tags: null, source: 'email', attachments: null },
+    { task_name: 'Call the bank', due_date: null, priority: null, tags: ['phone-call'], source: 'email', attachments: null }
+  ],
+  has_actionable_items: true
+};
+
+const readEml = name => readFileSync(new URL(`./fixtures/emails/${name}.eml`, import.meta.url));
+
+/**
+ * A pg pool answering the queries made while ingesting an email. Verified
+ * users, locked Message-IDs and users whose inserts fail are configurable;
+ * `locked` holds the Message-IDs claimed and not released.
+ */
+function fakePool({ userIds = ['user-1'], lockedMessageIds = [], failingUserIds = [] } = {}) {
+  const calls = [];
+  const locked = new Set(lockedMessageIds);
+  let nextId = 0;
+  const queryOn = db => async (sql, params = []) => {
+    calls.push({ sql, params, db });
+    if (sql.includes('FROM user_authorized_senders')) {
+      return { rows: userIds.map(userId => ({ user_id: userId })) };
+    }
+    if (sql.startsWith('INSERT INTO email_processing_lock')) {
+      if (locked.has(params[0])) {
+        return { rows: [] };
+      }
+      locked.add(params[0]);
+      return { rows: [{ message_id: params[0] }] };
+    }
+    if (sql.startsWith('DELETE FROM email_processing_lock')) {
+      locked.delete(params[0]);
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('INSERT INTO tasks')) {
+      if (failingUserIds.includes(params[0])) {
+        throw new Error('insert failed');
+      }
+      return { rows: [{ id: `task-${++nextId}` }] };
+    }
+    if (sql.includes('AS snapshot')) {
+      return { rows: [{ snapshot: { id: params[0], user_id: params[1] } }] };
+    }
+    if (sql.startsWith('INSERT INTO tags')) {
+      return { rows: [{ id: 1, name: 'phone-call' }] };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return { calls, locked, query: queryOn('pool'), async connect() { return { query: queryOn('client'), release() {} }; } };
+}
+
+function deps(pool, llmOutput = LLM_OUTPUT) {
+  const llmCalls = [];
+  const logger = { info() {}, warn() {}, error() {}, debug() {} };
+  return {
+    llmCalls,
+    pool,
+    llmRouter: { async call(prompt, context) { llmCalls.push({ prompt, context }); return { output: llmOutput, provider: 'TEST' }; } },
+    llmLogger: logger,
+    log: logger
+  };
+}
+
+describe('Email ingestion', () => {
+
+  it('finds the bare sender address', () => {
+    assert.equal(extractSenderAddress('Alex Sender <Alex@Example.com>'), 'alex@example.com');
+    assert.equal(extractSenderAddress(' alex@example.com '), 'alex@example.com');
+    assert.equal(extractSenderAddress(undefined), '');
+  });
+
+  it('validates LLM output against the email prompt contract', () => {
+    assert.deepEqual(validateLLMEmailTaskOutput(LLM_OUTPUT).data.tasks.map(task => task.task_name), ['Send the invoice', 'Call the bank']);
+    assert.equal(validateLLMEmailTaskOutput({ tasks: [] }).success, true);
+    for (const output of [
+      { tasks: [{ task_name: 'Drop the rent', intent: 'delete_task', task_id: '3f0c8a52-6a3e-4a8e-9f39-0d7c1b2e4a11' }] },
+      { tasks: [{ task_name: 'Pay rent', list_name: 'Home' }] },
+      { tasks: [{ task_name: 'Pay rent', run: 'rm -rf /' }] },
+      { tasks: [{ task_name: '' }] },
+      { tasks: Array.from({ length: MAX_EMAIL_TASKS + 1 }, (_, i) => ({ task_name: `Task ${i}` })) },
+      { sender: 'alex@example.com', subject: 'Invoice', body: 'hi', messageId: '<x>' }
+    ]) {
+      assert.equal(validateLLMEmailTaskOutput(output).success, false, JSON.stringify(output).slice(0, 80));
+    }
+  });
+
+  it('creates the tasks in one transaction per user, linked to the Message-ID', async () => {
+    const pool = fakePool({ userIds: ['user-1', 'user-2'] });
+    const context = deps(pool);
+    const result = await ingestEmail(context, EMAIL, 'api');
+
+    assert.equal(result.status, 'processed');
+    assert.deepEqual(result.created, [
+      { user_id: 'user-1', task_ids: ['task-1', 'task-2'] },
+      { user_id: 'user-2', task_ids: ['task-3', 'task-4'] }
+    ]);
+    assert.equal(context.llmCalls.length, 1);
+    assert.match(context.llmCalls[0].prompt, /Email Subject: Invoice/);
+    assert.deepEqual(pool.calls.find(call => call.sql.includes('FROM user_authorized_senders')).params, ['alex@example.com']);
+    assert.deepEqual(pool.calls.find(call => call.sql.startsWith('INSERT INTO email_processing_lock')).params, [EMAIL.messageId]);
+
+    const inserts = pool.calls.filter(call => call.sql.startsWith('INSERT INTO tasks'));
+    assert.equal(inserts.length, 4);
+    assert.deepEqual(inserts[0].params.slice(0, 7), ['user-1', 'Send the invoice', '2025-10-24', null, false, EMAIL.original_request, EMAIL.messageId]);
+    assert.match(inserts[0].sql, /'email'\) RETURNING id$/);
+    assert.deepEqual(pool.calls.map(call => call.sql).filter(sql => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)), ['BEGIN', 'COMMIT', 'BEGIN', 'COMMIT']);
+    // Each user's tasks are journaled in their own transaction
+    assert.deepEqual(
+      pool.calls
+        .filter(call => ['BEGIN', 'COMMIT'].includes(call.sql) || call.sql.startsWith('INSERT INTO task_change_journal'))
+        .map(call => (call.sql.startsWith('INSERT') ? `journal on ${call.db}` : call.sql)),
+      ['BEGIN', 'journal on client', 'journal on client', 'COMMIT', 'BEGIN', 'journal on client', 'journal on client', 'COMMIT']
+    );
+  });
+
+  it('falls back to a review task when the LLM output is invalid', async () => {
+    const pool = fakePool();
+    const result = await ingestEmail(deps(pool, { tasks: [{ task_name: 'Delete everything', intent: 'delete_task' }] }), EMAIL, 'webhook');
+    assert.equal(result.llmUsed, 'Fallback (Validation Failed)');
+    assert.equal(result.taskCount, 1);
+    const insert = pool.calls.find(call => call.sql.startsWith('INSERT INTO tasks'));
+    assert.equal(insert.params[1], 'Review email from alex@example.com: Invoice');
+  });
+
+  it('rejects unverified senders and repeated Message-IDs before calling the LLM', async () => {
+    const unverified = deps(fakePool({ userIds: [] }));
+    assert.deepEqual(await ingestEmail(unverified, EMAIL, 'api'), { status: 'unauthorized' });
+    assert.equal(unverified.llmCalls.length, 0);
+
+    const duplicate = deps(fakePool({ lockedMessageIds: [EMAIL.messageId] }));
+    assert.deepEqual(await ingestEmail(duplicate, EMAIL, 'api'), { status: 'duplicate' });
+    assert.equal(duplicate.llmCalls.length, 0);
+    assert.deepEqual(duplicate.pool.calls.filter(call => call.sql.startsWith('INSERT')).map(call => call.sql.split('(')[0].trim()), ['INSERT INTO email_processing_lock']);
+  });
+
+  it('claims the Message-ID in one statement', async () => {
+    const pool = fakePool();
+    await ingestEmail(deps(pool), EMAIL, 'api');
+    const claims = pool.calls.filter(call => call.sql.includes('email_processing_lock'));
+    assert.equal(claims.length, 1);
+    assert.match(claims[0].sql, /ON CONFLICT \(message_id\) DO UPDATE[\s\S]*RETURNING message_id$/);
+  });
+
+  it('releases the Message-ID when no tasks were created, so a retry is ingested', async () => {
+    const failingUserIds = ['user-1'];
+    const pool = fakePool({ failingUserIds });
+    const context = deps(pool);
+
+    const failed = await ingestEmail(context, EMAIL, 'api');
+    assert.deepEqual(failed.created, []);
+    assert.deepEqual([...pool.locked], []);
+
+    failingUserIds.length = 0;
+    const retried = await ingestEmail(context, EMAIL, 'api');
+    assert.deepEqual(retried.created, [{ user_id: 'user-1', task_ids: ['task-1', 'task-2'] }]);
+    assert.deepEqual([...pool.locked], [EMAIL.messageId]);
+    assert.deepEqual(await ingestEmail(context, EMAIL, 'api'), { status: 'duplicate' });
+
+    const llmRouter = { async call() { throw new Error('LLM unavailable'); } };
+    const unparsed = { ...EMAIL, messageId: '<invoice-9@example.com>' };
+    await assert.rejects(ingestEmail({ ...context, llmRouter }, unparsed, 'api'));
+    assert.ok(!pool.locked.has(unparsed.messageId));
+  });
+
+  it('rolls back one user without failing the others', async () => {
+    const pool = fakePool({ userIds: ['user-1', 'user-2'], failingUserIds: ['user-1'] });
+    const result = await ingestEmail(deps(pool), EMAIL, 'webhook');
+    assert.deepEqual(result.failedUserIds, ['user-1']);
+    assert.deepEqual(result.created, [{ user_id: 'user-2', task_ids: ['task-1', 'task-2'] }]);
+    assert.deepEqual(pool.calls.map(call => call.sql).filter(sql => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(sql)), ['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+  });
+});
+
+describe('Raw emails', () => {
+
+  it('are reduced to the same shape as Gmail messages', async () => {
+    assert.deepEqual(await parseRawEmail(readEml('plain_reply')), {
+      subject: 'Re: Invoice',
+      sender: '"Alex Sender" <Alex@Example.com>',
+      body: 'Please send the invoice by Friday and call the bank.\n',
+      messageId: '<invoice-2@example.com>',
+      inReplyTo: '<invoice-1@example.com>',
+      references: '<invoice-0@example.com> <invoice-1@example.com>',
+      forwarded: null,
+      attachments: [],
+      original_request: 'Subject: Re: Invoice\n\nPlease send the invoice by Friday and call the bank.'
+    });
+  });
+
+  it('decode encoded headers and prefer the plain text part', async () => {
+    const email = await parseRawEmail(readEml('multipart_alternative'));
+    assert.equal(email.subject, 'Café order');
+    assert.equal(email.body, 'Order 12 croissants for the café by Thursday.\n');
+  });
+
+  it('turn an HTML-only body into text without scripts', async () => {
+    const email = await parseRawEmail(readEml('html_only'));
+    assert.equal(email.body, 'Water the tomatoes\n\nMow the lawn');
+    assert.doesNotMatch(email.original_request, /alert|</);
+  });
+
+  it('need From and Message-ID headers', async () => {
+    assert.deepEqual(findMissingHeaders(await parseRawEmail(readEml('no_message_id'))), ['Message-ID']);
+    assert.deepEqual(findMissingHeaders(await parseRawEmail('Subject: nothing\r\n\r\nhi')), ['From', 'Message-ID']);
+    assert.deepEqual(findMissingHeaders(await parseRawEmail(readEml('plain_reply'))), []);
+  });
+
+  it('go through the same ingestion as the webhook', async () => {
+    const pool = fakePool();
+    const context = deps(pool);
+    const result = await ingestEmail(context, await parseRawEmail(readEml('plain_reply')), 'raw');
+    assert.deepEqual(result.created, [{ user_id: 'user-1', task_ids: ['task-1', 'task-2'] }]);
+    assert.deepEqual(pool.calls.find(call => call.sql.includes('FROM user_authorized_senders')).params, ['alex@example.com']);
+    assert.deepEqual(pool.calls.find(call => call.sql.startsWith('INSERT INTO email_processing_lock')).params, ['<invoice-2@example.com>']);
+    assert.equal(context.llmCalls[0].context.purpose, 'raw_email_parsing');
+  });
+});
+
+/**
+ * Delivers a message over SMTP and returns the server's reply code to each
+ * command, the greeting first (a rejected message is answered after DATA's
+ * terminating dot, the sixth reply)
+ */
+function sendOverSmtp(port, raw) {
+  const commands = ['EHLO relay.example.com', 'MAIL FROM:<alex@example.com>', 'RCPT TO:<tasks@example.com>', 'DATA', `${raw.toString().replace(/\r?\n/g, '\r\n')}\r\n.`, 'QUIT'];
+  return new Promise((resolve, reject) => {
+    const codes = [];
+    let buffered = '';
+    const socket = net.connect(port, '127.0.0.1');
+    socket.on('error', reject);
+    socket.on('close', () => resolve(codes));
+    socket.on('data', data => {
+      buffered += data.toString();
+      let lineEnd;
+      while ((lineEnd = buffered.indexOf('\r\n')) !== -1) {
+        const line = buffered.slice(0, lineEnd);
+        buffered = buffered.slice(lineEnd + 2);
+        // Multiline replies continue with "250-"; only the last line counts
+        if (line[3] === '-') {
+          continue;
+        }
+        codes.push(Number(line.slice(0, 3)));
+        const next = commands.shift();
+        if (next) {
+          socket.write(`${next}\r\n`);
+        }
+      }
+    });
+  });
+}
+
+describe('SMTP listener', () => {
+
+  it('is only enabled with SMTP_INGESTION_PORT', () => {
+    const previous = { port: process.env.SMTP_INGESTION_PORT, host: process.env.SMTP_INGESTION_HOST };
+    try {
+      delete process.env.SMTP_INGESTION_HOST;
+      for (const port of [undefined, '', 'smtp', '0', '70000']) {
+        if (port === undefined) {
+          delete process.env.SMTP_INGESTION_PORT;
+        } else {
+          process.env.SMTP_INGESTION_PORT = port;
+        }
+        assert.equal(getSmtpListenerConfig(), null, String(port));
+      }
+      process.env.SMTP_INGESTION_PORT = '2525';
+      assert.deepEqual(getSmtpListenerConfig(), { port: 2525, host: '127.0.0.1' });
+    } finally {
+      for (const [name, value] of [['SMTP_INGESTION_PORT', previous.port], ['SMTP_INGESTION_HOST', previous.host]]) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+    }
+  });
+
+  it('ingests delivered messages and rejects what ingestion refuses', async () => {
+    const pool = fakePool({ lockedMessageIds: ['<cafe-1@example.com>'] });
+    const context = deps(pool);
+    const channels = [];
+    const listener = createSmtpListener({
+      ingest: email => {
+        channels.push(email.messageId);
+        return ingestEmail(context, email, 'smtp');
+      },
+      log: context.log
+    });
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    const { port } = listener.server.address();
+    try {
+      assert.deepEqual(await sendOverSmtp(port, readEml('plain_reply')), [220, 250, 250, 250, 354, 250, 221]);
+      assert.equal(pool.calls.filter(call => call.sql.startsWith('INSERT INTO tasks')).length, 2);
+
+      // Already ingested: accepted so the relay does not retry, but not ingested again
+      assert.equal((await sendOverSmtp(port, readEml('multipart_alternative')))[5], 250);
+      assert.equal(context.llmCalls.length, 1);
+
+      assert.equal((await sendOverSmtp(port, readEml('no_message_id')))[5], 550);
+      assert.deepEqual(channels, ['<invoice-2@example.com>', '<cafe-1@example.com>']);
+
+      const unverified = createSmtpListener({ ingest: email => ingestEmail(deps(fakePool({ userIds: [] })), email, 'smtp'), log: context.log });
+      await new Promise(resolve => unverified.listen(0, '127.0.0.1', resolve));
+      try {
+        assert.equal((await sendOverSmtp(unverified.server.address().port, readEml('plain_reply')))[5], 550);
+      } finally {
+        await new Promise(resolve => unverified.close(resolve));
+      }
+    } finally {
+      await new Promise(resolve => listener.close(resolve));
+    }
+  });
+
+  it('accepts the retry of a message whose tasks could not be created', async () => {
+    const failingUserIds = ['user-1'];
+    const pool = fakePool({ failingUserIds });
+    const context = deps(pool);
+    const listener = createSmtpListener({ ingest: email => ingestEmail(context, email, 'smtp'), log: context.log });
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    const { port } = listener.server.address();
+    try {
+      assert.equal((await sendOverSmtp(port, readEml('plain_reply')))[5], 451);
+      failingUserIds.length = 0;
+      assert.equal((await sendOverSmtp(port, readEml('plain_reply')))[5], 250);
+      assert.equal(context.llmCalls.length, 2);
+      assert.equal(pool.calls.filter(call => call.sql === 'COMMIT').length, 1);
+    } finally {
+      await new Promise(resolve => listener.close(resolve));
+    }
+  });
+});
+
+describe('POST /api/email-ingestion', () => {
+
+  const validEmail = {
+    from: 'alex@example.com',
+    to: 'tasks@example.com',
+    subject: 'Invoice',
+    body: 'Please send the invoice by Friday.',
+    date_received: '2025-10-20T09:00:00Z',
+    message_id: '<invoice-1@example.com>'
+  };
+
+  it('is disabled without a shared secret and requires it', async () => {
+    const previousSecret = process.env.EMAIL_INGESTION_SECRET;
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      delete process.env.EMAIL_INGESTION_SECRET;
+      assert.equal((await fastify.inject({ method: 'POST', url: '/api/email-ingestion', payload: validEmail })).statusCode, 503);
+
+      process.env.EMAIL_INGESTION_SECRET = 'relay-secret';
+      for (const authorization of [undefined, 'Bearer wrong-secret', 'relay-secret', `Bearer ${fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' })}`]) {
+        const headers = authorization ? { authorization } : {};
+        const response = await fastify.inject({ method: 'POST', url: '/api/email-ingestion', headers, payload: validEmail });
+        assert.equal(response.statusCode, 401, String(authorization));
+      }
+
+      const headers = { authorization: 'Bearer relay-secret' };
+      for (const payload of [
+        { ...validEmail, from: 'not an address' },
+        { ...validEmail, message_id: undefined },
+        { ...validEmail, sender: 'alex@example.com' }
+      ]) {
+        const response = await fastify.inject({ method: 'POST', url: '/api/email-ingestion', headers, payload });
+        assert.equal(response.statusCode, 400);
+        assert.ok(response.json().errors.length > 0);
+      }
+    } finally {
+      if (previousSecret === undefined) {
+        delete process.env.EMAIL_INGESTION_SECRET;
+      } else {
+        process.env.EMAIL_INGESTION_SECRET = previousSecret;
+      }
+      await fastify.close();
+    }
+  });
+
+  it('accepts raw messages behind the same secret', async () => {
+    const previousSecret = process.env.EMAIL_INGESTION_SECRET;
+    const fastify = buildApp();
+    await fastify.ready();
+    const raw = (headers, payload) => fastify.inject({ method: 'POST', url: '/api/email-ingestion/raw', headers: { 'content-type': 'message/rfc822', ...headers }, payload });
+    try {
+      delete process.env.EMAIL_INGESTION_SECRET;
+      assert.equal((await raw({}, readEml('plain_reply'))).statusCode, 503);
+
+      process.env.EMAIL_INGESTION_SECRET = 'relay-secret';
+      assert.equal((await raw({ authorization: 'Bearer wrong-secret' }, readEml('plain_reply'))).statusCode, 401);
+
+      const headers = { authorization: 'Bearer relay-secret' };
+      assert.equal((await raw({ ...headers, 'content-type': 'text/html' }, readEml('plain_reply'))).statusCode, 415);
+      assert.equal((await raw(headers, '')).statusCode, 400);
+      const missingId = await raw(headers, readEml('no_message_id'));
+      assert.equal(missingId.statusCode, 400);
+      assert.deepEqual(missingId.json().errors.map(error => error.path[0]), ['Message-ID']);
+    } finally {
+      if (previousSecret === undefined) {
+        delete process.env.EMAIL_INGESTION_SECRET;
+      } else {
+        process.env.EMAIL_INGESTION_SECRET = previousSecret;
+      }
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeListName, findListByName, resolveListName, matchesRoutingRule, routeEmailToList, findListForEmail } from '../src/tasks/lists.js';
+import { validateLLMTaskOperation, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { describeOperation } from '../src/voice/describeOperations.js';
+import { buildTaskParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+const TODAY = '2025-10-20';
+const GROCERIES = { id: '22222222-2222-4222-8222-222222222222', name: 'Groceries' };
+const WORK = { id: '33333333-3333-4333-8333-333333333333', name: 'Work' };
+const LISTS = [GROCERIES, WORK];
+const report = { id: '11111111-1111-4111-8111-111111111111', task_name: 'Quarterly report', due_date: null, is_completed: false, list_name: null };
+
+describe('List names', () => {
+
+  it('are trimmed and limited in length', () => {
+    assert.equal(normalizeListName('  Home   stuff '), 'Home stuff');
+    for (const name of [undefined, null, '', '   ', 'x'.repeat(51), 42]) {
+      assert.equal(normalizeListName(name), null, String(name));
+    }
+  });
+
+  it('are found ignoring case and filler', () => {
+    for (const name of ['groceries', 'GROCERIES', 'the groceries list', 'my Groceries']) {
+      assert.equal(findListByName(LISTS, name), GROCERIES, name);
+    }
+    assert.equal(findListByName(LISTS, 'garden'), null);
+    assert.equal(findListByName(LISTS, ''), null);
+  });
+
+  it('are resolved against the user\'s own lists only', async () => {
+    const calls = [];
+    const db = { async query(sql, params) { calls.push({ sql, params }); return { rows: LISTS }; } };
+    assert.equal(await resolveListName(db, 'user-1', 'work'), WORK);
+    assert.deepEqual(calls[0].params, ['user-1']);
+    assert.match(calls[0].sql, /WHERE user_id = \$1/);
+    assert.equal(await resolveListName(db, 'user-1', null), null);
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe('Email routing rules', () => {
+  const email = { sender: 'billing@acme.com', subject: 'Invoice #42 for October' };
+
+  it('match senders by address or domain', () => {
+    assert.equal(matchesRoutingRule({ sender_pattern: 'billing@acme.com' }, email), true);
+    assert.equal(matchesRoutingRule({ sender_pattern: 'BILLING@ACME.COM' }, email), true);
+    assert.equal(matchesRoutingRule({ sender_pattern: '@acme.com' }, email), true);
+    assert.equal(matchesRoutingRule({ sender_pattern: 'acme.com' }, email), false);
+    assert.equal(matchesRoutingRule({ sender_pattern: '@cme.com' }, email), false);
+  });
+
+  it('match subjects by text and need every pattern to match', () => {
+    assert.equal(matchesRoutingRule({ subject_pattern: 'invoice' }, email), true);
+    assert.equal(matchesRoutingRule({ sender_pattern: '@acme.com', subject_pattern: 'receipt' }, email), false);
+    assert.equal(matchesRoutingRule({ sender_pattern: null, subject_pattern: null }, email), false);
+  });
+
+  it('send an email to the first matching list', async () => {
+    const rules = [
+      { list_id: WORK.id, sender_pattern: '@example.org', subject_pattern: null },
+      { list_id: GROCERIES.id, sender_pattern: null, subject_pattern: 'invoice' },
+      { list_id: WORK.id, sender_pattern: '@acme.com', subject_pattern: null }
+    ];
+    assert.equal(routeEmailToList(rules, email), GROCERIES.id);
+    assert.equal(routeEmailToList(rules, { sender: 'friend@mail.com', subject: 'Hi' }), null);
+
+    const db = { async query(sql, params) { assert.deepEqual(params, ['user-1']); return { rows: rules }; } };
+    assert.equal(await findListForEmail(db, 'user-1', email), GROCERIES.id);
+  });
+});
+
+describe('Lists in voice commands', () => {
+  const parse = (transcribedText) => parseTaskCommand({ transcribedText, currentDate: TODAY, existingTasks: [report], lists: LISTS });
+
+  it('validates the list name', () => {
+    const operation = { task_name: 'Buy bread', intent: 'create_task', list_name: ' Groceries ' };
+    assert.equal(sanitizeForDatabase(validateLLMTaskOperation(operation).data).list_name, 'Groceries');
+    assert.equal(validateLLMTaskOperation({ ...operation, list_name: 'x'.repeat(51) }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, list_id: GROCERIES.id }).success, false);
+  });
+
+  it('files new tasks into a named list without an LLM', () => {
+    const output = parse('add bread to groceries');
+    assert.equal(output.task_name, 'Bread');
+    assert.equal(output.list_name, 'Groceries');
+    assert.deepEqual(
+      (({ task_name, due_date, list_name }) => ({ task_name, due_date, list_name }))(parse('add milk to my groceries list tomorrow')),
+      { task_name: 'Milk', due_date: '2025-10-21', list_name: 'Groceries' }
+    );
+    assert.equal(parse('remind me to call the office on my work list').list_name, 'Work');
+    assert.equal(parse('add bread to the basket').task_name, 'Bread to the basket');
+  });
+
+  it('moves existing tasks between lists', () => {
+    const output = parse('move the quarterly report to work');
+    assert.equal(output.intent, 'edit_task');
+    assert.equal(output.task_id, report.id);
+    assert.equal(output.list_name, 'Work');
+    // Not a list: still a reschedule
+    assert.equal(parse('move the quarterly report to friday').due_date, '2025-10-24');
+  });
+
+  it('reads list changes back', () => {
+    assert.equal(describeOperation({ task_name: 'Buy bread', list_name: 'Groceries', intent: 'create_task' }, null, TODAY), "Add 'Buy bread' to Groceries");
+    assert.equal(describeOperation({ task_name: report.task_name, list_name: 'Work', is_completed: false, intent: 'edit_task', task_id: report.id }, report, TODAY), "Move 'Quarterly report' to Work");
+  });
+
+  it('gives the LLM the user\'s list names', () => {
+    const prompt = buildTaskParsingPrompt({
+      transcribedText: 'add bread to groceries',
+      currentDate: TODAY,
+      existingTasks: [{ ...report, list_name: 'Work' }],
+      lists: LISTS
+    });
+    assert.match(prompt, /The user's lists: "Groceries", "Work"/);
+    assert.match(prompt, /Name: "Quarterly report".*List: "Work"/);
+    assert.match(prompt, /- list_name \(string or null\)/);
+    assert.match(buildTaskParsingPrompt({ transcribedText: 'hi', currentDate: TODAY, existingTasks: [] }), /The user has no lists\./);
+  });
+});
+
+describe('List routes', () => {
+
+  it('require authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const requests = [
+        { method: 'GET', url: '/api/lists' },
+        { method: 'POST', url: '/api/lists', payload: { name: 'Home' } },
+        { method: 'PUT', url: `/api/lists/${WORK.id}`, payload: { name: 'Office' } },
+        { method: 'DELETE', url: `/api/lists/${WORK.id}` },
+        { method: 'GET', url: '/api/lists/rules' },
+        { method: 'POST', url: '/api/lists/rules', payload: { list_id: WORK.id, sender_pattern: '@acme.com' } },
+        { method: 'DELETE', url: '/api/lists/rules/1' }
+      ];
+      for (const request of requests) {
+        const response = await fastify.inject(request);
+        assert.equal(response.statusCode, 401, `${request.method} ${request.url}`);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('reject invalid input before touching the database', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      const requests = [
+        { method: 'POST', url: '/api/lists', payload: { name: '   ' }, status: 400 },
+        { method: 'POST', url: '/api/lists', payload: { name: 'x'.repeat(51) }, status: 400 },
+        { method: 'PUT', url: '/api/lists/not-a-list', payload: { name: 'Office' }, status: 404 },
+        { method: 'DELETE', url: '/api/lists/not-a-list', status: 404 },
+        { method: 'POST', url: '/api/lists/rules', payload: { list_id: WORK.id }, status: 400 },
+        { method: 'POST', url: '/api/lists/rules', payload: { list_id: 'work', sender_pattern: '@acme.com' }, status: 400 },
+        { method: 'DELETE', url: '/api/lists/rules/abc', status: 404 },
+        { method: 'GET', url: '/api/tasks?list_id=groceries', status: 400 },
+        { method: 'PUT', url: `/api/tasks/${report.id}`, payload: { list_id: 'groceries' }, status: 400 }
+      ];
+      for (const { status, ...request } of requests) {
+        const response = await fastify.inject({ ...request, headers });
+        assert.equal(response.statusCode, status, `${request.method} ${request.url}`);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker, CIRCUIT_STATES } from '../src/llm/circuitBreaker.js';
+import { createProviderRouter } from '../src/llm/providerRouter.js';
+import buildApp from '../app.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Manually advanced clock so breaker timing is deterministic
+ */
+function fakeClock(start = 1_700_000_000_000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+describe('LLM circuit breaker', () => {
+
+  it('opens after the configured number of consecutive failures', () => {
+    const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 2, resetTimeoutMs: 1000, now: fakeClock() });
+
+    breaker.recordFailure(new Error('first'));
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.recordFailure(new Error('second'), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.canRequest(), false);
+
+    const snapshot = breaker.snapshot();
+    assert.equal(snapshot.consecutiveFailures, 2);
+    assert.equal(snapshot.totalTimeouts, 1);
+    assert.equal(snapshot.lastError, 'second');
+  });
+
+  it('resets the failure count on success', () => {
+    const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 2, now: fakeClock() });
+
+    breaker.recordFailure(new Error('first'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('second'));
+
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.snapshot().consecutiveFailures, 1);
+  });
+
+  it('allows a single half-open probe after the reset timeout', () => {
+    const now = fakeClock();
+    const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 1, resetTimeoutMs: 1000, now });
+
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.canRequest(), false);
+
+    now.advance(1000);
+    assert.equal(breaker.canRequest(), true, 'first request after reset is the probe');
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(breaker.canRequest(), false, 'only one probe at a time');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it('re-opens when the half-open probe fails', () => {
+    const now = fakeClock();
+    const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 3, resetTimeoutMs: 1000, now });
+
+    breaker.recordFailure(new Error('1'));
+    breaker.recordFailure(new Error('2'));
+    breaker.recordFailure(new Error('3'));
+    now.advance(1000);
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.recordFailure(new Error('probe failed'));
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.canRequest(), false);
+  });
+});
+
+describe('Provider router with circuit breakers', () => {
+  const configs = {
+    PRIMARY: { client: 'primary', model: 'primary-model', timeout: 50, retries: 0, name: 'Primary' },
+    SECONDARY: { client: 'secondary', model: 'secondary-model', timeout: 50, retries: 0, name: 'Secondary' }
+  };
+
+  it('skips an open provider without waiting for its timeout', async () => {
+    const now = fakeClock();
+    let primaryCalls = 0;
+    const primary = { chat: { completions: { create: async () => { primaryCalls++; throw new Error('503'); } } } };
+    const secondary = { chat: { completions: { create: async () => ({ choices: [{ message: { content: '{"ok":true}' } }] }) } } };
+    const router = createProviderRouter({
+      clients: { primary, secondary },
+      configs,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger,
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 10000 },
+      now
+    });
+
+    await router.call('prompt');
+    await router.call('prompt');
+    assert.equal(primaryCalls, 2);
+
+    const result = await router.call('prompt');
+    assert.equal(primaryCalls, 2, 'open provider should not be called');
+    assert.equal(result.provider, 'Secondary');
+    assert.equal(result.fallbackReason, 'Primary: circuit open');
+
+    const primaryHealth = router.health().find(provider => provider.key === 'PRIMARY');
+    assert.equal(primaryHealth.state, CIRCUIT_STATES.OPEN);
+    assert.equal(primaryHealth.configured, true);
+
+    // After the reset timeout the provider is probed again
+    now.advance(10000);
+    await router.call('prompt');
+    assert.equal(primaryCalls, 3);
+  });
+});
+
+describe('GET /api/admin/llm-health', () => {
+
+  it('requires authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const response = await fastify.inject({ method: 'GET', url: '/api/admin/llm-health' });
+      assert.equal(response.statusCode, 401);
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('reports per-provider circuit state', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ userId: 'test_user', email: 'test@example.com' });
+      const response = await fastify.inject({
+        method: 'GET',
+        url: '/api/admin/llm-health',
+        headers: { authorization: `Bearer ${token}` }
+      });
+
+      assert.equal(response.statusCode, 200);
+      const body = response.json();
+      assert.ok(['ok', 'degraded'].includes(body.status));
+      assert.ok(Array.isArray(body.providers));
+      for (const provider of body.providers) {
+        assert.ok(provider.key);
+        assert.ok(Object.values(CIRCUIT_STATES).includes(provider.state));
+        assert.equal(typeof provider.configured, 'boolean');
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import OpenAI from 'openai';
+import { createProviderRouter, extractJsonObject } from '../src/llm/providerRouter.js';
+import { buildTaskParsingPrompt, buildEmailParsingPrompt } from '../promptTemplates.js';
+import { validateLLMTaskOutput } from '../src/schemas/task.schema.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const PARSED_TASK = {
+  task_name: 'Buy milk',
+  due_date: '2025-12-31',
+  is_completed: false,
+  original_request: 'buy milk tomorrow',
+  intent: 'create_task',
+  task_id: null
+};
+
+/**
+ * Minimal OpenAI-compatible chat completions server, standing in for a
+ * llama.cpp / vLLM instance. Replies with whatever `reply` returns.
+ */
+function startStubServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ url: req.url, body: parsed });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-local',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: parsed.model,
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: reply(parsed) } }]
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, baseURL: `http://127.0.0.1:${port}/v1` });
+    });
+  });
+}
+
+function localRouter(baseURL, jsonMode) {
+  return createProviderRouter({
+    clients: { local: new OpenAI({ apiKey: 'not-needed', baseURL }) },
+    configs: {
+      LOCAL: { client: 'local', model: 'llama-3-8b-instruct', timeout: 2000, retries: 0, jsonMode, name: 'Local LLM' }
+    },
+    chain: ['LOCAL'],
+    logger: silentLogger
+  });
+}
+
+describe('Local OpenAI-compatible provider', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer(parsed => parsed.response_format
+      ? JSON.stringify(PARSED_TASK)
+      : `Here is the task:\n\`\`\`json\n${JSON.stringify(PARSED_TASK)}\n\`\`\``);
+  });
+
+  after(() => new Promise(resolve => stub.server.close(resolve)));
+
+  it('parses a task prompt through a JSON-mode local server', async () => {
+    const router = localRouter(stub.baseURL, true);
+    const prompt = buildTaskParsingPrompt({ transcribedText: 'buy milk tomorrow', currentDate: '2025-12-30', existingTasks: [] });
+
+    const result = await router.call(prompt);
+
+    assert.equal(result.provider, 'Local LLM');
+    assert.equal(result.model, 'llama-3-8b-instruct');
+    assert.equal(validateLLMTaskOutput(result.output).success, true);
+
+    const received = stub.requests.at(-1);
+    assert.equal(received.url, '/v1/chat/completions');
+    assert.equal(received.body.model, 'llama-3-8b-instruct');
+    assert.deepEqual(received.body.response_format, { type: 'json_object' });
+    assert.equal(received.body.messages[0].content, prompt);
+  });
+
+  it('extracts JSON from a server without JSON-mode support', async () => {
+    const router = localRouter(stub.baseURL, false);
+    const prompt = buildEmailParsingPrompt({ emailContent: 'Please buy milk', emailSubject: 'Milk', currentDate: '2025-12-30' });
+
+    const result = await router.call(prompt);
+
+    assert.equal(result.provider, 'Local LLM');
+    assert.deepEqual(result.output, PARSED_TASK);
+    assert.equal(stub.requests.at(-1).body.response_format, undefined);
+  });
+});
+
+describe('extractJsonObject', () => {
+
+  it('parses a bare JSON object', () => {
+    assert.deepEqual(extractJsonObject('{"a":1}'), { a: 1 });
+  });
+
+  it('parses JSON surrounded by prose', () => {
+    assert.deepEqual(extractJsonObject('Sure! {"tasks": []} Hope that helps.'), { tasks: [] });
+  });
+
+  it('throws when there is no JSON object', () => {
+    assert.throws(() => extractJsonObject('no json here'), SyntaxError);
+  });
+});
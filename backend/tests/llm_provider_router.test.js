@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderRouter } from '../src/llm/providerRouter.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const TEST_CONFIGS = {
+  PRIMARY: { client: 'primary', model: 'primary-model', timeout: 50, retries: 0, backoffMs: 1, name: 'Primary' },
+  SECONDARY: { client: 'secondary', model: 'secondary-model', timeout: 50, retries: 1, backoffMs: 1, name: 'Secondary' }
+};
+
+/**
+ * Builds a stub OpenAI-compatible client whose create() delegates to handler
+ */
+function stubClient(handler) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (body, options) => {
+          calls.push({ body, options });
+          return handler(body, options, calls.length);
+        }
+      }
+    }
+  };
+}
+
+const jsonResponse = (value) => ({ choices: [{ message: { content: JSON.stringify(value) } }] });
+
+describe('LLM provider router', () => {
+
+  it('returns the first provider output without falling back', async () => {
+    const primary = stubClient(() => jsonResponse({ task_name: 'From primary' }));
+    const secondary = stubClient(() => jsonResponse({ task_name: 'From secondary' }));
+    const router = createProviderRouter({
+      clients: { primary, secondary },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger
+    });
+
+    const result = await router.call('prompt');
+
+    assert.deepEqual(result.output, { task_name: 'From primary' });
+    assert.equal(result.provider, 'Primary');
+    assert.equal(result.model, 'primary-model');
+    assert.equal(result.fallbackReason, null);
+    assert.equal(typeof result.latencyMs, 'number');
+    assert.equal(secondary.calls.length, 0);
+    assert.deepEqual(primary.calls[0].body.response_format, { type: 'json_object' });
+  });
+
+  it('falls back on timeout and aborts the losing request', async () => {
+    let abortedSignal = null;
+    const primary = stubClient((body, options) => new Promise((resolve) => {
+      abortedSignal = options.signal;
+      setTimeout(() => resolve(jsonResponse({ task_name: 'Too late' })), 200);
+    }));
+    const secondary = stubClient(() => jsonResponse({ task_name: 'From secondary' }));
+    const router = createProviderRouter({
+      clients: { primary, secondary },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger
+    });
+
+    const result = await router.call('prompt');
+
+    assert.equal(result.provider, 'Secondary');
+    assert.deepEqual(result.output, { task_name: 'From secondary' });
+    assert.equal(result.fallbackReason, 'Primary: timeout');
+    assert.equal(abortedSignal.aborted, true, 'timed-out request should be aborted');
+  });
+
+  it('retries a provider with backoff before falling back', async () => {
+    const primary = stubClient(() => { throw new Error('boom'); });
+    const secondary = stubClient((body, options, callNumber) => {
+      if (callNumber === 1) {
+        throw new Error('transient');
+      }
+      return jsonResponse({ task_name: 'Second attempt' });
+    });
+    const router = createProviderRouter({
+      clients: { primary, secondary },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger
+    });
+
+    const result = await router.call('prompt');
+
+    assert.equal(result.provider, 'Secondary');
+    assert.equal(secondary.calls.length, 2);
+    assert.equal(result.attempts.length, 3);
+    assert.equal(result.fallbackReason, 'Primary: boom; Secondary: transient');
+  });
+
+  it('returns null output with a reason when every provider fails', async () => {
+    const primary = stubClient(() => ({ choices: [{ message: { content: 'not json' } }] }));
+    const router = createProviderRouter({
+      clients: { primary, secondary: null },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger
+    });
+
+    const result = await router.call('prompt');
+
+    assert.equal(result.output, null);
+    assert.equal(result.provider, null);
+    assert.match(result.fallbackReason, /^Primary: /);
+  });
+
+  it('skips providers without a configured client', async () => {
+    const router = createProviderRouter({
+      clients: { primary: null, secondary: null },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY', 'SECONDARY'],
+      logger: silentLogger
+    });
+
+    assert.equal(router.providers().length, 0);
+    const result = await router.call('prompt');
+    assert.equal(result.output, null);
+    assert.equal(result.fallbackReason, 'no_providers_configured');
+  });
+
+  it('returns raw text when JSON mode is disabled', async () => {
+    const primary = stubClient(() => ({ choices: [{ message: { content: 'Water the plants' } }] }));
+    const router = createProviderRouter({
+      clients: { primary },
+      configs: TEST_CONFIGS,
+      chain: ['PRIMARY'],
+      logger: silentLogger
+    });
+
+    const result = await router.call('prompt', { json: false });
+
+    assert.equal(result.output, 'Water the plants');
+    assert.equal(primary.calls[0].body.response_format, undefined);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  extractMessageBody,
+  decodePartBody,
+  decodeQuotedPrintable,
+  decodeCharset,
+  getHeader
+} from '../src/email_ingestion/mimeParts.js';
+
+// Message payloads as users.messages.get (format 'full') returns them
+const readPayload = name => JSON.parse(readFileSync(new URL(`./fixtures/gmail/${name}.json`, import.meta.url), 'utf8'));
+
+describe('Gmail message bodies', () => {
+
+  it('are found in multipart/alternative nested in multipart/mixed, skipping attachments', () => {
+    assert.equal(extractMessageBody(readPayload('forwarded_nested')), 'Please review the Q4 report before Friday’s board meeting.\r\n');
+  });
+
+  it('are decoded from their charset', () => {
+    assert.equal(extractMessageBody(readPayload('latin1')), 'Réserver la salle pour la réunion à 14h, café compris.');
+  });
+
+  it('lose quoted-printable escapes Gmail left in', () => {
+    assert.equal(extractMessageBody(readPayload('quoted_printable')), 'Order 12 croissants for the café and ask whether the delivery fee is €5 or less.\r\n');
+  });
+
+  it('are decoded from base64url', () => {
+    const payload = readPayload('base64url');
+    assert.match(payload.body.data, /[-_]/);
+    assert.equal(extractMessageBody(payload), 'Check >>> the ??? totals ~~~ and sign off <<< today');
+  });
+
+  it('fall back to HTML converted to text when there is no plain text', () => {
+    assert.equal(extractMessageBody(readPayload('html_only_related')), 'Water the tomatoes – twice\n\nMow the lawn');
+  });
+
+  it('are empty when there is no text part', () => {
+    assert.equal(extractMessageBody({ mimeType: 'multipart/mixed', headers: [], parts: [{ mimeType: 'image/png', filename: 'a.png', body: { attachmentId: 'x' } }] }), '');
+    assert.equal(extractMessageBody({ headers: [] }), '');
+  });
+});
+
+describe('MIME decoding', () => {
+
+  it('leaves quoted-printable-looking text alone unless the part says so', () => {
+    const part = transferEncoding => ({
+      headers: transferEncoding ? [{ name: 'Content-Transfer-Encoding', value: transferEncoding }] : [],
+      body: { data: Buffer.from('x=3Dy').toString('base64url') }
+    });
+    assert.equal(decodePartBody(part()), 'x=3Dy');
+    assert.equal(decodePartBody(part('Quoted-Printable')), 'x=y');
+    assert.equal(decodeQuotedPrintable(Buffer.from('a=\nb =E2=82=AC')).toString('utf8'), 'ab €');
+  });
+
+  it('treats unknown charsets as UTF-8', () => {
+    assert.equal(decodeCharset(Buffer.from('café'), 'x-unknown'), 'café');
+    assert.equal(decodeCharset(Buffer.from([0x93, 0x68, 0x69, 0x94, 0x80]), 'us-ascii'), '“hi”€');
+    assert.equal(decodeCharset(Buffer.from([0xc0, 0xe8]), 'windows-1251'), 'Аи');
+  });
+
+  it('matches header names case-insensitively', () => {
+    const headers = [{ name: 'Message-Id', value: '<a@example.com>' }];
+    assert.equal(getHeader(headers, 'Message-ID'), '<a@example.com>');
+    assert.equal(getHeader(headers, 'Subject'), '');
+    assert.equal(getHeader(undefined, 'Subject'), '');
+  });
+});
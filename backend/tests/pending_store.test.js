@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryPendingStore, createPostgresPendingStore, createPendingStore } from '../src/storage/pendingStore.js';
+
+/**
+ * Manually advanced clock so expiry is deterministic
+ */
+function fakeClock(start = 1_700_000_000_000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+describe('Memory pending store', () => {
+
+  it('returns stored values until they expire', async () => {
+    const now = fakeClock();
+    const store = createMemoryPendingStore({ now });
+    await store.set('confirm-1', { taskIds: ['a'], userId: 'user-1' }, 10);
+
+    assert.deepEqual(await store.get('confirm-1'), { taskIds: ['a'], userId: 'user-1' });
+    now.advance(10 * 1000);
+    assert.equal(await store.get('confirm-1'), null);
+  });
+
+  it('lets an item be taken only once', async () => {
+    const store = createMemoryPendingStore({ now: fakeClock() });
+    await store.set('state-1', { timestamp: 1 }, 300);
+
+    assert.deepEqual(await store.take('state-1'), { value: { timestamp: 1 }, expired: false });
+    assert.equal(await store.take('state-1'), null);
+  });
+
+  it('reports expired items when taken', async () => {
+    const now = fakeClock();
+    const store = createMemoryPendingStore({ now });
+    await store.set('state-1', { timestamp: 1 }, 300);
+
+    now.advance(301 * 1000);
+    assert.deepEqual(await store.take('state-1'), { value: { timestamp: 1 }, expired: true });
+  });
+
+  it('removes only expired items on cleanup', async () => {
+    const now = fakeClock();
+    const store = createMemoryPendingStore({ now });
+    await store.set('short', 1, 10);
+    await store.set('long', 2, 300);
+
+    now.advance(60 * 1000);
+    assert.equal(await store.cleanup(), 1);
+    assert.equal(await store.get('long'), 2);
+    assert.equal(await store.take('short'), null);
+  });
+});
+
+describe('Postgres pending store', () => {
+
+  it('scopes every query to its namespace and maps taken rows', async () => {
+    const queries = [];
+    const pool = {
+      async query(sql, params) {
+        queries.push({ sql, params });
+        return sql.startsWith('DELETE') && sql.includes('RETURNING')
+          ? { rowCount: 1, rows: [{ payload: { timestamp: 1 }, expired: false }] }
+          : { rowCount: 0, rows: [] };
+      }
+    };
+    const store = createPostgresPendingStore({ pool, namespace: 'oauth_state' });
+
+    await store.set('state-1', { timestamp: 1 }, 300);
+    assert.deepEqual(await store.take('state-1'), { value: { timestamp: 1 }, expired: false });
+    assert.equal(await store.get('state-1'), null);
+
+    for (const { params } of queries) {
+      assert.equal(params[0], 'oauth_state');
+    }
+    assert.deepEqual(queries[0].params, ['oauth_state', 'state-1', JSON.stringify({ timestamp: 1 }), 300]);
+  });
+});
+
+describe('createPendingStore', () => {
+
+  it('creates the configured backend', () => {
+    assert.equal(createPendingStore({ namespace: 'x', backend: 'memory' }).backend, 'memory');
+    assert.equal(createPendingStore({ pool: {}, namespace: 'x', backend: 'postgres' }).backend, 'postgres');
+  });
+
+  it('rejects unknown backends', () => {
+    assert.throws(() => createPendingStore({ namespace: 'x', backend: 'redis' }), /Unknown pending store backend/);
+  });
+});
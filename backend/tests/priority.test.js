@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TASK_PRIORITIES, PRIORITY_RANK_SQL, isValidPriority, normalizePriority } from '../src/tasks/priority.js';
+import { validateLLMTaskOperation, sanitizeForDatabase, LLMEmailTaskOutputSchema } from '../src/schemas/task.schema.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { describeOperation } from '../src/voice/describeOperations.js';
+import { buildTaskParsingPrompt, buildEmailParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+const TODAY = '2025-10-20';
+const RENT_ID = '11111111-1111-4111-8111-111111111111';
+const rent = { id: RENT_ID, task_name: 'Pay rent', due_date: null, is_completed: false, priority: null };
+
+describe('Task priorities', () => {
+
+  it('accepts only the supported values', () => {
+    assert.deepEqual(TASK_PRIORITIES, ['low', 'medium', 'high', 'urgent']);
+    assert.equal(isValidPriority('urgent'), true);
+    assert.equal(isValidPriority('High'), false);
+    assert.equal(normalizePriority(' High '), 'high');
+    for (const value of [undefined, null, '', 'critical', 3]) {
+      assert.equal(normalizePriority(value), null, String(value));
+    }
+  });
+
+  it('ranks urgent tasks first and unprioritized tasks last', () => {
+    assert.equal(PRIORITY_RANK_SQL, "CASE priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'urgent' THEN 4 ELSE 0 END");
+  });
+});
+
+describe('Priority validation', () => {
+  const operation = { task_name: 'Pay rent', intent: 'edit_task', task_id: RENT_ID };
+
+  it('passes a valid priority through to the database', () => {
+    const result = validateLLMTaskOperation({ ...operation, priority: 'high' });
+    assert.equal(result.success, true);
+    assert.equal(sanitizeForDatabase(result.data).priority, 'high');
+    assert.equal(sanitizeForDatabase(validateLLMTaskOperation(operation).data).priority, null);
+  });
+
+  it('rejects unsupported priorities', () => {
+    for (const priority of ['critical', 'HIGH', 2]) {
+      assert.equal(validateLLMTaskOperation({ ...operation, priority }).success, false, String(priority));
+    }
+  });
+
+  it('keeps the priority of tasks parsed from email', () => {
+    const result = LLMEmailTaskOutputSchema.safeParse({
+      tasks: [{ task_name: 'Send invoice', intent: 'create_task', priority: 'urgent' }]
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.data.tasks[0].priority, 'urgent');
+  });
+});
+
+describe('Priority voice commands', () => {
+  const parse = (transcribedText) => parseTaskCommand({ transcribedText, currentDate: TODAY, existingTasks: [rent] });
+
+  it('sets the priority of an existing task', () => {
+    for (const [text, priority] of [
+      ['make the rent high priority', 'high'],
+      ['mark pay rent as urgent', 'urgent'],
+      ['set the priority of the rent to low', 'low'],
+      ['please make pay rent a medium priority', 'medium']
+    ]) {
+      const output = parse(text);
+      assert.equal(output.intent, 'edit_task', text);
+      assert.equal(output.task_id, RENT_ID, text);
+      assert.equal(output.priority, priority, text);
+      assert.equal(validateLLMTaskOperation(output).success, true, text);
+    }
+  });
+
+  it('leaves other commands without a priority', () => {
+    assert.equal('priority' in parse('mark pay rent as done'), false);
+    assert.equal(parse('buy milk').priority, undefined);
+  });
+
+  it('reads the change back', () => {
+    const output = sanitizeForDatabase(validateLLMTaskOperation(parse('make the rent high priority')).data);
+    assert.equal(describeOperation(output, rent, TODAY), "Make 'Pay rent' high priority");
+    assert.equal(
+      describeOperation({ task_name: 'File taxes', due_date: null, priority: 'urgent', intent: 'create_task' }, null, TODAY),
+      "Add 'File taxes', urgent priority"
+    );
+  });
+});
+
+describe('Priority prompts', () => {
+
+  it('describe the priority field and show existing priorities', () => {
+    const prompt = buildTaskParsingPrompt({
+      transcribedText: 'make the rent high priority',
+      currentDate: TODAY,
+      existingTasks: [{ ...rent, priority: 'low' }]
+    });
+    assert.match(prompt, /- priority \(string or null\): "low", "medium", "high" or "urgent"/);
+    assert.match(prompt, /Name: "Pay rent".*Priority: low/);
+    assert.match(prompt, /"original_request": "make the rent high priority"/);
+
+    const emailPrompt = buildEmailParsingPrompt({ emailContent: 'Please pay the invoice ASAP', emailSubject: 'Invoice', currentDate: TODAY });
+    assert.match(emailPrompt, /"low", "medium", "high" or "urgent"/);
+  });
+});
+
+describe('Priority routes', () => {
+
+  it('reject unsupported sorts and priorities', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      const requests = [
+        { method: 'GET', url: '/api/tasks?sort=name' },
+        { method: 'GET', url: '/api/tasks?priority=high,critical' },
+        { method: 'PUT', url: `/api/tasks/${RENT_ID}`, payload: { priority: 'critical' } }
+      ];
+      for (const request of requests) {
+        const response = await fastify.inject({ ...request, headers });
+        assert.equal(response.statusCode, 400, request.url);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
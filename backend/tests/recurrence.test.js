@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRecurrenceRule,
+  nextOccurrence,
+  describeRecurrence,
+  createNextOccurrence,
+  RECURRENCE_NONE
+} from '../src/tasks/recurrence.js';
+import { validateLLMTaskOperation, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { describeOperation } from '../src/voice/describeOperations.js';
+
+const TASK_ID = '11111111-1111-4111-8111-111111111111';
+
+/**
+ * Minimal pg client stand-in that records the queries it receives and
+ * answers INSERTs with a row built from the parameters
+ */
+function recordingClient() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (sql.trim().startsWith('INSERT')) {
+        return { rowCount: 1, rows: [{ id: 'new-task', task_name: params[1], due_date: params[3], due_time: params[4], recurrence_rule: params[6] }] };
+      }
+      return { rowCount: 1, rows: [] };
+    }
+  };
+}
+
+describe('Recurrence rules', () => {
+
+  it('normalizes supported rules', () => {
+    assert.equal(normalizeRecurrenceRule('FREQ=DAILY'), 'FREQ=DAILY');
+    assert.equal(normalizeRecurrenceRule('rrule:byday=th,mo;freq=weekly;interval=2'), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    assert.equal(normalizeRecurrenceRule('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15'), 'FREQ=MONTHLY;BYMONTHDAY=15');
+  });
+
+  it('rejects rules outside the subset', () => {
+    const invalid = [
+      '', 'FREQ=YEARLY', 'FREQ=DAILY;COUNT=3', 'FREQ=DAILY;INTERVAL=0', 'FREQ=DAILY;INTERVAL=100',
+      'FREQ=DAILY;BYDAY=MO', 'FREQ=WEEKLY;BYDAY=XX', 'FREQ=MONTHLY;BYMONTHDAY=32', 'FREQ=MONTHLY;BYMONTHDAY=1,15',
+      'FREQ=WEEKLY;FREQ=DAILY', 'every tuesday', null, undefined
+    ];
+    for (const rule of invalid) {
+      assert.equal(normalizeRecurrenceRule(rule), null, String(rule));
+    }
+  });
+
+  it('computes the next daily and weekly occurrence', () => {
+    assert.equal(nextOccurrence('FREQ=DAILY', '2025-12-31'), '2026-01-01');
+    assert.equal(nextOccurrence('FREQ=DAILY;INTERVAL=3', '2025-10-20'), '2025-10-23');
+    assert.equal(nextOccurrence('FREQ=WEEKLY', '2025-10-21'), '2025-10-28');
+    // 2025-10-21 is a Tuesday
+    assert.equal(nextOccurrence('FREQ=WEEKLY;BYDAY=TU,TH', '2025-10-21'), '2025-10-23');
+    assert.equal(nextOccurrence('FREQ=WEEKLY;BYDAY=TU,TH', '2025-10-23'), '2025-10-28');
+    assert.equal(nextOccurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2025-10-20'), '2025-11-03');
+    assert.equal(nextOccurrence('FREQ=WEEKLY;BYDAY=SU', '2025-10-26'), '2025-11-02');
+  });
+
+  it('computes the next monthly occurrence, clamping to short months', () => {
+    assert.equal(nextOccurrence('FREQ=MONTHLY', '2025-10-15'), '2025-11-15');
+    assert.equal(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=20', '2025-10-15'), '2025-10-20');
+    assert.equal(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31'), '2026-02-28');
+    assert.equal(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', '2026-02-28'), '2026-03-31');
+    assert.equal(nextOccurrence('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1', '2025-11-01'), '2026-02-01');
+  });
+
+  it('describes rules in plain words', () => {
+    assert.equal(describeRecurrence('FREQ=DAILY'), 'every day');
+    assert.equal(describeRecurrence('FREQ=DAILY;INTERVAL=3'), 'every 3 days');
+    assert.equal(describeRecurrence('FREQ=WEEKLY;BYDAY=TU'), 'every Tuesday');
+    assert.equal(describeRecurrence('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'), 'every weekday');
+    assert.equal(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,TH'), 'every 2 weeks on Monday, Wednesday and Thursday');
+    assert.equal(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=22'), 'every month on the 22nd');
+    assert.equal(describeRecurrence('FREQ=MONTHLY;INTERVAL=2'), 'every 2 months');
+  });
+});
+
+describe('Recurrence in LLM output', () => {
+  const operation = {
+    task_name: 'Take out the bins',
+    due_date: '2025-10-21',
+    is_completed: false,
+    original_request: 'take out the bins every Tuesday',
+    intent: 'create_task',
+    task_id: null
+  };
+
+  it('accepts and normalizes a supported rule', () => {
+    const result = validateLLMTaskOperation({ ...operation, recurrence: 'FREQ=WEEKLY;INTERVAL=1;BYDAY=TU' });
+    assert.equal(result.success, true);
+    assert.equal(sanitizeForDatabase(result.data).recurrence, 'FREQ=WEEKLY;BYDAY=TU');
+  });
+
+  it('accepts NONE, null and a missing field', () => {
+    for (const recurrence of [RECURRENCE_NONE, null, undefined]) {
+      const result = validateLLMTaskOperation({ ...operation, recurrence });
+      assert.equal(result.success, true, String(recurrence));
+      assert.equal(sanitizeForDatabase(result.data).recurrence, recurrence ?? null);
+    }
+  });
+
+  it('rejects unsupported rules', () => {
+    for (const recurrence of ['FREQ=YEARLY', 'every Tuesday', 'FREQ=DAILY;UNTIL=20251231', 42]) {
+      const result = validateLLMTaskOperation({ ...operation, recurrence });
+      assert.equal(result.success, false, String(recurrence));
+    }
+  });
+
+  it('describes recurrence in previews', () => {
+    const sanitized = sanitizeForDatabase({ ...operation, recurrence: 'FREQ=WEEKLY;BYDAY=TU' });
+    assert.equal(describeOperation(sanitized, null, '2025-10-19'), "Add 'Take out the bins', due Oct 21, repeating every Tuesday");
+
+    const existingTask = { id: TASK_ID, task_name: 'Take out the bins', due_date: '2025-10-21', is_completed: false, recurrence_rule: 'FREQ=WEEKLY;BYDAY=TU' };
+    const stop = { ...sanitized, intent: 'edit_task', task_id: TASK_ID, recurrence: RECURRENCE_NONE };
+    assert.equal(describeOperation(stop, existingTask, '2025-10-19'), "Update 'Take out the bins', no longer repeating");
+  });
+});
+
+describe('createNextOccurrence', () => {
+  const completedTask = {
+    id: TASK_ID,
+    task_name: 'Take out the bins',
+    description: null,
+    due_date: '2025-10-21',
+    is_completed: true,
+    original_request: 'take out the bins every Tuesday',
+    recurrence_rule: 'FREQ=WEEKLY;BYDAY=TU'
+  };
+
+  it('moves the rule to a new instance due on the next occurrence', async () => {
+    const client = recordingClient();
+    const next = await createNextOccurrence(client, completedTask, 'user-1', '2025-10-19');
+
+    assert.equal(next.due_date, '2025-10-28');
+    assert.equal(next.recurrence_rule, 'FREQ=WEEKLY;BYDAY=TU');
+    assert.match(client.queries[0].sql, /UPDATE tasks SET recurrence_rule = NULL/);
+    assert.deepEqual(client.queries[0].params, [TASK_ID, 'user-1']);
+  });
+
+  it('schedules from today when the task was completed late', async () => {
+    const client = recordingClient();
+    const next = await createNextOccurrence(client, completedTask, 'user-1', '2025-11-05');
+    assert.equal(next.due_date, '2025-11-11');
+  });
+
+  it('does nothing for a task without a valid rule', async () => {
+    const client = recordingClient();
+    assert.equal(await createNextOccurrence(client, { ...completedTask, recurrence_rule: 'FREQ=HOURLY' }, 'user-1', '2025-10-19'), null);
+    assert.equal(client.queries.length, 0);
+  });
+});
@@ -0,0 +1,334 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isQuietTime,
+  classifyTask,
+  buildReminderDigest,
+  createReminderScheduler,
+  REMINDER_KINDS
+} from '../src/reminders/reminderScheduler.js';
+import { createEmailChannel, createWebPushChannel } from '../src/reminders/channels.js';
+import { zonedTimeToUtc } from '../src/time/timeZone.js';
+import { DailyLimitReachedError } from '../src/email_ingestion/emailService.js';
+import buildApp from '../app.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * In-memory stand-in for the pg pool, covering the queries the scheduler makes
+ */
+function fakePool({ users, tasks }) {
+  const sent = [];
+  return {
+    sent,
+    async query(sql, params) {
+      if (sql.includes('FROM reminder_settings')) {
+        return { rows: users };
+      }
+      if (sql.includes('FROM tasks')) {
+        const [userId, horizon] = params;
+        return { rows: tasks.filter(task => task.user_id === userId && task.due_date <= horizon) };
+      }
+      if (sql.includes('FROM task_reminders')) {
+        return { rows: sent.filter(row => params[0].includes(row.task_id)) };
+      }
+      if (sql.includes('INSERT INTO task_reminders')) {
+        const [ids, kinds, keys] = params;
+        ids.forEach((task_id, i) => {
+          if (!sent.some(row => row.task_id === task_id && row.kind === kinds[i] && row.due_key === keys[i])) {
+            sent.push({ task_id, kind: kinds[i], due_key: keys[i] });
+          }
+        });
+        return { rowCount: ids.length, rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+function stubChannel(result = true) {
+  const deliveries = [];
+  return {
+    deliveries,
+    async send(user, digest) {
+      deliveries.push({ user, digest });
+      return result;
+    }
+  };
+}
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  timezone: 'Australia/Sydney',
+  channels: ['email'],
+  lead_minutes: 30,
+  lead_days: 0,
+  quiet_hours_start: '22:00:00',
+  quiet_hours_end: '07:00:00'
+};
+
+describe('Reminder rules', () => {
+
+  it('detects quiet hours, including ranges past midnight', () => {
+    assert.equal(isQuietTime('23:15', '22:00', '07:00'), true);
+    assert.equal(isQuietTime('06:59', '22:00:00', '07:00:00'), true);
+    assert.equal(isQuietTime('07:00', '22:00', '07:00'), false);
+    assert.equal(isQuietTime('13:00', '12:00', '14:00'), true);
+    assert.equal(isQuietTime('14:00', '12:00', '14:00'), false);
+    assert.equal(isQuietTime('13:00', null, null), false);
+    assert.equal(isQuietTime('13:00', '09:00', '09:00'), false);
+  });
+
+  it('classifies timed tasks by lead time', () => {
+    const task = { due_date: '2025-10-20', due_time: '15:00:00' };
+    const settings = { lead_minutes: 30, lead_days: 0 };
+    // 15:00 in Sydney (UTC+11) is 04:00Z
+    assert.equal(classifyTask(task, settings, 'Australia/Sydney', new Date('2025-10-20T03:29:00Z')), null);
+    assert.equal(classifyTask(task, settings, 'Australia/Sydney', new Date('2025-10-20T03:30:00Z')), REMINDER_KINDS.UPCOMING);
+    assert.equal(classifyTask(task, settings, 'Australia/Sydney', new Date('2025-10-20T04:00:00Z')), REMINDER_KINDS.OVERDUE);
+  });
+
+  it('classifies date-only tasks by local day and lead days', () => {
+    const task = { due_date: '2025-10-20', due_time: null };
+    // 2025-10-19T20:00Z is already the morning of the 20th in Sydney
+    const now = new Date('2025-10-19T20:00:00Z');
+    assert.equal(classifyTask(task, { lead_minutes: 30, lead_days: 0 }, 'Australia/Sydney', now), REMINDER_KINDS.UPCOMING);
+    assert.equal(classifyTask(task, { lead_minutes: 30, lead_days: 0 }, 'America/Los_Angeles', now), null);
+    assert.equal(classifyTask(task, { lead_minutes: 30, lead_days: 1 }, 'America/Los_Angeles', now), REMINDER_KINDS.UPCOMING);
+    assert.equal(classifyTask(task, { lead_minutes: 30, lead_days: 0 }, 'Australia/Sydney', new Date('2025-10-20T13:00:00Z')), REMINDER_KINDS.OVERDUE);
+  });
+
+  it('uses the offset in effect on the due date across daylight saving changes', () => {
+    // New York leaves daylight saving on 2025-11-02: 09:00 is 13:00Z before and 14:00Z after
+    assert.equal(zonedTimeToUtc('2025-11-01', '09:00', 'America/New_York').toISOString(), '2025-11-01T13:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2025-11-03', '09:00', 'America/New_York').toISOString(), '2025-11-03T14:00:00.000Z');
+    // 02:30 does not exist in Sydney on 2025-10-05 (clocks jump from 02:00 to 03:00)
+    assert.equal(zonedTimeToUtc('2025-10-05', '02:30', 'Australia/Sydney').toISOString(), '2025-10-04T16:30:00.000Z');
+
+    const task = { due_date: '2025-11-03', due_time: '09:00:00' };
+    const settings = { lead_minutes: 60, lead_days: 0 };
+    assert.equal(classifyTask(task, settings, 'America/New_York', new Date('2025-11-03T12:59:00Z')), null);
+    assert.equal(classifyTask(task, settings, 'America/New_York', new Date('2025-11-03T13:00:00Z')), REMINDER_KINDS.UPCOMING);
+  });
+
+  it('titles the digest with counts', () => {
+    const digest = buildReminderDigest([
+      { kind: REMINDER_KINDS.UPCOMING, task: { task_name: 'A' } },
+      { kind: REMINDER_KINDS.UPCOMING, task: { task_name: 'B' } },
+      { kind: REMINDER_KINDS.OVERDUE, task: { task_name: 'C' } }
+    ]);
+    assert.equal(digest.title, '2 tasks due soon, 1 task overdue');
+    assert.deepEqual(digest.upcoming.map(task => task.task_name), ['A', 'B']);
+    assert.deepEqual(digest.overdue.map(task => task.task_name), ['C']);
+  });
+});
+
+describe('Reminder scheduler', () => {
+  const tasks = [
+    { id: 'task-1', user_id: 'user-1', task_name: 'Call mom', due_date: '2025-10-20', due_time: '15:00:00' },
+    { id: 'task-2', user_id: 'user-1', task_name: 'Pay rent', due_date: '2025-10-18', due_time: null },
+    { id: 'task-3', user_id: 'user-1', task_name: 'Dentist', due_date: '2025-10-24', due_time: null }
+  ];
+
+  it('sends one digest per user and does not repeat reminders', async () => {
+    const pool = fakePool({ users: [user], tasks });
+    const email = stubChannel();
+    let clock = new Date('2025-10-20T03:45:00Z'); // 14:45 in Sydney
+    const scheduler = createReminderScheduler({ pool, channels: { email }, now: () => clock, logger: silentLogger });
+
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 1, remindersSent: 2 });
+    assert.equal(email.deliveries.length, 1);
+    assert.equal(email.deliveries[0].digest.title, '1 task due soon, 1 task overdue');
+    assert.deepEqual(email.deliveries[0].digest.upcoming.map(task => task.id), ['task-1']);
+    assert.deepEqual(email.deliveries[0].digest.overdue.map(task => task.id), ['task-2']);
+
+    clock = new Date('2025-10-20T03:50:00Z');
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 0, remindersSent: 0 });
+
+    // Once the due time passes, the task gets its overdue reminder
+    clock = new Date('2025-10-20T04:05:00Z');
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 1, remindersSent: 1 });
+    assert.deepEqual(email.deliveries[1].digest.overdue.map(task => task.id), ['task-1']);
+  });
+
+  it('re-arms reminders when the due date moves', async () => {
+    const movable = [{ ...tasks[1] }];
+    const pool = fakePool({ users: [user], tasks: movable });
+    const email = stubChannel();
+    const scheduler = createReminderScheduler({ pool, channels: { email }, now: () => new Date('2025-10-20T03:45:00Z'), logger: silentLogger });
+
+    await scheduler.runOnce();
+    movable[0].due_date = '2025-10-19';
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 1, remindersSent: 1 });
+  });
+
+  it('holds reminders during quiet hours and sends them afterwards', async () => {
+    const pool = fakePool({ users: [user], tasks });
+    const email = stubChannel();
+    let clock = new Date('2025-10-19T12:00:00Z'); // 23:00 in Sydney
+    const scheduler = createReminderScheduler({ pool, channels: { email }, now: () => clock, logger: silentLogger });
+
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 0, remindersSent: 0 });
+    assert.equal(email.deliveries.length, 0);
+
+    clock = new Date('2025-10-19T20:00:00Z'); // 07:00 in Sydney
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 1, remindersSent: 1 });
+    assert.deepEqual(email.deliveries[0].digest.overdue.map(task => task.id), ['task-2']);
+  });
+
+  it('retries on the next run when no channel delivers', async () => {
+    const pool = fakePool({ users: [user], tasks });
+    const email = stubChannel(false);
+    const scheduler = createReminderScheduler({ pool, channels: { email }, now: () => new Date('2025-10-20T03:45:00Z'), logger: silentLogger });
+
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 0, remindersSent: 0 });
+    assert.equal(pool.sent.length, 0);
+    assert.equal((await scheduler.runOnce()).usersNotified, 0);
+    assert.equal(email.deliveries.length, 2);
+  });
+
+  it('keeps going when a channel throws', async () => {
+    const pool = fakePool({ users: [{ ...user, channels: ['push', 'email'] }], tasks });
+    const push = { async send() { throw new Error('push service down'); } };
+    const email = stubChannel();
+    const scheduler = createReminderScheduler({ pool, channels: { push, email }, now: () => new Date('2025-10-20T03:45:00Z'), logger: silentLogger });
+
+    assert.deepEqual(await scheduler.runOnce(), { usersNotified: 1, remindersSent: 2 });
+    assert.equal(email.deliveries.length, 1);
+  });
+});
+
+describe('Reminder channels', () => {
+  const digest = buildReminderDigest([
+    { kind: REMINDER_KINDS.UPCOMING, task: { task_name: 'Call <mom>', due_date: '2025-10-20', due_time: '15:00:00' } }
+  ], '2025-10-20');
+
+  it('emails the digest as a transactional email', async () => {
+    const calls = [];
+    const channel = createEmailChannel({
+      pool: {},
+      appUrl: 'https://app.example.com',
+      sendEmail: async (...args) => { calls.push(args); },
+      logger: silentLogger
+    });
+
+    assert.equal(await channel.send(user, digest), true);
+    const [, recipient, subject, html, purpose] = calls[0];
+    assert.equal(recipient, 'user@example.com');
+    assert.equal(subject, 'ClearTask: 1 task due soon');
+    assert.equal(purpose, 'task_reminder');
+    assert.match(html, /Call &lt;mom&gt; <span[^>]*>\(Oct 20 at 3 PM\)/);
+  });
+
+  it('reports the daily email cap as not delivered', async () => {
+    const channel = createEmailChannel({
+      pool: {},
+      sendEmail: async () => { throw new DailyLimitReachedError('Daily email limit reached', new Date()); },
+      logger: silentLogger
+    });
+    assert.equal(await channel.send(user, digest), false);
+  });
+
+  it('pushes to every subscription and drops expired ones', async () => {
+    const queries = [];
+    const pool = {
+      async query(sql, params) {
+        queries.push({ sql, params });
+        if (sql.startsWith('SELECT')) {
+          return { rows: [
+            { endpoint: 'https://push.example.com/gone', p256dh: 'key', auth: 'auth' },
+            { endpoint: 'https://push.example.com/live', p256dh: 'key', auth: 'auth' }
+          ] };
+        }
+        return { rowCount: 1, rows: [] };
+      }
+    };
+    const pushed = [];
+    const pushClient = {
+      async sendNotification(subscription, payload) {
+        if (subscription.endpoint.endsWith('/gone')) {
+          throw Object.assign(new Error('Gone'), { statusCode: 410 });
+        }
+        pushed.push(JSON.parse(payload));
+      }
+    };
+    const channel = createWebPushChannel({ pool, vapid: { publicKey: 'pub', privateKey: 'priv', subject: 'mailto:a@b.c' }, pushClient });
+
+    assert.equal(await channel.send(user, digest), true);
+    assert.deepEqual(pushed, [{ title: '1 task due soon', body: 'Call <mom> (Oct 20 at 3 PM)', url: '/' }]);
+    assert.deepEqual(queries[1].params, ['https://push.example.com/gone']);
+  });
+});
+
+describe('Reminder settings routes', () => {
+
+  it('require authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      for (const [method, url] of [
+        ['GET', '/api/settings/reminders'],
+        ['PUT', '/api/settings/reminders'],
+        ['GET', '/api/push/public-key'],
+        ['POST', '/api/push/subscriptions'],
+        ['DELETE', '/api/push/subscriptions']
+      ]) {
+        const response = await fastify.inject({ method, url });
+        assert.equal(response.statusCode, 401, `${method} ${url}`);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('reject invalid reminder settings', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const valid = { enabled: true, channels: ['email'], lead_minutes: 30, lead_days: 0, quiet_hours_start: '22:00', quiet_hours_end: '07:00' };
+      for (const payload of [
+        { ...valid, enabled: 'yes' },
+        { ...valid, channels: ['sms'] },
+        { ...valid, lead_minutes: 2000 },
+        { ...valid, lead_days: -1 },
+        { ...valid, quiet_hours_start: '10pm' },
+        { ...valid, quiet_hours_end: null }
+      ]) {
+        const response = await fastify.inject({
+          method: 'PUT',
+          url: '/api/settings/reminders',
+          headers: { authorization: `Bearer ${token}` },
+          payload
+        });
+        assert.equal(response.statusCode, 400, JSON.stringify(payload));
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('reject push subscriptions without an https endpoint and keys', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      for (const payload of [
+        { endpoint: 'http://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } },
+        { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key' } },
+        {}
+      ]) {
+        const response = await fastify.inject({
+          method: 'POST',
+          url: '/api/push/subscriptions',
+          headers: { authorization: `Bearer ${token}` },
+          payload
+        });
+        assert.equal(response.statusCode, 400, JSON.stringify(payload));
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { resolveRelativeDate, extractDateExpression } from '../src/parsing/relativeDates.js';
+import { scoreTaskMatch, findBestTaskMatch } from '../src/parsing/fuzzyMatch.js';
+import { validateLLMTaskOutput } from '../src/schemas/task.schema.js';
+
+// Wednesday
+const TODAY = '2025-06-04';
+
+const EXISTING_TASKS = [
+  { id: '11111111-1111-4111-8111-111111111111', task_name: 'Book dentist appointment', due_date: null, is_completed: false },
+  { id: '22222222-2222-4222-8222-222222222222', task_name: 'Buy groceries', due_date: '2025-06-05', is_completed: false },
+  { id: '33333333-3333-4333-8333-333333333333', task_name: 'Call mom', due_date: null, is_completed: true }
+];
+
+function parse(transcribedText) {
+  const output = parseTaskCommand({ transcribedText, currentDate: TODAY, existingTasks: EXISTING_TASKS });
+  const validation = validateLLMTaskOutput(output);
+  assert.equal(validation.success, true, `output for "${transcribedText}" should pass schema validation`);
+  return output;
+}
+
+describe('Relative date resolution', () => {
+
+  const cases = [
+    ['call mom today', '2025-06-04'],
+    ['call mom tomorrow', '2025-06-05'],
+    ['call mom the day after tomorrow', '2025-06-06'],
+    ['call mom in 3 days', '2025-06-07'],
+    ['call mom in two weeks', '2025-06-18'],
+    ['call mom in a month', '2025-07-04'],
+    ['call mom on Friday', '2025-06-06'],
+    ['call mom this Wednesday', '2025-06-04'],
+    ['call mom next Friday', '2025-06-13'],
+    ['call mom next Monday', '2025-06-09'],
+    ['call mom next week', '2025-06-09'],
+    ['call mom by the end of the week', '2025-06-06'],
+    ['call mom by the end of the month', '2025-06-30'],
+    ['call mom on December 25th', '2025-12-25'],
+    ['call mom on the 3rd of March', '2026-03-03'],
+    ['call mom on 2025-08-01', '2025-08-01']
+  ];
+
+  for (const [text, expected] of cases) {
+    it(`resolves "${text}"`, () => {
+      assert.equal(resolveRelativeDate(text, TODAY), expected);
+    });
+  }
+
+  it('returns null when there is no date', () => {
+    assert.equal(resolveRelativeDate('call mom', TODAY), null);
+  });
+
+  it('does not treat words like "sat" as weekdays', () => {
+    assert.equal(resolveRelativeDate('fix the sat nav', TODAY), null);
+  });
+
+  it('removes the date expression from the text', () => {
+    assert.deepEqual(extractDateExpression('pay rent by next Friday please', TODAY), {
+      text: 'pay rent please',
+      date: '2025-06-13'
+    });
+  });
+});
+
+describe('Fuzzy task matching', () => {
+
+  it('scores related references above unrelated tasks', () => {
+    assert.ok(scoreTaskMatch('the dentist appointment', 'Book dentist appointment') > scoreTaskMatch('the dentist appointment', 'Buy groceries'));
+  });
+
+  it('tolerates plurals and small transcription errors', () => {
+    assert.equal(findBestTaskMatch('grocery', EXISTING_TASKS)?.task.id, EXISTING_TASKS[1].id);
+    assert.equal(findBestTaskMatch('dentist apointment', EXISTING_TASKS)?.task.id, EXISTING_TASKS[0].id);
+  });
+
+  it('returns null when nothing matches confidently', () => {
+    assert.equal(findBestTaskMatch('wash the car', EXISTING_TASKS), null);
+  });
+
+  it('returns null for an ambiguous reference', () => {
+    const tasks = [
+      { id: 'a', task_name: 'Email Sarah' },
+      { id: 'b', task_name: 'Email Sarah' }
+    ];
+    assert.equal(findBestTaskMatch('email sarah', tasks), null);
+  });
+});
+
+describe('Rule-based task parser', () => {
+
+  it('creates a task with filler words and the date removed', () => {
+    const output = parse('Remind me to call the plumber tomorrow');
+    assert.equal(output.intent, 'create_task');
+    assert.equal(output.task_name, 'Call the plumber');
+    assert.equal(output.due_date, '2025-06-05');
+    assert.equal(output.task_id, null);
+    assert.equal(output.original_request, 'Remind me to call the plumber tomorrow');
+  });
+
+  it('strips "add ... to my list"', () => {
+    const output = parse('Add buy milk to my list');
+    assert.equal(output.task_name, 'Buy milk');
+    assert.equal(output.due_date, null);
+  });
+
+  it('marks a matched task as done', () => {
+    for (const phrase of ['mark the dentist appointment as done', 'the dentist appointment is done', 'tick off dentist']) {
+      const output = parse(phrase);
+      assert.equal(output.intent, 'edit_task', phrase);
+      assert.equal(output.task_id, EXISTING_TASKS[0].id, phrase);
+      assert.equal(output.task_name, 'Book dentist appointment', phrase);
+      assert.equal(output.is_completed, true, phrase);
+    }
+  });
+
+  it('marks a matched task as not done', () => {
+    const output = parse('mark call mom as not done');
+    assert.equal(output.intent, 'edit_task');
+    assert.equal(output.task_id, EXISTING_TASKS[2].id);
+    assert.equal(output.is_completed, false);
+  });
+
+  it('renames a matched task', () => {
+    const output = parse('rename groceries to buy vegetables');
+    assert.equal(output.intent, 'edit_task');
+    assert.equal(output.task_id, EXISTING_TASKS[1].id);
+    assert.equal(output.task_name, 'Buy vegetables');
+  });
+
+  it('reschedules a matched task', () => {
+    const output = parse('move the dentist appointment to next Friday');
+    assert.equal(output.intent, 'edit_task');
+    assert.equal(output.task_id, EXISTING_TASKS[0].id);
+    assert.equal(output.task_name, 'Book dentist appointment');
+    assert.equal(output.due_date, '2025-06-13');
+    assert.equal(output.is_completed, false);
+  });
+
+  it('treats "change X to <date>" as a reschedule', () => {
+    const output = parse('change the groceries to Monday');
+    assert.equal(output.task_id, EXISTING_TASKS[1].id);
+    assert.equal(output.task_name, 'Buy groceries');
+    assert.equal(output.due_date, '2025-06-09');
+  });
+
+  it('deletes a matched task', () => {
+    const output = parse('please delete the groceries task');
+    assert.equal(output.intent, 'delete_task');
+    assert.equal(output.task_id, EXISTING_TASKS[1].id);
+  });
+
+  it('falls back to creating a task when no existing task matches', () => {
+    const output = parse('delete the car wash');
+    assert.equal(output.intent, 'create_task');
+    assert.equal(output.task_id, null);
+    assert.equal(output.task_name, 'Delete the car wash');
+  });
+
+  it('creates a task when there are no existing tasks', () => {
+    const output = parseTaskCommand({ transcribedText: 'finish the report by Friday', currentDate: TODAY, existingTasks: [] });
+    assert.equal(output.intent, 'create_task');
+    assert.equal(output.task_name, 'Finish the report');
+    assert.equal(output.due_date, '2025-06-06');
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { validateLLMTaskOutput, createSafeFallbackTask, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { validateLLMTaskOutput, validateLLMTaskOperations, createSafeFallbackTask, sanitizeForDatabase, MAX_OPERATIONS } from '../src/schemas/task.schema.js';
 
 describe('Phase 3: LLM Output Schema Validation', () => {
   
@@ -204,6 +204,69 @@ describe('Phase 3: LLM Output Schema Validation', () => {
     });
   });
   
+  describe('validateLLMTaskOperations', () => {
+    const createMilk = {
+      task_name: 'Buy milk',
+      due_date: null,
+      is_completed: false,
+      original_request: 'add milk and eggs, and mark the dentist done',
+      intent: 'create_task',
+      task_id: null
+    };
+    const completeDentist = {
+      task_name: 'Dentist',
+      due_date: null,
+      is_completed: true,
+      original_request: 'add milk and eggs, and mark the dentist done',
+      intent: 'complete_task',
+      task_id: '123e4567-e89b-12d3-a456-426614174000'
+    };
+    
+    it('should accept an operations array', () => {
+      const result = validateLLMTaskOperations({ operations: [createMilk, { ...createMilk, task_name: 'Buy eggs' }, completeDentist] });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.operations.length, 3);
+      assert.deepStrictEqual(result.operations.map(op => op.intent), ['create_task', 'create_task', 'complete_task']);
+      assert.strictEqual(result.rejected.length, 0);
+    });
+    
+    it('should accept a single legacy task object as one operation', () => {
+      const result = validateLLMTaskOperations(createMilk);
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.operations.length, 1);
+    });
+    
+    it('should drop invalid items and keep valid ones', () => {
+      const result = validateLLMTaskOperations({
+        operations: [createMilk, { ...completeDentist, task_id: null }, { ...createMilk, user_id: 'other-user' }]
+      });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.operations.length, 1);
+      assert.deepStrictEqual(result.rejected.map(item => item.index), [1, 2]);
+    });
+    
+    it('should fail when every item is invalid', () => {
+      const result = validateLLMTaskOperations({ operations: [{ ...createMilk, intent: 'drop_table' }] });
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.operations.length, 0);
+    });
+    
+    it('should reject extra fields on the envelope', () => {
+      const result = validateLLMTaskOperations({ operations: [createMilk], execute_sql: 'DROP TABLE tasks' });
+      assert.strictEqual(result.success, false);
+    });
+    
+    it('should reject empty or oversized operations arrays', () => {
+      assert.strictEqual(validateLLMTaskOperations({ operations: [] }).success, false);
+      const tooMany = Array.from({ length: MAX_OPERATIONS + 1 }, () => createMilk);
+      assert.strictEqual(validateLLMTaskOperations({ operations: tooMany }).success, false);
+    });
+    
+    it('should not allow complete_task through the single-intent schema', () => {
+      assert.strictEqual(validateLLMTaskOutput(completeDentist).success, false);
+    });
+  });
+  
   describe('sanitizeForDatabase', () => {
     
     it('should sanitize validated data for database', () => {
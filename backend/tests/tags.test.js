@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTag, normalizeTags, setTaskTags, countTaskTags, MAX_TAGS_PER_TASK } from '../src/tasks/tags.js';
+import { validateLLMTaskOperation, LLMEmailTaskOutputSchema, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { describeOperation } from '../src/voice/describeOperations.js';
+import { buildTaskParsingPrompt, buildEmailParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+const TODAY = '2025-10-20';
+const rent = { id: '11111111-1111-4111-8111-111111111111', task_name: 'Pay rent', due_date: null, is_completed: false, tags: ['bills'] };
+
+describe('Tag names', () => {
+
+  it('are normalized to lowercase words joined by hyphens', () => {
+    assert.equal(normalizeTag('errand'), 'errand');
+    assert.equal(normalizeTag('#Phone Call'), 'phone-call');
+    assert.equal(normalizeTag('  follow_up!! '), 'follow-up');
+    assert.equal(normalizeTag('Café'), 'café');
+    for (const tag of [undefined, null, '', '#', ' - ', 'x'.repeat(31), 7]) {
+      assert.equal(normalizeTag(tag), null, String(tag));
+    }
+  });
+
+  it('are deduplicated and bounded per task', () => {
+    assert.deepEqual(normalizeTags(['Errand', '#errand', 'phone call', '']), ['errand', 'phone-call']);
+    assert.equal(normalizeTags(Array.from({ length: 20 }, (_, i) => `tag${i}`)).length, MAX_TAGS_PER_TASK);
+    assert.equal(normalizeTags('errand'), null);
+  });
+
+  it('replace a task\'s whole set in the join table', async () => {
+    const calls = [];
+    const db = { async query(sql, params) { calls.push({ sql, params }); return { rows: [] }; } };
+    await setTaskTags(db, 'user-1', rent.id, ['errand', 'phone-call']);
+    assert.match(calls[0].sql, /DELETE FROM task_tags WHERE task_id = \$1/);
+    assert.match(calls[1].sql, /INSERT INTO tags .* ON CONFLICT \(user_id, name\) DO NOTHING/);
+    assert.deepEqual(calls[1].params, ['user-1', ['errand', 'phone-call']]);
+    assert.match(calls[2].sql, /INSERT INTO task_tags .* WHERE user_id = \$2/);
+
+    calls.length = 0;
+    await setTaskTags(db, 'user-1', rent.id, []);
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe('Tags in LLM output', () => {
+
+  it('are validated as a bounded array and normalized', () => {
+    const operation = { task_name: 'Buy stamps', intent: 'create_task', tags: ['#Errand', 'errand'] };
+    assert.deepEqual(sanitizeForDatabase(validateLLMTaskOperation(operation).data).tags, ['errand']);
+    assert.equal(sanitizeForDatabase(validateLLMTaskOperation({ ...operation, tags: undefined }).data).tags, null);
+    assert.equal(validateLLMTaskOperation({ ...operation, tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, tags: ['!!!'] }).success, false);
+    assert.equal(validateLLMTaskOperation({ ...operation, tags: 'errand' }).success, false);
+  });
+
+  it('are accepted in email output', () => {
+    const result = LLMEmailTaskOutputSchema.safeParse({ tasks: [{ task_name: 'Call the bank', intent: 'create_task', tags: ['phone-call'] }] });
+    assert.equal(result.success, true);
+  });
+
+  it('are described to the LLM', () => {
+    const prompt = buildTaskParsingPrompt({ transcribedText: 'tag the rent errand', currentDate: TODAY, existingTasks: [rent] });
+    assert.match(prompt, /Name: "Pay rent".*Tags: bills/);
+    assert.match(prompt, /- tags \(array of strings or null\)/);
+    assert.match(buildEmailParsingPrompt({ emailContent: 'Call me', emailSubject: 'Hi', currentDate: TODAY }), /- tags \(array of strings or null\)/);
+  });
+});
+
+describe('Tags in voice commands', () => {
+  const parse = (transcribedText) => parseTaskCommand({ transcribedText, currentDate: TODAY, existingTasks: [rent] });
+
+  it('tag existing tasks without an LLM, keeping their tags', () => {
+    const output = parse('tag the rent errand');
+    assert.equal(output.intent, 'edit_task');
+    assert.equal(output.task_id, rent.id);
+    assert.deepEqual(output.tags, ['bills', 'errand']);
+    assert.deepEqual(parse('tag pay rent as phone call and #Home').tags, ['bills', 'phone-call', 'home']);
+  });
+
+  it('tag new tasks without an LLM', () => {
+    const output = parse('add buy stamps tomorrow, tag it errand');
+    assert.equal(output.task_name, 'Buy stamps');
+    assert.equal(output.due_date, '2025-10-21');
+    assert.deepEqual(output.tags, ['errand']);
+    assert.deepEqual(parse('remind me to call the bank tagged phone call').tags, ['phone-call']);
+    assert.equal(parse('add buy milk').tags, undefined);
+  });
+
+  it('reads tag changes back', () => {
+    assert.equal(describeOperation({ ...rent, tags: ['bills', 'errand'], intent: 'edit_task', task_id: rent.id }, rent, TODAY), "Tag 'Pay rent' errand");
+    assert.equal(describeOperation({ ...rent, tags: [], intent: 'edit_task', task_id: rent.id }, rent, TODAY), "Update 'Pay rent', with no tags");
+    assert.equal(describeOperation({ task_name: 'Call the bank', tags: ['phone-call', 'bank'], intent: 'create_task' }, null, TODAY), "Add 'Call the bank', tagged phone-call and bank");
+  });
+});
+
+describe('Tag counts', () => {
+
+  it('count the open and completed tasks of one list, or of all', async () => {
+    const calls = [];
+    const db = { async query(sql, params) { calls.push({ sql, params }); return { rows: [{ tag: 'errand', count: 2 }] }; } };
+    assert.deepEqual(await countTaskTags(db, 'user-1', 'list-1'), [{ tag: 'errand', count: 2 }]);
+    assert.match(calls[0].sql, /t\.is_archived = FALSE AND t\.deleted_at IS NULL AND t\.list_id = \$2/);
+    assert.doesNotMatch(calls[0].sql, /is_completed|priority/);
+    assert.deepEqual(calls[0].params, ['user-1', 'list-1']);
+
+    await countTaskTags(db, 'user-1', null);
+    assert.match(calls[1].sql, /t\.list_id IS NULL/);
+    assert.deepEqual(calls[1].params, ['user-1']);
+
+    await countTaskTags(db, 'user-1');
+    assert.doesNotMatch(calls[2].sql, /list_id/);
+  });
+
+  it('reject an invalid list before touching the database', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const response = await fastify.inject({ method: 'GET', url: '/api/tasks/tags?list_id=groceries', headers: { authorization: `Bearer ${token}` } });
+      assert.equal(response.statusCode, 400);
+    } finally {
+      await fastify.close();
+    }
+  });
+});
+
+describe('Tag filters', () => {
+
+  it('reject invalid tags before touching the database', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      const requests = [
+        { method: 'GET', url: '/api/tasks?tag=errand,!!!' },
+        { method: 'GET', url: `/api/tasks?tag=${Array.from({ length: 11 }, (_, i) => `tag${i}`).join(',')}` },
+        { method: 'PUT', url: `/api/tasks/${rent.id}`, payload: { tags: 'errand' } },
+        { method: 'PUT', url: `/api/tasks/${rent.id}`, payload: { tags: ['errand', '???'] } }
+      ];
+      for (const request of requests) {
+        const response = await fastify.inject({ ...request, headers });
+        assert.equal(response.statusCode, 400, `${request.method} ${request.url}`);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  selectTaskContext,
+  scoreTaskRelevance,
+  estimateTokens,
+  MAX_CONTEXT_TASKS,
+  CONTEXT_TOKEN_BUDGET
+} from '../src/voice/taskContext.js';
+import { scoreTaskMention } from '../src/parsing/fuzzyMatch.js';
+import { parseTaskCommand } from '../src/parsing/ruleBasedTaskParser.js';
+import { addDaysToDate } from '../src/time/timeZone.js';
+import { buildTaskParsingPrompt, formatExistingTask } from '../promptTemplates.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/voice_task_context.json', import.meta.url), 'utf8'));
+const now = { currentDate: fixture.currentDate, currentTime: new Date(fixture.currentTime) };
+
+const FILLER_VERBS = ['Organize', 'Water', 'Sort', 'Clean', 'Review', 'Plan', 'Update', 'Order', 'Paint', 'Measure'];
+const FILLER_NOUNS = ['garage shelves', 'houseplants', 'photo albums', 'gutters', 'quarterly budget', 'team offsite', 'wardrobe', 'printer ink', 'fence', 'window blinds', 'spice rack', 'newsletter draft', 'bike chain'];
+
+/**
+ * The fixture's tasks among unrelated ones that are all due this week and
+ * changed a moment ago, so only the commands' words can single out the
+ * fixture tasks
+ */
+function taskListOfSize(size) {
+  const fillers = Array.from({ length: size - fixture.tasks.length }, (_, i) => ({
+    id: `f${String(i).padStart(7, '0')}-0000-4000-8000-000000000000`,
+    task_name: `${FILLER_VERBS[i % FILLER_VERBS.length]} ${FILLER_NOUNS[i % FILLER_NOUNS.length]}`,
+    due_date: addDaysToDate(fixture.currentDate, i % 7),
+    tags: i % 3 === 0 ? ['home'] : [],
+    is_completed: false,
+    updated_at: fixture.currentTime
+  }));
+  // Interleaved, as the route lists tasks by due date
+  return [...fillers.slice(0, fillers.length / 2), ...fixture.tasks, ...fillers.slice(fillers.length / 2)]
+    .map(task => ({ is_completed: false, tags: [], ...task }));
+}
+
+/**
+ * Share of the fixture's commands the rule-based parser resolves to the
+ * right task when it only sees the selected context
+ */
+function accuracyWithContext(tasks) {
+  let correct = 0;
+  for (const command of fixture.commands) {
+    const context = selectTaskContext(tasks, command.text, now);
+    const operation = parseTaskCommand({ transcribedText: command.text, currentDate: fixture.currentDate, existingTasks: context.tasks, lists: [] });
+    if (operation.task_id === command.task_id) {
+      correct++;
+    }
+  }
+  return correct / fixture.commands.length;
+}
+
+describe('Existing-task context', () => {
+
+  it('keeps voice edits accurate as the task list grows', () => {
+    const baseline = accuracyWithContext(taskListOfSize(fixture.tasks.length));
+    assert.equal(baseline, 1);
+    for (const size of [10, 100, 1000]) {
+      assert.equal(accuracyWithContext(taskListOfSize(size)), baseline, `${size} tasks`);
+    }
+  });
+
+  it('always includes the task a command is about, within the bounds', () => {
+    const tasks = taskListOfSize(1000);
+    for (const command of fixture.commands) {
+      const context = selectTaskContext(tasks, command.text, now);
+      assert.ok(context.tasks.some(task => task.id === command.task_id), command.text);
+      assert.equal(context.included[0].id, command.task_id, command.text);
+      assert.equal(context.tasks.length, MAX_CONTEXT_TASKS);
+      assert.equal(context.omittedCount, 1000 - MAX_CONTEXT_TASKS);
+      assert.ok(context.estimatedTokens <= CONTEXT_TOKEN_BUDGET);
+    }
+  });
+
+  it('lists every task, in order, when they all fit', () => {
+    const tasks = taskListOfSize(20);
+    const context = selectTaskContext(tasks, 'add buy milk', now);
+    assert.deepEqual(context.tasks, tasks);
+    assert.equal(context.omittedCount, 0);
+    assert.equal(context.included.length, 20);
+  });
+
+  it('stays under the token budget', () => {
+    const checklist = Array.from({ length: 20 }, (_, i) => ({ text: `Step number ${i + 1} of a long checklist`, is_completed: false }));
+    const tasks = taskListOfSize(30).map(task => ({ ...task, checklist }));
+    const lineTokens = estimateTokens(formatExistingTask(tasks[0])) + 1;
+    const context = selectTaskContext(tasks, 'delete renew passport', now, { tokenBudget: lineTokens * 5 });
+    assert.equal(context.tasks.length, 5);
+    assert.ok(context.estimatedTokens <= lineTokens * 5);
+    assert.equal(context.included[0].id, fixture.tasks[3].id);
+  });
+
+  it('ranks mentions above due dates, and due dates above recency', () => {
+    const task = { id: 't', task_name: 'Renew passport', tags: [], is_completed: false, updated_at: '2025-01-01T00:00:00Z' };
+    const mentioned = scoreTaskRelevance(task, 'renew the passport', now);
+    const dueToday = scoreTaskRelevance({ ...task, task_name: 'Water houseplants', due_date: fixture.currentDate, updated_at: fixture.currentTime }, 'renew the passport', now);
+    const overdue = scoreTaskRelevance({ ...task, task_name: 'Water houseplants', due_date: '2025-10-01' }, 'renew the passport', now);
+    const dueInTwoDays = scoreTaskRelevance({ ...task, task_name: 'Water houseplants', due_date: '2025-10-22' }, 'renew the passport', now);
+    const changedToday = scoreTaskRelevance({ ...task, task_name: 'Water houseplants', updated_at: fixture.currentTime }, 'renew the passport', now);
+    const untouched = scoreTaskRelevance({ ...task, task_name: 'Water houseplants' }, 'renew the passport', now);
+    assert.ok(mentioned > dueToday);
+    assert.ok(overdue > dueInTwoDays);
+    assert.ok(dueInTwoDays > changedToday);
+    assert.ok(changedToday > untouched);
+    assert.equal(scoreTaskRelevance({ ...task, task_name: 'Water houseplants', due_date: fixture.currentDate, is_completed: true }, 'x', now), untouched);
+    assert.ok(scoreTaskRelevance({ ...task, task_name: 'Buy stamps', tags: ['phone-call'] }, 'what about the phone call', now) > untouched);
+  });
+
+  it('tells the LLM when tasks were left out', () => {
+    const tasks = fixture.tasks.slice(0, 2);
+    assert.match(
+      buildTaskParsingPrompt({ transcribedText: 'x', currentDate: fixture.currentDate, existingTasks: tasks, omittedTaskCount: 98 }),
+      /Existing tasks \(the 2 most relevant to this request; the user has 98 more, not listed\):\n- ID: a0000000-0000-4000-8000-000000000001/
+    );
+    assert.match(buildTaskParsingPrompt({ transcribedText: 'x', currentDate: fixture.currentDate, existingTasks: tasks }), /\nExisting tasks:\n- ID: /);
+  });
+});
+
+describe('Task mentions', () => {
+
+  it('score the share of a task name found in a command', () => {
+    assert.equal(scoreTaskMention('move the dentist appointment to friday', 'Book dentist appointment'), 2 / 3);
+    assert.ok(scoreTaskMention('mark the dentists appointment as done', 'Dentist appointment') > 0.9);
+    assert.equal(scoreTaskMention('move it to friday', 'Book more stamps'), 0);
+    assert.equal(scoreTaskMention('', 'Renew passport'), 0);
+  });
+});
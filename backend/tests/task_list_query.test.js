@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTaskListQuery,
+  listTasks,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE
+} from '../src/tasks/taskListQuery.js';
+import { isValidIsoDate } from '../src/time/timeZone.js';
+import { initializeSchema } from '../db/init.js';
+import buildApp from '../app.js';
+
+const TASK_ID = '3f0c8a52-6a3e-4a8e-9f39-0d7c1b2e4a11';
+const DUE_DATE_KEY = ['1', '2025-10-20', '0', '00:00:00', '2025-10-01 09:30:00.123', TASK_ID];
+
+describe('Task list cursors', () => {
+
+  it('round-trip for the sort order they were made for', () => {
+    const cursor = encodeCursor('due_date', DUE_DATE_KEY);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor, 'due_date'), DUE_DATE_KEY);
+    assert.equal(decodeCursor(cursor, 'priority'), null);
+    assert.deepEqual(decodeCursor(encodeCursor('priority', ['-4', ...DUE_DATE_KEY]), 'priority'), ['-4', ...DUE_DATE_KEY]);
+  });
+
+  it('are rejected when malformed or tampered with', () => {
+    const tampered = [
+      [...DUE_DATE_KEY.slice(0, 5)],
+      ['1', "2025-10-20'; DROP TABLE tasks; --", '0', '00:00:00', '2025-10-01 09:30:00', TASK_ID],
+      ['1', '2025-10-20', '0', '00:00:00', '2025-10-01 09:30:00', 'not-a-uuid'],
+      [1, '2025-10-20', '0', '00:00:00', '2025-10-01 09:30:00', TASK_ID]
+    ];
+    for (const key of tampered) {
+      assert.equal(decodeCursor(encodeCursor('due_date', key), 'due_date'), null, JSON.stringify(key));
+    }
+    for (const cursor of ['', 'not base64 json', Buffer.from('[]').toString('base64url'), 'x'.repeat(501), 42, null]) {
+      assert.equal(decodeCursor(cursor, 'due_date'), null, String(cursor));
+    }
+  });
+});
+
+describe('Task list SQL', () => {
+
+  it('lists live, unarchived tasks in the task list order', () => {
+    const { sql, params, countSql, countParams } = buildTaskListQuery('user-1', {}, { sort: 'due_date', limit: DEFAULT_PAGE_SIZE });
+    assert.match(sql, /tasks\.user_id = \$1 AND tasks\.deleted_at IS NULL AND tasks\.is_archived = FALSE/);
+    assert.doesNotMatch(sql, /tasks\.is_completed =/);
+    assert.match(sql, /ORDER BY \(tasks\.due_date IS NOT NULL\)::int, COALESCE\(tasks\.due_date, DATE '1970-01-01'\), \(tasks\.due_time IS NOT NULL\)::int, COALESCE\(tasks\.due_time, TIME '00:00'\), COALESCE\(tasks\.created_at, TIMESTAMP 'epoch'\), tasks\.id\s+LIMIT \$2/);
+    assert.deepEqual(params, ['user-1', DEFAULT_PAGE_SIZE + 1]);
+    assert.match(countSql, /^SELECT COUNT\(\*\)::int AS total FROM tasks WHERE /);
+    assert.deepEqual(countParams, ['user-1']);
+  });
+
+  it('puts higher priorities first when sorting by priority', () => {
+    const { sql } = buildTaskListQuery('user-1', {}, { sort: 'priority', limit: 10 });
+    assert.match(sql, /ORDER BY -\(CASE priority/);
+    assert.match(sql, /END\), \(tasks\.due_date IS NOT NULL\)::int/);
+  });
+
+  it('applies every filter to both the page and the total', () => {
+    const filters = {
+      showArchived: true,
+      status: 'open',
+      priorities: ['high', 'urgent'],
+      noPriority: true,
+      listId: null,
+      tags: ['errand', 'phone-call', 'errand'],
+      dueFrom: '2025-10-01',
+      dueTo: '2025-10-31',
+      sources: ['voice', 'email']
+    };
+    const { sql, params, countSql, countParams } = buildTaskListQuery('user-1', filters, { sort: 'due_date', limit: 20 });
+    for (const query of [sql, countSql]) {
+      assert.doesNotMatch(query, /is_archived/);
+      assert.match(query, /tasks\.is_completed = FALSE/);
+      assert.match(query, /\(tasks\.priority = ANY\(\$2::text\[\]\) OR tasks\.priority IS NULL\)/);
+      assert.match(query, /tasks\.list_id IS NULL/);
+      assert.match(query, /tg\.name = ANY\(\$3::text\[\]\)\s+GROUP BY tt\.task_id HAVING COUNT\(\*\) = 2/);
+      assert.match(query, /tasks\.due_date >= \$4::date AND tasks\.due_date <= \$5::date/);
+      assert.match(query, /tasks\.source = ANY\(\$6::text\[\]\)/);
+    }
+    const filterParams = ['user-1', ['high', 'urgent'], ['errand', 'phone-call'], '2025-10-01', '2025-10-31', ['voice', 'email']];
+    assert.deepEqual(countParams, filterParams);
+    assert.deepEqual(params, [...filterParams, 21]);
+
+    const completedInList = buildTaskListQuery('user-1', { status: 'completed', listId: 'list-1' }, { sort: 'due_date', limit: 20 });
+    assert.match(completedInList.sql, /tasks\.is_completed = TRUE/);
+    assert.match(completedInList.sql, /tasks\.list_id = \$2/);
+    assert.equal(completedInList.params[1], 'list-1');
+  });
+
+  it('resumes after the cursor but counts every matching task', () => {
+    const { sql, params, countSql, countParams } = buildTaskListQuery('user-1', { sources: ['email'] }, { sort: 'due_date', limit: 20, after: DUE_DATE_KEY });
+    assert.match(sql, /tasks\.id\) > \(\$3::int, \$4::date, \$5::int, \$6::time, \$7::timestamp, \$8::uuid\)/);
+    assert.deepEqual(params, ['user-1', ['email'], ...DUE_DATE_KEY, 21]);
+    assert.doesNotMatch(countSql, / > \(/);
+    assert.deepEqual(countParams, ['user-1', ['email']]);
+  });
+
+  it('returns a page with a cursor to the next one', async () => {
+    const row = (id, sortKey) => ({ id, task_name: `Task ${id}`, tags: [], checklist: [], sort_key: sortKey });
+    const rows = [row('a', ['0']), row('b', ['1']), row('c', ['2'])];
+    const db = {
+      async query(sql, params) {
+        return sql.startsWith('SELECT COUNT') ? { rows: [{ total: 7 }] } : { rows: rows.slice(0, params.at(-1)) };
+      }
+    };
+
+    const page = await listTasks(db, 'user-1', {}, { sort: 'due_date', limit: 2 });
+    assert.deepEqual(page.tasks.map(task => task.id), ['a', 'b']);
+    assert.ok(page.tasks.every(task => !('sort_key' in task)));
+    assert.equal(page.total, 7);
+    assert.deepEqual(JSON.parse(Buffer.from(page.next_cursor, 'base64url')), { sort: 'due_date', key: ['1'] });
+
+    const lastPage = await listTasks(db, 'user-1', {}, { sort: 'due_date', limit: 3 });
+    assert.equal(lastPage.tasks.length, 3);
+    assert.equal(lastPage.next_cursor, null);
+  });
+
+  it('records where each task came from', async () => {
+    const queries = [];
+    await initializeSchema({ async query(sql) { queries.push(sql); return { rows: [] }; } }, { info() {} });
+    const migration = queries.find(sql => sql.includes('tasks_source_check'));
+    assert.match(migration, /CHECK \(source IN \('voice', 'email', 'manual'\)\)/);
+    assert.ok(queries.some(sql => sql.includes('idx_tasks_source ON tasks(user_id, source)')));
+  });
+});
+
+describe('Calendar dates', () => {
+
+  it('are validated as real YYYY-MM-DD dates', () => {
+    for (const value of ['2025-10-20', '2024-02-29']) {
+      assert.equal(isValidIsoDate(value), true, value);
+    }
+    for (const value of ['2025-02-29', '2025-13-01', '2025-10-32', '20-10-2025', '2025-10-20T00:00:00Z', '', null, 20251020]) {
+      assert.equal(isValidIsoDate(value), false, String(value));
+    }
+  });
+});
+
+describe('GET /api/tasks', () => {
+
+  it('requires authentication and validates the query', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      assert.equal((await fastify.inject({ method: 'GET', url: '/api/tasks' })).statusCode, 401);
+
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      const priorityCursor = encodeCursor('priority', ['-4', ...DUE_DATE_KEY]);
+      for (const url of [
+        '/api/tasks?sort=name',
+        '/api/tasks?status=pending',
+        '/api/tasks?source=voice,fax',
+        '/api/tasks?due_from=2025-02-30',
+        '/api/tasks?due_to=tomorrow',
+        '/api/tasks?due_from=2025-10-31&due_to=2025-10-01',
+        '/api/tasks?limit=0',
+        '/api/tasks?limit=201',
+        '/api/tasks?limit=ten',
+        '/api/tasks?cursor=garbage',
+        `/api/tasks?cursor=${priorityCursor}`,
+        '/api/tasks?list_id=groceries',
+        '/api/tasks?priority=critical'
+      ]) {
+        const response = await fastify.inject({ method: 'GET', url, headers });
+        assert.equal(response.statusCode, 400, url);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
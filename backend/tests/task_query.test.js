@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLLMTaskQuery, isTaskQueryOutput, validateLLMTaskOperations } from '../src/schemas/task.schema.js';
+import { buildTaskQuery, queryTasks } from '../src/tasks/taskQuery.js';
+import { summarizeTaskQuery, MAX_SPOKEN_TASKS } from '../src/voice/summarizeTasks.js';
+import { parseTaskQueryCommand } from '../src/parsing/taskQueryCommand.js';
+import { buildTaskParsingPrompt } from '../promptTemplates.js';
+
+// Monday
+const TODAY = '2025-10-20';
+
+const openFilters = { due_from: null, due_to: null, completed: false, overdue: false, text: null };
+
+describe('Task query validation', () => {
+
+  it('accepts filters and fills in defaults', () => {
+    const result = validateLLMTaskQuery({
+      intent: 'query_tasks',
+      filters: { due_from: '2025-10-20', due_to: '2025-10-26' },
+      original_request: "what's due this week?"
+    });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.filters, { ...openFilters, due_from: '2025-10-20', due_to: '2025-10-26' });
+    assert.deepEqual(validateLLMTaskQuery({ intent: 'query_tasks' }).data.filters, openFilters);
+  });
+
+  it('limits overdue queries to open tasks', () => {
+    const result = validateLLMTaskQuery({ intent: 'query_tasks', filters: { overdue: true, completed: true } });
+    assert.equal(result.data.filters.completed, false);
+  });
+
+  it('rejects unknown fields, bad dates and reversed ranges', () => {
+    for (const filters of [
+      { sql: 'DROP TABLE tasks' },
+      { due_from: 'tomorrow' },
+      { due_from: '2025-10-27', due_to: '2025-10-20' },
+      { completed: 'yes' },
+      { text: 'x'.repeat(101) }
+    ]) {
+      assert.equal(validateLLMTaskQuery({ intent: 'query_tasks', filters }).success, false, JSON.stringify(filters));
+    }
+    assert.equal(validateLLMTaskQuery({ intent: 'query_tasks', tasks: [] }).success, false);
+  });
+
+  it('is told apart from task operations', () => {
+    assert.equal(isTaskQueryOutput({ intent: 'query_tasks', filters: {} }), true);
+    assert.equal(isTaskQueryOutput({ operations: [] }), false);
+    assert.equal(isTaskQueryOutput(null), false);
+    // A query is never accepted as an operation
+    assert.equal(validateLLMTaskOperations({ operations: [{ task_name: 'x', intent: 'query_tasks' }] }).success, false);
+  });
+});
+
+describe('Task query SQL', () => {
+
+  it('scopes every query to the user and live tasks', () => {
+    const { sql, params } = buildTaskQuery('user-1', openFilters, { date: TODAY, time: '09:00' });
+    assert.match(sql, /user_id = \$1 AND is_archived = FALSE AND deleted_at IS NULL AND is_completed = \$2/);
+    assert.deepEqual(params, ['user-1', false]);
+  });
+
+  it('filters by date range and completion', () => {
+    const { sql, params } = buildTaskQuery('user-1', { ...openFilters, due_from: TODAY, due_to: '2025-10-26', completed: null }, { date: TODAY, time: null });
+    assert.doesNotMatch(sql, /is_completed =/);
+    assert.match(sql, /due_date >= \$2::date AND due_date <= \$3::date/);
+    assert.deepEqual(params, ['user-1', TODAY, '2025-10-26']);
+  });
+
+  it('counts timed tasks earlier today as overdue', () => {
+    const { sql, params } = buildTaskQuery('user-1', { ...openFilters, overdue: true }, { date: TODAY, time: '14:30' });
+    assert.match(sql, /\(due_date < \$3::date OR \(due_date = \$3::date AND due_time < \$4::time\)\)/);
+    assert.deepEqual(params, ['user-1', false, TODAY, '14:30']);
+
+    const withoutTime = buildTaskQuery('user-1', { ...openFilters, overdue: true }, { date: TODAY, time: null });
+    assert.match(withoutTime.sql, /due_date < \$3::date(?! OR)/);
+  });
+
+  it('matches text literally', async () => {
+    const calls = [];
+    const db = { async query(sql, params) { calls.push({ sql, params }); return { rows: [] }; } };
+    await queryTasks(db, 'user-1', { ...openFilters, text: '100%_done' }, { date: TODAY, time: null });
+    assert.match(calls[0].sql, /task_name ILIKE \$3/);
+    assert.equal(calls[0].params[2], '%100\\%\\_done%');
+  });
+});
+
+describe('Spoken task summaries', () => {
+  const today = { ...openFilters, due_from: TODAY, due_to: TODAY };
+
+  it('lists tasks due on one day with their times', () => {
+    const tasks = [
+      { task_name: 'Call mom', due_date: TODAY, due_time: '15:00:00' },
+      { task_name: 'Buy milk', due_date: TODAY, due_time: null }
+    ];
+    assert.equal(summarizeTaskQuery(tasks, today, TODAY), 'You have 2 tasks due today: Call mom at 3 PM and Buy milk.');
+    assert.equal(summarizeTaskQuery(tasks.slice(0, 1), { ...today, due_from: '2025-10-21', due_to: '2025-10-21' }, TODAY), 'You have 1 task due tomorrow: Call mom at 3 PM.');
+  });
+
+  it('says when nothing matches', () => {
+    assert.equal(summarizeTaskQuery([], today, TODAY), 'You have no tasks due today.');
+    assert.equal(summarizeTaskQuery([], { ...openFilters, overdue: true }, TODAY), 'You have no overdue tasks.');
+  });
+
+  it('mentions dates for ranges and overdue tasks', () => {
+    const week = { ...openFilters, due_from: TODAY, due_to: '2025-10-26' };
+    assert.equal(
+      summarizeTaskQuery([{ task_name: 'Dentist', due_date: '2025-10-24', due_time: '09:30:00' }], week, TODAY),
+      'You have 1 task due between Oct 20 and Oct 26: Dentist on Oct 24 at 9:30 AM.'
+    );
+    assert.equal(
+      summarizeTaskQuery([{ task_name: 'Pay rent', due_date: '2025-10-18', due_time: null }], { ...openFilters, overdue: true }, TODAY),
+      'You have 1 overdue task: Pay rent, due Oct 18.'
+    );
+  });
+
+  it('reads out a limited number of tasks', () => {
+    const tasks = Array.from({ length: MAX_SPOKEN_TASKS + 3 }, (_, i) => ({ task_name: `Task ${i + 1}`, due_date: null, due_time: null }));
+    const summary = summarizeTaskQuery(tasks, { ...openFilters, text: 'task' }, TODAY);
+    assert.match(summary, /^You have 11 tasks matching "task": Task 1, .*Task 8, and 3 more\.$/);
+  });
+});
+
+describe('Rule-based task queries', () => {
+  const parse = (transcribedText) => parseTaskQueryCommand({ transcribedText, currentDate: TODAY });
+
+  it('recognizes briefing questions', () => {
+    const cases = [
+      ["What's on today?", { due_from: TODAY, due_to: TODAY }],
+      ["what's on my list", { due_from: TODAY, due_to: TODAY }],
+      ["what's due this week", { due_from: TODAY, due_to: '2025-10-26' }],
+      ['what do I have tomorrow?', { due_from: '2025-10-21', due_to: '2025-10-21' }],
+      ["what's due next week", { due_from: '2025-10-27', due_to: '2025-11-02' }],
+      ['read me my tasks', { due_from: null, due_to: null }]
+    ];
+    for (const [text, range] of cases) {
+      const query = parse(text);
+      assert.ok(query, text);
+      assert.equal(validateLLMTaskQuery(query).success, true, text);
+      assert.deepEqual({ due_from: query.filters.due_from, due_to: query.filters.due_to }, range, text);
+    }
+  });
+
+  it('recognizes overdue and completed questions', () => {
+    assert.equal(parse("what's overdue?").filters.overdue, true);
+    assert.equal(parse('what have I done today').filters.completed, true);
+  });
+
+  it('leaves commands and other lists to the task parser', () => {
+    for (const text of ['buy milk tomorrow', "what's on the shopping list", 'add call mom to my list', "what's the plan for the party tomorrow"]) {
+      assert.equal(parse(text), null, text);
+    }
+  });
+});
+
+describe('Task parsing prompt', () => {
+  it('describes the query_tasks intent', () => {
+    const prompt = buildTaskParsingPrompt({ transcribedText: "what's due this week?", currentDate: TODAY, existingTasks: [] });
+    assert.match(prompt, /"intent": "query_tasks"/);
+    assert.match(prompt, /Never list or count the tasks yourself/);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  searchTerms,
+  buildTsQuery,
+  buildTaskSearch,
+  searchTasks,
+  findMatchingTaskIds,
+  taskSearchVectorSql,
+  MAX_SEARCH_LIMIT
+} from '../src/tasks/taskSearch.js';
+import { initializeSchema } from '../db/init.js';
+import { validateLLMTaskSearch } from '../src/schemas/task.schema.js';
+import { parseTaskSearchCommand } from '../src/parsing/taskSearchCommand.js';
+import { summarizeTaskSearch } from '../src/voice/summarizeTasks.js';
+import { buildTaskParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+const openSearch = { query: 'plumber', include_completed: false, include_archived: false };
+
+describe('Search text', () => {
+
+  it('is reduced to plain lowercase words', () => {
+    assert.deepEqual(searchTerms('Call the PLUMBER!'), ['call', 'the', 'plumber']);
+    assert.deepEqual(searchTerms("plumber's 'invoice' & co:*"), ['plumber', 's', 'invoice', 'co']);
+    assert.deepEqual(searchTerms('Café Zürich'), ['café', 'zürich']);
+    assert.deepEqual(searchTerms('!!! :* |'), []);
+    assert.deepEqual(searchTerms(null), []);
+    assert.equal(searchTerms(Array.from({ length: 20 }, (_, i) => `word${i}`).join(' ')).length, 10);
+  });
+
+  it('matches every word as a prefix, or any word when asked', () => {
+    assert.equal(buildTsQuery(['call', 'plumb']), 'call:* & plumb:*');
+    assert.equal(buildTsQuery(['call', 'plumb'], { matchAny: true }), 'call:* | plumb:*');
+  });
+});
+
+describe('Task search SQL', () => {
+
+  it('searches open, live tasks by default, best match first', () => {
+    const { sql, params } = buildTaskSearch('user-1', ['plumber']);
+    assert.deepEqual(params, ['user-1', 'plumber:*', 20]);
+    assert.match(sql, /tasks\.deleted_at IS NULL/);
+    assert.match(sql, /tasks\.is_completed = FALSE/);
+    assert.match(sql, /tasks\.is_archived = FALSE/);
+    assert.match(sql, /to_tsquery\('english'::regconfig, \$2\)/);
+    assert.match(sql, /ORDER BY rank DESC/);
+    assert.ok(sql.includes(`${taskSearchVectorSql('tasks')} @@ search.query`));
+  });
+
+  it('includes completed and archived tasks on request and bounds the limit', () => {
+    const { sql, params } = buildTaskSearch('user-1', ['plumber'], { includeCompleted: true, includeArchived: true, limit: 500 });
+    assert.doesNotMatch(sql, /is_completed = FALSE/);
+    assert.doesNotMatch(sql, /is_archived = FALSE/);
+    assert.match(sql, /tasks\.deleted_at IS NULL/);
+    assert.equal(params[2], MAX_SEARCH_LIMIT);
+  });
+
+  it('highlights matching fields in HTML-escaped fragments', () => {
+    const { sql } = buildTaskSearch('user-1', ['plumber']);
+    assert.match(sql, /ts_headline\('english'::regconfig, replace\(replace\(replace\(COALESCE\(tasks\.description, ''\), '&', '&amp;'\), '<', '&lt;'\), '>', '&gt;'\)/);
+    assert.match(sql, /StartSel=<mark>, StopSel=<\/mark>/);
+    assert.match(sql, /CASE WHEN to_tsvector\('english'::regconfig, COALESCE\(tasks\.original_request, ''\)\) @@ search\.query/);
+  });
+
+  it('uses the same document as the search index', async () => {
+    const queries = [];
+    await initializeSchema({ async query(sql) { queries.push(sql); return { rows: [] }; } }, { info() {} });
+    const index = queries.find(sql => sql.includes('idx_tasks_search'));
+    assert.ok(index.includes(`USING GIN (${taskSearchVectorSql()})`));
+
+    const db = { calls: [], async query(sql, params) { this.calls.push({ sql, params }); return { rows: [{ id: 'a' }] }; } };
+    assert.deepEqual([...await findMatchingTaskIds(db, 'user-1', 'rename the plumber')], ['a']);
+    assert.ok(db.calls[0].sql.includes(`${taskSearchVectorSql()} @@`));
+    assert.deepEqual(db.calls[0].params, ['user-1', 'rename:* | the:* | plumber:*']);
+    assert.equal((await findMatchingTaskIds(db, 'user-1', '???')).size, 0);
+    assert.equal(db.calls.length, 1);
+  });
+
+  it('returns the matching rows', async () => {
+    const rows = [{ id: 'a', task_name: 'Call the plumber', rank: 0.6 }];
+    const db = { async query() { return { rows }; } };
+    assert.deepEqual(await searchTasks(db, 'user-1', ['plumber']), rows);
+  });
+});
+
+describe('Voice search', () => {
+
+  it('is recognized without an LLM', () => {
+    const search = parseTaskSearchCommand({ transcribedText: 'find the task about the plumber' });
+    assert.deepEqual(validateLLMTaskSearch(search).data, { intent: 'search_tasks', ...openSearch });
+    assert.deepEqual(
+      validateLLMTaskSearch(parseTaskSearchCommand({ transcribedText: 'search my completed tasks for tax return' })).data,
+      { intent: 'search_tasks', query: 'tax return', include_completed: true, include_archived: false }
+    );
+    const archived = parseTaskSearchCommand({ transcribedText: 'Please look for my archived tasks mentioning invoices.' });
+    assert.equal(archived.include_archived, true);
+    assert.equal(archived.include_completed, true);
+    assert.equal(parseTaskSearchCommand({ transcribedText: 'find tasks about rent, including completed ones' }).include_completed, true);
+  });
+
+  it('leaves other commands alone', () => {
+    for (const text of ['find my keys tomorrow', 'search for milk', "what's due this week?", 'add find the plumber']) {
+      assert.equal(parseTaskSearchCommand({ transcribedText: text }), null, text);
+    }
+  });
+
+  it('validates LLM searches strictly', () => {
+    assert.equal(validateLLMTaskSearch({ intent: 'search_tasks', query: '!!!' }).success, false);
+    assert.equal(validateLLMTaskSearch({ intent: 'search_tasks', query: 'x'.repeat(101) }).success, false);
+    assert.equal(validateLLMTaskSearch({ intent: 'search_tasks', query: 'plumber', limit: 5 }).success, false);
+    assert.equal(validateLLMTaskSearch({ intent: 'search_tasks', query: 'plumber' }).data.include_archived, false);
+    assert.match(buildTaskParsingPrompt({ transcribedText: 'find the task about the plumber', currentDate: '2025-10-20', existingTasks: [] }), /"search_tasks"/);
+  });
+
+  it('reads the results back', () => {
+    assert.equal(summarizeTaskSearch([], openSearch), 'I found no open tasks about "plumber".');
+    assert.equal(summarizeTaskSearch([], { ...openSearch, include_completed: true }), 'I found no tasks about "plumber".');
+    assert.equal(
+      summarizeTaskSearch([{ task_name: 'Call the plumber' }, { task_name: 'Pay the plumber', is_completed: true }], openSearch),
+      'I found 2 tasks about "plumber": Call the plumber and Pay the plumber (done).'
+    );
+  });
+});
+
+describe('GET /api/tasks/search', () => {
+
+  it('requires authentication and searchable text', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      assert.equal((await fastify.inject({ method: 'GET', url: '/api/tasks/search?q=plumber' })).statusCode, 401);
+
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const headers = { authorization: `Bearer ${token}` };
+      for (const url of [
+        '/api/tasks/search',
+        '/api/tasks/search?q=',
+        '/api/tasks/search?q=%21%21%21',
+        `/api/tasks/search?q=${'x'.repeat(201)}`,
+        '/api/tasks/search?q=plumber&limit=0',
+        '/api/tasks/search?q=plumber&limit=51',
+        '/api/tasks/search?q=plumber&limit=ten'
+      ]) {
+        const response = await fastify.inject({ method: 'GET', url, headers });
+        assert.equal(response.statusCode, 400, url);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -61,8 +61,9 @@ test('Task sorting API', async (t) => {
     });
 
     assert.strictEqual(response.statusCode, 200, 'should return a 200 status code');
-    const tasks = response.json();
+    const { tasks, total } = response.json();
     assert.ok(Array.isArray(tasks), 'should return an array of tasks');
+    assert.ok(total >= tasks.length, 'should count every matching task');
     assert.ok(tasks.length >= 2, 'should return at least two tasks');
 
     assert.strictEqual(tasks[0].task_name, 'Task with no date', 'The first task should be the one with no due date');
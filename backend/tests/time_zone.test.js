@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, resolveTimeZone, getLocalDateTime, DEFAULT_TIME_ZONE } from '../src/time/timeZone.js';
+import { validateLLMTaskOperation, sanitizeForDatabase } from '../src/schemas/task.schema.js';
+import { describeOperation, formatSpokenTime } from '../src/voice/describeOperations.js';
+import { buildTaskParsingPrompt } from '../promptTemplates.js';
+import buildApp from '../app.js';
+
+describe('Time zones', () => {
+
+  it('validates IANA names', () => {
+    for (const timeZone of ['UTC', 'Australia/Sydney', 'America/New_York']) {
+      assert.equal(isValidTimeZone(timeZone), true, timeZone);
+    }
+    for (const timeZone of ['', 'Mars/Olympus_Mons', 'GMT+25', null, 10]) {
+      assert.equal(isValidTimeZone(timeZone), false, String(timeZone));
+    }
+  });
+
+  it('resolves the first valid candidate', () => {
+    assert.equal(resolveTimeZone('nope', null, 'Europe/London'), 'Europe/London');
+    assert.equal(resolveTimeZone(undefined), DEFAULT_TIME_ZONE);
+  });
+
+  it('gives the local date ahead of UTC', () => {
+    // Evening in UTC is already the next morning in Sydney
+    assert.deepEqual(getLocalDateTime('Australia/Sydney', new Date('2025-10-19T20:00:00Z')), { date: '2025-10-20', time: '07:00' });
+    assert.deepEqual(getLocalDateTime('America/Los_Angeles', new Date('2025-10-20T03:00:00Z')), { date: '2025-10-19', time: '20:00' });
+  });
+
+  it('follows daylight saving changes', () => {
+    // Sydney moves from UTC+10 to UTC+11 at 2am on 2025-10-05
+    assert.deepEqual(getLocalDateTime('Australia/Sydney', new Date('2025-10-04T15:30:00Z')), { date: '2025-10-05', time: '01:30' });
+    assert.deepEqual(getLocalDateTime('Australia/Sydney', new Date('2025-10-04T16:30:00Z')), { date: '2025-10-05', time: '03:30' });
+    assert.deepEqual(getLocalDateTime('Australia/Sydney', new Date('2025-10-05T13:30:00Z')), { date: '2025-10-06', time: '00:30' });
+  });
+
+  it('includes the current time in the task parsing prompt', () => {
+    const prompt = buildTaskParsingPrompt({ transcribedText: 'call mom at 3pm', currentDate: '2025-10-20', currentTime: '07:00', existingTasks: [] });
+    assert.match(prompt, /Today is 2025-10-20 and the time is 07:00/);
+  });
+});
+
+describe('Due times in LLM output', () => {
+  const operation = {
+    task_name: 'Call mom',
+    due_date: '2025-10-20',
+    due_time: '15:00',
+    is_completed: false,
+    original_request: 'call mom tomorrow at 3pm',
+    intent: 'create_task',
+    task_id: null
+  };
+
+  it('accepts HH:MM times and null', () => {
+    for (const due_time of ['15:00', '00:05', '23:59', null, undefined]) {
+      const result = validateLLMTaskOperation({ ...operation, due_time });
+      assert.equal(result.success, true, String(due_time));
+      assert.equal(sanitizeForDatabase(result.data).due_time, due_time ?? null);
+    }
+  });
+
+  it('rejects other time formats', () => {
+    for (const due_time of ['3pm', '24:00', '15:60', '15:00:00', '2025-10-20T15:00', 15]) {
+      assert.equal(validateLLMTaskOperation({ ...operation, due_time }).success, false, String(due_time));
+    }
+  });
+
+  it('speaks due times in previews', () => {
+    assert.equal(formatSpokenTime('15:00'), '3 PM');
+    assert.equal(formatSpokenTime('00:30:00'), '12:30 AM');
+    assert.equal(describeOperation(sanitizeForDatabase(operation), null, '2025-10-19'), "Add 'Call mom', due Oct 20 at 3 PM");
+
+    const existingTask = { id: '11111111-1111-4111-8111-111111111111', task_name: 'Call mom', due_date: '2025-10-20', due_time: '15:00:00', is_completed: false };
+    const moved = { ...sanitizeForDatabase(operation), intent: 'edit_task', task_id: existingTask.id, due_time: '16:30' };
+    assert.equal(describeOperation(moved, existingTask, '2025-10-19'), "Move 'Call mom', due at 4:30 PM");
+  });
+});
+
+describe('Settings routes', () => {
+
+  it('require authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      for (const method of ['GET', 'PUT']) {
+        const response = await fastify.inject({ method, url: '/api/settings' });
+        assert.equal(response.statusCode, 401, method);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+
+  it('reject unknown time zones', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const token = fastify.jwt.sign({ id: 'user-1', email: 'user@example.com' });
+      const response = await fastify.inject({
+        method: 'PUT',
+        url: '/api/settings',
+        headers: { authorization: `Bearer ${token}` },
+        payload: { timezone: 'Mars/Olympus_Mons' }
+      });
+      assert.equal(response.statusCode, 400);
+    } finally {
+      await fastify.close();
+    }
+  });
+});
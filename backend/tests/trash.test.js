@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTrashRetentionDays, purgeTrash, DEFAULT_TRASH_RETENTION_DAYS } from '../src/tasks/trash.js';
+import buildApp from '../app.js';
+
+/**
+ * pg pool stand-in: one client that records queries and answers the purge
+ * DELETE with the given rows
+ */
+function fakePool(purgedRows) {
+  const queries = [];
+  const client = {
+    released: false,
+    async query(sql, params) {
+      queries.push({ sql: sql.trim(), params });
+      return sql.startsWith('DELETE FROM tasks')
+        ? { rowCount: purgedRows.length, rows: purgedRows }
+        : { rowCount: 0, rows: [] };
+    },
+    release() {
+      this.released = true;
+    }
+  };
+  return { queries, client, connect: async () => client };
+}
+
+describe('Trash retention', () => {
+
+  it('reads TRASH_RETENTION_DAYS', () => {
+    assert.equal(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '7' }), 7);
+  });
+
+  it('falls back to the default when unset or invalid', () => {
+    for (const value of [undefined, '', 'soon', '0', '-3']) {
+      assert.equal(getTrashRetentionDays({ TRASH_RETENTION_DAYS: value }), DEFAULT_TRASH_RETENTION_DAYS, String(value));
+    }
+  });
+});
+
+describe('purgeTrash', () => {
+
+  it('deletes old trash, its undo history and unlinked attachment content in one transaction', async () => {
+    const pool = fakePool([{ id: 'a' }, { id: 'b' }]);
+    const purged = await purgeTrash(pool, 30);
+
+    assert.equal(purged, 2);
+    assert.deepEqual(pool.queries.map(query => query.sql.split(/\s+/).slice(0, 3).join(' ')), [
+      'BEGIN',
+      'DELETE FROM tasks',
+      'DELETE FROM task_change_journal',
+      'DELETE FROM attachment_contents',
+      'COMMIT'
+    ]);
+    assert.deepEqual(pool.queries[1].params, [30]);
+    assert.deepEqual(pool.queries[2].params, [['a', 'b']]);
+    assert.equal(pool.client.released, true);
+  });
+
+  it('leaves the journal alone when nothing was purged', async () => {
+    const pool = fakePool([]);
+    assert.equal(await purgeTrash(pool, 30), 0);
+    assert.ok(!pool.queries.some(query => query.sql.includes('task_change_journal') || query.sql.includes('attachment_contents')));
+  });
+});
+
+describe('Trash routes', () => {
+
+  it('require authentication', async () => {
+    const fastify = buildApp();
+    await fastify.ready();
+    try {
+      const requests = [
+        { method: 'GET', url: '/api/tasks/trash' },
+        { method: 'POST', url: '/api/tasks/11111111-1111-4111-8111-111111111111/restore' }
+      ];
+      for (const request of requests) {
+        const response = await fastify.inject(request);
+        assert.equal(response.statusCode, 401, request.url);
+      }
+    } finally {
+      await fastify.close();
+    }
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIntentTokenSigner, IntentTokenError } from '../src/voice/intentToken.js';
+import { describeOperation, describeOperations, formatSpokenDate } from '../src/voice/describeOperations.js';
+import buildApp from '../app.js';
+
+const TASK_ID = '11111111-1111-4111-8111-111111111111';
+
+const renameOperation = {
+  task_name: 'Orthodontist',
+  due_date: '2025-10-24',
+  is_completed: false,
+  original_request: 'rename dentist to orthodontist and move it to the 24th',
+  intent: 'edit_task',
+  task_id: TASK_ID
+};
+
+/**
+ * Manually advanced clock so token expiry is deterministic
+ */
+function fakeClock(start = 1_700_000_000_000) {
+  let current = start;
+  const now = () => current;
+  now.advance = (ms) => { current += ms; };
+  return now;
+}
+
+function expectTokenError(fn, code) {
+  assert.throws(fn, (err) => err instanceof IntentTokenError && err.code === code);
+}
+
+describe('Voice intent tokens', () => {
+
+  it('round-trips a payload', () => {
+    const signer = createIntentTokenSigner({ secret: 'secret', now: fakeClock() });
+    const { token, jti } = signer.sign({ userId: 'user-1', operations: [renameOperation] });
+
+    const payload = signer.verify(token);
+    assert.equal(payload.userId, 'user-1');
+    assert.equal(payload.jti, jti);
+    assert.deepEqual(payload.operations, [renameOperation]);
+  });
+
+  it('rejects expired tokens', () => {
+    const now = fakeClock();
+    const signer = createIntentTokenSigner({ secret: 'secret', ttlSeconds: 60, now });
+    const { token } = signer.sign({ userId: 'user-1' });
+
+    now.advance(60 * 1000);
+    expectTokenError(() => signer.verify(token), 'expired');
+  });
+
+  it('rejects tampered payloads and foreign signatures', () => {
+    const signer = createIntentTokenSigner({ secret: 'secret' });
+    const { token } = signer.sign({ userId: 'user-1' });
+    const [, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ userId: 'user-2', exp: Date.now() + 60000 })).toString('base64url');
+
+    expectTokenError(() => signer.verify(`${forgedPayload}.${signature}`), 'bad_signature');
+    expectTokenError(() => createIntentTokenSigner({ secret: 'other' }).verify(token), 'bad_signature');
+    expectTokenError(() => signer.verify('not-a-token'), 'malformed');
+    expectTokenError(() => signer.verify(undefined), 'malformed');
+  });
+});
+
+describe('Operation descriptions', () => {
+  const existingTasks = [
+    { id: TASK_ID, task_name: 'Dentist', due_date: null, is_completed: false }
+  ];
+
+  it('describes a rename with a new due date', () => {
+    assert.equal(describeOperation(renameOperation, existingTasks[0], '2025-10-19'), "Rename 'Dentist' to 'Orthodontist', due Oct 24");
+  });
+
+  it('describes creates, completions and deletes', () => {
+    const { description, descriptions } = describeOperations([
+      { ...renameOperation, intent: 'create_task', task_id: null, task_name: 'Buy milk', due_date: null },
+      { ...renameOperation, intent: 'complete_task', task_name: 'Dentist', is_completed: true },
+      { ...renameOperation, intent: 'delete_task', task_name: 'Dentist' }
+    ], existingTasks, '2025-10-19');
+
+    assert.deepEqual(descriptions, ["Add 'Buy milk'", "Mark 'Dentist' as done", "Delete 'Dentist'"]);
+    assert.equal(description, "Add 'Buy milk'; Mark 'Dentist' as done; Delete 'Dentist'");
+  });
+
+  it('describes a reschedule and an un-completion', () => {
+    assert.equal(
+      describeOperation({ ...renameOperation, task_name: 'Dentist' }, existingTasks[0], '2025-10-19'),
+      "Move 'Dentist', due Oct 24"
+    );
+    assert.equal(
+      describeOperation({ ...renameOperation, task_name: 'Dentist', due_date: null }, { ...existingTasks[0], is_completed: true }, '2025-10-19'),
+      "Mark 'Dentist' as not done"
+    );
+  });
+
+  it('includes the year only when it differs', () => {
+    assert.equal(formatSpokenDate('2025-10-24', '2025-01-01'), 'Oct 24');
+    assert.equal(formatSpokenDate('2026-01-02', '2025-12-30'), 'Jan 2, 2026');
+  });
+});
+
+describe('POST /api/tasks/commit-intent', () => {
+  // Same secret as the app, so tokens signed here are accepted by it
+  const signer = createIntentTokenSigner({ secret: process.env.JWT_SECRET || 'x' });
+
+  // Previews are recorded in a process-local store, as a preview would record them
+  async function withApp(fn) {
+    const backend = process.env.PENDING_STORE_BACKEND;
+    process.env.PENDING_STORE_BACKEND = 'memory';
+    const fastify = buildApp();
+    if (backend === undefined) {
+      delete process.env.PENDING_STORE_BACKEND;
+    } else {
+      process.env.PENDING_STORE_BACKEND = backend;
+    }
+    await fastify.ready();
+    try {
+      const authToken = fastify.jwt.sign({ userId: 'test_user', email: 'test@example.com' });
+      await fn(fastify, { authorization: `Bearer ${authToken}` });
+    } finally {
+      await fastify.close();
+    }
+  }
+
+  it('rejects invalid tokens', async () => {
+    await withApp(async (fastify, headers) => {
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/commit-intent',
+        headers,
+        payload: { intentToken: 'garbage', confirmed: true }
+      });
+      assert.equal(response.statusCode, 400);
+    });
+  });
+
+  it("rejects another user's token", async () => {
+    await withApp(async (fastify, headers) => {
+      const { token } = signer.sign({ userId: 'someone_else', operations: [renameOperation] });
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/commit-intent',
+        headers,
+        payload: { intentToken: token, confirmed: true }
+      });
+      assert.equal(response.statusCode, 403);
+    });
+  });
+
+  it('cancels a preview once and refuses to reuse its token', async () => {
+    await withApp(async (fastify, headers) => {
+      const { token, jti } = signer.sign({ userId: 'test_user', operations: [renameOperation] });
+      await fastify.pendingStores.intentTokens.set(jti, { userId: 'test_user' }, signer.ttlSeconds);
+      const request = { method: 'POST', url: '/api/tasks/commit-intent', headers, payload: { intentToken: token, confirmed: false } };
+
+      const cancelled = await fastify.inject(request);
+      assert.equal(cancelled.statusCode, 200);
+      assert.equal(cancelled.json().message, 'Change cancelled.');
+
+      const reused = await fastify.inject({ ...request, payload: { intentToken: token, confirmed: true } });
+      assert.equal(reused.statusCode, 409);
+    });
+  });
+
+  it('applies nothing for a token that was never previewed here', async () => {
+    await withApp(async (fastify, headers) => {
+      // Signed with the right key, but unknown to the store: e.g. already
+      // committed on another instance and since cleaned up
+      const { token } = signer.sign({ userId: 'test_user', operations: [renameOperation] });
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/api/tasks/commit-intent',
+        headers,
+        payload: { intentToken: token, confirmed: true }
+      });
+      assert.equal(response.statusCode, 409);
+    });
+  });
+
+  it('applies nothing when the store cannot be reached', async () => {
+    await withApp(async (fastify, headers) => {
+      const { token } = signer.sign({ userId: 'test_user', operations: [renameOperation] });
+      fastify.pendingStores.intentTokens.take = async () => { throw new Error('connection refused'); };
+      const queries = mock.method(fastify.pool, 'query', async () => ({ rows: [], rowCount: 0 }));
+      const connections = mock.method(fastify.pool, 'connect', async () => { throw new Error('not expected'); });
+      try {
+        const response = await fastify.inject({
+          method: 'POST',
+          url: '/api/tasks/commit-intent',
+          headers,
+          payload: { intentToken: token, confirmed: true }
+        });
+        assert.equal(response.statusCode, 500);
+        assert.equal(queries.mock.callCount() + connections.mock.callCount(), 0);
+      } finally {
+        queries.mock.restore();
+        connections.mock.restore();
+      }
+    });
+  });
+
+  it('cannot be used as an authentication token', async () => {
+    await withApp(async (fastify) => {
+      const { token } = signer.sign({ userId: 'test_user' });
+      const response = await fastify.inject({
+        method: 'GET',
+        url: '/api/admin/llm-health',
+        headers: { authorization: `Bearer ${token}` }
+      });
+      assert.equal(response.statusCode, 401);
+    });
+  });
+});
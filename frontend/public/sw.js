@@ -0,0 +1,31 @@
+// Service worker for task reminder push notifications (see src/components/ReminderSettings.tsx)
+
+self.addEventListener('push', (event) => {
+  let reminder = { title: 'ClearTask', body: '', url: '/' };
+  try {
+    reminder = { ...reminder, ...event.data.json() };
+  } catch {
+    // Keep the defaults for empty or malformed payloads
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      icon: '/icons/web-app-manifest-192x192.png',
+      tag: 'task-reminder',
+      data: { url: reminder.url },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => 'focus' in client);
+      return existing ? existing.focus() : self.clients.openWindow(url);
+    })
+  );
+});
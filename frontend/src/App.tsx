@@ -4,13 +4,21 @@ import AuthorizedSenders from './components/AuthorizedSenders';
 import MagicLinkSuccess from './components/MagicLinkSuccess';
 import HelpPage from './components/HelpPage';
 import VerifyEmail from './components/VerifyEmail';
-import type { Task } from './db';
-import { speak, speakTaskCreated, speakAmbiguousInput, speakTaskUpdated } from './tts';
+import Trash from './components/Trash';
+import ReminderSettings from './components/ReminderSettings';
+import ListManager from './components/ListManager';
+import TagCloud from './components/TagCloud';
+import TaskSearch from './components/TaskSearch';
+import type { Task, TaskPage, TaskPriority, TaskList } from './db';
+import { speak, speakTaskCreated, speakAmbiguousInput, speakTaskUpdated, describeTaskOperations, joinForSpeech, speakTaskQuerySummary } from './tts';
+import type { TaskOperationResult } from './tts';
 import { Routes, Route, NavLink, useLocation } from 'react-router-dom';
 import './App.css';
 
 // Development-only logging utility
 import { devLog, devError } from './utils/devLog';
+import { TASK_PRIORITIES, PRIORITY_LABELS, sortTasksByPriority } from './utils/priority';
+import type { TagCount } from './utils/tags';
 
 declare global {
   interface Window {
@@ -18,11 +26,49 @@ declare global {
   }
 }
 
+// localStorage key for the "confirm voice changes" preference
+const CONFIRM_VOICE_CHANGES_KEY = 'confirmVoiceChanges';
+
+// List switcher choices besides the user's own lists
+const ALL_LISTS = 'all';
+const NO_LIST = 'none';
+
+// Tasks loaded per request; more are loaded on demand
+const TASK_PAGE_SIZE = 100;
+
+// The list, tag and priority the task list is filtered by
+interface TaskFilters {
+  list: string; // A list ID, ALL_LISTS or NO_LIST
+  tag: string | null;
+  priority: TaskPriority | 'none' | 'all';
+}
+
+// The browser's IANA time zone (e.g. "Australia/Sydney"), used by the backend to resolve "today" and due times
+const CLIENT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Applies the results of a multi-intent voice command (or an undo/redo) to the task list
+const mergeTaskOperationResults = (currentTasks: Task[], results: TaskOperationResult[]): Task[] => {
+  return results.reduce((current, { intent, task }) => {
+    const { next_instance: nextInstance, ...resultTask } = task as Task;
+    // Completing a recurring task also creates its next instance
+    const merged = nextInstance ? [...current, nextInstance] : current;
+    if (intent === 'create_task') return [...merged, resultTask];
+    if (intent === 'delete_task') return merged.filter(existing => existing.id !== resultTask.id);
+    if (resultTask.is_archived) return merged.filter(existing => existing.id !== resultTask.id);
+    // An undone archive brings back a task that is not in the list
+    if (!merged.some(existing => existing.id === resultTask.id)) return [...merged, resultTask];
+    return merged.map(existing => (existing.id === resultTask.id ? resultTask : existing));
+  }, currentTasks);
+};
+
 function App() {
   const [tasks, setTasks] = useState<Task[]>([]);
+  const [taskTotal, setTaskTotal] = useState<number>(0); // Tasks on the server, loaded or not
+  const [nextTaskCursor, setNextTaskCursor] = useState<string | null>(null); // Cursor for the next page; null when all are loaded
+  const [isLoadingMoreTasks, setIsLoadingMoreTasks] = useState<boolean>(false);
   const tasksRef = useRef<Task[]>([]); // Ref to hold latest tasks for closure access
   const [isLoggedIn, setIsLoggedIn] = useState<boolean>(false);
-  const [pendingDeletionTask, setPendingDeletionTask] = useState<Task | null>(null); // State for task awaiting deletion confirmation
+  const [pendingDeletionTasks, setPendingDeletionTasks] = useState<Task[]>([]); // State for tasks awaiting deletion confirmation
   const [showDeleteConfirmation, setShowDeleteConfirmation] = useState<boolean>(false); // State to control visibility of confirmation UI
   const [deleteConfirmationTimer, setDeleteConfirmationTimer] = useState<number>(10); // State for the countdown timer (starts at 10)
   const [confirmationId, setConfirmationId] = useState<string | null>(null); // State to store the confirmation ID from backend
@@ -31,16 +77,30 @@ function App() {
   const [isUILocked, setIsUILocked] = useState<boolean>(false); // State for UI lock
   const [isListening, setIsListening] = useState<boolean>(false);
   const [isAwaitingDeleteConfirmation, setIsAwaitingDeleteConfirmation] = useState<boolean>(false); // New state to track if awaiting delete confirmation
+  const [confirmVoiceChanges, setConfirmVoiceChanges] = useState<boolean>(() => localStorage.getItem(CONFIRM_VOICE_CHANGES_KEY) === 'true'); // Preview voice commands before they are applied
+  const [pendingIntent, setPendingIntent] = useState<{ token: string; description: string } | null>(null); // Previewed voice command awaiting yes/no
+  const [isAwaitingIntentConfirmation, setIsAwaitingIntentConfirmation] = useState<boolean>(false);
   const [authError, setAuthError] = useState<string | null>(null);
+  const [voiceAnswer, setVoiceAnswer] = useState<string | null>(null); // Last answer to a spoken question ("what's due this week?")
+  const [taskOrder, setTaskOrder] = useState<'due_date' | 'priority'>('due_date');
+  const [priorityFilter, setPriorityFilter] = useState<TaskPriority | 'none' | 'all'>('all');
+  const [lists, setLists] = useState<TaskList[]>([]);
+  const [activeList, setActiveList] = useState<string>(ALL_LISTS); // A list ID, ALL_LISTS or NO_LIST
+  const [activeTag, setActiveTag] = useState<string | null>(null); // Tag chosen in the tag cloud, null for all tasks
+  const [listTags, setListTags] = useState<TagCount[]>([]); // Tags in the current list, whatever the tag and priority filters
+  const taskRequestRef = useRef<number>(0); // Counts first-page requests so a slow one for old filters is ignored
   const recognitionRef = useRef<any>(null);
   const location = useLocation();
   const isAuthorizedSendersPage = location.pathname === '/authorized-senders';
   const isHelpPage = location.pathname === '/help';
+  const isTrashPage = location.pathname === '/trash';
+  const isSettingsPage = location.pathname === '/settings';
+  const isListsPage = location.pathname === '/lists';
 
   const audioContextRef = useRef<AudioContext | null>(null);
 
   // Sorting function: tasks without due dates first, then tasks with due dates (ascending)
-  const sortTasks = (tasksToSort: Task[]): Task[] => {
+  const sortTasks = useCallback((tasksToSort: Task[]): Task[] => {
     return [...tasksToSort].sort((a, b) => {
       // Tasks without due dates come first
       if (!a.due_date && b.due_date) return -1;
@@ -51,6 +111,10 @@ function App() {
         const dateA = new Date(a.due_date).getTime();
         const dateB = new Date(b.due_date).getTime();
         if (dateA !== dateB) return dateA - dateB;
+        // Same day: tasks without a due time first, then by time of day
+        if (!a.due_time && b.due_time) return -1;
+        if (a.due_time && !b.due_time) return 1;
+        if (a.due_time && b.due_time && a.due_time !== b.due_time) return a.due_time < b.due_time ? -1 : 1;
         // If due dates are equal, sort by createdAt (ascending - older first)
         const createdAtA = new Date((a as any).createdAt || (a as any).created_at || a.date).getTime();
         const createdAtB = new Date((b as any).createdAt || (b as any).created_at || b.date).getTime();
@@ -62,7 +126,7 @@ function App() {
       const createdAtB = new Date((b as any).createdAt || (b as any).created_at || b.date).getTime();
       return createdAtA - createdAtB;
     });
-  };
+  }, []);
 
   const initAudioContext = () => {
     if (!audioContextRef.current) {
@@ -93,9 +157,8 @@ function App() {
     };
   }, []);
 
-  // Cleanup function for delete confirmation state
-  const cleanupDeleteConfirmation = useCallback(() => {
-    devLog('[VOICE DEBUG] Cleaning up deletion confirmation state');
+  // Clears the countdown shared by delete and change confirmations
+  const clearConfirmationTimers = useCallback(() => {
     if (deleteTimeoutRef.current) {
       clearTimeout(deleteTimeoutRef.current);
       deleteTimeoutRef.current = null;
@@ -104,14 +167,50 @@ function App() {
       clearInterval(countdownIntervalRef.current);
       countdownIntervalRef.current = null;
     }
-    setPendingDeletionTask(null);
+  }, []);
+
+  // Starts the 10 second countdown shared by delete and change confirmations
+  const startConfirmationCountdown = useCallback((onTimeout: () => void) => {
+    setDeleteConfirmationTimer(10);
+    let timeLeft = 10;
+    countdownIntervalRef.current = window.setInterval(() => {
+      timeLeft -= 1;
+      setDeleteConfirmationTimer(timeLeft);
+      
+      if (timeLeft <= 0) {
+        if (countdownIntervalRef.current) {
+          clearInterval(countdownIntervalRef.current);
+          countdownIntervalRef.current = null;
+        }
+      }
+    }, 1000);
+    
+    // Set timeout to auto-cancel after 10 seconds
+    deleteTimeoutRef.current = window.setTimeout(onTimeout, 10000);
+  }, []);
+
+  // Cleanup function for delete confirmation state
+  const cleanupDeleteConfirmation = useCallback(() => {
+    devLog('[VOICE DEBUG] Cleaning up deletion confirmation state');
+    clearConfirmationTimers();
+    setPendingDeletionTasks([]);
     setShowDeleteConfirmation(false);
     setConfirmationId(null);
     setDeleteConfirmationTimer(10);
     setIsUILocked(false);
     setIsAwaitingDeleteConfirmation(false);
     devLog('[VOICE DEBUG] isAwaitingDeleteConfirmation set to FALSE');
-  }, []);
+  }, [clearConfirmationTimers]);
+
+  // Cleanup function for previewed voice command state
+  const cleanupIntentConfirmation = useCallback(() => {
+    devLog('[VOICE DEBUG] Cleaning up change confirmation state');
+    clearConfirmationTimers();
+    setPendingIntent(null);
+    setDeleteConfirmationTimer(10);
+    setIsUILocked(false);
+    setIsAwaitingIntentConfirmation(false);
+  }, [clearConfirmationTimers]);
 
   const startListening = useCallback(() => {
     if (recognitionRef.current) {
@@ -148,9 +247,10 @@ function App() {
 
       if (response.status === 204) {
         // Task deleted successfully
-        if (pendingDeletionTask?.id) {
-          setTasks(prevTasks => sortTasks(prevTasks.filter(task => task.id !== pendingDeletionTask.id)));
-          speak('Task deleted successfully.');
+        if (pendingDeletionTasks.length > 0) {
+          const deletedIds = pendingDeletionTasks.map(task => task.id);
+          setTasks(prevTasks => sortTasks(prevTasks.filter(task => !deletedIds.includes(task.id))));
+          speak(pendingDeletionTasks.length === 1 ? 'Task deleted successfully.' : `${pendingDeletionTasks.length} tasks deleted successfully.`);
         }
         cleanupDeleteConfirmation();
       } else if (response.status === 404) {
@@ -168,7 +268,7 @@ function App() {
       speak('Error deleting task. Please try again.');
       cleanupDeleteConfirmation();
     }
-  }, [confirmationId, pendingDeletionTask, sortTasks, cleanupDeleteConfirmation]);
+  }, [confirmationId, pendingDeletionTasks, sortTasks, cleanupDeleteConfirmation]);
 
   // Function to cancel deletion
   const handleCancelDeletion = useCallback(async () => {
@@ -200,6 +300,74 @@ function App() {
     }
   }, [confirmationId, cleanupDeleteConfirmation]);
 
+  // Applies the response of an undo/redo (from the buttons or by voice)
+  const applyHistoryResponse = useCallback((ok: boolean, data: { description?: string; operations?: TaskOperationResult[]; error?: string }) => {
+    if (ok && Array.isArray(data.operations)) {
+      const results = data.operations;
+      setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, results)));
+      speak(`${data.description}.`);
+    } else {
+      speak(data.error || 'Failed to apply change. Please try again.');
+    }
+  }, [sortTasks]);
+
+  // Function to apply (confirmed) or discard a previewed voice command
+  const handleCommitIntent = useCallback(async (confirmed: boolean) => {
+    if (!pendingIntent) {
+      cleanupIntentConfirmation();
+      return;
+    }
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/commit-intent`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies in request
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ intentToken: pendingIntent.token, confirmed }),
+      });
+
+      if (!confirmed) {
+        speak('Change cancelled.');
+      } else if (response.ok) {
+        const data = await response.json();
+        if (data.history) {
+          // A previewed "undo that" / "redo"
+          applyHistoryResponse(true, data);
+        } else {
+          const results = data.operations as TaskOperationResult[];
+          setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, results)));
+          speak(describeTaskOperations(results));
+        }
+      } else if (response.status === 410) {
+        speak('Confirmation expired. Please try again.');
+      } else {
+        const errorData = await response.json();
+        devError('Failed to commit voice command, status:', response.status, 'error:', errorData);
+        speak(errorData.error || 'Failed to apply change. Please try again.');
+      }
+    } catch (error) {
+      devError('Error committing voice command:', error);
+      speak('Error applying change. Please try again.');
+    } finally {
+      cleanupIntentConfirmation();
+    }
+  }, [pendingIntent, sortTasks, cleanupIntentConfirmation, applyHistoryResponse]);
+
+  const handleHistoryAction = useCallback(async (action: 'undo' | 'redo') => {
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/${action}`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies in request
+      });
+      applyHistoryResponse(response.ok, await response.json());
+    } catch (error) {
+      devError(`Error during ${action}:`, error);
+      speak(`Error during ${action}. Please try again.`);
+    }
+  }, [applyHistoryResponse]);
+
   const sendVoiceTranscriptToBackend = useCallback(async (transcript: string) => {
     try {
       const apiUrl = `${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/create-from-voice`;
@@ -213,23 +381,61 @@ function App() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ transcribedText: transcript, clientDate: clientDate.toISOString(), clientTimezoneOffset }),
+        body: JSON.stringify({ transcribedText: transcript, clientDate: clientDate.toISOString(), clientTimezoneOffset, clientTimeZone: CLIENT_TIME_ZONE, preview: confirmVoiceChanges }),
       });
 
-      if (response.status === 202) {
-        // Backend is requesting confirmation for deletion
-        const confirmationData = await response.json();
+      const responseData = await response.json();
+
+      if (responseData.history && !responseData.preview) {
+        // "Undo that" / "redo" outside preview mode (or nothing to undo/redo)
+        devLog('[VOICE DEBUG] Received undo/redo result from backend:', responseData);
+        applyHistoryResponse(response.ok, responseData);
+      } else if (response.ok && (responseData.query || responseData.search)) {
+        // A question about tasks or a search - read-only, so answered even in preview mode
+        devLog('[VOICE DEBUG] Received task query answer from backend:', responseData);
+        setVoiceAnswer(responseData.summary);
+        speakTaskQuerySummary(responseData.summary);
+      } else if (confirmVoiceChanges && response.ok) {
+        // Preview mode - nothing has been written yet; read the change back
+        // and wait for yes/no
+        const previewData = responseData;
+        devLog('[VOICE DEBUG] Received voice command preview from backend:', previewData);
+
+        setPendingIntent({ token: previewData.intentToken, description: previewData.description });
+        setIsUILocked(true);
+        setIsAwaitingIntentConfirmation(true);
+        speak(`${previewData.description}. Is that right?`);
+
+        // Delay starting listening to allow TTS to finish
+        setTimeout(() => {
+          startListening();
+        }, 2000);
+
+        startConfirmationCountdown(() => {
+          speak('Confirmation timeout. Change cancelled.');
+          cleanupIntentConfirmation();
+        });
+      } else if (response.status === 202) {
+        // Backend is requesting confirmation for deletion, possibly alongside
+        // other operations from a multi-intent command that were already applied
+        const confirmationData = responseData;
         
         devLog('[VOICE DEBUG] Received deletion confirmation request from backend:', confirmationData);
+
+        const appliedResults: TaskOperationResult[] = Array.isArray(confirmationData.operations) ? confirmationData.operations : [];
+        if (appliedResults.length > 0) {
+          setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, appliedResults)));
+        }
+        const taskIds: string[] = confirmationData.taskIds ?? (confirmationData.taskId ? [confirmationData.taskId] : []);
         
-        if (confirmationData.requiresConfirmation && confirmationData.confirmationId && confirmationData.taskId) {
-          // Find the task to delete using tasksRef to get current state
-          const taskToDelete = tasksRef.current.find(task => task.id === confirmationData.taskId);
+        if (confirmationData.requiresConfirmation && confirmationData.confirmationId && taskIds.length > 0) {
+          // Find the tasks to delete using tasksRef to get current state
+          const tasksToDelete = tasksRef.current.filter(task => task.id && taskIds.includes(task.id));
           
-          if (taskToDelete) {
-            devLog('[VOICE DEBUG] Setting up deletion confirmation state for task:', taskToDelete.task_name);
+          if (tasksToDelete.length > 0) {
+            devLog('[VOICE DEBUG] Setting up deletion confirmation state for tasks:', tasksToDelete.map(task => task.task_name));
             // Set up confirmation state
-            setPendingDeletionTask(taskToDelete);
+            setPendingDeletionTasks(tasksToDelete);
             setConfirmationId(confirmationData.confirmationId);
             setShowDeleteConfirmation(true);
             setIsUILocked(true);
@@ -239,7 +445,10 @@ function App() {
             devLog('[VOICE DEBUG] isAwaitingDeleteConfirmation set to TRUE');
             
             // Speak confirmation prompt - delay starting listening to avoid capturing TTS
-            speak(`Are you sure you want to delete task: ${taskToDelete.task_name}?`);
+            const deletePrompt = tasksToDelete.length === 1
+              ? `Are you sure you want to delete task: ${tasksToDelete[0].task_name}?`
+              : `Are you sure you want to delete ${tasksToDelete.length} tasks: ${joinForSpeech(tasksToDelete.map(task => task.task_name))}?`;
+            speak(`${describeTaskOperations(appliedResults)} ${deletePrompt}`.trim());
             
             // Delay starting listening to allow TTS to finish
             setTimeout(() => {
@@ -247,55 +456,40 @@ function App() {
               startListening();
             }, 2000); // 2 second delay to allow TTS to complete
             
-            // Start countdown timer
-            let timeLeft = 10;
-            countdownIntervalRef.current = window.setInterval(() => {
-              timeLeft -= 1;
-              setDeleteConfirmationTimer(timeLeft);
-              
-              if (timeLeft <= 0) {
-                if (countdownIntervalRef.current) {
-                  clearInterval(countdownIntervalRef.current);
-                  countdownIntervalRef.current = null;
-                }
-              }
-            }, 1000);
-            
-            // Set timeout to auto-cancel after 10 seconds
-            deleteTimeoutRef.current = window.setTimeout(() => {
+            // Start countdown timer, auto-cancelling after 10 seconds
+            startConfirmationCountdown(() => {
               speak('Confirmation timeout. Deletion cancelled.');
               cleanupDeleteConfirmation();
-            }, 10000);
+            });
           } else {
-            devError('Task not found for confirmation:', confirmationData.taskId);
+            devError('Tasks not found for confirmation:', taskIds);
             speakAmbiguousInput();
           }
         }
       } else if (response.ok) {
-        const taskData = await response.json();
-
-        // Handle both create (201) and update (200) responses
-        if (response.status === 201) {
+        if (Array.isArray(responseData.operations)) {
+          // Multi-intent command - apply every result and speak a combined summary
+          const results: TaskOperationResult[] = responseData.operations;
+          setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, results)));
+          speak(describeTaskOperations(results));
+        } else if (response.status === 201) {
           // New task created - add to list
-          setTasks(prevTasks => sortTasks([...prevTasks, taskData]));
+          setTasks(prevTasks => sortTasks([...prevTasks, responseData]));
           speakTaskCreated();
         } else if (response.status === 200) {
           // Existing task updated - replace in list
-          setTasks(prevTasks => sortTasks(prevTasks.map(task =>
-            task.id === taskData.id ? taskData : task
-          )));
+          setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, [{ intent: 'edit_task', task: responseData }])));
           speakTaskUpdated();
         }
       } else {
-        const errorData = await response.json();
-        devError('Failed to send voice transcript to backend, status:', response.status, 'error:', errorData);
+        devError('Failed to send voice transcript to backend, status:', response.status, 'error:', responseData);
         speakAmbiguousInput();
       }
     } catch (error) {
       devError('Error communicating with the backend to create task:', error);
       alert('Error communicating with the backend to create task.');
     }
-  }, [sortTasks, startListening, cleanupDeleteConfirmation]);
+  }, [sortTasks, startListening, cleanupDeleteConfirmation, cleanupIntentConfirmation, startConfirmationCountdown, confirmVoiceChanges, applyHistoryResponse]);
 
   // Effect for setting up basic speech recognition event handlers (not onresult)
   useEffect(() => {
@@ -341,10 +535,22 @@ function App() {
         transcript: speechResult,
         isAwaitingDeleteConfirmation,
         confirmationId,
-        pendingDeletionTaskId: pendingDeletionTask?.id
+        pendingDeletionTaskIds: pendingDeletionTasks.map(task => task.id)
       });
 
-      if (isAwaitingDeleteConfirmation) {
+      if (isAwaitingIntentConfirmation) {
+        devLog('[VOICE DEBUG] Handling as change confirmation');
+        if (speechResult.toLowerCase().includes('yes')) {
+          handleCommitIntent(true);
+        } else if (speechResult.toLowerCase().includes('no')) {
+          handleCommitIntent(false);
+        } else {
+          speak('Please say yes or no to confirm.');
+          setTimeout(() => {
+            startListening();
+          }, 1500);
+        }
+      } else if (isAwaitingDeleteConfirmation) {
         devLog('[VOICE DEBUG] Handling as deletion confirmation');
         // Using .includes() for more robust matching against potential extra words caught by speech recognition
         if (speechResult.toLowerCase().includes('yes')) {
@@ -367,7 +573,7 @@ function App() {
         sendVoiceTranscriptToBackend(speechResult);
       }
     };
-  }, [isAwaitingDeleteConfirmation, confirmationId, handleConfirmDeletion, handleCancelDeletion, sendVoiceTranscriptToBackend, startListening, stopListening]);
+  }, [isAwaitingDeleteConfirmation, isAwaitingIntentConfirmation, confirmationId, handleConfirmDeletion, handleCancelDeletion, handleCommitIntent, sendVoiceTranscriptToBackend, startListening, stopListening]);
 
   useEffect(() => {
     const hash = window.location.hash;
@@ -385,6 +591,7 @@ function App() {
       setAuthError(null);
       window.location.hash = ''; // Clean the URL
       fetchTasks();
+      syncTimeZone();
     } else {
       // Check if user is already logged in by attempting to fetch tasks
       // If JWT cookie exists and is valid, this will succeed
@@ -394,14 +601,15 @@ function App() {
 
   const checkAuthStatus = async () => {
     try {
-      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks`, {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks?${taskQuery(taskFilters)}`, {
         credentials: 'include', // Include cookies in request
       });
       if (response.ok) {
         setIsLoggedIn(true);
         setAuthError(null);
-        const data = await response.json();
-        setTasks(sortTasks(data));
+        showFirstTaskPage(await response.json());
+        syncTimeZone();
+        fetchLists();
       } else {
         setIsLoggedIn(false);
       }
@@ -416,26 +624,139 @@ function App() {
     tasksRef.current = tasks;
   }, [tasks]);
 
-  const fetchTasks = async () => {
+  // The tag cloud shows every tag in the current list, so errands or calls can be done in one go.
+  // Counted by the backend, so tasks not loaded yet (or hidden by the tag or priority filter) count
+  // too; counted again whenever the tasks change.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    let isCurrent = true;
+    const query = activeList === ALL_LISTS ? '' : `?list_id=${encodeURIComponent(activeList)}`;
+    fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/tags${query}`, {
+      credentials: 'include', // Include cookies in request
+    })
+      .then(async response => {
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        const tags: TagCount[] = await response.json();
+        if (isCurrent) setListTags(tags);
+      })
+      .catch(error => devError('Error fetching tag counts:', error));
+    return () => { isCurrent = false; };
+  }, [isLoggedIn, activeList, tasks]);
+
+  // Stores the browser's time zone for the user so emails, which arrive without one, are dated correctly
+  const syncTimeZone = async () => {
     try {
-      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks`, {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/settings`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (!response.ok) return;
+      const settings = await response.json();
+      if (settings.timezone === CLIENT_TIME_ZONE) return;
+      await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/settings`, {
+        method: 'PUT',
+        credentials: 'include', // Include cookies in request
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ timezone: CLIENT_TIME_ZONE }),
+      });
+    } catch (error) {
+      devError('Error syncing time zone:', error);
+    }
+  };
+
+  const fetchLists = async () => {
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/lists`, {
         credentials: 'include', // Include cookies in request
       });
       if (response.ok) {
-        const data = await response.json();
-        setTasks(sortTasks(data));
+        const data: TaskList[] = await response.json();
+        setLists(data);
+        // The list being shown may have been deleted
+        if (activeList !== ALL_LISTS && activeList !== NO_LIST && !data.some(list => list.id === activeList)) {
+          changeTaskFilters({ list: ALL_LISTS, tag: null });
+        }
+      } else {
+        devError('Failed to fetch lists, status:', response.status);
+      }
+    } catch (error) {
+      devError('Error fetching lists:', error);
+    }
+  };
+
+  // The chosen list, tag and priority are filtered by the backend, so every page and the total match them
+  const taskFilters: TaskFilters = { list: activeList, tag: activeTag, priority: priorityFilter };
+  const taskQuery = (filters: TaskFilters, cursor?: string) => {
+    const query = new URLSearchParams({ limit: String(TASK_PAGE_SIZE) });
+    if (filters.list !== ALL_LISTS) query.set('list_id', filters.list);
+    if (filters.tag) query.set('tag', filters.tag);
+    if (filters.priority !== 'all') query.set('priority', filters.priority);
+    if (cursor) query.set('cursor', cursor);
+    return query.toString();
+  };
+
+  const showFirstTaskPage = (page: TaskPage) => {
+    setTasks(sortTasks(page.tasks));
+    setTaskTotal(page.total);
+    setNextTaskCursor(page.next_cursor);
+  };
+
+  const fetchTasks = async (filters: TaskFilters = taskFilters) => {
+    const request = ++taskRequestRef.current;
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks?${taskQuery(filters)}`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (request !== taskRequestRef.current) return;
+      if (response.ok) {
+        showFirstTaskPage(await response.json());
       } else {
         devError('Failed to fetch tasks, status:', response.status);
         setTasks([]);
       }
     } catch (error) {
       devError('Error fetching tasks:', error);
-      setTasks([]);
+      if (request === taskRequestRef.current) setTasks([]);
+    }
+  };
+
+  // A new list, tag or priority starts again from the first page
+  const changeTaskFilters = (changes: Partial<TaskFilters>) => {
+    const filters = { ...taskFilters, ...changes };
+    setActiveList(filters.list);
+    setActiveTag(filters.tag);
+    setPriorityFilter(filters.priority);
+    fetchTasks(filters);
+  };
+
+  // Appends the next page of tasks, skipping any already shown
+  const handleLoadMoreTasks = async () => {
+    if (!nextTaskCursor) return;
+    const request = taskRequestRef.current;
+    setIsLoadingMoreTasks(true);
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks?${taskQuery(taskFilters, nextTaskCursor)}`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (request !== taskRequestRef.current) return;
+      if (response.ok) {
+        const page: TaskPage = await response.json();
+        setTasks(prevTasks => sortTasks([...prevTasks, ...page.tasks.filter(task => !prevTasks.some(existing => existing.id === task.id))]));
+        setTaskTotal(page.total);
+        setNextTaskCursor(page.next_cursor);
+      } else {
+        devError('Failed to load more tasks, status:', response.status);
+      }
+    } catch (error) {
+      devError('Error loading more tasks:', error);
+    } finally {
+      setIsLoadingMoreTasks(false);
     }
   };
 
   const handleInitiateDeleteConfirmation = (taskToConfirm: Task) => {
-    setPendingDeletionTask(taskToConfirm);
+    setPendingDeletionTasks([taskToConfirm]);
     setIsUILocked(true);
     // Placeholder for app speaking: "Are you sure you want to delete [Task]?"
 
@@ -456,7 +777,7 @@ function App() {
 
       if (response.ok) {
         setTasks(prevTasks => sortTasks(prevTasks.filter(task => task.id !== taskId)));
-        setPendingDeletionTask(null);
+        setPendingDeletionTasks([]);
         setIsUILocked(false);
       } else {
         devError('Failed to delete task, status:', response.status);
@@ -484,13 +805,14 @@ function App() {
           transcribedText: transcribedText,
           clientDate: new Date().toISOString(),
           clientTimezoneOffset: new Date().getTimezoneOffset(),
+          clientTimeZone: CLIENT_TIME_ZONE,
         }),
       });
 
       if (response.ok) {
         const updatedTask = await response.json();
         setTasks(prevTasks =>
-          sortTasks(prevTasks.map(t => (t.id === updatedTask.id ? updatedTask : t)))
+          sortTasks(mergeTaskOperationResults(prevTasks, [{ intent: 'edit_task', task: updatedTask }]))
         );
         speakTaskUpdated(); // Reuse for completion/incompletion feedback
       } else {
@@ -576,7 +898,7 @@ function App() {
     window.location.href = '/'; // Redirect to root URL
   };
 
-  const handleSaveTaskDescription = async (taskId: string, newTitle: string, newDescription: string, newDate: string) => {
+  const handleSaveTaskDescription = async (taskId: string, newTitle: string, newDescription: string, newDate: string, newTime: string, newPriority: TaskPriority | null, newListId: string | null, newTags: string[]) => {
     try {
       // Update in backend
       const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/${taskId}`, {
@@ -589,6 +911,10 @@ function App() {
           task_name: newTitle,
           description: newDescription,
           due_date: newDate || null,
+          due_time: newTime || null,
+          priority: newPriority,
+          list_id: newListId,
+          tags: newTags,
         }),
       });
 
@@ -612,6 +938,37 @@ function App() {
     }
   };
 
+  // A checklist change can complete the task (and create a recurring task's next instance)
+  const handleTaskUpdated = (updatedTask: Task) => {
+    setTasks(prevTasks => sortTasks(mergeTaskOperationResults(prevTasks, [{ intent: 'edit_task', task: updatedTask }])));
+  };
+
+  const handleToggleConfirmVoiceChanges = () => {
+    const enabled = !confirmVoiceChanges;
+    setConfirmVoiceChanges(enabled);
+    localStorage.setItem(CONFIRM_VOICE_CHANGES_KEY, String(enabled));
+    speak(enabled ? 'Voice changes will be read back for confirmation.' : 'Voice changes will be applied immediately.');
+  };
+
+  // The task list as shown: tasks stay in due date order (sortTasks) unless sorted by priority.
+  // The backend has already filtered the loaded tasks; a task edited or created here since then is
+  // filtered again so it leaves or stays out of a view it no longer matches.
+  const filteredTasks = tasks.filter(task =>
+    (activeList === ALL_LISTS || (task.list_id ?? NO_LIST) === activeList)
+    && (!activeTag || task.tags?.includes(activeTag))
+    && (priorityFilter === 'all' || (task.priority ?? 'none') === priorityFilter)
+  );
+  const visibleTasks = taskOrder === 'priority' ? sortTasksByPriority(filteredTasks) : filteredTasks;
+  const taskCountText = `${taskTotal} ${taskTotal === 1 ? 'task' : 'tasks'}`;
+
+  // Only the user's lists have an open task count from the backend
+  const listChoices: Array<{ id: string; name: string; open_task_count?: number }> = [
+    { id: ALL_LISTS, name: 'All tasks' },
+    ...lists,
+    { id: NO_LIST, name: 'Not in a list' },
+  ];
+  const activeListName = listChoices.find(choice => choice.id === activeList)?.name ?? 'All tasks';
+
   return (
     <>
       <div className="card">
@@ -623,7 +980,7 @@ function App() {
         {isLoggedIn ? (
           <>
             <nav className="main-nav">
-              {!isHelpPage ? (
+              {!isHelpPage && !isTrashPage && !isSettingsPage && !isListsPage ? (
                 <>
                   <NavLink to="/" onClick={handleGoogleLogout} className="nav-button">
                     Logout
@@ -633,9 +990,39 @@ function App() {
                       {isListening ? 'Stop Listening' : 'Start Voice Input'}
                     </button>
                   )}
+                  {!isAuthorizedSendersPage && (
+                    <button onClick={handleToggleConfirmVoiceChanges} aria-pressed={confirmVoiceChanges} className="nav-button">
+                      {confirmVoiceChanges ? 'Confirm Changes: On' : 'Confirm Changes: Off'}
+                    </button>
+                  )}
+                  {!isAuthorizedSendersPage && (
+                    <button onClick={() => handleHistoryAction('undo')} disabled={isUILocked} className="nav-button">
+                      Undo
+                    </button>
+                  )}
+                  {!isAuthorizedSendersPage && (
+                    <button onClick={() => handleHistoryAction('redo')} disabled={isUILocked} className="nav-button">
+                      Redo
+                    </button>
+                  )}
                   <NavLink to={isAuthorizedSendersPage ? "/" : "/authorized-senders"} className="nav-button">
                     {isAuthorizedSendersPage ? "Back to Task List" : "Manage Authorized Senders"}
                   </NavLink>
+                  {!isAuthorizedSendersPage && (
+                    <NavLink to="/trash" className="nav-button">
+                      Trash
+                    </NavLink>
+                  )}
+                  {!isAuthorizedSendersPage && (
+                    <NavLink to="/lists" className="nav-button">
+                      Lists
+                    </NavLink>
+                  )}
+                  {!isAuthorizedSendersPage && (
+                    <NavLink to="/settings" className="nav-button">
+                      Reminders
+                    </NavLink>
+                  )}
                   <NavLink to="/help" className="nav-button">
                     Help
                   </NavLink>
@@ -674,13 +1061,34 @@ function App() {
         )}
       </div>
       
+      {/* Voice Command Preview Modal */}
+      {pendingIntent && (
+        <div className="modal-overlay">
+          <div className="modal-content" role="alertdialog" aria-labelledby="intent-confirmation-title">
+            <h2 id="intent-confirmation-title">Confirm Change</h2>
+            <p className="task-name-preview"><strong>{pendingIntent.description}</strong></p>
+            <p className="timeout-warning">Time remaining: {deleteConfirmationTimer} seconds</p>
+            <div className="modal-buttons">
+              <button onClick={() => handleCommitIntent(true)} className="confirm-button">
+                Yes, Apply
+              </button>
+              <button onClick={() => handleCommitIntent(false)} className="cancel-button">
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
-      {showDeleteConfirmation && pendingDeletionTask && (
+      {showDeleteConfirmation && pendingDeletionTasks.length > 0 && (
         <div className="modal-overlay">
           <div className="modal-content">
             <h2>Confirm Deletion</h2>
-            <p>Are you sure you want to delete this task?</p>
-            <p className="task-name-preview"><strong>{pendingDeletionTask.task_name}</strong></p>
+            <p>Are you sure you want to delete {pendingDeletionTasks.length === 1 ? 'this task' : `these ${pendingDeletionTasks.length} tasks`}?</p>
+            {pendingDeletionTasks.map(task => (
+              <p key={task.id} className="task-name-preview"><strong>{task.task_name}</strong></p>
+            ))}
             <p className="timeout-warning">Time remaining: {deleteConfirmationTimer} seconds</p>
             <div className="modal-buttons">
               <button onClick={handleConfirmDeletion} className="confirm-button">
@@ -697,7 +1105,71 @@ function App() {
       <Routes>
         <Route path="/" element={
           <div className={`task-list ${isUILocked ? 'locked-ui-overlay' : ''}`}>
-            {tasks.map(task => (
+            {voiceAnswer && (
+              <div className="voice-answer" role="status">
+                <p>{voiceAnswer}</p>
+                <button onClick={() => speakTaskQuerySummary(voiceAnswer)} className="nav-button">
+                  Read again
+                </button>
+                <button onClick={() => setVoiceAnswer(null)} className="nav-button">
+                  Dismiss
+                </button>
+              </div>
+            )}
+            {isLoggedIn && <TaskSearch />}
+            {isLoggedIn && lists.length > 0 && (
+              <nav className="list-switcher" aria-label="Task lists">
+                <ul>
+                  {listChoices.map(choice => (
+                    <li key={choice.id}>
+                      <button
+                        className="nav-button"
+                        aria-pressed={activeList === choice.id}
+                        onClick={() => { changeTaskFilters({ list: choice.id, tag: null }); fetchLists(); }}
+                      >
+                        {choice.name}
+                        {choice.open_task_count !== undefined && (
+                          <> <span className="list-switcher-count">({choice.open_task_count}<span className="visually-hidden"> open tasks</span>)</span></>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <p className="visually-hidden" role="status">
+                  Showing {activeListName}: {taskCountText}
+                </p>
+              </nav>
+            )}
+            {isLoggedIn && (listTags.length > 0 || activeTag) && (
+              <>
+                <TagCloud tags={listTags} activeTag={activeTag} onSelect={tag => changeTaskFilters({ tag })} />
+                <p className="visually-hidden" role="status">
+                  {activeTag && `Showing tasks tagged ${activeTag}: ${taskCountText}`}
+                </p>
+              </>
+            )}
+            {isLoggedIn && (tasks.length > 0 || priorityFilter !== 'all') && (
+              <div className="task-list-controls">
+                <label>
+                  Sort by
+                  <select value={taskOrder} onChange={(e) => setTaskOrder(e.target.value as 'due_date' | 'priority')}>
+                    <option value="due_date">Due date</option>
+                    <option value="priority">Priority</option>
+                  </select>
+                </label>
+                <label>
+                  Show
+                  <select value={priorityFilter} onChange={(e) => changeTaskFilters({ priority: e.target.value as TaskFilters['priority'] })}>
+                    <option value="all">All priorities</option>
+                    {[...TASK_PRIORITIES].reverse().map(priority => (
+                      <option key={priority} value={priority}>{PRIORITY_LABELS[priority]} priority</option>
+                    ))}
+                    <option value="none">No priority</option>
+                  </select>
+                </label>
+              </div>
+            )}
+            {visibleTasks.map(task => (
               <TaskCard
                 key={task.id}
                 task={task}
@@ -705,14 +1177,30 @@ function App() {
                 onInitiateDeleteConfirmation={handleInitiateDeleteConfirmation}
                 onCancelDelete={handleCancelDeleteConfirmation}
                 isUILocked={isUILocked}
-                isPendingDeletion={pendingDeletionTask?.id === task.id}
+                isPendingDeletion={pendingDeletionTasks.some(pending => pending.id === task.id)}
                 onDelete={handleDeleteTask} // Pass the actual delete handler
                 onSave={handleSaveTaskDescription}
+                lists={lists}
+                onTaskUpdated={handleTaskUpdated}
               />
             ))}
-            {!tasks.length && isLoggedIn && (
+            {!visibleTasks.length && isLoggedIn && (
               <div className="no-tasks-message">
-                No tasks to display
+                {priorityFilter !== 'all'
+                  ? 'No tasks with this priority'
+                  : activeTag
+                    ? `No tasks tagged ${activeTag}`
+                    : activeList !== ALL_LISTS ? `No tasks in ${activeListName}` : 'No tasks to display'}
+              </div>
+            )}
+            {isLoggedIn && tasks.length > 0 && (
+              <div className="task-page-status">
+                <p role="status">Showing {visibleTasks.length} of {Math.max(taskTotal, visibleTasks.length)} tasks</p>
+                {nextTaskCursor && (
+                  <button type="button" className="nav-button" onClick={handleLoadMoreTasks} disabled={isLoadingMoreTasks}>
+                    {isLoadingMoreTasks ? 'Loading…' : 'Load more tasks'}
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -721,6 +1209,9 @@ function App() {
         <Route path="/verify-email" element={<VerifyEmail />} />
         <Route path="/magic-link-success" element={<MagicLinkSuccess />} />
         <Route path="/help" element={<HelpPage />} />
+        <Route path="/settings" element={<ReminderSettings />} />
+        <Route path="/lists" element={<ListManager onListsChanged={fetchLists} />} />
+        <Route path="/trash" element={<Trash onRestore={(restoredTask) => setTasks(prevTasks => sortTasks([...prevTasks, restoredTask]))} />} />
       </Routes>
     </>
   );
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import type { Task } from '../db';
+
+interface ChecklistProps {
+  task: Task;
+  isUILocked: boolean;
+  onTaskUpdated: (task: Task) => void; // Receives the task after each change, with its checklist
+}
+
+const API_BASE_URL = import.meta.env.VITE_APP_API_BASE_URL;
+
+// Steps as in backend/src/tasks/checklist.js
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_ITEM_LENGTH = 250;
+
+const Checklist: React.FC<ChecklistProps> = ({ task, isUILocked, onTaskUpdated }) => {
+  const [newStep, setNewStep] = useState<string>('');
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState<boolean>(false);
+  const items = task.checklist ?? [];
+  const doneCount = items.filter(item => item.is_completed).length;
+  const disabled = isUILocked || busy;
+
+  // Sends a change to the task's checklist, then hands the updated task back
+  const sendChange = async (path: string, method: string, body: object | null): Promise<boolean> => {
+    setError(null);
+    setBusy(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tasks/${task.id}/checklist${path}`, {
+        method,
+        credentials: 'include', // Include cookies in request
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        setError(errorData.error || 'Something went wrong. Please try again.');
+        return false;
+      }
+      onTaskUpdated(await response.json());
+      return true;
+    } catch {
+      setError('Network error or failed to connect to API.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddStep = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (newStep.trim() && await sendChange('', 'POST', { text: newStep })) {
+      setNewStep('');
+    }
+  };
+
+  const handleMove = (index: number, offset: number) => {
+    const itemIds = items.map(item => item.id);
+    [itemIds[index], itemIds[index + offset]] = [itemIds[index + offset], itemIds[index]];
+    sendChange('/order', 'PUT', { item_ids: itemIds });
+  };
+
+  return (
+    <section className="task-checklist" aria-label={`Checklist for ${task.task_name}`}>
+      {items.length > 0 && (
+        <>
+          <p className="task-checklist-progress">
+            {doneCount} of {items.length} {items.length === 1 ? 'step' : 'steps'} done
+          </p>
+          <ol>
+            {items.map((item, index) => (
+              <li key={item.id} className={item.is_completed ? 'completed' : ''}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={item.is_completed}
+                    onChange={() => sendChange(`/${item.id}`, 'PUT', { is_completed: !item.is_completed })}
+                    disabled={disabled}
+                  />
+                  {item.text}
+                </label>
+                <span className="task-checklist-actions">
+                  <button
+                    className="nav-button"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={disabled || index === 0}
+                    aria-label={`Move step ${index + 1} up`}
+                  >
+                    Up
+                  </button>
+                  <button
+                    className="nav-button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={disabled || index === items.length - 1}
+                    aria-label={`Move step ${index + 1} down`}
+                  >
+                    Down
+                  </button>
+                  <button
+                    className="nav-button"
+                    onClick={() => sendChange(`/${item.id}`, 'DELETE', null)}
+                    disabled={disabled}
+                    aria-label={`Remove step ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+      {items.length < MAX_CHECKLIST_ITEMS && (
+        <form className="task-checklist-add" onSubmit={handleAddStep}>
+          <label htmlFor={`checklist-input-${task.id}`} className="visually-hidden">
+            New step for {task.task_name}
+          </label>
+          <input
+            id={`checklist-input-${task.id}`}
+            type="text"
+            className="task-card-date-input"
+            value={newStep}
+            onChange={(e) => setNewStep(e.target.value)}
+            maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+            placeholder="Add a step"
+            disabled={disabled}
+          />
+          <button type="submit" className="nav-button" disabled={disabled || !newStep.trim()}>
+            Add step
+          </button>
+        </form>
+      )}
+      {error && <p className="error-message" role="alert">{error}</p>}
+    </section>
+  );
+};
+
+export default Checklist;
@@ -13,12 +13,30 @@ const HelpPage: React.FC = () => {
         <li>You can add tasks. For example "remind me to buy groceries on tuesday"</li>
         <li>You can edit existing tasks. For example "change buy apples to buy oranges" or "change buy groceries due date to May fourth"</li>
         <li>You can also complete tasks by saying things like "mark buy groceries as done"</li>
+        <li>Tasks can have a time as well as a date, for example "call the dentist tomorrow at 3pm". Dates and times follow your device's time zone.</li>
+        <li>Tasks can repeat, for example "take out the bins every Tuesday" or "pay rent on the 1st of every month". When you complete a repeating task, the next one is added for you. Say "stop repeating take out the bins" to end it.</li>
+        <li>Tasks can have a priority: low, medium, high or urgent. For example "make the rent high priority" or "mark file taxes as urgent". Use the Sort by and Show menus above your tasks to put urgent tasks first or see only one priority.</li>
+        <li>You can group tasks into lists such as Home, Work or Groceries. Create lists on the Lists page, then say "add bread to groceries" or "move the report to work". The buttons above your tasks switch between lists. On the Lists page you can also have tasks from certain emails filed into a list automatically.</li>
+        <li>You can tag tasks, for example "add buy stamps, tag it errand" or "tag call the bank as phone call". Tap a tag above your tasks to see only the tasks with that tag, and tap it again to see them all.</li>
+        <li>A task can have a checklist of steps, for example "plan the move: pack boxes, book a van and hand in the keys". Tick steps off on the task card or say "tick off step two of the move plan"; the task is completed when every step is done.</li>
         <li>You can delete tasks. For example "delete buy cat food"</li>
+        <li>You can ask about your tasks and hear the answer read aloud, for example "what's on today?", "what's due this week?" or "what's overdue?". Nothing is changed when you ask a question.</li>
+        <li>To find a task, type in the search box above your tasks or say "find the task about the plumber". Say "search my completed tasks for invoices" or tick "Include completed" or "Include archived" to look through older tasks too.</li>
+        <li>You can undo your last change by saying "undo that", or bring it back by saying "redo". The Undo and Redo buttons do the same.</li>
       </ul>
 
       <h3>Task Cards</h3>
       <ul>
         <li>You can also edit, delete, and mark complete by clicking or tapping the buttons on the task cards.</li>
+        <li>Deleted tasks go to the Trash page, where you can restore them for a while before they are removed for good.</li>
+      </ul>
+
+      <h2>Reminders</h2>
+      <ul>
+        <li>On the Reminders page you can choose to be reminded by email or push notification when tasks are due soon or overdue.</li>
+        <li>Set how many minutes before a task with a time, or how many days before a task with only a date, you want to hear about it.</li>
+        <li>Quiet hours hold reminders back overnight; they are sent when your quiet hours end.</li>
+        <li>Push notifications are turned on per device with the button on the Reminders page.</li>
       </ul>
       
       <h2>Manage Authorized Senders / Task Creation From Emails</h2>
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import type { TaskList } from '../db';
+
+interface RoutingRule {
+  id: number;
+  list_id: string;
+  list_name: string;
+  sender_pattern: string | null;
+  subject_pattern: string | null;
+}
+
+interface ListManagerProps {
+  onListsChanged: () => void; // Lets the task list refresh its list switcher
+}
+
+const API_BASE_URL = import.meta.env.VITE_APP_API_BASE_URL;
+
+const ListManager: React.FC<ListManagerProps> = ({ onListsChanged }) => {
+  const [lists, setLists] = useState<TaskList[]>([]);
+  const [rules, setRules] = useState<RoutingRule[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const [status, setStatus] = useState<string | null>(null);
+  const [newListName, setNewListName] = useState<string>('');
+  const [renaming, setRenaming] = useState<{ id: string; name: string } | null>(null);
+  const [newRule, setNewRule] = useState<{ list_id: string; sender_pattern: string; subject_pattern: string }>({
+    list_id: '',
+    sender_pattern: '',
+    subject_pattern: '',
+  });
+
+  useEffect(() => {
+    fetchListsAndRules();
+  }, []);
+
+  const fetchListsAndRules = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [listsResponse, rulesResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/lists`, { credentials: 'include' }), // Include cookies in request
+        fetch(`${API_BASE_URL}/api/lists/rules`, { credentials: 'include' }),
+      ]);
+      if (listsResponse.ok && rulesResponse.ok) {
+        setLists(await listsResponse.json());
+        setRules(await rulesResponse.json());
+      } else {
+        const errorData = await (listsResponse.ok ? rulesResponse : listsResponse).json();
+        setError(errorData.error || 'Failed to fetch lists.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sends a change, then reloads lists and rules and announces the result
+  const sendChange = async (url: string, method: string, body: object | null, successMessage: string): Promise<boolean> => {
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method,
+        credentials: 'include', // Include cookies in request
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        setError(errorData.error || 'Something went wrong. Please try again.');
+        return false;
+      }
+      setStatus(successMessage);
+      await fetchListsAndRules();
+      onListsChanged();
+      return true;
+    } catch {
+      setError('Network error or failed to connect to API.');
+      return false;
+    }
+  };
+
+  const handleCreateList = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const name = newListName.trim();
+    if (!name) return;
+    if (await sendChange('/api/lists', 'POST', { name }, `Created the list ${name}.`)) {
+      setNewListName('');
+    }
+  };
+
+  const handleRenameList = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!renaming) return;
+    const name = renaming.name.trim();
+    if (await sendChange(`/api/lists/${renaming.id}`, 'PUT', { name }, `Renamed the list to ${name}.`)) {
+      setRenaming(null);
+    }
+  };
+
+  const handleDeleteList = async (list: TaskList) => {
+    if (!window.confirm(`Delete the list ${list.name}? Its tasks are kept and moved out of any list.`)) return;
+    await sendChange(`/api/lists/${list.id}`, 'DELETE', null, `Deleted the list ${list.name}.`);
+  };
+
+  const handleCreateRule = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const body = {
+      list_id: newRule.list_id,
+      sender_pattern: newRule.sender_pattern.trim() || null,
+      subject_pattern: newRule.subject_pattern.trim() || null,
+    };
+    if (await sendChange('/api/lists/rules', 'POST', body, 'Added the email rule.')) {
+      setNewRule({ list_id: '', sender_pattern: '', subject_pattern: '' });
+    }
+  };
+
+  const describeRule = (rule: RoutingRule) => {
+    const conditions = [
+      rule.sender_pattern && `from ${rule.sender_pattern}`,
+      rule.subject_pattern && `with "${rule.subject_pattern}" in the subject`,
+    ].filter(Boolean).join(' and ');
+    return `Emails ${conditions} go to ${rule.list_name}`;
+  };
+
+  return (
+    <div className="settings-container">
+      <h2>Lists</h2>
+      <p>Group your tasks into lists such as Home, Work or Groceries. Say "add bread to groceries" to file a task as you add it.</p>
+
+      {loading && <p>Loading...</p>}
+      {error && <p className="error-message" role="alert">Error: {error}</p>}
+      {status && <p className="settings-status" role="status">{status}</p>}
+
+      <form className="settings-form" onSubmit={handleCreateList}>
+        <label>
+          New list name
+          <input
+            type="text"
+            maxLength={50}
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+          />
+        </label>
+        <button type="submit" disabled={!newListName.trim()}>Create list</button>
+      </form>
+
+      {lists.length > 0 ? (
+        <ul className="list-manager-lists">
+          {lists.map(list => (
+            <li key={list.id}>
+              {renaming?.id === list.id ? (
+                <form className="settings-form" onSubmit={handleRenameList}>
+                  <label>
+                    New name for {list.name}
+                    <input
+                      type="text"
+                      maxLength={50}
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ id: list.id, name: e.target.value })}
+                      autoFocus
+                    />
+                  </label>
+                  <button type="submit" disabled={!renaming.name.trim()}>Save</button>
+                  <button type="button" onClick={() => setRenaming(null)}>Cancel</button>
+                </form>
+              ) : (
+                <>
+                  <span>{list.name} ({list.open_task_count} open {list.open_task_count === 1 ? 'task' : 'tasks'})</span>
+                  <button onClick={() => setRenaming({ id: list.id, name: list.name })} aria-label={`Rename ${list.name}`}>
+                    Rename
+                  </button>
+                  <button onClick={() => handleDeleteList(list)} aria-label={`Delete ${list.name}`}>
+                    Delete
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !loading && <p>You have no lists yet.</p>
+      )}
+
+      <h3>Email rules</h3>
+      <p>File tasks from matching emails into a list. Enter a full address, or a domain such as @example.com, and/or text the subject must contain.</p>
+      {rules.length > 0 && (
+        <ul className="list-manager-lists">
+          {rules.map(rule => (
+            <li key={rule.id}>
+              <span>{describeRule(rule)}</span>
+              <button onClick={() => sendChange(`/api/lists/rules/${rule.id}`, 'DELETE', null, 'Removed the email rule.')} aria-label={`Remove rule: ${describeRule(rule)}`}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {lists.length > 0 && (
+        <form className="settings-form" onSubmit={handleCreateRule}>
+          <fieldset>
+            <legend>New email rule</legend>
+            <label>
+              From (address or @domain)
+              <input
+                type="text"
+                maxLength={255}
+                value={newRule.sender_pattern}
+                onChange={(e) => setNewRule({ ...newRule, sender_pattern: e.target.value })}
+              />
+            </label>
+            <label>
+              Subject contains
+              <input
+                type="text"
+                maxLength={255}
+                value={newRule.subject_pattern}
+                onChange={(e) => setNewRule({ ...newRule, subject_pattern: e.target.value })}
+              />
+            </label>
+            <label>
+              File into
+              <select
+                required
+                value={newRule.list_id}
+                onChange={(e) => setNewRule({ ...newRule, list_id: e.target.value })}
+              >
+                <option value="" disabled>Choose a list</option>
+                {lists.map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+            </label>
+          </fieldset>
+          <button type="submit" disabled={!newRule.list_id || (!newRule.sender_pattern.trim() && !newRule.subject_pattern.trim())}>
+            Add rule
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ListManager;
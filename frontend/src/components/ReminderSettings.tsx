@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { devError } from '../utils/devLog';
+
+type ReminderChannel = 'email' | 'push';
+
+interface Reminders {
+  enabled: boolean;
+  channels: ReminderChannel[];
+  lead_minutes: number;
+  lead_days: number;
+  quiet_hours_start: string | null;
+  quiet_hours_end: string | null;
+}
+
+const API_BASE_URL = import.meta.env.VITE_APP_API_BASE_URL;
+const PUSH_SUPPORTED = 'serviceWorker' in navigator && 'PushManager' in window;
+
+// Converts the server's base64url VAPID key into the form PushManager.subscribe expects
+const urlBase64ToUint8Array = (base64: string): Uint8Array<ArrayBuffer> => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(padded);
+  const bytes = new Uint8Array(new ArrayBuffer(raw.length));
+  for (let i = 0; i < raw.length; i++) {
+    bytes[i] = raw.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const ReminderSettings: React.FC = () => {
+  const [reminders, setReminders] = useState<Reminders | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const [status, setStatus] = useState<string | null>(null);
+  const [pushSubscribed, setPushSubscribed] = useState<boolean>(false);
+
+  useEffect(() => {
+    fetchReminders();
+    checkPushSubscription();
+  }, []);
+
+  const fetchReminders = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/settings/reminders`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (response.ok) {
+        setReminders(await response.json());
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to fetch reminder settings.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checkPushSubscription = async () => {
+    if (!PUSH_SUPPORTED) return;
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = await registration?.pushManager.getSubscription();
+      setPushSubscribed(Boolean(subscription));
+    } catch (error) {
+      devError('Error checking push subscription:', error);
+    }
+  };
+
+  const updateReminders = (changes: Partial<Reminders>) => {
+    setReminders(prev => (prev ? { ...prev, ...changes } : prev));
+    setStatus(null);
+  };
+
+  const toggleChannel = (channel: ReminderChannel, checked: boolean) => {
+    if (!reminders) return;
+    const channels = checked
+      ? [...reminders.channels.filter(c => c !== channel), channel]
+      : reminders.channels.filter(c => c !== channel);
+    updateReminders({ channels });
+  };
+
+  const handleSave = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!reminders) return;
+    setLoading(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/settings/reminders`, {
+        method: 'PUT',
+        credentials: 'include', // Include cookies in request
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(reminders),
+      });
+      if (response.ok) {
+        setReminders(await response.json());
+        setStatus('Reminder settings saved.');
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to save reminder settings.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnablePush = async () => {
+    setError(null);
+    setStatus(null);
+    try {
+      const keyResponse = await fetch(`${API_BASE_URL}/api/push/public-key`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (!keyResponse.ok) {
+        const errorData = await keyResponse.json();
+        setError(errorData.error || 'Push notifications are not available.');
+        return;
+      }
+      const { publicKey } = await keyResponse.json();
+
+      if (await Notification.requestPermission() !== 'granted') {
+        setError('Notifications are blocked for this site in your browser settings.');
+        return;
+      }
+
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey),
+      });
+
+      const response = await fetch(`${API_BASE_URL}/api/push/subscriptions`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies in request
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(subscription.toJSON()),
+      });
+      if (response.ok) {
+        setPushSubscribed(true);
+        setStatus('Push notifications are on for this device.');
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to turn on push notifications.');
+      }
+    } catch (error) {
+      devError('Error enabling push notifications:', error);
+      setError('Failed to turn on push notifications.');
+    }
+  };
+
+  const handleDisablePush = async () => {
+    setError(null);
+    setStatus(null);
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = await registration?.pushManager.getSubscription();
+      if (subscription) {
+        await fetch(`${API_BASE_URL}/api/push/subscriptions`, {
+          method: 'DELETE',
+          credentials: 'include', // Include cookies in request
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ endpoint: subscription.endpoint }),
+        });
+        await subscription.unsubscribe();
+      }
+      setPushSubscribed(false);
+      setStatus('Push notifications are off for this device.');
+    } catch (error) {
+      devError('Error disabling push notifications:', error);
+      setError('Failed to turn off push notifications.');
+    }
+  };
+
+  const hasQuietHours = Boolean(reminders?.quiet_hours_start && reminders?.quiet_hours_end);
+
+  return (
+    <div className="settings-container">
+      <h2>Reminders</h2>
+      <p>Get a reminder when tasks are due soon or overdue. Reminders are grouped into one message and never sent during your quiet hours.</p>
+
+      {loading && <p>Loading...</p>}
+      {error && <p className="error-message" role="alert">Error: {error}</p>}
+      {status && <p className="settings-status" role="status">{status}</p>}
+
+      {reminders && (
+        <form className="settings-form" onSubmit={handleSave}>
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={reminders.enabled}
+              onChange={(e) => updateReminders({ enabled: e.target.checked })}
+            />
+            Send me reminders
+          </label>
+
+          <fieldset disabled={!reminders.enabled}>
+            <legend>Send reminders by</legend>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={reminders.channels.includes('email')}
+                onChange={(e) => toggleChannel('email', e.target.checked)}
+              />
+              Email
+            </label>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={reminders.channels.includes('push')}
+                onChange={(e) => toggleChannel('push', e.target.checked)}
+              />
+              Push notification
+            </label>
+          </fieldset>
+
+          <fieldset disabled={!reminders.enabled}>
+            <legend>When</legend>
+            <label>
+              Minutes before tasks with a due time
+              <input
+                type="number"
+                min={0}
+                max={1440}
+                value={reminders.lead_minutes}
+                onChange={(e) => updateReminders({ lead_minutes: Number(e.target.value) })}
+              />
+            </label>
+            <label>
+              Days before tasks with only a due date (0 for the same day)
+              <input
+                type="number"
+                min={0}
+                max={7}
+                value={reminders.lead_days}
+                onChange={(e) => updateReminders({ lead_days: Number(e.target.value) })}
+              />
+            </label>
+          </fieldset>
+
+          <fieldset disabled={!reminders.enabled}>
+            <legend>Quiet hours</legend>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={hasQuietHours}
+                onChange={(e) => updateReminders(e.target.checked
+                  ? { quiet_hours_start: '22:00', quiet_hours_end: '07:00' }
+                  : { quiet_hours_start: null, quiet_hours_end: null })}
+              />
+              Don't send reminders overnight
+            </label>
+            {hasQuietHours && (
+              <>
+                <label>
+                  From
+                  <input
+                    type="time"
+                    required
+                    value={reminders.quiet_hours_start ?? ''}
+                    onChange={(e) => updateReminders({ quiet_hours_start: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Until
+                  <input
+                    type="time"
+                    required
+                    value={reminders.quiet_hours_end ?? ''}
+                    onChange={(e) => updateReminders({ quiet_hours_end: e.target.value })}
+                  />
+                </label>
+              </>
+            )}
+          </fieldset>
+
+          <button type="submit" disabled={loading}>Save</button>
+        </form>
+      )}
+
+      <h3>Push notifications on this device</h3>
+      {PUSH_SUPPORTED ? (
+        <button onClick={pushSubscribed ? handleDisablePush : handleEnablePush} aria-pressed={pushSubscribed}>
+          {pushSubscribed ? 'Turn off push on this device' : 'Turn on push on this device'}
+        </button>
+      ) : (
+        <p>This browser does not support push notifications.</p>
+      )}
+    </div>
+  );
+};
+
+export default ReminderSettings;
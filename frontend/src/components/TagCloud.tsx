@@ -0,0 +1,43 @@
+import React from 'react';
+import type { TagCount } from '../utils/tags';
+
+interface TagCloudProps {
+  tags: TagCount[];
+  activeTag: string | null; // The tag the task list is filtered by, if any
+  onSelect: (tag: string | null) => void;
+}
+
+// Number of text sizes; more-used tags are drawn larger
+const SIZE_STEPS = 4;
+
+const TagCloud: React.FC<TagCloudProps> = ({ tags, activeTag, onSelect }) => {
+  const maxCount = Math.max(...tags.map(({ count }) => count), 1);
+  const sizeStep = (count: number) => Math.max(1, Math.ceil((count / maxCount) * SIZE_STEPS));
+
+  return (
+    <nav className="tag-cloud" aria-label="Tags">
+      <ul>
+        {tags.map(({ tag, count }) => (
+          <li key={tag}>
+            <button
+              className={`tag-cloud-tag tag-cloud-size-${sizeStep(count)}`}
+              aria-pressed={activeTag === tag}
+              onClick={() => onSelect(activeTag === tag ? null : tag)}
+            >
+              <span aria-hidden="true">#</span>{tag} <span className="tag-cloud-count">({count}<span className="visually-hidden"> {count === 1 ? 'task' : 'tasks'}</span>)</span>
+            </button>
+          </li>
+        ))}
+        {activeTag && (
+          <li>
+            <button className="nav-button" onClick={() => onSelect(null)}>
+              Show all tags
+            </button>
+          </li>
+        )}
+      </ul>
+    </nav>
+  );
+};
+
+export default TagCloud;
@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import type { Task } from '../db';
+import type { Task, TaskPriority, TaskList } from '../db';
+import { describeRecurrence, nextOccurrence, formatOccurrenceDate } from '../utils/recurrence';
+import { TASK_PRIORITIES, PRIORITY_LABELS, PRIORITY_MARKS } from '../utils/priority';
+import { MAX_TAGS_PER_TASK, parseTagInput } from '../utils/tags';
+import { attachmentUrl, formatFileSize } from '../utils/attachments';
+import Checklist from './Checklist';
 
 interface TaskCardProps {
   task: Task;
@@ -9,7 +14,9 @@ interface TaskCardProps {
   onCancelDelete: () => void; // New prop for canceling delete confirmation
   isUILocked: boolean; // New prop to indicate if UI is locked
   isPendingDeletion: boolean; // New prop to indicate if this specific task is pending deletion
-  onSave?: (taskId: string, newTitle: string, newDescription: string, newDate: string) => void; // New prop for saving edited description
+  onSave?: (taskId: string, newTitle: string, newDescription: string, newDate: string, newTime: string, newPriority: TaskPriority | null, newListId: string | null, newTags: string[]) => void; // New prop for saving edited description
+  lists?: TaskList[]; // The user's lists, to move the task between them
+  onTaskUpdated?: (task: Task) => void; // Receives the task after a checklist change
 }
 
 const TaskCard: React.FC<TaskCardProps> = ({
@@ -20,21 +27,39 @@ const TaskCard: React.FC<TaskCardProps> = ({
   onCancelDelete,
   isUILocked,
   isPendingDeletion,
-  onSave
+  onSave,
+  lists = [],
+  onTaskUpdated
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedDescription, setEditedDescription] = useState(task.description || '');
   const [editedTitle, setEditedTitle] = useState(task.task_name || '');
   const [editedDate, setEditedDate] = useState(task.due_date ? task.due_date.split('T')[0] : '');
+  const [editedTime, setEditedTime] = useState(task.due_time ? task.due_time.slice(0, 5) : '');
+  const [editedPriority, setEditedPriority] = useState<TaskPriority | ''>(task.priority || '');
+  const [editedListId, setEditedListId] = useState(task.list_id || '');
+  const [editedTags, setEditedTags] = useState((task.tags ?? []).join(', '));
 
   useEffect(() => {
     setEditedDescription(task.description || '');
     setEditedTitle(task.task_name || '');
     setEditedDate(task.due_date ? task.due_date.split('T')[0] : '');
-  }, [task.description, task.task_name, task.due_date]);
+    setEditedTime(task.due_time ? task.due_time.slice(0, 5) : '');
+    setEditedPriority(task.priority || '');
+    setEditedListId(task.list_id || '');
+    setEditedTags((task.tags ?? []).join(', '));
+  }, [task.description, task.task_name, task.due_date, task.due_time, task.priority, task.list_id, task.tags]);
 
   const isTier1 = task.due_date === null;
+
+  // Recurring tasks show their schedule and when the next instance will be due
+  const recurrenceDescription = task.recurrence_rule ? describeRecurrence(task.recurrence_rule) : null;
+  const nextDate = task.recurrence_rule
+    ? nextOccurrence(task.recurrence_rule, task.due_date || new Date().toLocaleDateString('en-CA'))
+    : null;
   
+  const listName = task.list_id ? lists.find(list => list.id === task.list_id)?.name : null;
+
   // Build class names based on state
   const cardClassName = `task-card ${isTier1 ? 'tier-1-task' : ''} ${isPendingDeletion ? 'pending-delete' : ''} ${isUILocked ? 'ui-locked' : ''}`;
 
@@ -65,12 +90,16 @@ const TaskCard: React.FC<TaskCardProps> = ({
     setEditedDescription(task.description || '');
     setEditedTitle(task.task_name || '');
     setEditedDate(task.due_date ? task.due_date.split('T')[0] : '');
+    setEditedTime(task.due_time ? task.due_time.slice(0, 5) : '');
+    setEditedPriority(task.priority || '');
+    setEditedListId(task.list_id || '');
+    setEditedTags((task.tags ?? []).join(', '));
     setIsEditing(true);
   };
 
   const handleSaveClick = () => {
     if (onSave && task.id) {
-      onSave(task.id, editedTitle, editedDescription, editedDate || '');
+      onSave(task.id, editedTitle, editedDescription, editedDate || '', editedDate ? editedTime : '', editedPriority || null, editedListId || null, parseTagInput(editedTags).slice(0, MAX_TAGS_PER_TASK));
       setIsEditing(false);
     }
   };
@@ -79,6 +108,10 @@ const TaskCard: React.FC<TaskCardProps> = ({
     setEditedDescription(task.description || '');
     setEditedTitle(task.task_name || '');
     setEditedDate(task.due_date ? task.due_date.split('T')[0] : '');
+    setEditedTime(task.due_time ? task.due_time.slice(0, 5) : '');
+    setEditedPriority(task.priority || '');
+    setEditedListId(task.list_id || '');
+    setEditedTags((task.tags ?? []).join(', '));
     setIsEditing(false);
   };
 
@@ -97,6 +130,12 @@ const TaskCard: React.FC<TaskCardProps> = ({
             <h3 className="task-card-title">{task.task_name}</h3>
           )}
           {isTier1 && <span className="task-card-badge">No Date</span>}
+          {task.priority && (
+            <span className={`task-card-priority task-card-priority-${task.priority}`}>
+              <span aria-hidden="true">{PRIORITY_MARKS[task.priority]} </span>
+              {PRIORITY_LABELS[task.priority]} priority
+            </span>
+          )}
         </div>
         <p className="task-card-due-date">
           {isEditing ? (
@@ -113,16 +152,98 @@ const TaskCard: React.FC<TaskCardProps> = ({
                 aria-label="Due date"
                 aria-describedby="due-date-description"
               />
+              <label htmlFor={`time-input-${task.id}`} style={{ display: 'block', margin: '8px 0 4px' }}>
+                Due Time (optional):
+              </label>
+              <input
+                id={`time-input-${task.id}`}
+                type="time"
+                className="task-card-date-input"
+                value={editedTime}
+                onChange={(e) => setEditedTime(e.target.value)}
+                disabled={!editedDate}
+                aria-label="Due time"
+              />
+              <label htmlFor={`priority-input-${task.id}`} style={{ display: 'block', margin: '8px 0 4px' }}>
+                Priority:
+              </label>
+              <select
+                id={`priority-input-${task.id}`}
+                className="task-card-date-input"
+                value={editedPriority}
+                onChange={(e) => setEditedPriority(e.target.value as TaskPriority | '')}
+              >
+                <option value="">None</option>
+                {TASK_PRIORITIES.map(priority => (
+                  <option key={priority} value={priority}>{PRIORITY_LABELS[priority]}</option>
+                ))}
+              </select>
+              {lists.length > 0 && (
+                <>
+                  <label htmlFor={`list-input-${task.id}`} style={{ display: 'block', margin: '8px 0 4px' }}>
+                    List:
+                  </label>
+                  <select
+                    id={`list-input-${task.id}`}
+                    className="task-card-date-input"
+                    value={editedListId}
+                    onChange={(e) => setEditedListId(e.target.value)}
+                  >
+                    <option value="">Not in a list</option>
+                    {lists.map(list => (
+                      <option key={list.id} value={list.id}>{list.name}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+              <label htmlFor={`tags-input-${task.id}`} style={{ display: 'block', margin: '8px 0 4px' }}>
+                Tags (separated by commas):
+              </label>
+              <input
+                id={`tags-input-${task.id}`}
+                type="text"
+                className="task-card-date-input"
+                value={editedTags}
+                onChange={(e) => setEditedTags(e.target.value)}
+                placeholder="errand, phone call"
+              />
             </>
           ) : (
             task.due_date ? (() => {
               const [year, month, day] = task.due_date.split('T')[0].split('-').map(Number);
-              const localDate = new Date(year, month - 1, day); // Month is 0-indexed
+              const [hours, minutes] = (task.due_time || '00:00').split(':').map(Number);
+              const localDate = new Date(year, month - 1, day, hours, minutes); // Month is 0-indexed
               const options: Intl.DateTimeFormatOptions = { year: 'numeric', month: 'long', day: 'numeric' };
-              return `Due: ${localDate.toLocaleDateString('en-US', options)}`;
+              const time = task.due_time ? ` at ${localDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : '';
+              return `Due: ${localDate.toLocaleDateString('en-US', options)}${time}`;
             })() : 'No due date'
           )}
         </p>
+        {listName && <p className="task-card-list">List: {listName}</p>}
+        {task.tags && task.tags.length > 0 && (
+          <ul className="task-card-tags" aria-label="Tags">
+            {task.tags.map(tag => (
+              <li key={tag}><span aria-hidden="true">#</span>{tag}</li>
+            ))}
+          </ul>
+        )}
+        {task.id && task.attachments && task.attachments.length > 0 && (
+          <ul className="task-card-attachments" aria-label="Attachments">
+            {task.attachments.map(attachment => (
+              <li key={attachment.id}>
+                <a href={attachmentUrl(task.id!, attachment)}>{attachment.filename}</a> ({formatFileSize(attachment.size_bytes)})
+              </li>
+            ))}
+          </ul>
+        )}
+        {recurrenceDescription && (
+          <p className="task-card-recurrence">
+            Repeats {recurrenceDescription}{nextDate && `; next on ${formatOccurrenceDate(nextDate)}`}
+          </p>
+        )}
+        {onTaskUpdated && task.id && !isEditing && (
+          <Checklist task={task} isUILocked={isUILocked} onTaskUpdated={onTaskUpdated} />
+        )}
         <p className="task-card-status">
           Status: {task.is_completed ? 'Completed' : 'Pending'}
         </p>
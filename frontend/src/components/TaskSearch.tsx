@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import type { Task } from '../db';
+import { splitHighlight } from '../utils/highlight';
+
+// A result of GET /api/tasks/search: the task with its highlighted fields
+interface TaskSearchResult extends Task {
+  highlights: {
+    task_name: string | null;
+    description: string | null;
+    original_request: string | null;
+  };
+}
+
+const API_BASE_URL = import.meta.env.VITE_APP_API_BASE_URL;
+
+// Renders a highlighted fragment as text, with matches in <mark>
+const Highlighted: React.FC<{ fragment: string }> = ({ fragment }) => (
+  <>
+    {splitHighlight(fragment).map((part, index) => (part.marked ? <mark key={index}>{part.text}</mark> : part.text))}
+  </>
+);
+
+const TaskSearch: React.FC = () => {
+  const [query, setQuery] = useState<string>('');
+  const [includeCompleted, setIncludeCompleted] = useState<boolean>(false);
+  const [includeArchived, setIncludeArchived] = useState<boolean>(false);
+  const [results, setResults] = useState<TaskSearchResult[] | null>(null);
+  const [searchedFor, setSearchedFor] = useState<string>('');
+  const [loading, setLoading] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSearch = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!query.trim()) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ q: query.trim() });
+      if (includeCompleted) params.set('include_completed', 'true');
+      if (includeArchived) params.set('include_archived', 'true');
+      const response = await fetch(`${API_BASE_URL}/api/tasks/search?${params}`, {
+        credentials: 'include', // Include cookies in request
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResults(data.results);
+        setSearchedFor(data.query);
+      } else {
+        setError(data.error || 'Search failed. Please try again.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setResults(null);
+    setError(null);
+  };
+
+  return (
+    <section className="task-search" aria-label="Search tasks">
+      <form onSubmit={handleSearch}>
+        <label htmlFor="task-search-input" className="visually-hidden">Search tasks</label>
+        <input
+          id="task-search-input"
+          type="search"
+          className="task-card-date-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          maxLength={200}
+          placeholder="Search tasks"
+        />
+        <button type="submit" className="nav-button" disabled={loading || !query.trim()}>
+          {loading ? 'Searching…' : 'Search'}
+        </button>
+        {results && (
+          <button type="button" className="nav-button" onClick={handleClear}>
+            Clear
+          </button>
+        )}
+        <label>
+          <input type="checkbox" checked={includeCompleted} onChange={(e) => setIncludeCompleted(e.target.checked)} />
+          Include completed
+        </label>
+        <label>
+          <input type="checkbox" checked={includeArchived} onChange={(e) => setIncludeArchived(e.target.checked)} />
+          Include archived
+        </label>
+      </form>
+      {error && <p className="error-message" role="alert">{error}</p>}
+      {results && (
+        <div role="status">
+          <p className="task-search-count">
+            {results.length === 0
+              ? `No tasks found for "${searchedFor}"`
+              : `${results.length} ${results.length === 1 ? 'task' : 'tasks'} found for "${searchedFor}"`}
+          </p>
+          <ul className="task-search-results">
+            {results.map(result => (
+              <li key={result.id}>
+                <strong>
+                  {result.highlights.task_name ? <Highlighted fragment={result.highlights.task_name} /> : result.task_name}
+                </strong>
+                {(result.is_completed || result.is_archived) && (
+                  <span className="task-search-state">
+                    {' '}({[result.is_completed && 'completed', result.is_archived && 'archived'].filter(Boolean).join(', ')})
+                  </span>
+                )}
+                {result.highlights.description && (
+                  <p><Highlighted fragment={result.highlights.description} /></p>
+                )}
+                {result.highlights.original_request && (
+                  <p className="task-search-request">
+                    You said: <Highlighted fragment={result.highlights.original_request} />
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default TaskSearch;
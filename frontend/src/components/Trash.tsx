@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import type { Task } from '../db';
+
+interface TrashProps {
+  onRestore: (task: Task) => void;
+}
+
+const Trash: React.FC<TrashProps> = ({ onRestore }) => {
+  const [trashedTasks, setTrashedTasks] = useState<Task[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/trash`, {
+        credentials: 'include', // Include cookies in request
+      });
+      if (response.ok) {
+        const data: Task[] = await response.json();
+        setTrashedTasks(data);
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to fetch deleted tasks.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (id: string) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/${id}/restore`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies in request
+      });
+      if (response.ok) {
+        const restoredTask: Task = await response.json();
+        setTrashedTasks(prevTasks => prevTasks.filter(task => task.id !== id));
+        onRestore(restoredTask);
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to restore task.');
+      }
+    } catch {
+      setError('Network error or failed to connect to API.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="trash-container">
+      <h2>Trash</h2>
+      <p>Deleted tasks are kept here for a while before they are removed for good.</p>
+
+      {loading && <p>Loading...</p>}
+      {error && <p className="error-message">Error: {error}</p>}
+      {!loading && !trashedTasks.length && <p className="no-tasks-message">The trash is empty</p>}
+
+      <ul className="trash-list">
+        {trashedTasks.map((task) => (
+          <li key={task.id} className="trash-item flex-container">
+            <span className="trash-task-name">{task.task_name}</span>
+            <button onClick={() => task.id && handleRestore(task.id)} disabled={loading} aria-label={`Restore ${task.task_name}`}>
+              Restore
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,17 +1,61 @@
 import Dexie from 'dexie';
 import { type Table } from 'dexie';
 
+export type TaskPriority = 'low' | 'medium' | 'high' | 'urgent';
+
+export type TaskSource = 'voice' | 'email' | 'manual';
+
 export interface Task {
   id?: string;
   user_id: string;
   task_name: string;
   title: string;
   due_date: string | null;
+  due_time?: string | null; // HH:MM:SS wall-clock time in the user's time zone
   date: string;
   is_completed: boolean;
   original_request: string;
   description?: string; // Added new property
   is_archived?: boolean;
+  deleted_at?: string | null;
+  recurrence_rule?: string | null; // RRULE subset, e.g. "FREQ=WEEKLY;BYDAY=TU"
+  priority?: TaskPriority | null; // null when the task has no priority
+  list_id?: string | null; // null when the task is in no list
+  tags?: string[]; // Normalized tags such as "errand", alphabetically
+  checklist?: ChecklistItem[]; // Steps in order; the task completes when all are ticked
+  attachments?: TaskAttachment[]; // Files of the email the task came from
+  source?: TaskSource; // Where the task came from
+  next_instance?: Task; // Set when completing a recurring task created its next instance
+}
+
+// One page of GET /api/tasks
+export interface TaskPage {
+  tasks: Task[];
+  total: number; // Every task matching the request, not only this page
+  next_cursor: string | null; // Pass back as ?cursor= for the next page; null on the last page
+}
+
+// One step of a task's checklist
+export interface ChecklistItem {
+  id: number;
+  text: string;
+  is_completed: boolean;
+}
+
+// A file of the email a task came from, downloaded from
+// GET /api/tasks/:id/attachments/:attachmentId
+export interface TaskAttachment {
+  id: number;
+  filename: string;
+  mime_type: string;
+  size_bytes: number;
+}
+
+// A user-defined group of tasks (GET /api/lists)
+export interface TaskList {
+  id: string;
+  name: string;
+  open_task_count: number;
 }
 
 export class ClearTaskDexie extends Dexie {
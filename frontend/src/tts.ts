@@ -63,6 +63,16 @@ export function speakAmbiguousInput(): void {
   speak("I didn't quite catch that. Can you please try again and rephrase your request?");
 }
 
+/**
+ * Reads out the backend's answer to a question about tasks
+ * ("You have 2 tasks due today: ..."), a little slower than usual since it
+ * can list several tasks
+ * @param summary - The summary returned by the backend
+ */
+export function speakTaskQuerySummary(summary: string): void {
+  speak(summary, { rate: 0.95 });
+}
+
 /**
  * Cancels any ongoing speech
  */
@@ -89,3 +99,42 @@ export function isSpeaking(): boolean {
 export function speakDeleteConfirmationPrompt(taskName: string): void {
   speak(`Are you sure you want to delete the task, ${taskName}? Say yes to confirm or no to cancel.`);
 }
+
+/**
+ * Result of one operation in a multi-intent voice command
+ */
+export interface TaskOperationResult {
+  intent: 'create_task' | 'edit_task' | 'complete_task' | 'tick_item' | 'delete_task';
+  task: { id?: string; task_name: string };
+}
+
+/**
+ * Joins names into a spoken list: "a", "a and b", "a, b and c"
+ */
+export function joinForSpeech(items: string[]): string {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Builds a combined summary of a multi-intent voice command,
+ * e.g. "Created Buy milk and Buy eggs. Completed Call mom."
+ * @param results - The operations applied by the backend
+ */
+export function describeTaskOperations(results: TaskOperationResult[]): string {
+  const verbs: Record<TaskOperationResult['intent'], string> = {
+    create_task: 'Created',
+    edit_task: 'Updated',
+    complete_task: 'Completed',
+    tick_item: 'Ticked off a step of',
+    delete_task: 'Deleted',
+  };
+
+  return (Object.keys(verbs) as TaskOperationResult['intent'][])
+    .map(intent => {
+      const names = results.filter(result => result.intent === intent).map(result => result.task.task_name);
+      return names.length ? `${verbs[intent]} ${joinForSpeech(names)}.` : '';
+    })
+    .filter(Boolean)
+    .join(' ');
+}
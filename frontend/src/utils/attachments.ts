@@ -0,0 +1,14 @@
+// Files attached to the email a task came from (see backend/src/tasks/attachments.js)
+
+import type { TaskAttachment } from '../db';
+
+// The download URL; the session cookie authenticates it, so a plain link works
+export const attachmentUrl = (taskId: string, attachment: TaskAttachment): string =>
+  `${import.meta.env.VITE_APP_API_BASE_URL}/api/tasks/${taskId}/attachments/${attachment.id}`;
+
+// 1536 -> "1.5 KB"
+export const formatFileSize = (bytes: number): string => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1).replace(/\.0$/, '')} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+};
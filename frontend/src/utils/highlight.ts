@@ -0,0 +1,21 @@
+// Highlighted search fragments from GET /api/tasks/search: HTML-escaped
+// text with matches wrapped in <mark> (see backend/src/tasks/taskSearch.js).
+
+export interface HighlightPart {
+  text: string;
+  marked: boolean;
+}
+
+const unescapeHtml = (text: string): string =>
+  text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+// "Call the <mark>plumber</mark>" -> plain and marked parts, unescaped,
+// so they can be rendered as text rather than HTML
+export const splitHighlight = (fragment: string): HighlightPart[] =>
+  fragment
+    .split(/(<mark>.*?<\/mark>)/)
+    .filter(Boolean)
+    .map(part => {
+      const marked = part.startsWith('<mark>') && part.endsWith('</mark>');
+      return { text: unescapeHtml(marked ? part.slice(6, -7) : part), marked };
+    });
@@ -0,0 +1,28 @@
+// Task priorities as stored by the backend in tasks.priority (null = no priority).
+
+import type { Task, TaskPriority } from '../db';
+
+// Lowest to highest
+export const TASK_PRIORITIES: TaskPriority[] = ['low', 'medium', 'high', 'urgent'];
+
+export const PRIORITY_LABELS: Record<TaskPriority, string> = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  urgent: 'Urgent',
+};
+
+// Shown next to the label so priorities differ by more than colour
+export const PRIORITY_MARKS: Record<TaskPriority, string> = {
+  low: '▽',
+  medium: '!',
+  high: '!!',
+  urgent: '!!!',
+};
+
+const priorityRank = (task: Task): number => (task.priority ? TASK_PRIORITIES.indexOf(task.priority) + 1 : 0);
+
+// Urgent tasks first and tasks without a priority last, keeping the existing
+// (due date) order within each priority, like GET /api/tasks?sort=priority
+export const sortTasksByPriority = (tasks: Task[]): Task[] =>
+  [...tasks].sort((a, b) => priorityRank(b) - priorityRank(a));
@@ -0,0 +1,110 @@
+// Plain-words display of a task's recurrence rule (the RRULE subset the
+// backend stores in tasks.recurrence_rule: FREQ=DAILY|WEEKLY|MONTHLY with
+// INTERVAL, BYDAY for weekly rules and BYMONTHDAY for monthly rules).
+
+interface RecurrenceRule {
+  freq: 'DAILY' | 'WEEKLY' | 'MONTHLY';
+  interval: number;
+  byDay: string[];
+  byMonthDay: number | null;
+}
+
+const WEEKDAY_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES: Record<string, string> = {
+  MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday',
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRule = (rule: string): RecurrenceRule | null => {
+  const parts = new Map<string, string>();
+  for (const part of rule.toUpperCase().replace(/^RRULE:/, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || !value) return null;
+    parts.set(key, value);
+  }
+
+  const freq = parts.get('FREQ');
+  if (freq !== 'DAILY' && freq !== 'WEEKLY' && freq !== 'MONTHLY') return null;
+
+  const interval = Number(parts.get('INTERVAL') ?? 1);
+  const byDay = WEEKDAY_ORDER.filter(day => (parts.get('BYDAY') ?? '').split(',').includes(day));
+  const byMonthDay = parts.has('BYMONTHDAY') ? Number(parts.get('BYMONTHDAY')) : null;
+  if (!Number.isInteger(interval) || interval < 1 || (byMonthDay !== null && !Number.isInteger(byMonthDay))) return null;
+
+  return { freq, interval, byDay, byMonthDay };
+};
+
+const daysInMonth = (year: number, month: number) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The first occurrence of a rule after a YYYY-MM-DD date, as YYYY-MM-DD
+ * (mirrors nextOccurrence in backend/src/tasks/recurrence.js)
+ */
+export function nextOccurrence(rule: string, afterDate: string): string | null {
+  const parsed = parseRule(rule);
+  if (!parsed) return null;
+
+  const after = new Date(`${afterDate.split('T')[0]}T00:00:00Z`);
+  if (isNaN(after.getTime())) return null;
+  const toIso = (time: number) => new Date(time).toISOString().slice(0, 10);
+
+  if (parsed.freq === 'DAILY') return toIso(after.getTime() + parsed.interval * DAY_MS);
+
+  if (parsed.freq === 'WEEKLY') {
+    if (!parsed.byDay.length) return toIso(after.getTime() + parsed.interval * 7 * DAY_MS);
+    const afterOffset = (after.getUTCDay() + 6) % 7;
+    const weekStart = after.getTime() - afterOffset * DAY_MS;
+    const offsets = parsed.byDay.map(day => WEEKDAY_ORDER.indexOf(day));
+    const laterThisWeek = offsets.find(offset => offset > afterOffset);
+    return laterThisWeek !== undefined
+      ? toIso(weekStart + laterThisWeek * DAY_MS)
+      : toIso(weekStart + (parsed.interval * 7 + offsets[0]) * DAY_MS);
+  }
+
+  const monthDay = parsed.byMonthDay ?? after.getUTCDate();
+  const year = after.getUTCFullYear();
+  const month = after.getUTCMonth();
+  const thisMonthDay = Math.min(monthDay, daysInMonth(year, month));
+  if (thisMonthDay > after.getUTCDate()) return toIso(Date.UTC(year, month, thisMonthDay));
+  const target = new Date(Date.UTC(year, month + parsed.interval, 1));
+  const targetDay = Math.min(monthDay, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  return toIso(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), targetDay));
+}
+
+const ordinal = (n: number) => {
+  const suffixes: Record<string, string> = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+};
+
+const listNames = (names: string[]) =>
+  names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+
+/**
+ * Describes a rule in plain words, e.g. "every 2 weeks on Monday and Thursday"
+ */
+export function describeRecurrence(rule: string): string | null {
+  const parsed = parseRule(rule);
+  if (!parsed) return null;
+
+  const { freq, interval, byDay, byMonthDay } = parsed;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+  const every = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+
+  if (freq === 'WEEKLY' && byDay.length) {
+    const isWeekdays = byDay.join(',') === 'MO,TU,WE,TH,FR';
+    const days = isWeekdays ? 'weekday' : listNames(byDay.map(day => WEEKDAY_NAMES[day]));
+    return interval > 1 ? `${every} on ${isWeekdays ? 'weekdays' : days}` : `every ${days}`;
+  }
+  if (freq === 'MONTHLY' && byMonthDay !== null) return `${every} on the ${ordinal(byMonthDay)}`;
+  return every;
+}
+
+/**
+ * Formats a YYYY-MM-DD date as e.g. "Tuesday, October 28"
+ */
+export function formatOccurrenceDate(isoDate: string): string {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const options: Intl.DateTimeFormatOptions = { weekday: 'long', month: 'long', day: 'numeric' };
+  if (year !== new Date().getFullYear()) options.year = 'numeric';
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', options);
+}
@@ -0,0 +1,27 @@
+// Task tags as stored by the backend: lowercase, words joined by hyphens
+// (see backend/src/tasks/tags.js).
+
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS_PER_TASK = 10;
+
+// "#Phone Call" -> "phone-call"; null when nothing usable is left
+export const normalizeTag = (value: string): string | null => {
+  const tag = value
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+};
+
+// Comma-separated input ("errand, phone call") -> distinct tags
+export const parseTagInput = (text: string): string[] =>
+  [...new Set(text.split(',').map(normalizeTag).filter((tag): tag is string => tag !== null))];
+
+export interface TagCount {
+  tag: string;
+  count: number;
+}